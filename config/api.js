@@ -17,12 +17,28 @@ const API_CONFIG = {
   // Authentication endpoints
   AUTH: {
     LOGIN: '/auth/login',
+    LOGIN_TWO_FACTOR: '/auth/login/2fa',
     LOGOUT: '/auth/logout',
     REFRESH: '/auth/refresh',
     REGISTER: '/auth/register',
     FORGOT_PASSWORD: '/auth/forgot-password',
     RESET_PASSWORD: '/auth/reset-password',
-    VERIFY_EMAIL: '/auth/verify-email'
+    VERIFY_EMAIL: '/auth/verify-email',
+    RESEND_VERIFICATION: '/auth/verify-email/resend',
+    PROFILE: '/auth/profile',
+    SESSIONS: '/auth/sessions',
+    SESSION_BY_ID: (id) => `/auth/sessions/${id}`,
+    TWO_FACTOR: '/auth/2fa',
+    TWO_FACTOR_SETUP: '/auth/2fa/setup',
+    TWO_FACTOR_ENABLE: '/auth/2fa/enable',
+    TWO_FACTOR_DISABLE: '/auth/2fa/disable',
+    TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes',
+    TWO_FACTOR_POLICY: '/auth/2fa/policy',
+    LOGIN_HISTORY: '/auth/login-history',
+    PIN: '/auth/pin',
+    PIN_LOGIN: '/auth/pin-login',
+    PIN_LOGIN_USERS: '/auth/pin-login/users',
+    ACCEPT_INVITATION: '/auth/accept-invitation'
   },
 
   // Client management endpoints
@@ -34,7 +50,30 @@ const API_CONFIG = {
     APPOINTMENTS: (id) => `/clients/${id}/appointments`,
     INVOICES: (id) => `/clients/${id}/invoices`,
     HISTORY: (id) => `/clients/${id}/history`,
-    EXPORT: '/clients/export'
+    CONTACTS: (id) => `/clients/${id}/contacts`,
+    CONTACT: (id, contactId) => `/clients/${id}/contacts/${contactId}`,
+    COMMUNICATIONS: (id) => `/clients/${id}/communications`,
+    PERSONAL_DATA: (id) => `/clients/${id}/personal-data`,
+    ERASE: (id) => `/clients/${id}/erase`,
+    EXPORT: '/clients/export',
+    IMPORT: '/clients/import',
+    DUPLICATES: '/clients/duplicates',
+    CLIENT_DUPLICATES: (id) => `/clients/${id}/duplicates`,
+    MERGE: (id) => `/clients/${id}/merge`,
+    MERGES: '/clients/merges',
+    UNDO_MERGE: (mergeId) => `/clients/merges/${mergeId}/undo`,
+    TAGS: '/clients/tags',
+    TAG: (tagId) => `/clients/tags/${tagId}`,
+    CLIENT_TAGS: (id) => `/clients/${id}/tags`,
+    SEGMENTS: '/clients/segments',
+    SEGMENT: (segmentId) => `/clients/segments/${segmentId}`,
+    SEGMENT_CLIENTS: (segmentId) => `/clients/segments/${segmentId}/clients`
+  },
+
+  // Shop-defined client and vehicle field endpoints
+  CUSTOM_FIELDS: {
+    BASE: '/custom-fields',
+    BY_ID: (id) => `/custom-fields/${id}`
   },
 
   // Vehicle management endpoints
@@ -65,6 +104,18 @@ const API_CONFIG = {
     COMPLETE: (id) => `/appointments/${id}/complete`
   },
 
+  // Work order management endpoints
+  WORK_ORDERS: {
+    BASE: '/work-orders',
+    BY_ID: (id) => `/work-orders/${id}`,
+    FROM_APPOINTMENT: (appointmentId) => `/work-orders/from-appointment/${appointmentId}`,
+    ITEMS: (id) => `/work-orders/${id}/items`,
+    ITEM_BY_ID: (id, itemId) => `/work-orders/${id}/items/${itemId}`,
+    START: (id) => `/work-orders/${id}/start`,
+    COMPLETE: (id) => `/work-orders/${id}/complete`,
+    CANCEL: (id) => `/work-orders/${id}/cancel`
+  },
+
   // Inventory management endpoints
   INVENTORY: {
     BASE: '/inventory',
@@ -74,6 +125,8 @@ const API_CONFIG = {
     CATEGORIES: '/inventory/categories',
     SUPPLIERS: '/inventory/suppliers',
     MOVEMENTS: '/inventory/movements',
+    ITEM_MOVEMENTS: (id) => `/inventory/${id}/movements`,
+    CONSISTENCY: '/inventory/consistency',
     BULK_UPDATE: '/inventory/bulk-update',
     EXPORT: '/inventory/export',
     IMPORT: '/inventory/import'
@@ -89,9 +142,11 @@ const API_CONFIG = {
       PENDING: '/invoices/pending',
       OVERDUE: '/invoices/overdue',
       GENERATE: '/invoices/generate',
+      CONSOLIDATED: '/invoices/consolidated',
       SEND: (id) => `/invoices/${id}/send`,
       DOWNLOAD: (id) => `/invoices/${id}/download`,
-      MARK_PAID: (id) => `/invoices/${id}/mark-paid`
+      MARK_PAID: (id) => `/invoices/${id}/mark-paid`,
+      CANCEL: (id) => `/invoices/${id}/cancel`
     },
     
     // Payments
@@ -131,7 +186,37 @@ const API_CONFIG = {
     PROFILE: '/users/profile',
     SETTINGS: '/users/settings',
     PERMISSIONS: '/users/permissions',
-    ACTIVITY_LOG: '/users/activity-log'
+    ACTIVITY_LOG: '/users/activity-log',
+    INVITE: '/users/invite',
+    RESEND_INVITATION: (id) => `/users/${id}/invite/resend`,
+    ROLE: (id) => `/users/${id}/role`,
+    DEACTIVATE: (id) => `/users/${id}/deactivate`,
+    REACTIVATE: (id) => `/users/${id}/reactivate`,
+    UNLOCK: (id) => `/users/${id}/unlock`,
+    RESET_PASSWORD: (id) => `/users/${id}/reset-password`,
+    ACTIVITY: (id) => `/users/${id}/activity`
+  },
+
+  // API key endpoints
+  API_KEYS: {
+    BASE: '/api-keys',
+    BY_ID: (id) => `/api-keys/${id}`,
+    SCOPES: '/api-keys/scopes',
+    REVOKE: (id) => `/api-keys/${id}/revoke`
+  },
+
+  // Shop-floor device endpoints
+  SHOP_DEVICES: {
+    BASE: '/shop-devices',
+    BY_ID: (id) => `/shop-devices/${id}`,
+    REVOKE: (id) => `/shop-devices/${id}/revoke`
+  },
+
+  // Audit trail endpoints
+  AUDIT: {
+    BASE: '/audit',
+    ENTITY_TYPES: '/audit/entity-types',
+    HISTORY: (entityType, entityId) => `/audit/${entityType}/${entityId}`
   },
 
   // File upload endpoints
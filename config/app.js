@@ -18,7 +18,8 @@ const APP_CONFIG = {
   SERVER: {
     PORT: process.env.PORT || 3001,
     HOST: process.env.HOST || 'localhost',
-    CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000'
+    CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
+    APP_URL: process.env.APP_URL || 'http://localhost:3000' // used for links in emails
   },
 
   // Database configuration
@@ -42,7 +43,32 @@ const APP_CONFIG = {
     RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
     RATE_LIMIT_MAX_REQUESTS: 100,
     ENABLE_HELMET: true,
-    ENABLE_CORS: true
+    ENABLE_CORS: true,
+    PASSWORD_MIN_LENGTH: 8,
+    PASSWORD_RESET_EXPIRES_IN: '1h',
+    EMAIL_VERIFICATION_EXPIRES_IN: '48h',
+    INVITATION_EXPIRES_IN: '7d',
+    UNVERIFIED_EMAIL_POLICY: process.env.UNVERIFIED_EMAIL_POLICY || 'flag', // 'flag' or 'block' logins
+    TWO_FACTOR_CHALLENGE_EXPIRES_IN: '5m', // time allowed between the password and the code
+    TWO_FACTOR_RECOVERY_CODES: 10,
+    LOGIN_DELAY_AFTER_ATTEMPTS: 3, // failures before each further attempt has to wait
+    LOGIN_DELAY_BASE_SECONDS: 2, // doubles with every further failure
+    LOGIN_MAX_FAILED_ATTEMPTS: 10, // failures that lock the account
+    LOGIN_LOCKOUT_DURATION: '15m',
+    API_KEY_PREFIX: 'mmk', // keys look like mmk_<id>_<secret>
+    API_KEY_DEFAULT_RATE_LIMIT: 60, // requests per minute per key
+    API_KEY_MAX_RATE_LIMIT: 1000,
+    PIN_MIN_LENGTH: 4,
+    PIN_MAX_LENGTH: 8,
+    SHOP_FLOOR_SESSION_EXPIRES_IN: '30m', // PIN sessions are not refreshed
+    // What a PIN session may do, on top of the user's role
+    SHOP_FLOOR_PERMISSIONS: [
+      'clients:read',
+      'vehicles:read',
+      'appointments:read',
+      'work_orders:read', 'work_orders:write',
+      'inventory:read'
+    ]
   },
 
   // Email configuration
@@ -97,10 +123,30 @@ const APP_CONFIG = {
       MIN_DURATION: 30,
       MAX_DURATION: 480, // 8 hours
       BUFFER_TIME: 15, // minutes between appointments
+      SLOT_INTERVAL: 30, // minutes between offered start times
       MAX_ADVANCE_BOOKING: 90, // days
       REMINDER_TIME: 24 // hours before appointment
     },
     
+    // Client settings
+    CLIENTS: {
+      DUPLICATE_MIN_SCORE: 0.85, // 0-1, how alike two clients must be to be suggested as duplicates
+      MERGE_UNDO_DAYS: 7 // how long a merge can be undone
+    },
+    
+    // Client communication settings
+    COMMUNICATIONS: {
+      QUIET_HOURS: { start: '20:00', end: '08:00' }, // automated messages wait until the end; clients can override
+      SERVICE_FALLBACK_CHANNELS: ['email', 'sms'], // tried in order for service messages when the preferred method is not email or SMS; [] to send nothing
+      DISPATCH_INTERVAL: 60000 // ms between sends of messages held for quiet hours
+    },
+    
+    // Work order settings
+    WORK_ORDERS: {
+      NUMBER_PREFIX: 'WO-',
+      DEFAULT_LABOR_RATE: 95.00 // per hour, used when a service has no rate
+    },
+    
     // Inventory settings
     INVENTORY: {
       LOW_STOCK_THRESHOLD: 5,
@@ -226,6 +272,18 @@ const APP_CONFIG = {
     SERVICE_COMPLETED: {
       subject: 'Service Completed - {{vehicleMake}} {{vehicleModel}}',
       template: 'service-completed'
+    },
+    PASSWORD_RESET: {
+      subject: 'Reset your {{appName}} password',
+      template: 'password-reset'
+    },
+    EMAIL_VERIFICATION: {
+      subject: 'Confirm your {{appName}} email address',
+      template: 'email-verification'
+    },
+    USER_INVITATION: {
+      subject: 'You have been invited to {{appName}}',
+      template: 'user-invitation'
     }
   }
 };
@@ -280,5 +338,3 @@ if (typeof module !== 'undefined' && module.exports) {
   // Browser environment
   window.MoMechConfig = config;
 }
-
-export default config;
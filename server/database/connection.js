@@ -6,6 +6,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
 const config = require('../../config/app');
 const logger = require('../utils/logger');
 
@@ -16,6 +17,12 @@ class DatabaseConnection {
     this.migrationPath = path.join(__dirname, 'migrations');
     this.seedPath = path.join(__dirname, 'seeds');
     this.isInitialized = false;
+
+    // There is one connection, so a transaction takes it over: statements
+    // from the transaction's own async context run inside it, everything
+    // else waits for it to finish
+    this.transactionContext = new AsyncLocalStorage();
+    this.activeTransaction = null;
   }
 
   /**
@@ -154,27 +161,20 @@ class DatabaseConnection {
       const sql = await fs.readFile(filePath, 'utf8');
 
       // Execute migration in a transaction
-      await this.run('BEGIN TRANSACTION');
-      
-      // Split and execute multiple statements
-      const statements = sql.split(';').filter(stmt => stmt.trim());
-      for (const statement of statements) {
-        if (statement.trim()) {
-          await this.run(statement);
-        }
-      }
-
-      // Record migration
-      await this.run(
-        'INSERT INTO migrations (filename) VALUES (?)',
-        [filename]
-      );
+      await this.withTransaction(async () => {
+        // Execute the whole script at once so trigger bodies keep their inner semicolons
+        await this.exec(sql);
+
+        // Record migration
+        await this.run(
+          'INSERT INTO migrations (filename) VALUES (?)',
+          [filename]
+        );
+      });
 
-      await this.run('COMMIT');
       logger.info(`Migration executed: ${filename}`);
 
     } catch (error) {
-      await this.run('ROLLBACK');
       logger.error(`Migration failed: ${filename}`, error);
       throw error;
     }
@@ -220,12 +220,7 @@ class DatabaseConnection {
       const sql = await fs.readFile(filePath, 'utf8');
 
       // Execute seed statements
-      const statements = sql.split(';').filter(stmt => stmt.trim());
-      for (const statement of statements) {
-        if (statement.trim()) {
-          await this.run(statement);
-        }
-      }
+      await this.exec(sql);
 
       logger.info(`Seed executed: ${filename}`);
 
@@ -239,6 +234,8 @@ class DatabaseConnection {
    * Execute a SQL statement
    */
   async run(sql, params = []) {
+    await this.waitForTransaction();
+
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
@@ -253,10 +250,29 @@ class DatabaseConnection {
     });
   }
 
+  /**
+   * Execute a script containing multiple SQL statements
+   */
+  async exec(sql) {
+    await this.waitForTransaction();
+
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
   /**
    * Execute a SELECT query and return first row
    */
   async get(sql, params = []) {
+    await this.waitForTransaction();
+
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
@@ -272,6 +288,8 @@ class DatabaseConnection {
    * Execute a SELECT query and return all rows
    */
   async all(sql, params = []) {
+    await this.waitForTransaction();
+
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
@@ -283,25 +301,86 @@ class DatabaseConnection {
     });
   }
 
+  /**
+   * Execute a SELECT query and yield its rows in batches, so large results
+   * such as exports are never held in memory at once. The query needs a
+   * deterministic ORDER BY and no LIMIT of its own.
+   */
+  async *batches(sql, params = [], batchSize = 500) {
+    for (let offset = 0; ; offset += batchSize) {
+      const rows = await this.all(`${sql} LIMIT ? OFFSET ?`, [...params, batchSize, offset]);
+
+      if (rows.length > 0) {
+        yield rows;
+      }
+
+      if (rows.length < batchSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Wait until no transaction other than the caller's own is open
+   */
+  async waitForTransaction() {
+    while (this.activeTransaction && !this.transactionContext.getStore()) {
+      await this.activeTransaction;
+    }
+  }
+
+  /**
+   * Run work() inside a transaction and return its result
+   *
+   * Transactions are serialized: one waits for the previous one to commit or
+   * roll back, and statements issued outside work() wait too, so they are
+   * never pulled into it. Nested calls join the enclosing transaction.
+   */
+  async withTransaction(work) {
+    if (this.transactionContext.getStore()) {
+      return work();
+    }
+
+    // Claim the connection in the same tick the wait ends, before anyone else can
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+
+    let finish;
+    this.activeTransaction = new Promise((resolve) => { finish = resolve; });
+
+    try {
+      return await this.transactionContext.run(true, async () => {
+        await this.run('BEGIN TRANSACTION');
+
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.activeTransaction = null;
+      finish();
+    }
+  }
+
   /**
    * Execute multiple statements in a transaction
    */
   async transaction(statements) {
-    try {
-      await this.run('BEGIN TRANSACTION');
-      
+    return this.withTransaction(async () => {
       const results = [];
       for (const { sql, params } of statements) {
         const result = await this.run(sql, params);
         results.push(result);
       }
-      
-      await this.run('COMMIT');
+
       return results;
-    } catch (error) {
-      await this.run('ROLLBACK');
-      throw error;
-    }
+    });
   }
 
   /**
@@ -0,0 +1,5 @@
+-- Record why an appointment was allowed to overlap another booking for the same mechanic
+
+ALTER TABLE appointments ADD COLUMN conflict_override_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_assigned_date ON appointments(assigned_to, appointment_date);
@@ -0,0 +1,57 @@
+-- Make inventory_movements the single source of truth for stock levels
+-- 'in' and 'out' quantities are positive; 'adjustment' quantities are signed deltas
+
+-- Record existing stock as opening balances before the ledger takes over
+INSERT INTO inventory_movements (item_id, movement_type, quantity, reference_type, notes)
+SELECT id, 'adjustment', quantity_on_hand, 'opening_balance', 'Opening balance from existing stock'
+FROM inventory_items
+WHERE COALESCE(quantity_on_hand, 0) != 0
+  AND id NOT IN (SELECT DISTINCT item_id FROM inventory_movements);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_item_id ON inventory_movements(item_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_reference ON inventory_movements(reference_type, reference_id);
+
+-- Recompute stock from the ledger whenever a movement is recorded
+CREATE TRIGGER IF NOT EXISTS apply_inventory_movement
+    AFTER INSERT ON inventory_movements
+    BEGIN
+        UPDATE inventory_items
+        SET quantity_on_hand = (
+            SELECT COALESCE(SUM(CASE movement_type WHEN 'out' THEN -quantity ELSE quantity END), 0)
+            FROM inventory_movements
+            WHERE item_id = NEW.item_id
+        )
+        WHERE id = NEW.item_id;
+    END;
+
+-- Stock can only be set to what the ledger says
+CREATE TRIGGER IF NOT EXISTS enforce_inventory_ledger_on_update
+    BEFORE UPDATE OF quantity_on_hand ON inventory_items
+    WHEN NEW.quantity_on_hand != (
+        SELECT COALESCE(SUM(CASE movement_type WHEN 'out' THEN -quantity ELSE quantity END), 0)
+        FROM inventory_movements
+        WHERE item_id = NEW.id
+    )
+    BEGIN
+        SELECT RAISE(ABORT, 'quantity_on_hand can only be changed through inventory_movements');
+    END;
+
+CREATE TRIGGER IF NOT EXISTS enforce_inventory_ledger_on_insert
+    BEFORE INSERT ON inventory_items
+    WHEN COALESCE(NEW.quantity_on_hand, 0) != 0
+    BEGIN
+        SELECT RAISE(ABORT, 'New inventory items must start at zero; record stock as an inventory movement');
+    END;
+
+-- Ledger entries are append-only; corrections are new adjustment movements
+CREATE TRIGGER IF NOT EXISTS prevent_inventory_movement_update
+    BEFORE UPDATE ON inventory_movements
+    BEGIN
+        SELECT RAISE(ABORT, 'Inventory movements cannot be modified');
+    END;
+
+CREATE TRIGGER IF NOT EXISTS prevent_inventory_movement_delete
+    BEFORE DELETE ON inventory_movements
+    BEGIN
+        SELECT RAISE(ABORT, 'Inventory movements cannot be deleted');
+    END;
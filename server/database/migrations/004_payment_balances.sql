@@ -0,0 +1,74 @@
+-- Keep invoice balances in step with payments on insert, update and delete
+-- Refunds are stored as negative payments pointing at the payment they reverse
+
+ALTER TABLE payments ADD COLUMN refund_of INTEGER REFERENCES payments(id);
+
+CREATE INDEX IF NOT EXISTS idx_payments_refund_of ON payments(refund_of);
+
+-- The original trigger only handled inserts and could never move an invoice back from paid
+DROP TRIGGER IF EXISTS update_invoice_balance_on_payment;
+
+CREATE TRIGGER IF NOT EXISTS recalculate_invoice_balance_on_payment_insert
+    AFTER INSERT ON payments
+    WHEN NEW.invoice_id IS NOT NULL
+    BEGIN
+        UPDATE invoices
+        SET
+            paid_amount = (SELECT ROUND(COALESCE(SUM(amount), 0), 2) FROM payments WHERE invoice_id = NEW.invoice_id),
+            balance_due = CASE WHEN status = 'cancelled' THEN 0 ELSE ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = NEW.invoice_id), 2) END,
+            status = CASE
+                WHEN status = 'cancelled' THEN status
+                WHEN total_amount > 0 AND ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = NEW.invoice_id), 2) <= 0 THEN 'paid'
+                WHEN status = 'paid' AND sent_at IS NULL THEN 'draft'
+                WHEN status = 'paid' AND due_date < date('now') THEN 'overdue'
+                WHEN status = 'paid' THEN 'sent'
+                ELSE status
+            END
+        WHERE id = NEW.invoice_id;
+    END;
+
+CREATE TRIGGER IF NOT EXISTS recalculate_invoice_balance_on_payment_update
+    AFTER UPDATE OF amount, invoice_id ON payments
+    BEGIN
+        UPDATE invoices
+        SET
+            paid_amount = (SELECT ROUND(COALESCE(SUM(amount), 0), 2) FROM payments WHERE invoice_id = invoices.id),
+            balance_due = CASE WHEN status = 'cancelled' THEN 0 ELSE ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = invoices.id), 2) END,
+            status = CASE
+                WHEN status = 'cancelled' THEN status
+                WHEN total_amount > 0 AND ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = invoices.id), 2) <= 0 THEN 'paid'
+                WHEN status = 'paid' AND sent_at IS NULL THEN 'draft'
+                WHEN status = 'paid' AND due_date < date('now') THEN 'overdue'
+                WHEN status = 'paid' THEN 'sent'
+                ELSE status
+            END
+        WHERE id IN (OLD.invoice_id, NEW.invoice_id);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS recalculate_invoice_balance_on_payment_delete
+    AFTER DELETE ON payments
+    WHEN OLD.invoice_id IS NOT NULL
+    BEGIN
+        UPDATE invoices
+        SET
+            paid_amount = (SELECT ROUND(COALESCE(SUM(amount), 0), 2) FROM payments WHERE invoice_id = OLD.invoice_id),
+            balance_due = CASE WHEN status = 'cancelled' THEN 0 ELSE ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = OLD.invoice_id), 2) END,
+            status = CASE
+                WHEN status = 'cancelled' THEN status
+                WHEN total_amount > 0 AND ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = OLD.invoice_id), 2) <= 0 THEN 'paid'
+                WHEN status = 'paid' AND sent_at IS NULL THEN 'draft'
+                WHEN status = 'paid' AND due_date < date('now') THEN 'overdue'
+                WHEN status = 'paid' THEN 'sent'
+                ELSE status
+            END
+        WHERE id = OLD.invoice_id;
+    END;
+
+-- Correct balances left behind by the old trigger
+UPDATE invoices
+SET
+    paid_amount = (SELECT ROUND(COALESCE(SUM(amount), 0), 2) FROM payments WHERE invoice_id = invoices.id),
+    balance_due = CASE
+        WHEN status = 'cancelled' THEN 0
+        ELSE ROUND(total_amount - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = invoices.id), 2)
+    END;
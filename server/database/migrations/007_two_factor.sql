@@ -0,0 +1,20 @@
+-- TOTP two-factor authentication with single-use recovery codes
+
+ALTER TABLE users ADD COLUMN two_factor_secret TEXT; -- base32; pending until two_factor_enabled_at is set
+ALTER TABLE users ADD COLUMN two_factor_enabled_at DATETIME;
+ALTER TABLE users ADD COLUMN two_factor_last_step INTEGER; -- last accepted time step, so a code cannot be replayed
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL, -- SHA-256 of the normalized code
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Roles listed here cannot sign in without two-factor authentication
+INSERT OR IGNORE INTO system_settings (setting_key, setting_value, setting_type, description)
+VALUES ('two_factor_required_roles', '[]', 'json', 'Roles that must use two-factor authentication');
@@ -0,0 +1,22 @@
+-- Per-account brute-force protection and login history
+
+ALTER TABLE users ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0; -- consecutive failures since the last successful login
+ALTER TABLE users ADD COLUMN locked_until DATETIME; -- no login attempt is checked before this time
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER, -- NULL when the email matched no account
+    email TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    success BOOLEAN NOT NULL,
+    method TEXT, -- 'password', 'totp', 'recovery_code'
+    failure_reason TEXT, -- 'unknown_user', 'invalid_password', 'invalid_code', 'locked', 'email_not_verified'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_address ON login_attempts(ip_address);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts(created_at);
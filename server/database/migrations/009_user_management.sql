@@ -0,0 +1,10 @@
+-- Staff account management: invitations, deactivation and personal settings
+
+ALTER TABLE users ADD COLUMN invited_by INTEGER REFERENCES users(id);
+ALTER TABLE users ADD COLUMN invited_at DATETIME;
+ALTER TABLE users ADD COLUMN invitation_accepted_at DATETIME; -- NULL while an invited user has not chosen a password
+ALTER TABLE users ADD COLUMN deactivated_at DATETIME;
+ALTER TABLE users ADD COLUMN preferences TEXT; -- JSON, overrides the UI defaults for this user
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
@@ -0,0 +1,23 @@
+-- Long-lived, scoped API keys for integrations
+-- A key acts for the user who created it, limited to its scopes
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL UNIQUE, -- shown in listings and logs to identify the key
+    key_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the full key; the key itself is shown once
+    scopes TEXT NOT NULL, -- JSON array of resource:action permissions
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+    created_by INTEGER NOT NULL,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    last_used_ip TEXT,
+    revoked_at DATETIME,
+    revoked_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (revoked_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_created_by ON api_keys(created_by);
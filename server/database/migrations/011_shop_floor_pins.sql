@@ -0,0 +1,25 @@
+-- Shop-floor PIN sign-in on registered shared devices
+
+ALTER TABLE users ADD COLUMN pin_hash TEXT; -- bcrypt, like password_hash
+ALTER TABLE users ADD COLUMN pin_set_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS shop_devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    device_token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token stored on the device
+    registered_by INTEGER NOT NULL,
+    last_seen_at DATETIME,
+    last_user_id INTEGER,
+    revoked_at DATETIME,
+    revoked_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (registered_by) REFERENCES users(id),
+    FOREIGN KEY (last_user_id) REFERENCES users(id),
+    FOREIGN KEY (revoked_by) REFERENCES users(id)
+);
+
+-- Sessions started with a PIN belong to a device and carry reduced permissions
+ALTER TABLE user_sessions ADD COLUMN shop_device_id INTEGER REFERENCES shop_devices(id);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_shop_device_id ON user_sessions(shop_device_id);
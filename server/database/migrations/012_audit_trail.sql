@@ -0,0 +1,7 @@
+-- Automatic audit trail for every create, update and delete
+
+-- Changes made through an API key are attributed to the key as well as its creator
+ALTER TABLE audit_log ADD COLUMN api_key_id INTEGER REFERENCES api_keys(id);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_api_key_id ON audit_log(api_key_id);
@@ -0,0 +1,26 @@
+-- Merging duplicate clients, with an undo window
+
+ALTER TABLE clients ADD COLUMN merged_into_id INTEGER REFERENCES clients(id);
+ALTER TABLE clients ADD COLUMN merged_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS client_merges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_client_id INTEGER NOT NULL, -- the client that was kept
+    source_client_id INTEGER NOT NULL, -- the duplicate merged into it
+    target_changes TEXT NOT NULL, -- JSON { field: { from, to } } filled in from the duplicate
+    source_snapshot TEXT NOT NULL, -- JSON of the duplicate before the merge
+    moved_records TEXT NOT NULL, -- JSON { table: [ids] } re-pointed to the kept client
+    merged_by INTEGER,
+    merged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    undo_until DATETIME NOT NULL,
+    undone_at DATETIME,
+    undone_by INTEGER,
+    FOREIGN KEY (target_client_id) REFERENCES clients(id),
+    FOREIGN KEY (source_client_id) REFERENCES clients(id),
+    FOREIGN KEY (merged_by) REFERENCES users(id),
+    FOREIGN KEY (undone_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_merges_target ON client_merges(target_client_id);
+CREATE INDEX IF NOT EXISTS idx_client_merges_source ON client_merges(source_client_id);
+CREATE INDEX IF NOT EXISTS idx_clients_merged_into_id ON clients(merged_into_id);
@@ -0,0 +1,75 @@
+-- Full-text client search (FTS5), kept in sync by triggers
+-- The row id of client_search is the client id
+
+-- One searchable row per client. Phone numbers and plates are also indexed
+-- without punctuation so "5551234567" finds "(555) 123-4567" and "ABC123" finds "ABC-123".
+CREATE VIEW IF NOT EXISTS client_search_source AS
+SELECT
+    c.id,
+    c.first_name || ' ' || c.last_name AS name,
+    COALESCE(c.email, '') AS email,
+    COALESCE(c.phone || ' ' || REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(c.phone, '-', ''), ' ', ''), '(', ''), ')', ''), '.', ''), '+', ''), '') AS phone,
+    TRIM(COALESCE(c.address, '') || ' ' || COALESCE(c.city, '') || ' ' || COALESCE(c.state, '') || ' ' || COALESCE(c.zip_code, '')) AS address,
+    COALESCE(c.notes, '') AS notes,
+    COALESCE((
+        SELECT GROUP_CONCAT(
+            COALESCE(v.license_plate || ' ' || REPLACE(REPLACE(v.license_plate, '-', ''), ' ', ''), '') || ' ' || COALESCE(v.vin, ''),
+            ' '
+        )
+        FROM vehicles v
+        WHERE v.client_id = c.id AND v.is_active = 1
+    ), '') AS vehicles
+FROM clients c;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS client_search USING fts5(
+    name, email, phone, address, notes, vehicles,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+SELECT * FROM client_search_source;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_client_insert
+    AFTER INSERT ON clients
+    BEGIN
+        INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+        SELECT * FROM client_search_source WHERE id = NEW.id;
+    END;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_client_update
+    AFTER UPDATE OF first_name, last_name, email, phone, address, city, state, zip_code, notes ON clients
+    BEGIN
+        DELETE FROM client_search WHERE rowid = OLD.id;
+        INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+        SELECT * FROM client_search_source WHERE id = NEW.id;
+    END;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_client_delete
+    AFTER DELETE ON clients
+    BEGIN
+        DELETE FROM client_search WHERE rowid = OLD.id;
+    END;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_vehicle_insert
+    AFTER INSERT ON vehicles
+    BEGIN
+        DELETE FROM client_search WHERE rowid = NEW.client_id;
+        INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+        SELECT * FROM client_search_source WHERE id = NEW.client_id;
+    END;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_vehicle_update
+    AFTER UPDATE OF client_id, license_plate, vin, is_active ON vehicles
+    BEGIN
+        DELETE FROM client_search WHERE rowid IN (OLD.client_id, NEW.client_id);
+        INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+        SELECT * FROM client_search_source WHERE id IN (OLD.client_id, NEW.client_id);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_vehicle_delete
+    AFTER DELETE ON vehicles
+    BEGIN
+        DELETE FROM client_search WHERE rowid = OLD.client_id;
+        INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+        SELECT * FROM client_search_source WHERE id = OLD.client_id;
+    END;
@@ -0,0 +1,75 @@
+-- Business (fleet) accounts: several contacts, per-vehicle cost centers and PO numbers,
+-- net payment terms and monthly consolidated invoices
+
+ALTER TABLE clients ADD COLUMN account_type TEXT NOT NULL DEFAULT 'individual' CHECK (account_type IN ('individual', 'business'));
+ALTER TABLE clients ADD COLUMN company_name TEXT;
+ALTER TABLE clients ADD COLUMN payment_terms INTEGER; -- days; NULL uses FINANCIAL.PAYMENT_TERMS
+ALTER TABLE clients ADD COLUMN consolidated_billing BOOLEAN NOT NULL DEFAULT 0;
+
+-- People to deal with at a business account
+CREATE TABLE IF NOT EXISTS client_contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id INTEGER NOT NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    role TEXT NOT NULL DEFAULT 'other' CHECK (role IN ('primary', 'billing', 'fleet_manager', 'driver', 'other')),
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_contacts_client ON client_contacts(client_id);
+
+CREATE TRIGGER IF NOT EXISTS update_client_contacts_timestamp
+    AFTER UPDATE ON client_contacts
+    BEGIN
+        UPDATE client_contacts SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+ALTER TABLE vehicles ADD COLUMN cost_center TEXT;
+ALTER TABLE vehicles ADD COLUMN po_number TEXT;
+
+-- Consolidated invoices cover a month of work orders; each line remembers its
+-- work order, and the cost center and PO number it was billed under
+ALTER TABLE invoices ADD COLUMN billing_period TEXT; -- 'YYYY-MM'
+ALTER TABLE invoice_items ADD COLUMN work_order_id INTEGER REFERENCES work_orders(id);
+ALTER TABLE invoice_items ADD COLUMN cost_center TEXT;
+ALTER TABLE invoice_items ADD COLUMN po_number TEXT;
+
+UPDATE invoice_items
+SET work_order_id = (SELECT work_order_id FROM invoices WHERE invoices.id = invoice_items.invoice_id);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_work_order ON invoice_items(work_order_id);
+
+-- Company names are searched along with the client's name
+DROP TRIGGER IF EXISTS client_search_after_client_update;
+DROP VIEW IF EXISTS client_search_source;
+
+CREATE VIEW IF NOT EXISTS client_search_source AS
+SELECT
+    c.id,
+    c.first_name || ' ' || c.last_name || COALESCE(' ' || c.company_name, '') AS name,
+    COALESCE(c.email, '') AS email,
+    COALESCE(c.phone || ' ' || REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(c.phone, '-', ''), ' ', ''), '(', ''), ')', ''), '.', ''), '+', ''), '') AS phone,
+    TRIM(COALESCE(c.address, '') || ' ' || COALESCE(c.city, '') || ' ' || COALESCE(c.state, '') || ' ' || COALESCE(c.zip_code, '')) AS address,
+    COALESCE(c.notes, '') AS notes,
+    COALESCE((
+        SELECT GROUP_CONCAT(
+            COALESCE(v.license_plate || ' ' || REPLACE(REPLACE(v.license_plate, '-', ''), ' ', ''), '') || ' ' || COALESCE(v.vin, ''),
+            ' '
+        )
+        FROM vehicles v
+        WHERE v.client_id = c.id AND v.is_active = 1
+    ), '') AS vehicles
+FROM clients c;
+
+CREATE TRIGGER IF NOT EXISTS client_search_after_client_update
+    AFTER UPDATE OF first_name, last_name, company_name, email, phone, address, city, state, zip_code, notes ON clients
+    BEGIN
+        DELETE FROM client_search WHERE rowid = OLD.id;
+        INSERT INTO client_search (rowid, name, email, phone, address, notes, vehicles)
+        SELECT * FROM client_search_source WHERE id = NEW.id;
+    END;
@@ -0,0 +1,73 @@
+-- Client tags, shop-defined custom fields for clients and vehicles, and saved client segments
+
+CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    color TEXT,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS client_tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (client_id, tag_id),
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_tags_tag ON client_tags(tag_id);
+
+-- Field definitions; values live in the custom_fields JSON of each client or vehicle
+-- keyed by field_key, so adding a field needs no migration
+CREATE TABLE IF NOT EXISTS custom_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('client', 'vehicle')),
+    field_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    field_type TEXT NOT NULL CHECK (field_type IN ('text', 'number', 'boolean', 'date', 'select')),
+    options TEXT, -- JSON array of choices for select fields
+    is_required BOOLEAN NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (entity_type, field_key)
+);
+
+CREATE TRIGGER IF NOT EXISTS update_custom_fields_timestamp
+    AFTER UPDATE ON custom_fields
+    BEGIN
+        UPDATE custom_fields SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+ALTER TABLE clients ADD COLUMN custom_fields TEXT NOT NULL DEFAULT '{}';
+ALTER TABLE vehicles ADD COLUMN custom_fields TEXT NOT NULL DEFAULT '{}';
+
+-- Saved client list filters, reused by the client list, exports and campaigns
+CREATE TABLE IF NOT EXISTS client_segments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT,
+    filters TEXT NOT NULL, -- JSON, same keys as the GET /clients filters
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TRIGGER IF NOT EXISTS update_client_segments_timestamp
+    AFTER UPDATE ON client_segments
+    BEGIN
+        UPDATE client_segments SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+INSERT OR IGNORE INTO tags (name, color, description) VALUES
+    ('VIP', '#f59e0b', 'Priority client'),
+    ('Cash only', '#6b7280', 'Do not extend credit'),
+    ('Fleet', '#3b82f6', 'Business fleet vehicles'),
+    ('Do not service', '#ef4444', 'Do not book further work');
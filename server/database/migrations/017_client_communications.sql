@@ -0,0 +1,40 @@
+-- Client communication log, marketing consent and quiet hours
+
+-- Consent is per channel; the timestamp records when it was last given or withdrawn
+ALTER TABLE clients ADD COLUMN marketing_email_consent BOOLEAN NOT NULL DEFAULT 0;
+ALTER TABLE clients ADD COLUMN marketing_email_consent_at DATETIME;
+ALTER TABLE clients ADD COLUMN marketing_sms_consent BOOLEAN NOT NULL DEFAULT 0;
+ALTER TABLE clients ADD COLUMN marketing_sms_consent_at DATETIME;
+
+-- 'HH:MM' local times; NULL uses BUSINESS.COMMUNICATIONS.QUIET_HOURS
+ALTER TABLE clients ADD COLUMN quiet_hours_start TEXT;
+ALTER TABLE clients ADD COLUMN quiet_hours_end TEXT;
+
+-- Calls, emails, texts and visits, logged by hand or by the system when it
+-- sends a notification. Automated messages held for quiet hours wait here as
+-- 'queued' until send_after.
+CREATE TABLE IF NOT EXISTS client_communications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id INTEGER NOT NULL,
+    channel TEXT NOT NULL CHECK (channel IN ('phone', 'email', 'sms', 'in_person', 'letter')),
+    direction TEXT NOT NULL DEFAULT 'outbound' CHECK (direction IN ('inbound', 'outbound')),
+    purpose TEXT NOT NULL DEFAULT 'service' CHECK (purpose IN ('service', 'marketing')),
+    is_automated BOOLEAN NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'logged' CHECK (status IN ('logged', 'queued', 'sent', 'failed', 'blocked')),
+    recipient TEXT,
+    subject TEXT,
+    body TEXT,
+    template TEXT,
+    related_type TEXT, -- e.g. 'invoice'
+    related_id INTEGER,
+    status_reason TEXT, -- why a message was blocked or failed
+    send_after DATETIME,
+    occurred_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_communications_client ON client_communications(client_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_client_communications_queued ON client_communications(status, send_after);
@@ -0,0 +1,5 @@
+-- Right to erasure: personal data is removed from the client record while its
+-- invoices and payments are kept for tax retention
+
+ALTER TABLE clients ADD COLUMN erased_at DATETIME;
+ALTER TABLE clients ADD COLUMN erased_by INTEGER REFERENCES users(id);
@@ -18,14 +18,22 @@ const dbConnection = require('./database/connection');
 const authRoutes = require('./routes/auth');
 const clientRoutes = require('./routes/clients');
 const vehicleRoutes = require('./routes/vehicles');
+const customFieldRoutes = require('./routes/customFields');
 const appointmentRoutes = require('./routes/appointments');
+const workOrderRoutes = require('./routes/workOrders');
 const inventoryRoutes = require('./routes/inventory');
 const financialRoutes = require('./routes/financial');
 const dashboardRoutes = require('./routes/dashboard');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const shopDeviceRoutes = require('./routes/shopDevices');
+const auditRoutes = require('./routes/audit');
 
 // Import middleware
-const errorHandler = require('./middleware/errorHandler');
+const { errorHandler } = require('./middleware/errorHandler');
+const { authenticate, requireSession, requirePermission, authorizeResource } = require('./middleware/auth');
 const logger = require('./utils/logger');
+const { dispatchQueuedCommunications } = require('./utils/communications');
 
 class Server {
   constructor() {
@@ -129,13 +137,21 @@ class Server {
     // Authentication routes
     apiRouter.use('/auth', authRoutes);
     
-    // Resource routes
-    apiRouter.use('/clients', clientRoutes);
-    apiRouter.use('/vehicles', vehicleRoutes);
-    apiRouter.use('/appointments', appointmentRoutes);
-    apiRouter.use('/inventory', inventoryRoutes);
-    apiRouter.use('/financial', financialRoutes);
-    apiRouter.use('/dashboard', dashboardRoutes);
+    // Resource routes (reads need <resource>:read, writes need <resource>:write)
+    apiRouter.use('/clients', authenticate, authorizeResource('clients'), clientRoutes);
+    apiRouter.use('/vehicles', authenticate, authorizeResource('vehicles'), vehicleRoutes);
+    apiRouter.use('/custom-fields', authenticate, authorizeResource('custom_fields'), customFieldRoutes);
+    apiRouter.use('/appointments', authenticate, authorizeResource('appointments'), appointmentRoutes);
+    apiRouter.use('/work-orders', authenticate, authorizeResource('work_orders'), workOrderRoutes);
+    apiRouter.use('/inventory', authenticate, authorizeResource('inventory'), inventoryRoutes);
+    apiRouter.use('/financial', authenticate, authorizeResource('financial'), financialRoutes);
+    apiRouter.use('/dashboard', authenticate, authorizeResource('dashboard'), dashboardRoutes);
+
+    // Staff accounts (own settings for everyone, the rest needs users:manage)
+    apiRouter.use('/users', authenticate, requireSession, userRoutes);
+    apiRouter.use('/api-keys', authenticate, requireSession, requirePermission('api_keys:manage'), apiKeyRoutes);
+    apiRouter.use('/shop-devices', authenticate, requireSession, requirePermission('shop_devices:manage'), shopDeviceRoutes);
+    apiRouter.use('/audit', authenticate, requirePermission('audit:read'), auditRoutes);
 
     // Mount API routes
     this.app.use('/api/v1', apiRouter);
@@ -186,6 +202,13 @@ class Server {
       // Initialize database
       await this.initializeDatabase();
 
+      // Send automated client messages held back during quiet hours
+      this.dispatchTimer = setInterval(() => {
+        dispatchQueuedCommunications().catch((error) => {
+          logger.error('Queued message dispatch failed', { error: error.message });
+        });
+      }, config.BUSINESS.COMMUNICATIONS.DISPATCH_INTERVAL);
+
       // Start server
       this.server = this.app.listen(this.port, config.SERVER.HOST, () => {
         logger.info(`🚀 MoMech server running on http://${config.SERVER.HOST}:${this.port}`);
@@ -209,6 +232,7 @@ class Server {
   setupGracefulShutdown() {
     const gracefulShutdown = (signal) => {
       logger.info(`Received ${signal}. Starting graceful shutdown...`);
+      clearInterval(this.dispatchTimer);
       
       if (this.server) {
         this.server.close(async () => {
@@ -243,6 +267,8 @@ class Server {
   }
 
   async stop() {
+    clearInterval(this.dispatchTimer);
+
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(resolve);
@@ -0,0 +1,145 @@
+/**
+ * Audit Trail Middleware for MoMech
+ * Records a before/after diff of the record touched by every mutating request
+ */
+
+const dbConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { recordChange } = require('../utils/audit');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Find the entity a request path refers to
+ *
+ * Paths are matched against each definition's prefix, longest first; a
+ * numeric segment right after the prefix is the record's id.
+ */
+function matchEntity(definitions, path) {
+  const definition = definitions.find(candidate => (
+    path === candidate.path || path.startsWith(`${candidate.path}/`)
+  ));
+
+  if (!definition) {
+    return null;
+  }
+
+  const segments = path.slice(definition.path.length).split('/').filter(Boolean);
+  const id = /^\d+$/.test(segments[0] || '') ? Number(segments[0]) : null;
+
+  return {
+    definition,
+    id,
+    // DELETE /:id removes the record; DELETE /:id/items/:itemId only changes it
+    isRecord: id !== null && segments.length === 1
+  };
+}
+
+/**
+ * Load a record together with its child rows, e.g. an invoice with its items
+ */
+async function loadSnapshot(definition, id) {
+  const record = await dbConnection.get(`SELECT * FROM ${definition.table} WHERE id = ?`, [id]);
+
+  if (!record) {
+    return null;
+  }
+
+  for (const child of definition.children) {
+    record[child.key] = await dbConnection.all(
+      `SELECT * FROM ${child.table} WHERE ${child.foreignKey} = ? ORDER BY id`,
+      [id]
+    );
+  }
+
+  return record;
+}
+
+/**
+ * Get the id of a record created by the request from the response body
+ */
+function getCreatedId(definition, body) {
+  const created = definition.responseKey ? body && body[definition.responseKey] : body;
+  return created && Number.isInteger(created.id) ? created.id : null;
+}
+
+/**
+ * Compare the record after the handler ran with the snapshot taken before it
+ */
+async function recordResponse(req, match, before, body) {
+  const { definition } = match;
+  const id = match.id || getCreatedId(definition, body);
+
+  // Bulk endpoints without a single record id audit their own changes
+  if (!id) {
+    return;
+  }
+
+  const after = await loadSnapshot(definition, id);
+
+  await recordChange(req, definition.entityType, id, before, after, req.method === 'DELETE' && match.isRecord ? 'delete' : null);
+}
+
+/**
+ * Audit every create, update and delete made through a router
+ *
+ * Takes one definition or a list of them:
+ *   { path, entityType, table, responseKey, children: [{ key, table, foreignKey }] }
+ * path defaults to the router root. A definition covers everything below
+ * its path, so other records a router serves under sub-paths (e.g. client
+ * tags at /tags) need definitions of their own. The record is read before
+ * the handler runs and again just before the response is sent, so only
+ * successful requests that actually changed something are recorded.
+ */
+function auditTrail(definitions) {
+  const list = (Array.isArray(definitions) ? definitions : [definitions])
+    .map(definition => ({ path: '', children: [], ...definition }))
+    .sort((a, b) => b.path.length - a.path.length);
+
+  return async (req, res, next) => {
+    if (READ_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const match = matchEntity(list, req.path);
+
+    if (!match) {
+      return next();
+    }
+
+    try {
+      const before = match.id ? await loadSnapshot(match.definition, match.id) : null;
+      const json = res.json.bind(res);
+
+      res.json = (body) => {
+        // Handlers that record their own entry set res.locals.skipAuditTrail,
+        // e.g. erasure, whose before snapshot must not reach the log
+        if (res.statusCode >= 400 || res.locals.skipAuditTrail) {
+          return json(body);
+        }
+
+        // An audit failure is logged but never turns a completed change into an error
+        recordResponse(req, match, before, body)
+          .catch((error) => {
+            logger.error('Audit trail failed', {
+              entityType: match.definition.entityType,
+              entityId: match.id,
+              path: req.originalUrl,
+              error: error.message
+            });
+          })
+          .finally(() => json(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  auditTrail
+};
@@ -0,0 +1,235 @@
+/**
+ * Authentication Middleware for MoMech
+ * Verifies bearer tokens and enforces role permissions
+ */
+
+const jwt = require('jsonwebtoken');
+const { ApiError, AuthenticationError, AuthorizationError } = require('./errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const { getPermissions, hasRole } = require('../utils/permissions');
+const { getActiveSession } = require('../utils/sessions');
+const apiKeys = require('../utils/apiKeys');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return null;
+  }
+
+  const [scheme, token] = authHeader.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Attach the creator of an API key to req.user, limited to the key's scopes
+ */
+async function authenticateApiKey(req, res, key) {
+  const apiKey = await apiKeys.findActiveApiKey(key);
+
+  if (!apiKey) {
+    logger.security('invalid_api_key', {
+      keyPrefix: apiKeys.getKeyPrefix(key),
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+
+    throw new AuthenticationError('Invalid or revoked API key');
+  }
+
+  const rate = apiKeys.consumeRateLimit(apiKey.id, apiKey.rate_limit_per_minute);
+
+  res.set('X-RateLimit-Limit', String(rate.limit));
+  res.set('X-RateLimit-Remaining', String(rate.remaining));
+
+  if (!rate.allowed) {
+    res.set('Retry-After', String(rate.retryAfter));
+    throw new ApiError('API key rate limit exceeded', 429, 'RATE_LIMIT_EXCEEDED', { retryAfter: rate.retryAfter });
+  }
+
+  await apiKeys.touchApiKey(apiKey.id, req.ip);
+
+  // A key can never do more than the person who created it can do today
+  const rolePermissions = getPermissions(apiKey.role);
+
+  req.user = {
+    id: apiKey.created_by,
+    username: apiKey.username,
+    email: apiKey.email,
+    firstName: apiKey.first_name,
+    lastName: apiKey.last_name,
+    role: apiKey.role,
+    permissions: apiKey.scopes.filter(scope => rolePermissions.includes(scope))
+  };
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix
+  };
+  req.sessionId = null;
+}
+
+/**
+ * Require a valid access token or API key and attach the current user to req.user
+ *
+ * The role is read from the database rather than the token, and the token's
+ * session must still be live, so that role changes, deactivations and
+ * logouts take effect immediately. API keys may also be sent as X-API-Key.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const token = getBearerToken(req) || req.get('X-API-Key');
+
+    if (!token) {
+      throw new AuthenticationError('Authorization header is required');
+    }
+
+    if (apiKeys.isApiKey(token)) {
+      await authenticateApiKey(req, res, token);
+      return next();
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.SECURITY.JWT_SECRET);
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired token');
+    }
+
+    const session = decoded.sid ? await getActiveSession(decoded.sid) : null;
+
+    if (!session) {
+      throw new AuthenticationError('Session has ended');
+    }
+
+    const user = await dbConnection.get(
+      'SELECT id, username, email, first_name, last_name, role FROM users WHERE id = ? AND is_active = 1',
+      [decoded.id]
+    );
+
+    if (!user) {
+      throw new AuthenticationError('User not found or inactive');
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      // PIN sessions on shop devices only get the shop-floor subset of the role
+      permissions: session.shop_device_id
+        ? getPermissions(user.role).filter(permission => config.SECURITY.SHOP_FLOOR_PERMISSIONS.includes(permission))
+        : getPermissions(user.role)
+    };
+    req.sessionId = decoded.sid;
+    req.shopDeviceId = session.shop_device_id;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Refuse API keys and shop-floor PIN sessions on endpoints that manage accounts
+ */
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return next(deny(req, 'API keys cannot be used for this endpoint'));
+  }
+
+  if (req.shopDeviceId) {
+    return next(deny(req, 'Sign in with your password to use this endpoint'));
+  }
+
+  next();
+}
+
+/**
+ * Deny the request and record it
+ */
+function deny(req, message) {
+  logger.security('access_denied', {
+    userId: req.user ? req.user.id : null,
+    role: req.user ? req.user.role : null,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip
+  });
+
+  return new AuthorizationError(message);
+}
+
+/**
+ * Require every listed permission
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError());
+    }
+
+    const missing = permissions.filter(permission => !req.user.permissions.includes(permission));
+
+    if (missing.length > 0) {
+      return next(deny(req, `Missing permission: ${missing.join(', ')}`));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require a role at or above the given one in the hierarchy
+ */
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError());
+    }
+
+    if (!hasRole(req.user.role, minimumRole)) {
+      return next(deny(req, `Requires ${minimumRole} role or higher`));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require `<resource>:read` for safe methods and `<resource>:write` for the rest
+ */
+function authorizeResource(resource) {
+  return (req, res, next) => {
+    const action = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    return requirePermission(`${resource}:${action}`)(req, res, next);
+  };
+}
+
+/**
+ * Check a permission inside a handler, e.g. to hide fields
+ */
+function can(req, permission) {
+  return Boolean(req.user && req.user.permissions.includes(permission));
+}
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  requireSession,
+  requirePermission,
+  requireRole,
+  authorizeResource,
+  can
+};
@@ -59,6 +59,15 @@ class NotFoundError extends ApiError {
   }
 }
 
+/**
+ * Conflict error class
+ */
+class ConflictError extends ApiError {
+  constructor(message = 'Resource conflict', details = null) {
+    super(message, 409, 'CONFLICT_ERROR', details);
+  }
+}
+
 /**
  * Database error class
  */
@@ -86,6 +95,8 @@ function formatErrorResponse(error, req) {
   // Add additional details for specific error types
   if (error instanceof ValidationError && error.errors.length > 0) {
     response.error.details = error.errors;
+  } else if (error.details) {
+    response.error.details = error.details;
   }
 
   // Add stack trace in development
@@ -269,6 +280,7 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  ConflictError,
   DatabaseError,
   
   // Middleware functions
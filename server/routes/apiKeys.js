@@ -0,0 +1,295 @@
+/**
+ * API Key Routes for MoMech
+ * Handles scoped API keys for integrations such as scripts and kiosk tablets
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+const { generateApiKey, resetRateLimit } = require('../utils/apiKeys');
+const { hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// The key hash is never returned
+const API_KEY_SELECT = `
+  SELECT
+    k.id, k.name, k.key_prefix, k.scopes, k.rate_limit_per_minute,
+    k.created_by, u.first_name || ' ' || u.last_name as created_by_name,
+    k.expires_at, k.last_used_at, k.last_used_ip, k.revoked_at, k.revoked_by,
+    k.created_at, k.updated_at,
+    CASE
+      WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+      WHEN k.expires_at IS NOT NULL AND k.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+      ELSE 'active'
+    END as status
+  FROM api_keys k
+  LEFT JOIN users u ON k.created_by = u.id
+`;
+
+/**
+ * Validate API key input
+ */
+function validateApiKeyInput(data, req, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.name) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+
+  if (!isUpdate || data.scopes !== undefined) {
+    if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+      errors.push({ field: 'scopes', message: 'At least one scope is required' });
+    } else {
+      const invalid = data.scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+      if (invalid.length > 0) {
+        errors.push({ field: 'scopes', message: `Unknown or forbidden scopes: ${invalid.join(', ')}` });
+      }
+
+      // Nobody can hand out access they do not have
+      const notHeld = data.scopes.filter(scope => API_KEY_SCOPES.includes(scope) && !req.user.permissions.includes(scope));
+      if (notHeld.length > 0) {
+        errors.push({ field: 'scopes', message: `You do not hold: ${notHeld.join(', ')}` });
+      }
+    }
+  }
+
+  if (data.rateLimitPerMinute !== undefined) {
+    const limit = data.rateLimitPerMinute;
+    if (!Number.isInteger(limit) || limit < 1 || limit > config.SECURITY.API_KEY_MAX_RATE_LIMIT) {
+      errors.push({ field: 'rateLimitPerMinute', message: `Rate limit must be a whole number from 1 to ${config.SECURITY.API_KEY_MAX_RATE_LIMIT}` });
+    }
+  }
+
+  if (data.expiresAt && (isNaN(Date.parse(data.expiresAt)) || new Date(data.expiresAt) <= new Date())) {
+    errors.push({ field: 'expiresAt', message: 'Expiry must be a date in the future' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Convert an expiry date to SQLite's UTC DATETIME format
+ */
+function toExpiry(expiresAt) {
+  return expiresAt ? new Date(expiresAt).toISOString().replace('T', ' ').slice(0, 19) : null;
+}
+
+/**
+ * Get an API key by ID or throw
+ */
+async function getApiKey(id) {
+  const apiKey = await dbConnection.get(`${API_KEY_SELECT} WHERE k.id = ?`, [id]);
+
+  if (!apiKey) {
+    throw new NotFoundError('API key not found');
+  }
+
+  return { ...apiKey, scopes: JSON.parse(apiKey.scopes) };
+}
+
+/**
+ * Get the scopes an API key can be given
+ * GET /api/v1/api-keys/scopes
+ */
+router.get('/scopes', asyncHandler(async (req, res) => {
+  res.json(API_KEY_SCOPES);
+}));
+
+/**
+ * Get all API keys
+ * GET /api/v1/api-keys
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, search = '' } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (search) {
+    conditions.push('(name LIKE ? OR key_prefix LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { total } = await dbConnection.get(
+    `SELECT COUNT(*) as total FROM (${API_KEY_SELECT}) ${whereClause}`,
+    params
+  );
+
+  const keys = await dbConnection.all(`
+    SELECT * FROM (${API_KEY_SELECT})
+    ${whereClause}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    apiKeys: keys.map(key => ({ ...key, scopes: JSON.parse(key.scopes) })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Create an API key; the key itself is only returned in this response
+ * POST /api/v1/api-keys
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  validateApiKeyInput(req.body, req);
+
+  const {
+    name,
+    scopes,
+    rateLimitPerMinute = config.SECURITY.API_KEY_DEFAULT_RATE_LIMIT,
+    expiresAt
+  } = req.body;
+
+  const { key, prefix } = generateApiKey();
+
+  const result = await dbConnection.run(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, created_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [name, prefix, hashToken(key), JSON.stringify(scopes), rateLimitPerMinute, req.user.id, toExpiry(expiresAt)]);
+
+  const apiKey = await getApiKey(result.lastID);
+
+  await recordAudit(req, {
+    entityType: 'api_key',
+    entityId: apiKey.id,
+    action: 'create',
+    newValues: { name, keyPrefix: prefix, scopes, rateLimitPerMinute, expiresAt: apiKey.expires_at }
+  });
+
+  logger.security('api_key_created', {
+    apiKeyId: apiKey.id,
+    keyPrefix: prefix,
+    scopes,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    message: 'API key created. Copy it now; it will not be shown again.',
+    apiKey,
+    key
+  });
+}));
+
+/**
+ * Get API key by ID
+ * GET /api/v1/api-keys/:id
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  res.json(await getApiKey(req.params.id));
+}));
+
+/**
+ * Update an API key's name, scopes, rate limit or expiry
+ * PUT /api/v1/api-keys/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const apiKey = await getApiKey(req.params.id);
+
+  if (apiKey.status === 'revoked') {
+    throw new ConflictError('Revoked API keys cannot be changed');
+  }
+
+  validateApiKeyInput(req.body, req, true);
+
+  const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+  await dbConnection.run(`
+    UPDATE api_keys SET
+      name = COALESCE(?, name),
+      scopes = COALESCE(?, scopes),
+      rate_limit_per_minute = COALESCE(?, rate_limit_per_minute),
+      expires_at = CASE WHEN ? THEN ? ELSE expires_at END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    name,
+    scopes ? JSON.stringify(scopes) : null,
+    rateLimitPerMinute,
+    expiresAt !== undefined ? 1 : 0,
+    toExpiry(expiresAt),
+    apiKey.id
+  ]);
+
+  const updatedKey = await getApiKey(apiKey.id);
+
+  await recordAudit(req, {
+    entityType: 'api_key',
+    entityId: apiKey.id,
+    action: 'update',
+    oldValues: { name: apiKey.name, scopes: apiKey.scopes, rateLimitPerMinute: apiKey.rate_limit_per_minute, expiresAt: apiKey.expires_at },
+    newValues: { name: updatedKey.name, scopes: updatedKey.scopes, rateLimitPerMinute: updatedKey.rate_limit_per_minute, expiresAt: updatedKey.expires_at }
+  });
+
+  logger.security('api_key_updated', {
+    apiKeyId: apiKey.id,
+    keyPrefix: apiKey.key_prefix,
+    updatedBy: req.user.id
+  });
+
+  res.json({
+    message: 'API key updated successfully',
+    apiKey: updatedKey
+  });
+}));
+
+/**
+ * Revoke an API key; it stops working immediately
+ * PATCH /api/v1/api-keys/:id/revoke
+ */
+router.patch('/:id/revoke', asyncHandler(async (req, res) => {
+  const apiKey = await getApiKey(req.params.id);
+
+  if (apiKey.status === 'revoked') {
+    throw new ConflictError('API key is already revoked');
+  }
+
+  await dbConnection.run(`
+    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [req.user.id, apiKey.id]);
+
+  resetRateLimit(apiKey.id);
+
+  await recordAudit(req, {
+    entityType: 'api_key',
+    entityId: apiKey.id,
+    action: 'update',
+    oldValues: { revokedAt: null },
+    newValues: { revokedAt: new Date().toISOString() }
+  });
+
+  logger.security('api_key_revoked', {
+    apiKeyId: apiKey.id,
+    keyPrefix: apiKey.key_prefix,
+    revokedBy: req.user.id
+  });
+
+  res.json({
+    message: 'API key revoked successfully',
+    apiKey: await getApiKey(apiKey.id)
+  });
+}));
+
+module.exports = router;
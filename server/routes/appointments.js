@@ -0,0 +1,1011 @@
+/**
+ * Appointment Routes for MoMech
+ * Handles appointment scheduling, calendar views and slot availability
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const scheduling = require('../utils/scheduling');
+const { auditTrail } = require('../middleware/audit');
+
+const router = express.Router();
+
+router.use(auditTrail({ entityType: 'appointment', table: 'appointments' }));
+
+const APPOINTMENT_SETTINGS = config.BUSINESS.APPOINTMENTS;
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Appointments in these states still occupy their time slot
+const BOOKED_STATUSES = ['scheduled', 'confirmed', 'in_progress'];
+
+// Allowed status changes through PUT /appointments/:id
+const STATUS_TRANSITIONS = {
+  scheduled: ['confirmed', 'in_progress', 'no_show'],
+  confirmed: ['scheduled', 'in_progress', 'no_show'],
+  in_progress: [],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+const APPOINTMENT_SELECT = `
+  SELECT
+    a.*,
+    c.first_name || ' ' || c.last_name as client_name,
+    c.phone as client_phone,
+    v.year || ' ' || v.make || ' ' || v.model as vehicle,
+    v.license_plate,
+    s.name as service_name,
+    u.first_name || ' ' || u.last_name as assigned_mechanic
+  FROM appointments a
+  LEFT JOIN clients c ON a.client_id = c.id
+  LEFT JOIN vehicles v ON a.vehicle_id = v.id
+  LEFT JOIN services s ON a.service_id = s.id
+  LEFT JOIN users u ON a.assigned_to = u.id
+`;
+
+/**
+ * Validate appointment input
+ */
+function validateAppointmentInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.clientId) {
+    errors.push({ field: 'clientId', message: 'Client is required' });
+  }
+
+  if (!isUpdate && !data.vehicleId) {
+    errors.push({ field: 'vehicleId', message: 'Vehicle is required' });
+  }
+
+  if (!isUpdate && !data.appointmentDate) {
+    errors.push({ field: 'appointmentDate', message: 'Appointment date is required' });
+  }
+
+  if (!isUpdate && !data.appointmentTime) {
+    errors.push({ field: 'appointmentTime', message: 'Appointment time is required' });
+  }
+
+  if (data.appointmentDate && !scheduling.isValidDate(data.appointmentDate)) {
+    errors.push({ field: 'appointmentDate', message: 'Date must be in YYYY-MM-DD format' });
+  }
+
+  if (data.appointmentTime && !scheduling.isValidTime(data.appointmentTime)) {
+    errors.push({ field: 'appointmentTime', message: 'Time must be in HH:MM format' });
+  }
+
+  if (data.estimatedDuration !== undefined && !isValidDuration(data.estimatedDuration)) {
+    errors.push({
+      field: 'estimatedDuration',
+      message: `Duration must be between ${APPOINTMENT_SETTINGS.MIN_DURATION} and ${APPOINTMENT_SETTINGS.MAX_DURATION} minutes`
+    });
+  }
+
+  if (data.priority && !PRIORITIES.includes(data.priority)) {
+    errors.push({ field: 'priority', message: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Check a duration against the configured limits
+ */
+function isValidDuration(duration) {
+  const minutes = Number(duration);
+  return Number.isInteger(minutes) &&
+    minutes >= APPOINTMENT_SETTINGS.MIN_DURATION &&
+    minutes <= APPOINTMENT_SETTINGS.MAX_DURATION;
+}
+
+/**
+ * Ensure a date/time can be booked: inside the booking window and working hours
+ */
+function validateBookingTime(date, time, duration) {
+  const { earliest, latest } = scheduling.getBookingWindow();
+
+  if (date < earliest) {
+    throw new ValidationError('Invalid appointment date', [
+      { field: 'appointmentDate', message: 'Appointments cannot be booked in the past' }
+    ]);
+  }
+
+  if (date > latest) {
+    throw new ValidationError('Invalid appointment date', [
+      { field: 'appointmentDate', message: `Appointments can only be booked up to ${APPOINTMENT_SETTINGS.MAX_ADVANCE_BOOKING} days in advance` }
+    ]);
+  }
+
+  if (!scheduling.getWorkingHours(date)) {
+    throw new ValidationError('Invalid appointment date', [
+      { field: 'appointmentDate', message: 'The shop is closed on this day' }
+    ]);
+  }
+
+  if (!scheduling.isWithinWorkingHours(date, time, duration)) {
+    throw new ValidationError('Invalid appointment time', [
+      { field: 'appointmentTime', message: 'Appointment must start and end within working hours' }
+    ]);
+  }
+}
+
+/**
+ * Ensure the referenced mechanic exists and is active
+ */
+async function validateAssignee(userId) {
+  if (!userId) {
+    return;
+  }
+
+  const user = await dbConnection.get(
+    'SELECT id FROM users WHERE id = ? AND is_active = 1',
+    [userId]
+  );
+
+  if (!user) {
+    throw new ValidationError('Invalid mechanic', [
+      { field: 'assignedTo', message: 'Assigned user does not exist or is inactive' }
+    ]);
+  }
+}
+
+/**
+ * Reject bookings that overlap another appointment for the same mechanic,
+ * including the buffer kept between appointments, as available-slots does
+ *
+ * Returns the override reason when the caller explicitly accepts the overlap.
+ * Run it in the same transaction as the write, so two requests cannot both
+ * find the slot free.
+ */
+async function checkMechanicConflicts({ assignedTo, date, time, duration, excludeId = null }, { overrideConflicts, overrideReason } = {}) {
+  if (!assignedTo) {
+    return null;
+  }
+
+  const bookings = await dbConnection.all(`
+    ${APPOINTMENT_SELECT}
+    WHERE a.assigned_to = ?
+      AND a.appointment_date = ?
+      AND a.status IN (${BOOKED_STATUSES.map(() => '?').join(', ')})
+      AND a.id != ?
+  `, [assignedTo, date, ...BOOKED_STATUSES, excludeId || 0]);
+
+  const start = scheduling.timeToMinutes(time);
+  const clashes = bookings.filter(booking => scheduling.overlaps(
+    start,
+    duration,
+    scheduling.timeToMinutes(booking.appointment_time),
+    booking.estimated_duration || APPOINTMENT_SETTINGS.DEFAULT_DURATION,
+    APPOINTMENT_SETTINGS.BUFFER_TIME
+  ));
+
+  if (clashes.length === 0) {
+    return null;
+  }
+
+  if (overrideConflicts) {
+    if (typeof overrideReason !== 'string' || !overrideReason.trim()) {
+      throw new ValidationError('Validation failed', [
+        { field: 'overrideReason', message: 'A reason is required to override a scheduling conflict' }
+      ]);
+    }
+
+    return overrideReason.trim();
+  }
+
+  throw new ConflictError('Mechanic is already booked at this time', clashes.map(clash => ({
+    appointmentId: clash.id,
+    date: clash.appointment_date,
+    time: clash.appointment_time,
+    duration: clash.estimated_duration,
+    clientName: clash.client_name,
+    vehicle: clash.vehicle
+  })));
+}
+
+/**
+ * Fetch a single appointment with its display fields
+ */
+async function getAppointment(id) {
+  const appointment = await dbConnection.get(`${APPOINTMENT_SELECT} WHERE a.id = ?`, [id]);
+
+  if (!appointment) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  return appointment;
+}
+
+/**
+ * Fetch appointments between two dates (inclusive)
+ */
+async function getAppointmentsInRange(startDate, endDate, { status, assignedTo } = {}) {
+  let whereClause = 'WHERE a.appointment_date BETWEEN ? AND ?';
+  const params = [startDate, endDate];
+
+  if (status) {
+    whereClause += ' AND a.status = ?';
+    params.push(status);
+  } else {
+    whereClause += " AND a.status != 'cancelled'";
+  }
+
+  if (assignedTo) {
+    whereClause += ' AND a.assigned_to = ?';
+    params.push(assignedTo);
+  }
+
+  return dbConnection.all(`
+    ${APPOINTMENT_SELECT}
+    ${whereClause}
+    ORDER BY a.appointment_date ASC, a.appointment_time ASC
+  `, params);
+}
+
+/**
+ * Group appointments by date for calendar views
+ */
+function groupByDate(appointments, startDate, endDate) {
+  const days = {};
+  for (let date = startDate; date <= endDate; date = scheduling.addDays(date, 1)) {
+    days[date] = [];
+  }
+
+  appointments.forEach((appointment) => {
+    if (days[appointment.appointment_date]) {
+      days[appointment.appointment_date].push(appointment);
+    }
+  });
+
+  return days;
+}
+
+/**
+ * Get the Monday-Sunday week containing a date
+ */
+function getWeekRange(dateStr) {
+  const dayOfWeek = scheduling.parseDate(dateStr).getUTCDay();
+  const start = scheduling.addDays(dateStr, dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+  return { start, end: scheduling.addDays(start, 6) };
+}
+
+/**
+ * Get the calendar month containing a date
+ */
+function getMonthRange(dateStr) {
+  const start = `${dateStr.slice(0, 7)}-01`;
+  const date = scheduling.parseDate(start);
+  date.setUTCMonth(date.getUTCMonth() + 1);
+  date.setUTCDate(0);
+  return { start, end: scheduling.formatDate(date) };
+}
+
+/**
+ * Get all appointments
+ * GET /api/v1/appointments
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    date,
+    startDate,
+    endDate,
+    status,
+    clientId,
+    vehicleId,
+    assignedTo,
+    filter,
+    sortOrder = 'ASC'
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  // Build WHERE clause
+  const conditions = [];
+  const params = [];
+
+  if (date) {
+    conditions.push('a.appointment_date = ?');
+    params.push(date);
+  }
+
+  if (startDate) {
+    conditions.push('a.appointment_date >= ?');
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('a.appointment_date <= ?');
+    params.push(endDate);
+  }
+
+  if (status) {
+    conditions.push('a.status = ?');
+    params.push(status);
+  }
+
+  if (clientId) {
+    conditions.push('a.client_id = ?');
+    params.push(clientId);
+  }
+
+  if (vehicleId) {
+    conditions.push('a.vehicle_id = ?');
+    params.push(vehicleId);
+  }
+
+  if (assignedTo) {
+    conditions.push('a.assigned_to = ?');
+    params.push(assignedTo);
+  }
+
+  if (filter === 'unassigned') {
+    conditions.push("a.assigned_to IS NULL AND a.status = 'scheduled' AND a.appointment_date >= ?");
+    params.push(scheduling.getLocalDate());
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const sortDirection = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+  // Get total count
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total FROM appointments a ${whereClause}
+  `, params);
+
+  const appointments = await dbConnection.all(`
+    ${APPOINTMENT_SELECT}
+    ${whereClause}
+    ORDER BY a.appointment_date ${sortDirection}, a.appointment_time ${sortDirection}
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    appointments,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Get today's appointments
+ * GET /api/v1/appointments/today
+ */
+router.get('/today', asyncHandler(async (req, res) => {
+  const today = scheduling.getLocalDate();
+  const appointments = await getAppointmentsInRange(today, today, req.query);
+
+  res.json({
+    date: today,
+    workingHours: config.BUSINESS.WORKING_HOURS[scheduling.DAY_NAMES[scheduling.parseDate(today).getUTCDay()]],
+    appointments
+  });
+}));
+
+/**
+ * Get this week's appointments (Monday to Sunday)
+ * GET /api/v1/appointments/week
+ */
+router.get('/week', asyncHandler(async (req, res) => {
+  const { date = scheduling.getLocalDate() } = req.query;
+
+  if (!scheduling.isValidDate(date)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'date', message: 'Date must be in YYYY-MM-DD format' }
+    ]);
+  }
+
+  const { start, end } = getWeekRange(date);
+  const appointments = await getAppointmentsInRange(start, end, req.query);
+
+  res.json({
+    startDate: start,
+    endDate: end,
+    days: groupByDate(appointments, start, end)
+  });
+}));
+
+/**
+ * Get this month's appointments
+ * GET /api/v1/appointments/month
+ */
+router.get('/month', asyncHandler(async (req, res) => {
+  const { date = scheduling.getLocalDate() } = req.query;
+
+  if (!scheduling.isValidDate(date)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'date', message: 'Date must be in YYYY-MM-DD format' }
+    ]);
+  }
+
+  const { start, end } = getMonthRange(date);
+  const appointments = await getAppointmentsInRange(start, end, req.query);
+
+  res.json({
+    startDate: start,
+    endDate: end,
+    days: groupByDate(appointments, start, end)
+  });
+}));
+
+/**
+ * Get calendar for a day (YYYY-MM-DD) or a month (YYYY-MM)
+ * GET /api/v1/appointments/calendar/:date
+ */
+router.get('/calendar/:date', asyncHandler(async (req, res) => {
+  const { date } = req.params;
+  let range;
+
+  if (/^\d{4}-\d{2}$/.test(date) && scheduling.isValidDate(`${date}-01`)) {
+    range = getMonthRange(`${date}-01`);
+  } else if (scheduling.isValidDate(date)) {
+    range = { start: date, end: date };
+  } else {
+    throw new ValidationError('Validation failed', [
+      { field: 'date', message: 'Date must be in YYYY-MM-DD or YYYY-MM format' }
+    ]);
+  }
+
+  const appointments = await getAppointmentsInRange(range.start, range.end, req.query);
+  const days = groupByDate(appointments, range.start, range.end);
+
+  res.json({
+    startDate: range.start,
+    endDate: range.end,
+    days: Object.keys(days).map((day) => {
+      const hours = scheduling.getWorkingHours(day);
+      return {
+        date: day,
+        isOpen: !!hours,
+        workingHours: hours ? {
+          start: scheduling.minutesToTime(hours.start),
+          end: scheduling.minutesToTime(hours.end)
+        } : null,
+        appointments: days[day]
+      };
+    })
+  });
+}));
+
+/**
+ * Get available appointment slots for a date
+ * GET /api/v1/appointments/available-slots
+ */
+router.get('/available-slots', asyncHandler(async (req, res) => {
+  const { date, serviceId, mechanicId } = req.query;
+  let { duration } = req.query;
+
+  if (!date || !scheduling.isValidDate(date)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'date', message: 'Date is required in YYYY-MM-DD format' }
+    ]);
+  }
+
+  // Default the duration from the requested service
+  if (!duration && serviceId) {
+    const service = await dbConnection.get(
+      'SELECT estimated_duration FROM services WHERE id = ? AND is_active = 1',
+      [serviceId]
+    );
+    duration = service && service.estimated_duration;
+  }
+
+  duration = duration ? parseInt(duration) : APPOINTMENT_SETTINGS.DEFAULT_DURATION;
+
+  if (!isValidDuration(duration)) {
+    throw new ValidationError('Validation failed', [{
+      field: 'duration',
+      message: `Duration must be between ${APPOINTMENT_SETTINGS.MIN_DURATION} and ${APPOINTMENT_SETTINGS.MAX_DURATION} minutes`
+    }]);
+  }
+
+  const { earliest, latest } = scheduling.getBookingWindow();
+  const hours = scheduling.getWorkingHours(date);
+
+  const response = {
+    date,
+    duration,
+    isOpen: !!hours,
+    workingHours: hours ? {
+      start: scheduling.minutesToTime(hours.start),
+      end: scheduling.minutesToTime(hours.end)
+    } : null,
+    slots: []
+  };
+
+  if (!hours || date < earliest || date > latest) {
+    return res.json(response);
+  }
+
+  // Existing bookings either for one mechanic or for the whole shop
+  let bookingQuery = `
+    SELECT appointment_time, estimated_duration
+    FROM appointments
+    WHERE appointment_date = ? AND status IN (${BOOKED_STATUSES.map(() => '?').join(', ')})
+  `;
+  const bookingParams = [date, ...BOOKED_STATUSES];
+  let capacity = 1;
+
+  if (mechanicId) {
+    bookingQuery += ' AND assigned_to = ?';
+    bookingParams.push(mechanicId);
+  } else {
+    const mechanics = await dbConnection.get(`
+      SELECT COUNT(*) as count FROM users WHERE role = 'mechanic' AND is_active = 1
+    `);
+    capacity = Math.max(mechanics.count, 1);
+  }
+
+  const bookings = await dbConnection.all(bookingQuery, bookingParams);
+  response.slots = scheduling.calculateAvailableSlots(date, duration, bookings, capacity);
+
+  res.json(response);
+}));
+
+/**
+ * Get double bookings, including ones closer than the buffer, and overbooked days per mechanic
+ * GET /api/v1/appointments/conflicts
+ */
+router.get('/conflicts', asyncHandler(async (req, res) => {
+  const today = scheduling.getLocalDate();
+  const { startDate = today, endDate = scheduling.addDays(today, 30), assignedTo } = req.query;
+
+  const errors = [];
+  if (!scheduling.isValidDate(startDate)) {
+    errors.push({ field: 'startDate', message: 'Date must be in YYYY-MM-DD format' });
+  }
+  if (!scheduling.isValidDate(endDate)) {
+    errors.push({ field: 'endDate', message: 'Date must be in YYYY-MM-DD format' });
+  }
+  if (errors.length === 0 && endDate < startDate) {
+    errors.push({ field: 'endDate', message: 'End date must be on or after start date' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  let whereClause = `
+    WHERE a.appointment_date BETWEEN ? AND ?
+      AND a.assigned_to IS NOT NULL
+      AND a.status IN (${BOOKED_STATUSES.map(() => '?').join(', ')})
+  `;
+  const params = [startDate, endDate, ...BOOKED_STATUSES];
+
+  if (assignedTo) {
+    whereClause += ' AND a.assigned_to = ?';
+    params.push(assignedTo);
+  }
+
+  const bookings = await dbConnection.all(`
+    ${APPOINTMENT_SELECT}
+    ${whereClause}
+    ORDER BY a.appointment_date ASC, a.appointment_time ASC
+  `, params);
+
+  const conflicts = scheduling.findConflicts(bookings).map(conflict => ({
+    ...conflict,
+    assignedMechanic: conflict.appointments[0].assigned_mechanic,
+    overridden: conflict.appointments.some(appointment => appointment.conflict_override_reason)
+  }));
+
+  const overbooked = scheduling.findOverbookedDays(bookings).map((day) => {
+    const booking = bookings.find(item => item.assigned_to === day.assignedTo);
+    return { ...day, assignedMechanic: booking.assigned_mechanic };
+  });
+
+  res.json({
+    startDate,
+    endDate,
+    totalConflicts: conflicts.length,
+    conflicts,
+    overbooked
+  });
+}));
+
+/**
+ * Get a client's appointments
+ * GET /api/v1/appointments/client/:clientId
+ */
+router.get('/client/:clientId', asyncHandler(async (req, res) => {
+  const { clientId } = req.params;
+  const { status, limit = 50 } = req.query;
+
+  const client = await dbConnection.get('SELECT id FROM clients WHERE id = ?', [clientId]);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+
+  let whereClause = 'WHERE a.client_id = ?';
+  const params = [clientId];
+
+  if (status) {
+    whereClause += ' AND a.status = ?';
+    params.push(status);
+  }
+
+  const appointments = await dbConnection.all(`
+    ${APPOINTMENT_SELECT}
+    ${whereClause}
+    ORDER BY a.appointment_date DESC, a.appointment_time DESC
+    LIMIT ?
+  `, [...params, parseInt(limit)]);
+
+  res.json(appointments);
+}));
+
+/**
+ * Get a vehicle's appointments
+ * GET /api/v1/appointments/vehicle/:vehicleId
+ */
+router.get('/vehicle/:vehicleId', asyncHandler(async (req, res) => {
+  const { vehicleId } = req.params;
+  const { status, limit = 50 } = req.query;
+
+  const vehicle = await dbConnection.get('SELECT id FROM vehicles WHERE id = ?', [vehicleId]);
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  let whereClause = 'WHERE a.vehicle_id = ?';
+  const params = [vehicleId];
+
+  if (status) {
+    whereClause += ' AND a.status = ?';
+    params.push(status);
+  }
+
+  const appointments = await dbConnection.all(`
+    ${APPOINTMENT_SELECT}
+    ${whereClause}
+    ORDER BY a.appointment_date DESC, a.appointment_time DESC
+    LIMIT ?
+  `, [...params, parseInt(limit)]);
+
+  res.json(appointments);
+}));
+
+/**
+ * Get appointment by ID
+ * GET /api/v1/appointments/:id
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const appointment = await getAppointment(req.params.id);
+  res.json(appointment);
+}));
+
+/**
+ * Create new appointment
+ * POST /api/v1/appointments
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const appointmentData = req.body;
+
+  // Validate input
+  validateAppointmentInput(appointmentData);
+
+  // Check that the vehicle belongs to the client
+  const vehicle = await dbConnection.get(
+    'SELECT id FROM vehicles WHERE id = ? AND client_id = ? AND is_active = 1',
+    [appointmentData.vehicleId, appointmentData.clientId]
+  );
+
+  if (!vehicle) {
+    throw new ValidationError('Invalid vehicle', [
+      { field: 'vehicleId', message: 'Vehicle does not exist or does not belong to this client' }
+    ]);
+  }
+
+  // Default the duration from the service
+  let duration = appointmentData.estimatedDuration ? parseInt(appointmentData.estimatedDuration) : null;
+  if (appointmentData.serviceId) {
+    const service = await dbConnection.get(
+      'SELECT id, estimated_duration FROM services WHERE id = ? AND is_active = 1',
+      [appointmentData.serviceId]
+    );
+
+    if (!service) {
+      throw new ValidationError('Invalid service', [
+        { field: 'serviceId', message: 'Service does not exist or is inactive' }
+      ]);
+    }
+
+    duration = duration || service.estimated_duration;
+  }
+  duration = duration || APPOINTMENT_SETTINGS.DEFAULT_DURATION;
+
+  validateBookingTime(appointmentData.appointmentDate, appointmentData.appointmentTime, duration);
+  await validateAssignee(appointmentData.assignedTo);
+
+  let overrideReason;
+  let appointmentId;
+
+  await dbConnection.withTransaction(async () => {
+    overrideReason = await checkMechanicConflicts({
+      assignedTo: appointmentData.assignedTo,
+      date: appointmentData.appointmentDate,
+      time: appointmentData.appointmentTime,
+      duration
+    }, appointmentData);
+
+    const result = await dbConnection.run(`
+      INSERT INTO appointments (
+        client_id, vehicle_id, service_id, assigned_to, appointment_date, appointment_time,
+        estimated_duration, priority, description, customer_notes, internal_notes,
+        conflict_override_reason
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      appointmentData.clientId,
+      appointmentData.vehicleId,
+      appointmentData.serviceId || null,
+      appointmentData.assignedTo || null,
+      appointmentData.appointmentDate,
+      appointmentData.appointmentTime.slice(0, 5),
+      duration,
+      appointmentData.priority || 'normal',
+      appointmentData.description || null,
+      appointmentData.customerNotes || null,
+      appointmentData.internalNotes || null,
+      overrideReason
+    ]);
+    appointmentId = result.lastID;
+  });
+
+  const newAppointment = await getAppointment(appointmentId);
+
+  if (overrideReason) {
+    logger.business('appointment_conflict_overridden', {
+      appointmentId: newAppointment.id,
+      assignedTo: newAppointment.assigned_to,
+      reason: overrideReason
+    });
+  }
+
+  logger.business('appointment_created', {
+    appointmentId: newAppointment.id,
+    clientId: newAppointment.client_id,
+    date: newAppointment.appointment_date,
+    time: newAppointment.appointment_time
+  });
+
+  res.status(201).json(newAppointment);
+}));
+
+/**
+ * Update appointment details
+ * PUT /api/v1/appointments/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const appointmentData = req.body;
+
+  // Date and time changes go through the reschedule endpoint
+  if (appointmentData.appointmentDate || appointmentData.appointmentTime) {
+    throw new ValidationError('Validation failed', [
+      { field: 'appointmentDate', message: 'Use the reschedule endpoint to change date or time' }
+    ]);
+  }
+
+  validateAppointmentInput(appointmentData, true);
+
+  const existingAppointment = await getAppointment(id);
+
+  if (appointmentData.status && appointmentData.status !== existingAppointment.status) {
+    const allowed = STATUS_TRANSITIONS[existingAppointment.status] || [];
+    if (!allowed.includes(appointmentData.status)) {
+      throw new ValidationError('Invalid status change', [{
+        field: 'status',
+        message: `Cannot change status from ${existingAppointment.status} to ${appointmentData.status}`
+      }]);
+    }
+  }
+
+  if (appointmentData.estimatedDuration &&
+      !scheduling.isWithinWorkingHours(existingAppointment.appointment_date, existingAppointment.appointment_time, parseInt(appointmentData.estimatedDuration))) {
+    throw new ValidationError('Validation failed', [
+      { field: 'estimatedDuration', message: 'Appointment must end within working hours' }
+    ]);
+  }
+
+  await validateAssignee(appointmentData.assignedTo);
+
+  await dbConnection.withTransaction(async () => {
+    // Re-check the mechanic's calendar when the assignee or length changes
+    let overrideReason = null;
+    if ((appointmentData.assignedTo || appointmentData.estimatedDuration) && BOOKED_STATUSES.includes(existingAppointment.status)) {
+      overrideReason = await checkMechanicConflicts({
+        assignedTo: appointmentData.assignedTo || existingAppointment.assigned_to,
+        date: existingAppointment.appointment_date,
+        time: existingAppointment.appointment_time,
+        duration: parseInt(appointmentData.estimatedDuration || existingAppointment.estimated_duration),
+        excludeId: id
+      }, appointmentData);
+    }
+
+    await dbConnection.run(`
+      UPDATE appointments SET
+        service_id = COALESCE(?, service_id),
+        assigned_to = COALESCE(?, assigned_to),
+        estimated_duration = COALESCE(?, estimated_duration),
+        status = COALESCE(?, status),
+        priority = COALESCE(?, priority),
+        description = COALESCE(?, description),
+        customer_notes = COALESCE(?, customer_notes),
+        internal_notes = COALESCE(?, internal_notes),
+        conflict_override_reason = COALESCE(?, conflict_override_reason)
+      WHERE id = ?
+    `, [
+      appointmentData.serviceId,
+      appointmentData.assignedTo,
+      appointmentData.estimatedDuration,
+      appointmentData.status,
+      appointmentData.priority,
+      appointmentData.description,
+      appointmentData.customerNotes,
+      appointmentData.internalNotes,
+      overrideReason,
+      id
+    ]);
+  });
+
+  const updatedAppointment = await getAppointment(id);
+
+  logger.business('appointment_updated', {
+    appointmentId: id,
+    status: updatedAppointment.status
+  });
+
+  res.json(updatedAppointment);
+}));
+
+/**
+ * Reschedule appointment
+ * PATCH /api/v1/appointments/:id/reschedule
+ */
+router.patch('/:id/reschedule', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { appointmentDate, appointmentTime, estimatedDuration, assignedTo, reason } = req.body;
+
+  const errors = [];
+  if (!appointmentDate || !scheduling.isValidDate(appointmentDate)) {
+    errors.push({ field: 'appointmentDate', message: 'Date is required in YYYY-MM-DD format' });
+  }
+  if (!appointmentTime || !scheduling.isValidTime(appointmentTime)) {
+    errors.push({ field: 'appointmentTime', message: 'Time is required in HH:MM format' });
+  }
+  if (estimatedDuration !== undefined && !isValidDuration(estimatedDuration)) {
+    errors.push({
+      field: 'estimatedDuration',
+      message: `Duration must be between ${APPOINTMENT_SETTINGS.MIN_DURATION} and ${APPOINTMENT_SETTINGS.MAX_DURATION} minutes`
+    });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const appointment = await getAppointment(id);
+
+  if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+    throw new ValidationError('Cannot reschedule appointment', [
+      { field: 'status', message: `Appointments that are ${appointment.status} cannot be rescheduled` }
+    ]);
+  }
+
+  const duration = estimatedDuration ? parseInt(estimatedDuration) : appointment.estimated_duration;
+  validateBookingTime(appointmentDate, appointmentTime, duration);
+  await validateAssignee(assignedTo);
+
+  const note = `Rescheduled from ${appointment.appointment_date} ${appointment.appointment_time}${reason ? `: ${reason}` : ''}`;
+
+  await dbConnection.withTransaction(async () => {
+    const overrideReason = await checkMechanicConflicts({
+      assignedTo: assignedTo || appointment.assigned_to,
+      date: appointmentDate,
+      time: appointmentTime,
+      duration,
+      excludeId: id
+    }, req.body);
+
+    await dbConnection.run(`
+      UPDATE appointments SET
+        appointment_date = ?,
+        appointment_time = ?,
+        estimated_duration = ?,
+        assigned_to = COALESCE(?, assigned_to),
+        status = 'scheduled',
+        reminder_sent = 0,
+        conflict_override_reason = ?,
+        internal_notes = CASE WHEN internal_notes IS NULL THEN ? ELSE internal_notes || char(10) || ? END
+      WHERE id = ?
+    `, [appointmentDate, appointmentTime.slice(0, 5), duration, assignedTo, overrideReason, note, note, id]);
+  });
+
+  const updatedAppointment = await getAppointment(id);
+
+  logger.business('appointment_rescheduled', {
+    appointmentId: id,
+    from: `${appointment.appointment_date} ${appointment.appointment_time}`,
+    to: `${updatedAppointment.appointment_date} ${updatedAppointment.appointment_time}`
+  });
+
+  res.json(updatedAppointment);
+}));
+
+/**
+ * Cancel appointment
+ * PATCH /api/v1/appointments/:id/cancel
+ */
+router.patch('/:id/cancel', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const appointment = await getAppointment(id);
+
+  if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+    throw new ValidationError('Cannot cancel appointment', [
+      { field: 'status', message: `Appointments that are ${appointment.status} cannot be cancelled` }
+    ]);
+  }
+
+  const note = `Cancelled${reason ? `: ${reason}` : ''}`;
+
+  await dbConnection.run(`
+    UPDATE appointments SET
+      status = 'cancelled',
+      internal_notes = CASE WHEN internal_notes IS NULL THEN ? ELSE internal_notes || char(10) || ? END
+    WHERE id = ?
+  `, [note, note, id]);
+
+  logger.business('appointment_cancelled', {
+    appointmentId: id,
+    clientId: appointment.client_id,
+    reason: reason || null
+  });
+
+  res.json(await getAppointment(id));
+}));
+
+/**
+ * Complete appointment
+ * PATCH /api/v1/appointments/:id/complete
+ */
+router.patch('/:id/complete', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { notes } = req.body;
+
+  const appointment = await getAppointment(id);
+
+  if (!BOOKED_STATUSES.includes(appointment.status)) {
+    throw new ValidationError('Cannot complete appointment', [
+      { field: 'status', message: `Appointments that are ${appointment.status} cannot be completed` }
+    ]);
+  }
+
+  await dbConnection.run(`
+    UPDATE appointments SET
+      status = 'completed',
+      internal_notes = CASE
+        WHEN ? IS NULL THEN internal_notes
+        WHEN internal_notes IS NULL THEN ?
+        ELSE internal_notes || char(10) || ?
+      END
+    WHERE id = ?
+  `, [notes || null, notes || null, notes || null, id]);
+
+  logger.business('appointment_completed', {
+    appointmentId: id,
+    clientId: appointment.client_id
+  });
+
+  res.json(await getAppointment(id));
+}));
+
+module.exports = router;
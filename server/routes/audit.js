@@ -0,0 +1,175 @@
+/**
+ * Audit Routes for MoMech
+ * Handles browsing the audit trail of creates, updates and deletes
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const { isValidDate } = require('../utils/scheduling');
+
+const router = express.Router();
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Validate audit filters
+ */
+function validateAuditFilters(filters) {
+  const errors = [];
+
+  if (filters.action && !AUDIT_ACTIONS.includes(filters.action)) {
+    errors.push({ field: 'action', message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+  }
+
+  ['dateFrom', 'dateTo'].forEach((field) => {
+    if (filters[field] && !isValidDate(filters[field])) {
+      errors.push({ field, message: 'Date must be in YYYY-MM-DD format' });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * List the changed fields of an entry as { field, from, to }
+ */
+function describeChanges(oldValues, newValues) {
+  const fields = new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]);
+
+  return [...fields].map(field => ({
+    field,
+    from: oldValues && oldValues[field] !== undefined ? oldValues[field] : null,
+    to: newValues && newValues[field] !== undefined ? newValues[field] : null
+  }));
+}
+
+/**
+ * Query one page of audit entries
+ */
+async function getAuditEntries({ entityType, entityId, userId, apiKeyId, action, dateFrom, dateTo }, page, limit) {
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const conditions = [];
+  const params = [];
+
+  if (entityType) {
+    conditions.push('al.entity_type = ?');
+    params.push(entityType);
+  }
+
+  if (entityId) {
+    conditions.push('al.entity_id = ?');
+    params.push(entityId);
+  }
+
+  if (userId) {
+    conditions.push('al.user_id = ?');
+    params.push(userId);
+  }
+
+  if (apiKeyId) {
+    conditions.push('al.api_key_id = ?');
+    params.push(apiKeyId);
+  }
+
+  if (action) {
+    conditions.push('al.action = ?');
+    params.push(action);
+  }
+
+  if (dateFrom) {
+    conditions.push('DATE(al.created_at) >= ?');
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push('DATE(al.created_at) <= ?');
+    params.push(dateTo);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { total } = await dbConnection.get(`SELECT COUNT(*) as total FROM audit_log al ${whereClause}`, params);
+
+  const rows = await dbConnection.all(`
+    SELECT
+      al.*,
+      u.username,
+      u.first_name || ' ' || u.last_name as user_name,
+      k.name as api_key_name
+    FROM audit_log al
+    LEFT JOIN users u ON al.user_id = u.id
+    LEFT JOIN api_keys k ON al.api_key_id = k.id
+    ${whereClause}
+    ORDER BY al.created_at DESC, al.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  return {
+    entries: rows.map((row) => {
+      const oldValues = row.old_values ? JSON.parse(row.old_values) : null;
+      const newValues = row.new_values ? JSON.parse(row.new_values) : null;
+
+      return {
+        ...row,
+        old_values: oldValues,
+        new_values: newValues,
+        changes: describeChanges(oldValues, newValues)
+      };
+    }),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get the audit trail
+ * GET /api/v1/audit
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { entityType, entityId, userId, apiKeyId, action, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+  validateAuditFilters(req.query);
+
+  res.json(await getAuditEntries({ entityType, entityId, userId, apiKeyId, action, dateFrom, dateTo }, page, limit));
+}));
+
+/**
+ * Get the entity types that appear in the audit trail
+ * GET /api/v1/audit/entity-types
+ */
+router.get('/entity-types', asyncHandler(async (req, res) => {
+  const rows = await dbConnection.all(`
+    SELECT entity_type, COUNT(*) as entries
+    FROM audit_log
+    GROUP BY entity_type
+    ORDER BY entity_type
+  `);
+
+  res.json(rows);
+}));
+
+/**
+ * Get the history of a single record
+ * GET /api/v1/audit/:entityType/:entityId
+ */
+router.get('/:entityType/:entityId', asyncHandler(async (req, res) => {
+  const { entityType, entityId } = req.params;
+  const { userId, action, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+  validateAuditFilters(req.query);
+
+  res.json({
+    entityType,
+    entityId: parseInt(entityId),
+    ...await getAuditEntries({ entityType, entityId, userId, action, dateFrom, dateTo }, page, limit)
+  });
+}));
+
+module.exports = router;
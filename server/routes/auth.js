@@ -6,39 +6,209 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { asyncHandler, ValidationError, AuthenticationError } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, AuthenticationError, AuthorizationError, NotFoundError, ConflictError, ApiError } = require('../middleware/errorHandler');
 const dbConnection = require('../database/connection');
 const config = require('../../config/app');
 const logger = require('../utils/logger');
+const { authenticate, requireSession, requirePermission, getBearerToken } = require('../middleware/auth');
+const { ROLES, isValidRole, getPermissions, hasPermission } = require('../utils/permissions');
+const sessions = require('../utils/sessions');
+const { consumeAuthToken } = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const twoFactor = require('../utils/twoFactor');
+const { getSetting, setSetting } = require('../utils/settings');
+const loginAttempts = require('../utils/loginAttempts');
+const { findActiveDevice, touchDevice } = require('../utils/shopDevices');
 
 const router = express.Router();
 
+// Account endpoints act on the signed-in person, so API keys are refused
+const authenticateUser = [authenticate, requireSession];
+
 /**
- * Generate JWT token
+ * Allow registration only while no users exist yet (first-run setup);
+ * afterwards owners invite staff through /users/invite
  */
-function generateToken(user) {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    config.SECURITY.JWT_SECRET,
-    { expiresIn: config.SECURITY.JWT_EXPIRES_IN }
+const authorizeRegistration = asyncHandler(async (req, res, next) => {
+  const { count } = await dbConnection.get('SELECT COUNT(*) as count FROM users');
+
+  if (count > 0) {
+    throw new AuthorizationError('Registration is closed; ask an owner for an invitation');
+  }
+
+  next();
+});
+
+/**
+ * Authenticate with an access token, or with the setup challenge of a login
+ * that is waiting for the user to enrol in two-factor authentication
+ */
+const authenticateForEnrollment = asyncHandler(async (req, res, next) => {
+  const { challengeToken } = req.body;
+
+  if (!challengeToken) {
+    return authenticate(req, res, (error) => (error ? next(error) : requireSession(req, res, next)));
+  }
+
+  const challenge = twoFactor.verifyChallenge(challengeToken, 'two_factor_setup');
+  if (!challenge) {
+    throw new AuthenticationError('Two-factor challenge is invalid or has expired');
+  }
+
+  const user = await dbConnection.get(
+    'SELECT id, role FROM users WHERE id = ? AND is_active = 1',
+    [challenge.id]
+  );
+
+  if (!user) {
+    throw new AuthenticationError('User not found or inactive');
+  }
+
+  req.user = { id: user.id, role: user.role, permissions: [] };
+  req.enrollmentChallenge = challenge;
+  next();
+});
+
+/**
+ * Refuse a login attempt while the account is delayed or locked
+ */
+async function assertLoginAllowed(user, req, res, method) {
+  const lockout = loginAttempts.getLockout(user);
+
+  if (!lockout) {
+    return;
+  }
+
+  await loginAttempts.recordAttempt({
+    userId: user.id,
+    email: user.email,
+    req,
+    success: false,
+    method,
+    failureReason: 'locked'
+  });
+
+  res.set('Retry-After', String(lockout.retryAfter));
+
+  throw new ApiError(
+    lockout.locked
+      ? 'Account is temporarily locked after too many failed login attempts'
+      : 'Too many failed login attempts, please wait before trying again',
+    429,
+    lockout.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_DELAYED',
+    { retryAfter: lockout.retryAfter, lockedUntil: lockout.lockedUntil }
   );
 }
 
 /**
- * Generate refresh token
+ * Start a session for a user who passed every login step and build the login response
  */
-function generateRefreshToken(user) {
-  return jwt.sign(
-    { id: user.id },
-    config.SECURITY.JWT_SECRET + 'refresh',
-    { expiresIn: config.SECURITY.REFRESH_TOKEN_EXPIRES_IN }
+async function completeLogin(user, req, { deviceName = null, method, remember = false }) {
+  // Update last login
+  await dbConnection.run(
+    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id]
   );
+
+  await loginAttempts.registerSuccess(user, req, method);
+
+  // Start a server-side session
+  const session = await sessions.createSession(user, req, { deviceName });
+
+  // Log successful login
+  logger.auth('login', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    sessionId: session.sessionId,
+    method,
+    remember
+  });
+
+  // Remove secrets from response
+  const { password_hash, two_factor_secret, two_factor_last_step, ...userResponse } = user;
+
+  return {
+    user: { ...userResponse, permissions: getPermissions(user.role) },
+    emailVerified: Boolean(user.email_verified_at),
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn
+  };
 }
 
+/**
+ * Pick whose sessions to manage: the caller's own, or ?userId= for owners
+ */
+function resolveSessionOwner(req) {
+  if (!req.query.userId || Number(req.query.userId) === req.user.id) {
+    return req.user.id;
+  }
+
+  if (!hasPermission(req.user.role, 'users:manage')) {
+    throw new AuthorizationError('Missing permission: users:manage');
+  }
+
+  return Number(req.query.userId);
+}
+
+/**
+ * Validate a new password
+ */
+function validatePassword(password, field = 'password') {
+  if (!password) {
+    return { field, message: 'Password is required' };
+  }
+
+  if (password.length < config.SECURITY.PASSWORD_MIN_LENGTH) {
+    return { field, message: `Password must be at least ${config.SECURITY.PASSWORD_MIN_LENGTH} characters long` };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a shop-floor PIN
+ */
+function validatePin(pin) {
+  const { PIN_MIN_LENGTH, PIN_MAX_LENGTH } = config.SECURITY;
+  const value = String(pin || '');
+
+  if (!new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(value)) {
+    return { field: 'pin', message: `PIN must be ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits` };
+  }
+
+  // Repeated digits and straight runs are the first guesses
+  const digits = value.split('').map(Number);
+  const repeated = digits.every(digit => digit === digits[0]);
+  const ascending = digits.every((digit, index) => index === 0 || digit === digits[index - 1] + 1);
+  const descending = digits.every((digit, index) => index === 0 || digit === digits[index - 1] - 1);
+
+  if (repeated || ascending || descending) {
+    return { field: 'pin', message: 'PIN is too easy to guess' };
+  }
+
+  return null;
+}
+
+/**
+ * Require the X-Device-Token header of a registered shop device
+ */
+const requireShopDevice = asyncHandler(async (req, res, next) => {
+  const device = await findActiveDevice(req.get('X-Device-Token'));
+
+  if (!device) {
+    logger.security('unregistered_device_pin_attempt', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    throw new AuthenticationError('This device is not registered for PIN sign-in');
+  }
+
+  req.shopDevice = device;
+  next();
+});
+
 /**
  * Validate user input
  */
@@ -63,7 +233,7 @@ function validateLoginInput(email, password) {
  * POST /api/v1/auth/login
  */
 router.post('/login', asyncHandler(async (req, res) => {
-  const { email, password, remember = false } = req.body;
+  const { email, password, remember = false, deviceName } = req.body;
   
   // Validate input
   validateLoginInput(email, password);
@@ -75,71 +245,305 @@ router.post('/login', asyncHandler(async (req, res) => {
   );
   
   if (!user) {
+    await loginAttempts.recordAttempt({ email, req, success: false, failureReason: 'unknown_user' });
     throw new AuthenticationError('Invalid email or password');
   }
+
+  await assertLoginAllowed(user, req, res, 'password');
   
   // Verify password
   const isValidPassword = await bcrypt.compare(password, user.password_hash);
   if (!isValidPassword) {
+    await loginAttempts.registerFailure(user, req, { failureReason: 'invalid_password' });
     throw new AuthenticationError('Invalid email or password');
   }
+
+  if (!user.email_verified_at && config.SECURITY.UNVERIFIED_EMAIL_POLICY === 'block') {
+    await loginAttempts.recordAttempt({
+      userId: user.id,
+      email: user.email,
+      req,
+      success: false,
+      failureReason: 'email_not_verified'
+    });
+
+    logger.auth('login_blocked_unverified', user.id, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    throw new ApiError('Email address has not been verified', 403, 'EMAIL_NOT_VERIFIED');
+  }
   
-  // Update last login
-  await dbConnection.run(
-    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [user.id]
+  // Second step: prove possession of the authenticator before any session exists
+  if (user.two_factor_enabled_at) {
+    logger.auth('login_two_factor_challenge', user.id, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: twoFactor.issueChallenge(user, 'two_factor', { deviceName }),
+      expiresIn: config.SECURITY.TWO_FACTOR_CHALLENGE_EXPIRES_IN
+    });
+  }
+
+  // The role requires 2FA but the user has not enrolled: enrolment completes the login
+  if (await twoFactor.isTwoFactorRequired(user.role)) {
+    return res.json({
+      twoFactorSetupRequired: true,
+      challengeToken: twoFactor.issueChallenge(user, 'two_factor_setup', { deviceName }),
+      expiresIn: config.SECURITY.TWO_FACTOR_CHALLENGE_EXPIRES_IN
+    });
+  }
+
+  res.json(await completeLogin(user, req, { deviceName, method: 'password', remember }));
+}));
+
+/**
+ * Complete a login with a two-factor code or a recovery code
+ * POST /api/v1/auth/login/2fa
+ */
+router.post('/login/2fa', asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    throw new ValidationError('Validation failed', [
+      { field: 'code', message: 'Authentication code or recovery code is required' }
+    ]);
+  }
+
+  const challenge = twoFactor.verifyChallenge(challengeToken, 'two_factor');
+  if (!challenge) {
+    throw new AuthenticationError('Two-factor challenge is invalid or has expired');
+  }
+
+  const user = await dbConnection.get(
+    'SELECT * FROM users WHERE id = ? AND is_active = 1 AND two_factor_enabled_at IS NOT NULL',
+    [challenge.id]
   );
-  
-  // Generate tokens
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
-  
-  // Log successful login
-  logger.auth('login', user.id, {
+
+  if (!user) {
+    throw new AuthenticationError('Two-factor challenge is invalid or has expired');
+  }
+
+  const method = code ? 'totp' : 'recovery_code';
+  await assertLoginAllowed(user, req, res, method);
+
+  const isValid = code
+    ? await twoFactor.verifyUserCode(user, code)
+    : await twoFactor.useRecoveryCode(user.id, recoveryCode);
+
+  if (!isValid) {
+    logger.security('two_factor_failed', {
+      userId: user.id,
+      method,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    await loginAttempts.registerFailure(user, req, { method, failureReason: 'invalid_code' });
+    throw new AuthenticationError('Invalid authentication code');
+  }
+
+  const response = await completeLogin(user, req, {
+    deviceName: challenge.deviceName,
+    method
+  });
+
+  if (!code) {
+    response.recoveryCodesRemaining = await twoFactor.countRecoveryCodes(user.id);
+  }
+
+  res.json(response);
+}));
+
+/**
+ * List the people who can sign in with a PIN on this shop device
+ * GET /api/v1/auth/pin-login/users
+ */
+router.get('/pin-login/users', requireShopDevice, asyncHandler(async (req, res) => {
+  const users = await dbConnection.all(`
+    SELECT id, first_name, last_name, role
+    FROM users
+    WHERE is_active = 1 AND pin_hash IS NOT NULL
+    ORDER BY first_name, last_name
+  `);
+
+  res.json({
+    device: { id: req.shopDevice.id, name: req.shopDevice.name },
+    currentUserId: req.shopDevice.last_user_id,
+    users
+  });
+}));
+
+/**
+ * Sign in with a PIN on a shop device, switching out whoever was signed in there
+ * POST /api/v1/auth/pin-login
+ */
+router.post('/pin-login', requireShopDevice, asyncHandler(async (req, res) => {
+  const { userId, pin } = req.body;
+
+  const errors = [];
+  if (!userId) errors.push({ field: 'userId', message: 'User is required' });
+  if (!pin) errors.push({ field: 'pin', message: 'PIN is required' });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const user = await dbConnection.get(
+    'SELECT * FROM users WHERE id = ? AND is_active = 1 AND pin_hash IS NOT NULL',
+    [userId]
+  );
+
+  if (!user) {
+    await loginAttempts.recordAttempt({ req, success: false, method: 'pin', failureReason: 'unknown_user' });
+    throw new AuthenticationError('Invalid user or PIN');
+  }
+
+  await assertLoginAllowed(user, req, res, 'pin');
+
+  const isValidPin = await bcrypt.compare(String(pin), user.pin_hash);
+  if (!isValidPin) {
+    await loginAttempts.registerFailure(user, req, { method: 'pin', failureReason: 'invalid_pin' });
+    throw new AuthenticationError('Invalid user or PIN');
+  }
+
+  const session = await sessions.createShopFloorSession(user, req, req.shopDevice);
+
+  // One person at a time per device; the device itself stays registered
+  const switchedOut = await sessions.revokeDeviceSessions(req.shopDevice.id, 'user_switched', session.sessionId);
+
+  await touchDevice(req.shopDevice.id, user.id);
+  await dbConnection.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+  await loginAttempts.registerSuccess(user, req, 'pin');
+
+  logger.auth('pin_login', user.id, {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
-    remember
+    sessionId: session.sessionId,
+    shopDeviceId: req.shopDevice.id,
+    switchedOut
   });
-  
-  // Remove password from response
-  const { password_hash, ...userResponse } = user;
-  
+
+  const rolePermissions = getPermissions(user.role);
+
   res.json({
-    user: userResponse,
-    token,
-    refreshToken,
-    expiresIn: config.SECURITY.JWT_EXPIRES_IN
+    user: {
+      id: user.id,
+      username: user.username,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      permissions: rolePermissions.filter(permission => config.SECURITY.SHOP_FLOOR_PERMISSIONS.includes(permission))
+    },
+    device: { id: req.shopDevice.id, name: req.shopDevice.name },
+    token: session.token,
+    expiresIn: session.expiresIn
+  });
+}));
+
+/**
+ * Set or change the current user's shop-floor PIN
+ * PUT /api/v1/auth/pin
+ */
+router.put('/pin', authenticateUser, asyncHandler(async (req, res) => {
+  const { pin, password } = req.body;
+
+  const errors = [];
+  if (!password) errors.push({ field: 'password', message: 'Password is required' });
+
+  const pinError = validatePin(pin);
+  if (pinError) errors.push(pinError);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const user = await dbConnection.get('SELECT id, password_hash FROM users WHERE id = ?', [req.user.id]);
+
+  if (!(await bcrypt.compare(password, user.password_hash))) {
+    throw new AuthenticationError('Invalid password');
+  }
+
+  const pinHash = await bcrypt.hash(String(pin), config.SECURITY.BCRYPT_ROUNDS);
+
+  await dbConnection.run(
+    'UPDATE users SET pin_hash = ?, pin_set_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [pinHash, user.id]
+  );
+
+  logger.auth('pin_set', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
   });
+
+  res.json({ message: 'PIN saved' });
 }));
 
 /**
- * User logout
+ * Remove the current user's PIN, ending their shop-floor sessions
+ * DELETE /api/v1/auth/pin
+ */
+router.delete('/pin', authenticateUser, asyncHandler(async (req, res) => {
+  await dbConnection.run(
+    'UPDATE users SET pin_hash = NULL, pin_set_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [req.user.id]
+  );
+
+  await dbConnection.run(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'pin_removed'
+    WHERE user_id = ? AND shop_device_id IS NOT NULL AND revoked_at IS NULL
+  `, [req.user.id]);
+
+  logger.auth('pin_removed', req.user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({ message: 'PIN removed' });
+}));
+
+/**
+ * User logout, ending the session of the access or refresh token
  * POST /api/v1/auth/logout
  */
 router.post('/logout', asyncHandler(async (req, res) => {
-  // In a production app, you might want to blacklist the token
-  // For now, we'll just log the logout event
-  
-  const authHeader = req.headers.authorization;
-  if (authHeader) {
+  const { refreshToken } = req.body;
+  let session = null;
+
+  // Either token identifies the session; an already invalid token is fine for logout
+  const accessToken = getBearerToken(req);
+  if (accessToken) {
     try {
-      const token = authHeader.split(' ')[1];
-      const decoded = jwt.verify(token, config.SECURITY.JWT_SECRET);
-      
-      logger.auth('logout', decoded.id, {
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
-      });
+      const decoded = jwt.verify(accessToken, config.SECURITY.JWT_SECRET);
+      session = decoded.sid ? { id: decoded.sid, user_id: decoded.id } : null;
     } catch (error) {
-      // Invalid token, but that's okay for logout
+      session = null;
     }
   }
+
+  if (!session && refreshToken) {
+    session = await sessions.findSessionByRefreshToken(refreshToken);
+  }
+
+  if (session) {
+    await sessions.revokeSession(session.id, 'logout');
+
+    logger.auth('logout', session.user_id, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      sessionId: session.id
+    });
+  }
   
   res.json({ message: 'Logged out successfully' });
 }));
 
 /**
- * Refresh token
+ * Refresh token, rotating the refresh token on every use
  * POST /api/v1/auth/refresh
  */
 router.post('/refresh', asyncHandler(async (req, res) => {
@@ -149,102 +553,410 @@ router.post('/refresh', asyncHandler(async (req, res) => {
     throw new AuthenticationError('Refresh token is required');
   }
   
-  try {
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, config.SECURITY.JWT_SECRET + 'refresh');
-    
-    // Get user
-    const user = await dbConnection.get(
-      'SELECT * FROM users WHERE id = ? AND is_active = 1',
-      [decoded.id]
-    );
-    
-    if (!user) {
-      throw new AuthenticationError('Invalid refresh token');
+  const session = await sessions.rotateRefreshToken(refreshToken, req);
+  
+  logger.auth('token_refresh', session.user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    sessionId: session.sessionId
+  });
+  
+  res.json({
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn
+  });
+}));
+
+/**
+ * List active sessions of the current user, or of another user for owners
+ * GET /api/v1/auth/sessions
+ */
+router.get('/sessions', authenticateUser, asyncHandler(async (req, res) => {
+  const userId = resolveSessionOwner(req);
+
+  const activeSessions = await sessions.listSessions(userId);
+
+  res.json(activeSessions.map(session => ({
+    ...session,
+    current: session.id === req.sessionId
+  })));
+}));
+
+/**
+ * End every other session of the current user, or all sessions of another user for owners
+ * DELETE /api/v1/auth/sessions
+ */
+router.delete('/sessions', authenticateUser, asyncHandler(async (req, res) => {
+  const userId = resolveSessionOwner(req);
+  const keepSessionId = userId === req.user.id ? req.sessionId : null;
+
+  const revoked = await sessions.revokeUserSessions(userId, 'revoked_by_user', keepSessionId);
+
+  logger.auth('sessions_revoked', userId, {
+    revokedBy: req.user.id,
+    count: revoked
+  });
+
+  res.json({
+    message: `${revoked} session(s) ended`,
+    revoked
+  });
+}));
+
+/**
+ * End a single session
+ * DELETE /api/v1/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateUser, asyncHandler(async (req, res) => {
+  const session = await dbConnection.get(
+    'SELECT id, user_id FROM user_sessions WHERE id = ? AND revoked_at IS NULL',
+    [req.params.id]
+  );
+
+  // Other users' sessions are invisible unless the caller manages users
+  if (!session || (session.user_id !== req.user.id && !hasPermission(req.user.role, 'users:manage'))) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await sessions.revokeSession(session.id, 'revoked_by_user');
+
+  logger.auth('session_revoked', session.user_id, {
+    sessionId: session.id,
+    revokedBy: req.user.id
+  });
+
+  res.json({ message: 'Session ended' });
+}));
+
+/**
+ * Get the login history of the current user, or of every user for owners
+ * GET /api/v1/auth/login-history
+ */
+router.get('/login-history', authenticateUser, asyncHandler(async (req, res) => {
+  const {
+    userId,
+    email,
+    ip,
+    success,
+    dateFrom,
+    dateTo,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+
+  if (hasPermission(req.user.role, 'users:manage')) {
+    if (userId) {
+      conditions.push('la.user_id = ?');
+      params.push(userId);
     }
-    
-    // Generate new tokens
-    const newToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
-    
-    logger.auth('token_refresh', user.id, {
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-    
-    res.json({
-      token: newToken,
-      refreshToken: newRefreshToken,
-      expiresIn: config.SECURITY.JWT_EXPIRES_IN
-    });
-    
-  } catch (error) {
-    throw new AuthenticationError('Invalid refresh token');
+
+    if (email) {
+      conditions.push('la.email = ?');
+      params.push(email);
+    }
+
+    if (ip) {
+      conditions.push('la.ip_address = ?');
+      params.push(ip);
+    }
+  } else if (userId && Number(userId) !== req.user.id) {
+    throw new AuthorizationError('Missing permission: users:manage');
+  } else {
+    conditions.push('la.user_id = ?');
+    params.push(req.user.id);
+  }
+
+  if (success !== undefined) {
+    conditions.push('la.success = ?');
+    params.push(success === 'true' ? 1 : 0);
   }
+
+  if (dateFrom) {
+    conditions.push('DATE(la.created_at) >= ?');
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push('DATE(la.created_at) <= ?');
+    params.push(dateTo);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { total } = await dbConnection.get(
+    `SELECT COUNT(*) as total FROM login_attempts la ${whereClause}`,
+    params
+  );
+
+  const attempts = await dbConnection.all(`
+    SELECT
+      la.*,
+      u.username,
+      u.first_name || ' ' || u.last_name as user_name
+    FROM login_attempts la
+    LEFT JOIN users u ON la.user_id = u.id
+    ${whereClause}
+    ORDER BY la.created_at DESC, la.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  res.json({
+    attempts,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
 }));
 
 /**
  * Get current user profile
  * GET /api/v1/auth/profile
  */
-router.get('/profile', asyncHandler(async (req, res) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
-    throw new AuthenticationError('Authorization header is required');
+router.get('/profile', authenticateUser, asyncHandler(async (req, res) => {
+  const user = await dbConnection.get(
+    'SELECT id, username, email, first_name, last_name, role, phone, is_active, email_verified_at, two_factor_enabled_at, pin_set_at, last_login_at, created_at FROM users WHERE id = ?',
+    [req.user.id]
+  );
+
+  res.json({ ...user, permissions: req.user.permissions });
+}));
+
+/**
+ * Get the current user's two-factor status
+ * GET /api/v1/auth/2fa
+ */
+router.get('/2fa', authenticateUser, asyncHandler(async (req, res) => {
+  const user = await dbConnection.get(
+    'SELECT two_factor_secret, two_factor_enabled_at FROM users WHERE id = ?',
+    [req.user.id]
+  );
+
+  res.json({
+    enabled: Boolean(user.two_factor_enabled_at),
+    enabledAt: user.two_factor_enabled_at,
+    pendingSetup: Boolean(user.two_factor_secret && !user.two_factor_enabled_at),
+    required: await twoFactor.isTwoFactorRequired(req.user.role),
+    recoveryCodesRemaining: await twoFactor.countRecoveryCodes(req.user.id)
+  });
+}));
+
+/**
+ * Start two-factor enrolment, returning the secret and a QR code for an authenticator app
+ * POST /api/v1/auth/2fa/setup
+ */
+router.post('/2fa/setup', authenticateForEnrollment, asyncHandler(async (req, res) => {
+  const user = await dbConnection.get(
+    'SELECT id, email, two_factor_enabled_at FROM users WHERE id = ?',
+    [req.user.id]
+  );
+
+  if (user.two_factor_enabled_at) {
+    throw new ConflictError('Two-factor authentication is already enabled');
   }
-  
-  const token = authHeader.split(' ')[1];
-  
-  try {
-    const decoded = jwt.verify(token, config.SECURITY.JWT_SECRET);
-    
-    const user = await dbConnection.get(
-      'SELECT id, username, email, first_name, last_name, role, phone, is_active, last_login_at, created_at FROM users WHERE id = ? AND is_active = 1',
-      [decoded.id]
+
+  const enrollment = await twoFactor.beginEnrollment(user);
+
+  logger.auth('two_factor_setup_started', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json(enrollment);
+}));
+
+/**
+ * Confirm enrolment with a first code; returns recovery codes, and a session when finishing a login
+ * POST /api/v1/auth/2fa/enable
+ */
+router.post('/2fa/enable', authenticateForEnrollment, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ValidationError('Validation failed', [
+      { field: 'code', message: 'Authentication code is required' }
+    ]);
+  }
+
+  const user = await dbConnection.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+
+  if (user.two_factor_enabled_at) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  if (!user.two_factor_secret) {
+    throw new ConflictError('Start two-factor setup before enabling it');
+  }
+
+  if (!(await twoFactor.verifyUserCode(user, code))) {
+    throw new ValidationError('Invalid authentication code', [
+      { field: 'code', message: 'Code does not match the authenticator app' }
+    ]);
+  }
+
+  await dbConnection.run(
+    'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id]
+  );
+
+  const recoveryCodes = await twoFactor.generateRecoveryCodes(user.id);
+
+  logger.auth('two_factor_enabled', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (req.enrollmentChallenge) {
+    const login = await completeLogin(
+      { ...user, two_factor_enabled_at: new Date().toISOString() },
+      req,
+      { deviceName: req.enrollmentChallenge.deviceName, method: 'totp' }
     );
-    
-    if (!user) {
-      throw new AuthenticationError('User not found');
-    }
-    
-    res.json(user);
-    
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      throw new AuthenticationError('Invalid or expired token');
-    }
-    throw error;
+
+    return res.json({ ...login, recoveryCodes });
+  }
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes
+  });
+}));
+
+/**
+ * Replace the recovery codes
+ * POST /api/v1/auth/2fa/recovery-codes
+ */
+router.post('/2fa/recovery-codes', authenticateUser, asyncHandler(async (req, res) => {
+  const user = await dbConnection.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+
+  if (!user.two_factor_enabled_at) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await twoFactor.verifyUserCode(user, req.body.code))) {
+    throw new ValidationError('Invalid authentication code', [
+      { field: 'code', message: 'Code does not match the authenticator app' }
+    ]);
   }
+
+  const recoveryCodes = await twoFactor.generateRecoveryCodes(user.id);
+
+  logger.auth('two_factor_recovery_codes_regenerated', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({ recoveryCodes });
 }));
 
 /**
- * Register new user (admin only for now)
+ * Turn two-factor authentication off (not allowed where the role requires it)
+ * POST /api/v1/auth/2fa/disable
+ */
+router.post('/2fa/disable', authenticateUser, asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const errors = [];
+  if (!password) errors.push({ field: 'password', message: 'Password is required' });
+  if (!code) errors.push({ field: 'code', message: 'Authentication code is required' });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  if (await twoFactor.isTwoFactorRequired(req.user.role)) {
+    throw new AuthorizationError(`Two-factor authentication is required for the ${req.user.role} role`);
+  }
+
+  const user = await dbConnection.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+
+  if (!user.two_factor_enabled_at) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+
+  const isValidPassword = await bcrypt.compare(password, user.password_hash);
+  if (!isValidPassword || !(await twoFactor.verifyUserCode(user, code))) {
+    throw new AuthenticationError('Invalid password or authentication code');
+  }
+
+  await twoFactor.disableTwoFactor(user.id);
+
+  logger.auth('two_factor_disabled', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+/**
+ * Get the roles that must use two-factor authentication
+ * GET /api/v1/auth/2fa/policy
+ */
+router.get('/2fa/policy', authenticateUser, requirePermission('settings:write'), asyncHandler(async (req, res) => {
+  res.json({
+    requiredRoles: await getSetting(twoFactor.REQUIRED_ROLES_SETTING, [])
+  });
+}));
+
+/**
+ * Set the roles that must use two-factor authentication
+ * PUT /api/v1/auth/2fa/policy
+ */
+router.put('/2fa/policy', authenticateUser, requirePermission('settings:write'), asyncHandler(async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !isValidRole(role))) {
+    throw new ValidationError('Validation failed', [
+      { field: 'requiredRoles', message: `Required roles must be a list of: ${ROLES.join(', ')}` }
+    ]);
+  }
+
+  const roles = ROLES.filter(role => requiredRoles.includes(role));
+  await setSetting(twoFactor.REQUIRED_ROLES_SETTING, roles, req.user.id, 'json');
+
+  logger.security('two_factor_policy_changed', {
+    userId: req.user.id,
+    requiredRoles: roles
+  });
+
+  res.json({ requiredRoles: roles });
+}));
+
+/**
+ * Register the first owner account (first-run setup only)
  * POST /api/v1/auth/register
  */
-router.post('/register', asyncHandler(async (req, res) => {
+router.post('/register', authorizeRegistration, asyncHandler(async (req, res) => {
   const { 
     username, 
     email, 
     password, 
     firstName, 
     lastName, 
-    role = 'mechanic',
     phone 
   } = req.body;
+
+  // The first account owns the shop
+  const role = 'owner';
   
   // Validate input
   const errors = [];
   
   if (!username) errors.push({ field: 'username', message: 'Username is required' });
   if (!email) errors.push({ field: 'email', message: 'Email is required' });
-  if (!password) errors.push({ field: 'password', message: 'Password is required' });
   if (!firstName) errors.push({ field: 'firstName', message: 'First name is required' });
   if (!lastName) errors.push({ field: 'lastName', message: 'Last name is required' });
-  
-  if (password && password.length < 8) {
-    errors.push({ field: 'password', message: 'Password must be at least 8 characters long' });
-  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) errors.push(passwordError);
   
   if (errors.length > 0) {
     throw new ValidationError('Validation failed', errors);
@@ -273,9 +985,11 @@ router.post('/register', asyncHandler(async (req, res) => {
   
   // Get created user
   const newUser = await dbConnection.get(
-    'SELECT id, username, email, first_name, last_name, role, phone, is_active, created_at FROM users WHERE id = ?',
+    'SELECT id, username, email, first_name, last_name, role, phone, is_active, email_verified_at, created_at FROM users WHERE id = ?',
     [result.lastID]
   );
+
+  const verificationSent = await sendVerificationEmail(newUser, req);
   
   logger.auth('register', newUser.id, {
     ip: req.ip,
@@ -285,8 +999,204 @@ router.post('/register', asyncHandler(async (req, res) => {
   
   res.status(201).json({
     message: 'User created successfully',
-    user: newUser
+    user: newUser,
+    verificationSent
+  });
+}));
+
+/**
+ * Request a password reset link
+ * POST /api/v1/auth/forgot-password
+ */
+router.post('/forgot-password', asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new ValidationError('Validation failed', [
+      { field: 'email', message: 'Email is required' }
+    ]);
+  }
+
+  const user = await dbConnection.get(
+    'SELECT id, email, first_name FROM users WHERE email = ? AND is_active = 1',
+    [email]
+  );
+
+  // Same answer whether or not the account exists, so emails cannot be probed
+  if (user) {
+    await sendPasswordResetEmail(user, req);
+
+    logger.auth('password_reset_requested', user.id, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+}));
+
+/**
+ * Set a new password with a reset token
+ * POST /api/v1/auth/reset-password
+ */
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const errors = [];
+  if (!token) errors.push({ field: 'token', message: 'Reset token is required' });
+
+  const passwordError = validatePassword(password);
+  if (passwordError) errors.push(passwordError);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const userId = await consumeAuthToken(token, 'password_reset');
+
+  if (!userId) {
+    throw new ValidationError('Invalid or expired reset token', [
+      { field: 'token', message: 'Reset link is invalid or has expired' }
+    ]);
+  }
+
+  const passwordHash = await bcrypt.hash(password, config.SECURITY.BCRYPT_ROUNDS);
+
+  // Receiving the reset email proves the address, and settles a pending invitation too
+  await dbConnection.run(`
+    UPDATE users
+    SET
+      password_hash = ?,
+      email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+      invitation_accepted_at = CASE WHEN invited_at IS NOT NULL THEN COALESCE(invitation_accepted_at, CURRENT_TIMESTAMP) END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [passwordHash, userId]);
+
+  // Whoever knew the old password must not stay signed in
+  const revoked = await sessions.revokeUserSessions(userId, 'password_reset');
+  await loginAttempts.clearLockout(userId);
+
+  logger.auth('password_reset', userId, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    sessionsRevoked: revoked
+  });
+
+  res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+}));
+
+/**
+ * Accept an invitation by choosing a password
+ * POST /api/v1/auth/accept-invitation
+ */
+router.post('/accept-invitation', asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const errors = [];
+  if (!token) errors.push({ field: 'token', message: 'Invitation token is required' });
+
+  const passwordError = validatePassword(password);
+  if (passwordError) errors.push(passwordError);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const userId = await consumeAuthToken(token, 'invitation');
+
+  const user = userId && await dbConnection.get(
+    'SELECT id, email FROM users WHERE id = ? AND is_active = 1',
+    [userId]
+  );
+
+  if (!user) {
+    throw new ValidationError('Invalid or expired invitation', [
+      { field: 'token', message: 'Invitation link is invalid or has expired' }
+    ]);
+  }
+
+  const passwordHash = await bcrypt.hash(password, config.SECURITY.BCRYPT_ROUNDS);
+
+  // The invitation went to this address, so it is verified
+  await dbConnection.run(`
+    UPDATE users
+    SET
+      password_hash = ?,
+      invitation_accepted_at = CURRENT_TIMESTAMP,
+      email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [passwordHash, user.id]);
+
+  logger.auth('invitation_accepted', user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    message: 'Invitation accepted. You can now sign in.',
+    email: user.email
+  });
+}));
+
+/**
+ * Confirm an email address with a verification token
+ * POST /api/v1/auth/verify-email
+ */
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new ValidationError('Validation failed', [
+      { field: 'token', message: 'Verification token is required' }
+    ]);
+  }
+
+  const userId = await consumeAuthToken(token, 'email_verification');
+
+  if (!userId) {
+    throw new ValidationError('Invalid or expired verification token', [
+      { field: 'token', message: 'Verification link is invalid or has expired' }
+    ]);
+  }
+
+  await dbConnection.run(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+    [userId]
+  );
+
+  logger.auth('email_verified', userId, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
   });
+
+  res.json({ message: 'Email address verified' });
+}));
+
+/**
+ * Send a new verification link
+ * POST /api/v1/auth/verify-email/resend
+ */
+router.post('/verify-email/resend', asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new ValidationError('Validation failed', [
+      { field: 'email', message: 'Email is required' }
+    ]);
+  }
+
+  const user = await dbConnection.get(
+    'SELECT id, email, first_name FROM users WHERE email = ? AND is_active = 1 AND email_verified_at IS NULL',
+    [email]
+  );
+
+  if (user) {
+    await sendVerificationEmail(user, req);
+  }
+
+  res.json({ message: 'If that email needs verifying, a new link has been sent' });
 }));
 
 module.exports = router;
@@ -4,12 +4,113 @@
  */
 
 const express = require('express');
-const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const multer = require('multer');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 const dbConnection = require('../database/connection');
+const config = require('../../config/app');
 const logger = require('../utils/logger');
+const csv = require('../utils/csv');
+const xlsx = require('../utils/xlsx');
+const vcard = require('../utils/vcard');
+const { createMatchIndex, normalizeEmail, findDuplicatePairs } = require('../utils/clientMatching');
+const { MERGE_TABLES, mergeClients, undoMerge } = require('../utils/clientMerge');
+const { recordAudit, recordChange, recordChanges } = require('../utils/audit');
+const { buildMatchQuery, clientSearchRank } = require('../utils/search');
+const {
+  ACCOUNT_TYPES,
+  normalizeClientFilters,
+  getSegment,
+  resolveClientFilters,
+  buildClientQuery
+} = require('../utils/clientFilters');
+const { getFieldDefinitions, parseCustomFields, mergeCustomFieldValues } = require('../utils/customFields');
+const { TIMELINE_TYPES, getTimeline } = require('../utils/clientTimeline');
+const { isValidDate, isValidTime } = require('../utils/scheduling');
+const {
+  COMMUNICATION_CHANNELS,
+  COMMUNICATION_DIRECTIONS,
+  COMMUNICATION_PURPOSES,
+  getCommunication
+} = require('../utils/communications');
+const { buildPersonalDataExport, eraseClient } = require('../utils/clientPrivacy');
+const { auditTrail } = require('../middleware/audit');
+const { requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+router.use(auditTrail([
+  {
+    entityType: 'client',
+    table: 'clients',
+    children: [
+      { key: 'contacts', table: 'client_contacts', foreignKey: 'client_id' },
+      { key: 'tags', table: 'client_tags', foreignKey: 'client_id' }
+    ]
+  },
+  {
+    path: '/tags',
+    entityType: 'tag',
+    table: 'tags',
+    children: [{ key: 'clients', table: 'client_tags', foreignKey: 'tag_id' }]
+  },
+  { path: '/segments', entityType: 'client_segment', table: 'client_segments' }
+]));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.UPLOADS.MAX_FILE_SIZE }
+});
+
+const CONTACT_METHODS = ['phone', 'email', 'sms'];
+const CONTACT_ROLES = ['primary', 'billing', 'fleet_manager', 'driver', 'other'];
+
+// Spreadsheet headings recognised for each client field, after normalizeHeader
+const IMPORT_COLUMNS = {
+  firstName: ['first_name', 'firstname', 'first', 'given_name'],
+  lastName: ['last_name', 'lastname', 'last', 'surname', 'family_name'],
+  fullName: ['name', 'full_name', 'client', 'client_name', 'customer', 'customer_name'],
+  email: ['email', 'email_address', 'e_mail'],
+  phone: ['phone', 'phone_number', 'telephone', 'tel', 'mobile', 'cell'],
+  address: ['address', 'street', 'street_address', 'address_line_1'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region'],
+  zipCode: ['zip_code', 'zip', 'zipcode', 'postal_code', 'postcode'],
+  dateOfBirth: ['date_of_birth', 'dob', 'birth_date', 'birthday'],
+  notes: ['notes', 'note', 'comments'],
+  preferredContactMethod: ['preferred_contact_method', 'contact_method', 'preferred_contact']
+};
+
+const DUPLICATE_ACTIONS = ['skip', 'create'];
+
+const INVOICE_STATUSES = ['draft', 'sent', 'paid', 'overdue', 'cancelled'];
+const COMMUNICATION_STATUSES = ['logged', 'queued', 'sent', 'failed', 'blocked'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  vcard: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'first_name', header: 'first_name' },
+  { key: 'last_name', header: 'last_name' },
+  { key: 'account_type', header: 'account_type' },
+  { key: 'company_name', header: 'company_name' },
+  { key: 'email', header: 'email' },
+  { key: 'phone', header: 'phone' },
+  { key: 'address', header: 'address' },
+  { key: 'city', header: 'city' },
+  { key: 'state', header: 'state' },
+  { key: 'zip_code', header: 'zip_code' },
+  { key: 'date_of_birth', header: 'date_of_birth' },
+  { key: 'preferred_contact_method', header: 'preferred_contact_method' },
+  { key: 'notes', header: 'notes' },
+  { key: 'is_active', header: 'is_active' },
+  { key: 'vehicle_count', header: 'vehicle_count' },
+  { key: 'created_at', header: 'created_at' }
+];
+
 /**
  * Validate client input
  */
@@ -32,53 +133,256 @@ function validateClientInput(data, isUpdate = false) {
     errors.push({ field: 'phone', message: 'Invalid phone number format' });
   }
   
+  if (data.preferredContactMethod && !CONTACT_METHODS.includes(data.preferredContactMethod)) {
+    errors.push({ field: 'preferredContactMethod', message: `Contact method must be one of: ${CONTACT_METHODS.join(', ')}` });
+  }
+  
+  if (data.accountType && !ACCOUNT_TYPES.includes(data.accountType)) {
+    errors.push({ field: 'accountType', message: `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}` });
+  }
+  
+  if (!isUpdate && data.accountType === 'business' && !data.companyName) {
+    errors.push({ field: 'companyName', message: 'Company name is required for business accounts' });
+  }
+  
+  if (data.paymentTerms !== undefined && data.paymentTerms !== null && (!Number.isInteger(Number(data.paymentTerms)) || Number(data.paymentTerms) < 0)) {
+    errors.push({ field: 'paymentTerms', message: 'Payment terms must be a positive number of days' });
+  }
+  
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+    errors.push({ field: 'tags', message: 'Tags must be a list of tag names' });
+  }
+  
+  ['marketingEmailConsent', 'marketingSmsConsent'].forEach((field) => {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors.push({ field, message: 'Consent must be true or false' });
+    }
+  });
+  
+  // Quiet hours are set, or cleared with null, together
+  if (data.quietHoursStart !== undefined || data.quietHoursEnd !== undefined) {
+    const clearing = data.quietHoursStart === null && data.quietHoursEnd === null;
+    if (!clearing && (!isValidTime(data.quietHoursStart) || !isValidTime(data.quietHoursEnd))) {
+      errors.push({ field: 'quietHoursStart', message: 'Quiet hours need a start and end time in HH:MM format, or null for both' });
+    }
+  }
+  
   if (errors.length > 0) {
     throw new ValidationError('Validation failed', errors);
   }
 }
 
 /**
- * Get all clients
- * GET /api/v1/clients
+ * Validate business account contact input
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const { 
-    page = 1, 
-    limit = 20, 
-    search = '', 
-    active = 'true',
-    sortBy = 'last_name',
-    sortOrder = 'ASC'
-  } = req.query;
+function validateContactInput(data, isUpdate = false) {
+  const errors = [];
   
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-  const searchTerm = `%${search}%`;
+  if (!isUpdate && !data.firstName) {
+    errors.push({ field: 'firstName', message: 'First name is required' });
+  }
   
-  // Build WHERE clause
-  let whereClause = '';
-  const params = [];
+  if (!isUpdate && !data.lastName) {
+    errors.push({ field: 'lastName', message: 'Last name is required' });
+  }
   
-  if (active !== 'all') {
-    whereClause += 'WHERE is_active = ?';
-    params.push(active === 'true' ? 1 : 0);
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push({ field: 'email', message: 'Invalid email format' });
   }
   
-  if (search) {
-    whereClause += whereClause ? ' AND ' : 'WHERE ';
-    whereClause += '(first_name LIKE ? OR last_name LIKE ? OR email LIKE ? OR phone LIKE ?)';
-    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  if (data.phone && !/^[\d\s\-\(\)\+\.]+$/.test(data.phone)) {
+    errors.push({ field: 'phone', message: 'Invalid phone number format' });
   }
   
-  // Validate sort parameters
-  const validSortFields = ['first_name', 'last_name', 'email', 'created_at'];
-  const validSortOrders = ['ASC', 'DESC'];
+  if (data.role && !CONTACT_ROLES.includes(data.role)) {
+    errors.push({ field: 'role', message: `Role must be one of: ${CONTACT_ROLES.join(', ')}` });
+  }
   
-  const sortField = validSortFields.includes(sortBy) ? sortBy : 'last_name';
-  const sortDirection = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'ASC';
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Normalize a spreadsheet heading, e.g. "E-mail Address" => "e_mail_address"
+ */
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Work out which client field each column holds, letting an explicit
+ * { heading: field } mapping override the recognised headings
+ */
+function mapImportColumns(headers, mapping = {}) {
+  const columns = {};
+  const errors = [];
+
+  headers.forEach((header) => {
+    if (mapping[header] !== undefined) {
+      if (mapping[header] && !IMPORT_COLUMNS[mapping[header]]) {
+        errors.push({ field: `mapping.${header}`, message: `Unknown client field: ${mapping[header]}` });
+      } else if (mapping[header]) {
+        columns[header] = mapping[header];
+      }
+      return;
+    }
+
+    const field = Object.keys(IMPORT_COLUMNS).find(key => IMPORT_COLUMNS[key].includes(normalizeHeader(header)));
+    if (field && !Object.values(columns).includes(field)) {
+      columns[header] = field;
+    }
+  });
+
+  const fields = Object.values(columns);
+  if (!fields.includes('fullName') && !(fields.includes('firstName') && fields.includes('lastName'))) {
+    errors.push({ field: 'file', message: 'Columns for first and last name (or a full name) are required' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Import failed', errors);
+  }
+
+  return columns;
+}
+
+/**
+ * Validate timeline filters and split the comma-separated types
+ */
+function parseTimelineFilters({ types = '', vehicleId, dateFrom, dateTo }) {
+  const errors = [];
+  const typeList = String(types).split(',').map(type => type.trim()).filter(Boolean);
+
+  if (typeList.some(type => !TIMELINE_TYPES.includes(type))) {
+    errors.push({ field: 'types', message: `Types must be among: ${TIMELINE_TYPES.join(', ')}` });
+  }
+
+  Object.entries({ dateFrom, dateTo }).forEach(([field, value]) => {
+    if (value && !isValidDate(value)) {
+      errors.push({ field, message: 'Date must be in YYYY-MM-DD format' });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return { types: typeList, vehicleId, dateFrom, dateTo };
+}
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ */
+function readImportFile(file) {
+  const isXlsx = /\.xlsx$/i.test(file.originalname) || file.buffer.subarray(0, 2).toString() === 'PK';
+
+  try {
+    return csv.toRecords(isXlsx ? xlsx.parseRows(file.buffer) : csv.parseRows(file.buffer.toString('utf8')));
+  } catch (error) {
+    throw new ValidationError('Import failed', [{ field: 'file', message: error.message }]);
+  }
+}
+
+/**
+ * Turn a spreadsheet record into the input accepted by validateClientInput
+ */
+function toClientData(record, columns) {
+  const data = {};
+
+  Object.entries(columns).forEach(([header, field]) => {
+    if (record[header] !== '') {
+      data[field] = record[header];
+    }
+  });
+
+  // Split "Mike Johnson" into first and last name when there are no separate columns
+  if (data.fullName) {
+    const parts = data.fullName.split(/\s+/);
+    data.firstName = data.firstName || (parts.length > 1 ? parts.slice(0, -1).join(' ') : parts[0]);
+    data.lastName = data.lastName || (parts.length > 1 ? parts[parts.length - 1] : '');
+    delete data.fullName;
+  }
+
+  if (data.preferredContactMethod) {
+    data.preferredContactMethod = data.preferredContactMethod.toLowerCase();
+  }
+
+  // Excel stores dates as day numbers unless the column is formatted as text
+  if (data.dateOfBirth && /^\d+(\.\d+)?$/.test(data.dateOfBirth)) {
+    data.dateOfBirth = xlsx.serialToDate(data.dateOfBirth);
+  }
+
+  return data;
+}
+
+/**
+ * Get the tag names of each client, as a Map of client id => names
+ */
+async function getTagsByClient(clientIds) {
+  const tags = new Map(clientIds.map(id => [id, []]));
+  
+  if (clientIds.length > 0) {
+    const rows = await dbConnection.all(`
+      SELECT ct.client_id, t.name
+      FROM client_tags ct
+      INNER JOIN tags t ON ct.tag_id = t.id
+      WHERE ct.client_id IN (${clientIds.map(() => '?').join(', ')})
+      ORDER BY t.name
+    `, clientIds);
+    
+    rows.forEach(row => tags.get(row.client_id).push(row.name));
+  }
+  
+  return tags;
+}
+
+/**
+ * Statements replacing a client's tags with the named ones, creating tags
+ * that do not exist yet
+ */
+function setClientTagsStatements(clientId, names, userId) {
+  const tagNames = [...new Set(names.map(name => name.trim()))];
+  const placeholders = tagNames.map(() => '?').join(', ');
+  
+  return [
+    ...tagNames.map(name => ({ sql: 'INSERT OR IGNORE INTO tags (name) VALUES (?)', params: [name] })),
+    {
+      sql: `DELETE FROM client_tags WHERE client_id = ? AND tag_id NOT IN (SELECT id FROM tags WHERE name IN (${placeholders || 'NULL'}))`,
+      params: [clientId, ...tagNames]
+    },
+    ...(tagNames.length > 0 ? [{
+      sql: `
+        INSERT OR IGNORE INTO client_tags (client_id, tag_id, created_by)
+        SELECT ?, id, ? FROM tags WHERE name IN (${placeholders})
+      `,
+      params: [clientId, userId, ...tagNames]
+    }] : [])
+  ];
+}
+
+/**
+ * Add tags and parsed custom fields to client rows
+ */
+async function withTagsAndFields(clients) {
+  const tags = await getTagsByClient(clients.map(client => client.id));
+  
+  return clients.map(client => ({
+    ...client,
+    custom_fields: parseCustomFields(client.custom_fields),
+    tags: tags.get(client.id)
+  }));
+}
+
+/**
+ * List one page of clients matching normalized filters
+ */
+async function listClients(filters, page, limit) {
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const { joinClause, whereClause, params, orderBy } = buildClientQuery(filters);
   
   // Get total count
   const totalResult = await dbConnection.get(`
-    SELECT COUNT(*) as total FROM clients ${whereClause}
+    SELECT COUNT(*) as total FROM clients ${joinClause} ${whereClause}
   `, params);
   
   // Get clients
@@ -87,6 +391,8 @@ router.get('/', asyncHandler(async (req, res) => {
       id,
       first_name,
       last_name,
+      account_type,
+      company_name,
       email,
       phone,
       address,
@@ -94,18 +400,20 @@ router.get('/', asyncHandler(async (req, res) => {
       state,
       zip_code,
       preferred_contact_method,
+      custom_fields,
       is_active,
       created_at,
       updated_at
     FROM clients 
+    ${joinClause}
     ${whereClause}
-    ORDER BY ${sortField} ${sortDirection}
+    ORDER BY ${orderBy}
     LIMIT ? OFFSET ?
   `, [...params, parseInt(limit), offset]);
   
   // Get vehicle count for each client
   const clientsWithVehicles = await Promise.all(
-    clients.map(async (client) => {
+    (await withTagsAndFields(clients)).map(async (client) => {
       const vehicleCount = await dbConnection.get(
         'SELECT COUNT(*) as count FROM vehicles WHERE client_id = ? AND is_active = 1',
         [client.id]
@@ -117,7 +425,7 @@ router.get('/', asyncHandler(async (req, res) => {
     })
   );
   
-  res.json({
+  return {
     clients: clientsWithVehicles,
     pagination: {
       page: parseInt(page),
@@ -125,9 +433,741 @@ router.get('/', asyncHandler(async (req, res) => {
       total: totalResult.total,
       totalPages: Math.ceil(totalResult.total / parseInt(limit))
     }
+  };
+}
+
+/**
+ * Get all clients
+ * GET /api/v1/clients
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  
+  res.json(await listClients(await resolveClientFilters(req.query), page, limit));
+}));
+
+// Columns shown for each client in duplicate suggestions
+const DUPLICATE_CANDIDATE_SELECT = `
+  SELECT
+    c.id, c.first_name, c.last_name, c.email, c.phone, c.address, c.city, c.created_at,
+    (SELECT COUNT(*) FROM vehicles v WHERE v.client_id = c.id AND v.is_active = 1) as vehicle_count,
+    (SELECT COUNT(*) FROM invoices i WHERE i.client_id = c.id) as invoice_count
+  FROM clients c
+  WHERE c.is_active = 1
+`;
+
+/**
+ * Get a client by ID or throw
+ */
+async function getClient(id) {
+  const client = await dbConnection.get('SELECT * FROM clients WHERE id = ?', [id]);
+
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+
+  return client;
+}
+
+/**
+ * Read the minimum duplicate score from the query, defaulting to the configured one
+ */
+function getMinScore(query) {
+  const minScore = query.minScore !== undefined ? Number(query.minScore) : config.BUSINESS.CLIENTS.DUPLICATE_MIN_SCORE;
+
+  if (isNaN(minScore) || minScore < 0 || minScore > 1) {
+    throw new ValidationError('Validation failed', [
+      { field: 'minScore', message: 'minScore must be between 0 and 1' }
+    ]);
+  }
+
+  return minScore;
+}
+
+/**
+ * Record that a merge moved linked records from one client to another
+ */
+async function auditMovedRecords(req, movedRecords, fromClientId, toClientId) {
+  for (const [table, ids] of Object.entries(movedRecords)) {
+    for (const id of ids) {
+      await recordAudit(req, {
+        entityType: MERGE_TABLES[table],
+        entityId: id,
+        action: 'update',
+        oldValues: { client_id: fromClientId },
+        newValues: { client_id: toClientId }
+      });
+    }
+  }
+}
+
+/**
+ * Write a chunk to the response, waiting when the client is reading slowly
+ *
+ * Returns false once the client has gone away, so the caller can stop.
+ */
+async function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    return false;
+  }
+
+  if (!res.write(chunk)) {
+    await new Promise((resolve) => {
+      const done = () => {
+        ['drain', 'close', 'error'].forEach(event => res.off(event, done));
+        resolve();
+      };
+      ['drain', 'close', 'error'].forEach(event => res.on(event, done));
+    });
+  }
+
+  return !res.destroyed;
+}
+
+/**
+ * Export clients as CSV, vCard or JSON (with vehicles)
+ * GET /api/v1/clients/export
+ *
+ * Takes the same filters as GET /clients, including a saved segment, and
+ * streams the result in batches. CSV has a column per custom field.
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError('Validation failed', [
+      { field: 'format', message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }
+    ]);
+  }
+
+  const { joinClause, whereClause, params, orderBy } = buildClientQuery(await resolveClientFilters(req.query));
+  const customFields = await getFieldDefinitions('client');
+  const filename = `clients-${new Date().toISOString().split('T')[0]}.${EXPORT_FORMATS[format].extension}`;
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    await writeChunk(res, csv.formatRow([
+      ...EXPORT_COLUMNS.map(column => column.header),
+      'tags',
+      ...customFields.map(field => `custom_${field.field_key}`)
+    ]));
+  } else if (format === 'json') {
+    await writeChunk(res, '[');
+  }
+
+  let count = 0;
+  const batches = dbConnection.batches(`
+    SELECT
+      clients.*,
+      (SELECT COUNT(*) FROM vehicles v WHERE v.client_id = clients.id AND v.is_active = 1) as vehicle_count
+    FROM clients
+    ${joinClause}
+    ${whereClause}
+    ORDER BY ${orderBy}, clients.id
+  `, params);
+
+  for await (const rows of batches) {
+    const clients = await withTagsAndFields(rows);
+    let vehicles = [];
+    if (format === 'json') {
+      vehicles = await dbConnection.all(
+        `SELECT * FROM vehicles WHERE is_active = 1 AND client_id IN (${clients.map(() => '?').join(', ')}) ORDER BY year DESC, make, model`,
+        clients.map(client => client.id)
+      );
+    }
+
+    let chunk = '';
+    clients.forEach((client) => {
+      if (format === 'csv') {
+        chunk += csv.formatRow([
+          ...EXPORT_COLUMNS.map(column => client[column.key]),
+          client.tags.join('; '),
+          ...customFields.map(field => client.custom_fields[field.field_key])
+        ]);
+      } else if (format === 'vcard') {
+        chunk += vcard.formatClient(client);
+      } else {
+        const clientVehicles = vehicles
+          .filter(vehicle => vehicle.client_id === client.id)
+          .map(vehicle => ({ ...vehicle, custom_fields: parseCustomFields(vehicle.custom_fields) }));
+        chunk += `${count > 0 ? ',' : ''}\n${JSON.stringify({ ...client, vehicles: clientVehicles })}`;
+      }
+      count++;
+    });
+
+    if (!await writeChunk(res, chunk)) {
+      logger.info('Client export stopped; the connection closed', { format, count });
+      return;
+    }
+  }
+
+  if (format === 'json') {
+    await writeChunk(res, count > 0 ? '\n]\n' : ']\n');
+  }
+
+  res.end();
+
+  logger.business('clients_exported', { format, count });
+}));
+
+/**
+ * Suggest pairs of active clients that are probably the same person
+ * GET /api/v1/clients/duplicates
+ */
+router.get('/duplicates', asyncHandler(async (req, res) => {
+  const { limit = 50 } = req.query;
+  const minScore = getMinScore(req.query);
+
+  const clients = await dbConnection.all(DUPLICATE_CANDIDATE_SELECT);
+  const byId = new Map(clients.map(client => [client.id, client]));
+  const pairs = findDuplicatePairs(clients, minScore);
+
+  res.json({
+    total: pairs.length,
+    duplicates: pairs.slice(0, parseInt(limit)).map(pair => ({
+      score: pair.score,
+      reasons: pair.reasons,
+      clients: pair.clientIds.map(id => byId.get(id))
+    }))
+  });
+}));
+
+/**
+ * Get recent client merges
+ * GET /api/v1/clients/merges
+ */
+router.get('/merges', asyncHandler(async (req, res) => {
+  const { limit = 20 } = req.query;
+
+  const merges = await dbConnection.all(`
+    SELECT
+      m.id, m.target_client_id, m.source_client_id, m.moved_records,
+      t.first_name || ' ' || t.last_name as target_client_name,
+      s.first_name || ' ' || s.last_name as source_client_name,
+      m.merged_by, u.first_name || ' ' || u.last_name as merged_by_name,
+      m.merged_at, m.undo_until, m.undone_at, m.undone_by,
+      CASE WHEN m.undone_at IS NULL AND m.undo_until > CURRENT_TIMESTAMP THEN 1 ELSE 0 END as can_undo
+    FROM client_merges m
+    LEFT JOIN clients t ON m.target_client_id = t.id
+    LEFT JOIN clients s ON m.source_client_id = s.id
+    LEFT JOIN users u ON m.merged_by = u.id
+    ORDER BY m.merged_at DESC, m.id DESC
+    LIMIT ?
+  `, [parseInt(limit)]);
+
+  res.json(merges.map(merge => ({ ...merge, moved_records: JSON.parse(merge.moved_records) })));
+}));
+
+/**
+ * Undo a client merge within the undo window
+ * POST /api/v1/clients/merges/:mergeId/undo
+ */
+router.post('/merges/:mergeId/undo', asyncHandler(async (req, res) => {
+  const merge = await dbConnection.get(`
+    SELECT *, undo_until > CURRENT_TIMESTAMP as in_window FROM client_merges WHERE id = ?
+  `, [req.params.mergeId]);
+
+  if (!merge) {
+    throw new NotFoundError('Merge not found');
+  }
+
+  if (merge.undone_at) {
+    throw new ConflictError('This merge has already been undone');
+  }
+
+  if (!merge.in_window) {
+    throw new ConflictError(`Merges can only be undone within ${config.BUSINESS.CLIENTS.MERGE_UNDO_DAYS} days`);
+  }
+
+  const [targetBefore, sourceBefore] = [await getClient(merge.target_client_id), await getClient(merge.source_client_id)];
+
+  if (sourceBefore.merged_into_id !== merge.target_client_id) {
+    throw new ConflictError('The merged client has changed since and cannot be restored');
+  }
+
+  const movedRecords = await undoMerge(merge, req.user.id);
+
+  const [target, source] = [await getClient(merge.target_client_id), await getClient(merge.source_client_id)];
+
+  await recordChange(req, 'client', target.id, targetBefore, target);
+  await recordChange(req, 'client', source.id, sourceBefore, source);
+  await auditMovedRecords(req, movedRecords, target.id, source.id);
+
+  logger.business('client_merge_undone', {
+    mergeId: merge.id,
+    targetClientId: target.id,
+    sourceClientId: source.id
+  });
+
+  const [client, restoredClient] = await withTagsAndFields([target, source]);
+
+  res.json({
+    message: 'Merge undone successfully',
+    client,
+    restoredClient
+  });
+}));
+
+/**
+ * Import clients from a CSV or XLSX file
+ * POST /api/v1/clients/import
+ *
+ * Every row is validated and checked against existing clients and earlier
+ * rows. With ?dryRun=true nothing is written and the report shows what would
+ * happen. Rows sharing an email with another client are errors; rows sharing
+ * a phone number or name are likely duplicates and are skipped unless
+ * ?onDuplicate=create. Any error stops the whole import.
+ */
+router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const { onDuplicate = 'skip' } = req.query;
+
+  if (!req.file) {
+    throw new ValidationError('Validation failed', [
+      { field: 'file', message: 'A CSV or XLSX file is required' }
+    ]);
+  }
+
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'onDuplicate', message: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` }
+    ]);
+  }
+
+  let mapping = {};
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      throw new ValidationError('Validation failed', [
+        { field: 'mapping', message: 'Mapping must be a JSON object of column heading to client field' }
+      ]);
+    }
+  }
+
+  const { headers, records } = readImportFile(req.file);
+  const columns = mapImportColumns(headers, mapping);
+
+  const existing = await dbConnection.all('SELECT id, first_name, last_name, email, phone, is_active FROM clients');
+  const matchIndex = createMatchIndex();
+  existing.forEach(client => matchIndex.add(client, { clientId: client.id, name: `${client.first_name} ${client.last_name}` }));
+
+  const emails = new Map(existing.filter(client => client.email).map(client => [normalizeEmail(client.email), `client ${client.id}`]));
+  const errors = [];
+  const duplicates = [];
+  const toCreate = [];
+
+  records.forEach((record, index) => {
+    const row = index + 2; // account for the header row
+    const data = toClientData(record, columns);
+
+    try {
+      validateClientInput(data);
+    } catch (error) {
+      error.errors.forEach(detail => errors.push({ field: `row ${row}.${detail.field}`, message: detail.message }));
+      return;
+    }
+
+    const email = normalizeEmail(data.email);
+    if (email && emails.has(email)) {
+      errors.push({ field: `row ${row}.email`, message: `This email is already used by ${emails.get(email)}` });
+      return;
+    }
+    if (email) {
+      emails.set(email, `row ${row}`);
+    }
+
+    const candidate = { first_name: data.firstName, last_name: data.lastName, phone: data.phone };
+    const matches = matchIndex.find(candidate);
+    matchIndex.add(candidate, { row, name: `${data.firstName} ${data.lastName}` });
+
+    if (matches.length > 0) {
+      duplicates.push({ row, name: `${data.firstName} ${data.lastName}`, matches });
+      if (onDuplicate === 'skip') {
+        return;
+      }
+    }
+
+    toCreate.push(data);
+  });
+
+  const report = {
+    dryRun,
+    totalRows: records.length,
+    columns,
+    unmappedColumns: headers.filter(header => !columns[header]),
+    created: toCreate.length,
+    skipped: records.length - toCreate.length - errors.length,
+    errors,
+    duplicates
+  };
+
+  if (dryRun) {
+    return res.json(report);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Import failed', errors);
+  }
+
+  const createdIds = [];
+
+  await dbConnection.withTransaction(async () => {
+    for (const data of toCreate) {
+      const result = await dbConnection.run(`
+        INSERT INTO clients (
+          first_name, last_name, email, phone, address, city, state, zip_code,
+          date_of_birth, notes, preferred_contact_method
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        data.firstName,
+        data.lastName,
+        data.email || null,
+        data.phone || null,
+        data.address || null,
+        data.city || null,
+        data.state || null,
+        data.zipCode || null,
+        data.dateOfBirth || null,
+        data.notes || null,
+        data.preferredContactMethod || 'phone'
+      ]);
+      createdIds.push(result.lastID);
+    }
+  });
+
+  if (createdIds.length > 0) {
+    const created = await dbConnection.all(
+      `SELECT * FROM clients WHERE id IN (${createdIds.map(() => '?').join(', ')})`,
+      createdIds
+    );
+    await recordChanges(req, 'client', [], created);
+  }
+
+  logger.business('clients_imported', {
+    filename: req.file.originalname,
+    created: report.created,
+    skipped: report.skipped
+  });
+
+  res.json({
+    message: 'Clients imported successfully',
+    ...report
   });
 }));
 
+/**
+ * Search clients as you type, best matches first
+ * GET /api/v1/clients/search
+ *
+ * Matches every word as a prefix across name, email, phone, address, notes
+ * and the plates and VINs of the client's vehicles.
+ */
+router.get('/search', asyncHandler(async (req, res) => {
+  const { q, limit = 10, active = 'true' } = req.query;
+  const matchQuery = buildMatchQuery(q);
+  
+  if (!q || q.length < 2 || !matchQuery) {
+    return res.json([]);
+  }
+  
+  const clients = await dbConnection.all(`
+    SELECT 
+      c.id,
+      c.first_name,
+      c.last_name,
+      c.email,
+      c.phone,
+      c.first_name || ' ' || c.last_name as full_name,
+      c.company_name,
+      c.is_active,
+      snippet(client_search, -1, '[', ']', '…', 8) as matched,
+      ${clientSearchRank()} as rank
+    FROM client_search
+    INNER JOIN clients c ON c.id = client_search.rowid
+    WHERE client_search MATCH ?
+      ${active !== 'all' ? 'AND c.is_active = ?' : ''}
+    ORDER BY rank, c.last_name, c.first_name
+    LIMIT ?
+  `, [matchQuery, ...(active !== 'all' ? [active === 'true' ? 1 : 0] : []), parseInt(limit)]);
+  
+  res.json(clients);
+}));
+
+/**
+ * Validate tag input
+ */
+function validateTagInput(data, isUpdate = false) {
+  const errors = [];
+  
+  if ((!isUpdate || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+  
+  if (data.color && !/^#[0-9a-f]{6}$/i.test(data.color)) {
+    errors.push({ field: 'color', message: 'Color must be a hex color such as #3b82f6' });
+  }
+  
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Get a tag with its number of clients, or throw
+ */
+async function getTag(id) {
+  const tag = await dbConnection.get(`
+    SELECT t.*, (SELECT COUNT(*) FROM client_tags ct WHERE ct.tag_id = t.id) as client_count
+    FROM tags t
+    WHERE t.id = ?
+  `, [id]);
+  
+  if (!tag) {
+    throw new NotFoundError('Tag not found');
+  }
+  
+  return tag;
+}
+
+/**
+ * Get all client tags
+ * GET /api/v1/clients/tags
+ */
+router.get('/tags', asyncHandler(async (req, res) => {
+  const tags = await dbConnection.all(`
+    SELECT t.*, (SELECT COUNT(*) FROM client_tags ct WHERE ct.tag_id = t.id) as client_count
+    FROM tags t
+    ORDER BY t.name
+  `);
+  
+  res.json(tags);
+}));
+
+/**
+ * Create a client tag
+ * POST /api/v1/clients/tags
+ */
+router.post('/tags', asyncHandler(async (req, res) => {
+  const tagData = req.body;
+  
+  validateTagInput(tagData);
+  
+  const existing = await dbConnection.get('SELECT id FROM tags WHERE name = ?', [tagData.name.trim()]);
+  if (existing) {
+    throw new ConflictError('A tag with this name already exists', { tagId: existing.id });
+  }
+  
+  const result = await dbConnection.run(
+    'INSERT INTO tags (name, color, description) VALUES (?, ?, ?)',
+    [tagData.name.trim(), tagData.color || null, tagData.description || null]
+  );
+  
+  res.status(201).json(await getTag(result.lastID));
+}));
+
+/**
+ * Update a client tag
+ * PUT /api/v1/clients/tags/:tagId
+ */
+router.put('/tags/:tagId', asyncHandler(async (req, res) => {
+  const { tagId } = req.params;
+  const tagData = req.body;
+  
+  validateTagInput(tagData, true);
+  await getTag(tagId);
+  
+  if (tagData.name) {
+    const existing = await dbConnection.get('SELECT id FROM tags WHERE name = ? AND id != ?', [tagData.name.trim(), tagId]);
+    if (existing) {
+      throw new ConflictError('A tag with this name already exists', { tagId: existing.id });
+    }
+  }
+  
+  await dbConnection.run(`
+    UPDATE tags SET
+      name = COALESCE(?, name),
+      color = COALESCE(?, color),
+      description = COALESCE(?, description)
+    WHERE id = ?
+  `, [tagData.name ? tagData.name.trim() : undefined, tagData.color, tagData.description, tagId]);
+  
+  res.json(await getTag(tagId));
+}));
+
+/**
+ * Delete a client tag, removing it from every client
+ * DELETE /api/v1/clients/tags/:tagId
+ */
+router.delete('/tags/:tagId', asyncHandler(async (req, res) => {
+  const tag = await getTag(req.params.tagId);
+  
+  await dbConnection.transaction([
+    { sql: 'DELETE FROM client_tags WHERE tag_id = ?', params: [tag.id] },
+    { sql: 'DELETE FROM tags WHERE id = ?', params: [tag.id] }
+  ]);
+  
+  logger.business('client_tag_deleted', { tagId: tag.id, name: tag.name, clientCount: tag.client_count });
+  
+  res.json({ message: 'Tag deleted successfully' });
+}));
+
+/**
+ * Validate segment input and its filters
+ */
+async function validateSegmentInput(data, isUpdate = false) {
+  const errors = [];
+  
+  if ((!isUpdate || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+  
+  if ((!isUpdate || data.filters !== undefined) && (!data.filters || typeof data.filters !== 'object' || Array.isArray(data.filters))) {
+    errors.push({ field: 'filters', message: 'Filters must be an object, e.g. { "noVisitMonths": 12, "vehicleFuelType": "diesel" }' });
+  }
+  
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+  
+  if (data.filters) {
+    await normalizeClientFilters(data.filters, true);
+  }
+}
+
+/**
+ * Get a segment with the number of clients it currently matches
+ */
+async function getSegmentWithCount(id) {
+  const segment = await getSegment(id);
+  const { joinClause, whereClause, params } = buildClientQuery(await normalizeClientFilters(segment.filters));
+  const { total } = await dbConnection.get(
+    `SELECT COUNT(*) as total FROM clients ${joinClause} ${whereClause}`,
+    params
+  );
+  
+  return { ...segment, client_count: total };
+}
+
+/**
+ * Get saved client segments
+ * GET /api/v1/clients/segments
+ */
+router.get('/segments', asyncHandler(async (req, res) => {
+  const segments = await dbConnection.all(`
+    SELECT s.*, u.first_name || ' ' || u.last_name as created_by_name
+    FROM client_segments s
+    LEFT JOIN users u ON s.created_by = u.id
+    ORDER BY s.name
+  `);
+  
+  res.json(segments.map(segment => ({ ...segment, filters: JSON.parse(segment.filters) })));
+}));
+
+/**
+ * Save a client segment
+ * POST /api/v1/clients/segments
+ */
+router.post('/segments', asyncHandler(async (req, res) => {
+  const segmentData = req.body;
+  
+  await validateSegmentInput(segmentData);
+  
+  const existing = await dbConnection.get('SELECT id FROM client_segments WHERE name = ?', [segmentData.name.trim()]);
+  if (existing) {
+    throw new ConflictError('A segment with this name already exists', { segmentId: existing.id });
+  }
+  
+  const result = await dbConnection.run(`
+    INSERT INTO client_segments (name, description, filters, created_by)
+    VALUES (?, ?, ?, ?)
+  `, [
+    segmentData.name.trim(),
+    segmentData.description || null,
+    JSON.stringify(segmentData.filters),
+    req.user.id
+  ]);
+  
+  logger.business('client_segment_created', { segmentId: result.lastID, name: segmentData.name.trim() });
+  
+  res.status(201).json(await getSegmentWithCount(result.lastID));
+}));
+
+/**
+ * Get a client segment with its current client count
+ * GET /api/v1/clients/segments/:segmentId
+ */
+router.get('/segments/:segmentId', asyncHandler(async (req, res) => {
+  res.json(await getSegmentWithCount(req.params.segmentId));
+}));
+
+/**
+ * Get the clients in a segment
+ * GET /api/v1/clients/segments/:segmentId/clients
+ */
+router.get('/segments/:segmentId/clients', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const segment = await getSegment(req.params.segmentId);
+  
+  res.json({
+    segment,
+    ...await listClients(await normalizeClientFilters(segment.filters), page, limit)
+  });
+}));
+
+/**
+ * Update a client segment
+ * PUT /api/v1/clients/segments/:segmentId
+ */
+router.put('/segments/:segmentId', asyncHandler(async (req, res) => {
+  const { segmentId } = req.params;
+  const segmentData = req.body;
+  
+  await validateSegmentInput(segmentData, true);
+  await getSegment(segmentId);
+  
+  if (segmentData.name) {
+    const existing = await dbConnection.get(
+      'SELECT id FROM client_segments WHERE name = ? AND id != ?',
+      [segmentData.name.trim(), segmentId]
+    );
+    if (existing) {
+      throw new ConflictError('A segment with this name already exists', { segmentId: existing.id });
+    }
+  }
+  
+  await dbConnection.run(`
+    UPDATE client_segments SET
+      name = COALESCE(?, name),
+      description = COALESCE(?, description),
+      filters = COALESCE(?, filters)
+    WHERE id = ?
+  `, [
+    segmentData.name ? segmentData.name.trim() : undefined,
+    segmentData.description,
+    segmentData.filters ? JSON.stringify(segmentData.filters) : undefined,
+    segmentId
+  ]);
+  
+  res.json(await getSegmentWithCount(segmentId));
+}));
+
+/**
+ * Delete a client segment
+ * DELETE /api/v1/clients/segments/:segmentId
+ */
+router.delete('/segments/:segmentId', asyncHandler(async (req, res) => {
+  const segment = await getSegment(req.params.segmentId);
+  
+  await dbConnection.run('DELETE FROM client_segments WHERE id = ?', [segment.id]);
+  
+  logger.business('client_segment_deleted', { segmentId: segment.id, name: segment.name });
+  
+  res.json({ message: 'Segment deleted successfully' });
+}));
+
 /**
  * Get client by ID
  * GET /api/v1/clients/:id
@@ -148,6 +1188,11 @@ router.get('/:id', asyncHandler(async (req, res) => {
     SELECT * FROM vehicles WHERE client_id = ? AND is_active = 1 ORDER BY year DESC, make, model
   `, [id]);
   
+  // Get business account contacts
+  const contacts = await dbConnection.all(`
+    SELECT * FROM client_contacts WHERE client_id = ? ORDER BY role = 'primary' DESC, last_name, first_name
+  `, [id]);
+  
   // Get recent appointments
   const recentAppointments = await dbConnection.all(`
     SELECT 
@@ -173,9 +1218,12 @@ router.get('/:id', asyncHandler(async (req, res) => {
     WHERE v.client_id = ?
   `, [id]);
   
+  const [clientWithTags] = await withTagsAndFields([client]);
+  
   res.json({
-    ...client,
-    vehicles,
+    ...clientWithTags,
+    vehicles: vehicles.map(vehicle => ({ ...vehicle, custom_fields: parseCustomFields(vehicle.custom_fields) })),
+    contacts,
     recentAppointments,
     serviceHistory
   });
@@ -190,6 +1238,7 @@ router.post('/', asyncHandler(async (req, res) => {
   
   // Validate input
   validateClientInput(clientData);
+  const customFields = await mergeCustomFieldValues('client', clientData.customFields);
   
   // Check for duplicate email
   if (clientData.email) {
@@ -209,8 +1258,15 @@ router.post('/', asyncHandler(async (req, res) => {
   const result = await dbConnection.run(`
     INSERT INTO clients (
       first_name, last_name, email, phone, address, city, state, zip_code,
-      date_of_birth, notes, preferred_contact_method
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      date_of_birth, notes, preferred_contact_method,
+      account_type, company_name, payment_terms, consolidated_billing, custom_fields,
+      marketing_email_consent, marketing_email_consent_at, marketing_sms_consent, marketing_sms_consent_at,
+      quiet_hours_start, quiet_hours_end
+    ) VALUES (
+      ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+      ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END,
+      ?, ?
+    )
   `, [
     clientData.firstName,
     clientData.lastName,
@@ -222,14 +1278,26 @@ router.post('/', asyncHandler(async (req, res) => {
     clientData.zipCode || null,
     clientData.dateOfBirth || null,
     clientData.notes || null,
-    clientData.preferredContactMethod || 'phone'
+    clientData.preferredContactMethod || 'phone',
+    clientData.accountType || 'individual',
+    clientData.companyName || null,
+    clientData.paymentTerms !== undefined && clientData.paymentTerms !== null ? Number(clientData.paymentTerms) : null,
+    clientData.consolidatedBilling ? 1 : 0,
+    customFields,
+    clientData.marketingEmailConsent ? 1 : 0,
+    clientData.marketingEmailConsent !== undefined ? 1 : 0,
+    clientData.marketingSmsConsent ? 1 : 0,
+    clientData.marketingSmsConsent !== undefined ? 1 : 0,
+    clientData.quietHoursStart || null,
+    clientData.quietHoursEnd || null
   ]);
   
+  if (clientData.tags) {
+    await dbConnection.transaction(setClientTagsStatements(result.lastID, clientData.tags, req.user.id));
+  }
+  
   // Get created client
-  const newClient = await dbConnection.get(
-    'SELECT * FROM clients WHERE id = ?',
-    [result.lastID]
-  );
+  const [newClient] = await withTagsAndFields([await getClient(result.lastID)]);
   
   logger.business('client_created', {
     clientId: newClient.id,
@@ -256,6 +1324,24 @@ router.put('/:id', asyncHandler(async (req, res) => {
     throw new NotFoundError('Client not found');
   }
   
+  if (existingClient.erased_at) {
+    throw new ConflictError('Client has been erased', { erasedAt: existingClient.erased_at });
+  }
+  
+  const customFields = clientData.customFields !== undefined
+    ? await mergeCustomFieldValues('client', clientData.customFields, existingClient.custom_fields)
+    : undefined;
+  
+  // Consent timestamps only move when the consent actually changes
+  const emailConsent = clientData.marketingEmailConsent !== undefined ? (clientData.marketingEmailConsent ? 1 : 0) : undefined;
+  const smsConsent = clientData.marketingSmsConsent !== undefined ? (clientData.marketingSmsConsent ? 1 : 0) : undefined;
+  
+  if ((clientData.accountType || existingClient.account_type) === 'business' && !(clientData.companyName || existingClient.company_name)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'companyName', message: 'Company name is required for business accounts' }
+    ]);
+  }
+  
   // Check for duplicate email (excluding current client)
   if (clientData.email) {
     const duplicateClient = await dbConnection.get(
@@ -283,7 +1369,18 @@ router.put('/:id', asyncHandler(async (req, res) => {
       zip_code = COALESCE(?, zip_code),
       date_of_birth = COALESCE(?, date_of_birth),
       notes = COALESCE(?, notes),
-      preferred_contact_method = COALESCE(?, preferred_contact_method)
+      preferred_contact_method = COALESCE(?, preferred_contact_method),
+      account_type = COALESCE(?, account_type),
+      company_name = COALESCE(?, company_name),
+      payment_terms = COALESCE(?, payment_terms),
+      consolidated_billing = COALESCE(?, consolidated_billing),
+      custom_fields = COALESCE(?, custom_fields),
+      marketing_email_consent_at = CASE WHEN ? != marketing_email_consent THEN CURRENT_TIMESTAMP ELSE marketing_email_consent_at END,
+      marketing_email_consent = COALESCE(?, marketing_email_consent),
+      marketing_sms_consent_at = CASE WHEN ? != marketing_sms_consent THEN CURRENT_TIMESTAMP ELSE marketing_sms_consent_at END,
+      marketing_sms_consent = COALESCE(?, marketing_sms_consent),
+      quiet_hours_start = ?,
+      quiet_hours_end = ?
     WHERE id = ?
   `, [
     clientData.firstName,
@@ -297,11 +1394,26 @@ router.put('/:id', asyncHandler(async (req, res) => {
     clientData.dateOfBirth,
     clientData.notes,
     clientData.preferredContactMethod,
+    clientData.accountType,
+    clientData.companyName,
+    clientData.paymentTerms !== undefined && clientData.paymentTerms !== null ? Number(clientData.paymentTerms) : undefined,
+    clientData.consolidatedBilling !== undefined ? (clientData.consolidatedBilling ? 1 : 0) : undefined,
+    customFields,
+    emailConsent,
+    emailConsent,
+    smsConsent,
+    smsConsent,
+    clientData.quietHoursStart !== undefined ? clientData.quietHoursStart : existingClient.quiet_hours_start,
+    clientData.quietHoursEnd !== undefined ? clientData.quietHoursEnd : existingClient.quiet_hours_end,
     id
   ]);
   
+  if (clientData.tags) {
+    await dbConnection.transaction(setClientTagsStatements(existingClient.id, clientData.tags, req.user.id));
+  }
+  
   // Get updated client
-  const updatedClient = await dbConnection.get('SELECT * FROM clients WHERE id = ?', [id]);
+  const [updatedClient] = await withTagsAndFields([await getClient(id)]);
   
   logger.business('client_updated', {
     clientId: id,
@@ -357,6 +1469,89 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   res.json({ message: 'Client deleted successfully' });
 }));
 
+/**
+ * Get likely duplicates of one client
+ * GET /api/v1/clients/:id/duplicates
+ */
+router.get('/:id/duplicates', asyncHandler(async (req, res) => {
+  const client = await getClient(req.params.id);
+  const minScore = getMinScore(req.query);
+
+  const clients = await dbConnection.all(DUPLICATE_CANDIDATE_SELECT);
+  const byId = new Map(clients.map(candidate => [candidate.id, candidate]));
+
+  // Compare against the client even if it is inactive
+  if (!byId.has(client.id)) {
+    clients.push(client);
+  }
+
+  const duplicates = findDuplicatePairs(clients, minScore)
+    .filter(pair => pair.clientIds.includes(client.id))
+    .map(pair => ({
+      score: pair.score,
+      reasons: pair.reasons,
+      client: byId.get(pair.clientIds.find(id => id !== client.id))
+    }));
+
+  res.json(duplicates);
+}));
+
+/**
+ * Merge a duplicate into this client
+ * POST /api/v1/clients/:id/merge
+ *
+ * The duplicate's vehicles, contacts, appointments, work orders, invoices and payments
+ * move to this client, missing contact details are copied over and the
+ * duplicate is deactivated. The merge can be undone for MERGE_UNDO_DAYS.
+ */
+router.post('/:id/merge', asyncHandler(async (req, res) => {
+  const { sourceId } = req.body;
+
+  if (!sourceId) {
+    throw new ValidationError('Validation failed', [
+      { field: 'sourceId', message: 'The client to merge is required' }
+    ]);
+  }
+
+  const target = await getClient(req.params.id);
+  const source = await getClient(sourceId);
+
+  if (target.id === source.id) {
+    throw new ValidationError('Validation failed', [
+      { field: 'sourceId', message: 'A client cannot be merged into itself' }
+    ]);
+  }
+
+  if (!target.is_active) {
+    throw new ConflictError('Clients can only be merged into an active client');
+  }
+
+  if (source.merged_into_id) {
+    throw new ConflictError(`This client was already merged into client ${source.merged_into_id}`);
+  }
+
+  const { mergeId, movedRecords } = await mergeClients(target, source, req.user.id);
+
+  await recordChange(req, 'client', source.id, source, await getClient(source.id), 'delete');
+  await auditMovedRecords(req, movedRecords, source.id, target.id);
+
+  logger.business('clients_merged', {
+    mergeId,
+    targetClientId: target.id,
+    sourceClientId: source.id,
+    movedRecords: Object.fromEntries(Object.entries(movedRecords).map(([table, ids]) => [table, ids.length]))
+  });
+
+  const merge = await dbConnection.get('SELECT id, merged_at, undo_until FROM client_merges WHERE id = ?', [mergeId]);
+  const [client] = await withTagsAndFields([await getClient(target.id)]);
+
+  res.json({
+    message: 'Clients merged successfully',
+    merge: { ...merge, moved_records: movedRecords },
+    client
+  });
+}));
+
 /**
  * Get client's vehicles
  * GET /api/v1/clients/:id/vehicles
@@ -420,34 +1615,412 @@ router.get('/:id/appointments', asyncHandler(async (req, res) => {
 }));
 
 /**
- * Search clients
- * GET /api/v1/clients/search
+ * Replace client's tags
+ * PUT /api/v1/clients/:id/tags
+ *
+ * Takes { tags: [names] }; tags that do not exist yet are created.
  */
-router.get('/search', asyncHandler(async (req, res) => {
-  const { q, limit = 10 } = req.query;
+router.put('/:id/tags', asyncHandler(async (req, res) => {
+  const { tags } = req.body;
   
-  if (!q || q.length < 2) {
-    return res.json([]);
+  if (tags === undefined) {
+    throw new ValidationError('Validation failed', [{ field: 'tags', message: 'Tags are required' }]);
   }
+  validateClientInput({ tags }, true);
   
-  const searchTerm = `%${q}%`;
+  const client = await getClient(req.params.id);
   
-  const clients = await dbConnection.all(`
-    SELECT 
-      id,
-      first_name,
-      last_name,
-      email,
-      phone,
-      first_name || ' ' || last_name as full_name
-    FROM clients 
-    WHERE is_active = 1 
-      AND (first_name LIKE ? OR last_name LIKE ? OR email LIKE ? OR phone LIKE ?)
-    ORDER BY last_name, first_name
-    LIMIT ?
-  `, [searchTerm, searchTerm, searchTerm, searchTerm, parseInt(limit)]);
+  await dbConnection.transaction(setClientTagsStatements(client.id, tags, req.user.id));
   
-  res.json(clients);
+  const clientTags = await getTagsByClient([client.id]);
+  
+  res.json({ clientId: client.id, tags: clientTags.get(client.id) });
+}));
+
+/**
+ * Get a business account contact by ID or throw
+ */
+async function getContact(clientId, contactId) {
+  const contact = await dbConnection.get(
+    'SELECT * FROM client_contacts WHERE id = ? AND client_id = ?',
+    [contactId, clientId]
+  );
+  
+  if (!contact) {
+    throw new NotFoundError('Contact not found');
+  }
+  
+  return contact;
+}
+
+/**
+ * Get client's contacts
+ * GET /api/v1/clients/:id/contacts
+ */
+router.get('/:id/contacts', asyncHandler(async (req, res) => {
+  const client = await getClient(req.params.id);
+  
+  const contacts = await dbConnection.all(`
+    SELECT * FROM client_contacts WHERE client_id = ? ORDER BY role = 'primary' DESC, last_name, first_name
+  `, [client.id]);
+  
+  res.json(contacts);
+}));
+
+/**
+ * Add a contact to a client
+ * POST /api/v1/clients/:id/contacts
+ */
+router.post('/:id/contacts', asyncHandler(async (req, res) => {
+  const contactData = req.body;
+  
+  validateContactInput(contactData);
+  
+  const client = await getClient(req.params.id);
+  
+  const result = await dbConnection.run(`
+    INSERT INTO client_contacts (client_id, first_name, last_name, email, phone, role, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    client.id,
+    contactData.firstName,
+    contactData.lastName,
+    contactData.email || null,
+    contactData.phone || null,
+    contactData.role || 'other',
+    contactData.notes || null
+  ]);
+  
+  const contact = await getContact(client.id, result.lastID);
+  
+  logger.business('client_contact_added', {
+    clientId: client.id,
+    contactId: contact.id,
+    role: contact.role
+  });
+  
+  res.status(201).json(contact);
+}));
+
+/**
+ * Update a client's contact
+ * PUT /api/v1/clients/:id/contacts/:contactId
+ */
+router.put('/:id/contacts/:contactId', asyncHandler(async (req, res) => {
+  const { id, contactId } = req.params;
+  const contactData = req.body;
+  
+  validateContactInput(contactData, true);
+  
+  await getContact(id, contactId);
+  
+  await dbConnection.run(`
+    UPDATE client_contacts SET
+      first_name = COALESCE(?, first_name),
+      last_name = COALESCE(?, last_name),
+      email = COALESCE(?, email),
+      phone = COALESCE(?, phone),
+      role = COALESCE(?, role),
+      notes = COALESCE(?, notes)
+    WHERE id = ?
+  `, [
+    contactData.firstName,
+    contactData.lastName,
+    contactData.email,
+    contactData.phone,
+    contactData.role,
+    contactData.notes,
+    contactId
+  ]);
+  
+  res.json(await getContact(id, contactId));
+}));
+
+/**
+ * Remove a client's contact
+ * DELETE /api/v1/clients/:id/contacts/:contactId
+ */
+router.delete('/:id/contacts/:contactId', asyncHandler(async (req, res) => {
+  const { id, contactId } = req.params;
+  
+  const contact = await getContact(id, contactId);
+  
+  await dbConnection.run('DELETE FROM client_contacts WHERE id = ?', [contact.id]);
+  
+  logger.business('client_contact_removed', {
+    clientId: contact.client_id,
+    contactId: contact.id
+  });
+  
+  res.json({ message: 'Contact removed successfully' });
+}));
+
+/**
+ * Get client's timeline of appointments, work orders, invoices, payments and messages
+ * GET /api/v1/clients/:id/history
+ */
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const filters = parseTimelineFilters(req.query);
+  
+  const client = await dbConnection.get('SELECT id FROM clients WHERE id = ?', [id]);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+  
+  res.json(await getTimeline(client.id, filters, page, limit));
+}));
+
+/**
+ * Get client's invoices
+ * GET /api/v1/clients/:id/invoices
+ */
+router.get('/:id/invoices', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20, status } = req.query;
+  
+  if (status && !INVOICE_STATUSES.includes(status)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'status', message: `Status must be one of: ${INVOICE_STATUSES.join(', ')}` }
+    ]);
+  }
+  
+  const client = await dbConnection.get('SELECT id FROM clients WHERE id = ?', [id]);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+  
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  let whereClause = 'WHERE i.client_id = ?';
+  const params = [id];
+  
+  if (status) {
+    whereClause += ' AND i.status = ?';
+    params.push(status);
+  }
+  
+  const totalResult = await dbConnection.get(`SELECT COUNT(*) as total FROM invoices i ${whereClause}`, params);
+  
+  const invoices = await dbConnection.all(`
+    SELECT
+      i.*,
+      w.work_order_number,
+      v.year || ' ' || v.make || ' ' || v.model as vehicle,
+      v.license_plate
+    FROM invoices i
+    LEFT JOIN work_orders w ON i.work_order_id = w.id
+    LEFT JOIN vehicles v ON w.vehicle_id = v.id
+    ${whereClause}
+    ORDER BY i.invoice_date DESC, i.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+  
+  // Totals cover all of the client's invoices, whatever the status filter
+  const summary = await dbConnection.get(`
+    SELECT
+      COALESCE(SUM(CASE WHEN status != 'cancelled' THEN total_amount ELSE 0 END), 0) as total_billed,
+      COALESCE(SUM(CASE WHEN status != 'cancelled' THEN paid_amount ELSE 0 END), 0) as total_paid,
+      COALESCE(SUM(CASE WHEN status IN ('sent', 'overdue') THEN balance_due ELSE 0 END), 0) as outstanding
+    FROM invoices
+    WHERE client_id = ?
+  `, [id]);
+  
+  res.json({
+    invoices,
+    summary,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Validate a manual communication log entry
+ */
+function validateCommunicationInput(data) {
+  const errors = [];
+  
+  if (!COMMUNICATION_CHANNELS.includes(data.channel)) {
+    errors.push({ field: 'channel', message: `Channel must be one of: ${COMMUNICATION_CHANNELS.join(', ')}` });
+  }
+  
+  if (data.direction && !COMMUNICATION_DIRECTIONS.includes(data.direction)) {
+    errors.push({ field: 'direction', message: `Direction must be one of: ${COMMUNICATION_DIRECTIONS.join(', ')}` });
+  }
+  
+  if (data.purpose && !COMMUNICATION_PURPOSES.includes(data.purpose)) {
+    errors.push({ field: 'purpose', message: `Purpose must be one of: ${COMMUNICATION_PURPOSES.join(', ')}` });
+  }
+  
+  if (!data.subject && !data.body) {
+    errors.push({ field: 'subject', message: 'A subject or notes are required' });
+  }
+  
+  if (data.occurredAt && (isNaN(Date.parse(data.occurredAt)) || Date.parse(data.occurredAt) > Date.now())) {
+    errors.push({ field: 'occurredAt', message: 'Occurred at must be a date and time that has passed' });
+  }
+  
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Get client's communication log
+ * GET /api/v1/clients/:id/communications
+ */
+router.get('/:id/communications', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, channel, direction, status } = req.query;
+  const client = await getClient(req.params.id);
+  
+  const errors = [];
+  if (channel && !COMMUNICATION_CHANNELS.includes(channel)) {
+    errors.push({ field: 'channel', message: `Channel must be one of: ${COMMUNICATION_CHANNELS.join(', ')}` });
+  }
+  if (direction && !COMMUNICATION_DIRECTIONS.includes(direction)) {
+    errors.push({ field: 'direction', message: `Direction must be one of: ${COMMUNICATION_DIRECTIONS.join(', ')}` });
+  }
+  if (status && !COMMUNICATION_STATUSES.includes(status)) {
+    errors.push({ field: 'status', message: `Status must be one of: ${COMMUNICATION_STATUSES.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+  
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  let whereClause = 'WHERE cc.client_id = ?';
+  const params = [client.id];
+  
+  Object.entries({ channel, direction, status }).forEach(([column, value]) => {
+    if (value) {
+      whereClause += ` AND cc.${column} = ?`;
+      params.push(value);
+    }
+  });
+  
+  const totalResult = await dbConnection.get(`SELECT COUNT(*) as total FROM client_communications cc ${whereClause}`, params);
+  
+  const communications = await dbConnection.all(`
+    SELECT cc.*, u.first_name || ' ' || u.last_name as created_by_name
+    FROM client_communications cc
+    LEFT JOIN users u ON cc.created_by = u.id
+    ${whereClause}
+    ORDER BY cc.occurred_at DESC, cc.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+  
+  res.json({
+    communications,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Log a call, email, text or visit with a client
+ * POST /api/v1/clients/:id/communications
+ */
+router.post('/:id/communications', asyncHandler(async (req, res) => {
+  const communicationData = req.body;
+  const client = await getClient(req.params.id);
+  
+  validateCommunicationInput(communicationData);
+  
+  const result = await dbConnection.run(`
+    INSERT INTO client_communications (
+      client_id, channel, direction, purpose, status, subject, body, occurred_at, created_by
+    ) VALUES (?, ?, ?, ?, 'logged', ?, ?, COALESCE(datetime(?), CURRENT_TIMESTAMP), ?)
+  `, [
+    client.id,
+    communicationData.channel,
+    communicationData.direction || 'outbound',
+    communicationData.purpose || 'service',
+    communicationData.subject || null,
+    communicationData.body || null,
+    communicationData.occurredAt ? new Date(communicationData.occurredAt).toISOString() : null,
+    req.user.id
+  ]);
+  
+  logger.business('client_communication_logged', {
+    clientId: client.id,
+    communicationId: result.lastID,
+    channel: communicationData.channel
+  });
+  
+  res.status(201).json(await getCommunication(result.lastID));
+}));
+
+/**
+ * Download everything held about a client as a ZIP (subject access request)
+ * GET /api/v1/clients/:id/personal-data
+ */
+router.get('/:id/personal-data', requirePermission('clients:privacy'), asyncHandler(async (req, res) => {
+  const client = await getClient(req.params.id);
+  const archive = await buildPersonalDataExport(client.id);
+  
+  logger.business('client_personal_data_exported', { clientId: client.id, userId: req.user.id });
+  
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="client-${client.id}-personal-data.zip"`);
+  res.send(archive);
+}));
+
+/**
+ * Erase a client's personal data, keeping invoices and payments
+ * POST /api/v1/clients/:id/erase
+ */
+router.post('/:id/erase', requirePermission('clients:privacy'), asyncHandler(async (req, res) => {
+  const client = await getClient(req.params.id);
+  
+  if (req.body.confirm !== true) {
+    throw new ValidationError('Validation failed', [
+      { field: 'confirm', message: 'Erasure cannot be undone; send confirm: true to go ahead' }
+    ]);
+  }
+  
+  if (client.erased_at) {
+    throw new ConflictError('Client has already been erased', { erasedAt: client.erased_at });
+  }
+  
+  // Open work and unpaid invoices still need the client's details
+  const openRecords = await dbConnection.get(`
+    SELECT
+      (SELECT COUNT(*) FROM appointments WHERE client_id = ? AND status IN ('scheduled', 'confirmed', 'in_progress')) as active_appointments,
+      (SELECT COUNT(*) FROM work_orders WHERE client_id = ? AND status IN ('open', 'in_progress')) as open_work_orders,
+      (SELECT COUNT(*) FROM invoices WHERE client_id = ? AND status IN ('draft', 'sent', 'overdue') AND balance_due > 0) as unpaid_invoices
+  `, [client.id, client.id, client.id]);
+  
+  if (Object.values(openRecords).some(count => count > 0)) {
+    throw new ConflictError('Client has open appointments, work orders or unpaid invoices', openRecords);
+  }
+  
+  const clientIds = await eraseClient(client.id, req.user.id);
+  
+  // The automatic audit entry would copy the erased details into the log
+  res.locals.skipAuditTrail = true;
+  await recordAudit(req, {
+    entityType: 'client',
+    entityId: client.id,
+    action: 'update',
+    newValues: { erased_at: new Date().toISOString(), erased_client_ids: clientIds }
+  });
+  
+  logger.business('client_erased', { clientId: client.id, clientIds, userId: req.user.id });
+  
+  const [erasedClient] = await withTagsAndFields([await getClient(client.id)]);
+  
+  res.json({
+    message: 'Client personal data erased successfully',
+    client: erasedClient
+  });
 }));
 
 module.exports = router;
@@ -0,0 +1,188 @@
+/**
+ * Custom Field Routes for MoMech
+ * Handles the shop-defined fields kept on clients and vehicles
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { auditTrail } = require('../middleware/audit');
+const { CUSTOM_FIELD_ENTITIES, CUSTOM_FIELD_TYPES, getFieldDefinitions } = require('../utils/customFields');
+
+const router = express.Router();
+
+router.use(auditTrail({ entityType: 'custom_field', table: 'custom_fields' }));
+
+/**
+ * Validate field definition input
+ *
+ * The key and type of a field cannot change once values are stored under it.
+ */
+function validateFieldInput(data, existingField = null) {
+  const errors = [];
+  const fieldType = existingField ? existingField.field_type : data.fieldType;
+
+  if (existingField) {
+    if (data.key !== undefined && data.key !== existingField.field_key) {
+      errors.push({ field: 'key', message: 'The key of a field cannot be changed' });
+    }
+    if (data.fieldType !== undefined && data.fieldType !== existingField.field_type) {
+      errors.push({ field: 'fieldType', message: 'The type of a field cannot be changed' });
+    }
+  } else {
+    if (!CUSTOM_FIELD_ENTITIES.includes(data.entityType)) {
+      errors.push({ field: 'entityType', message: `Entity type must be one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}` });
+    }
+    if (typeof data.key !== 'string' || !/^[a-z][a-z0-9_]*$/.test(data.key)) {
+      errors.push({ field: 'key', message: 'Key must start with a letter and use only lowercase letters, digits and underscores' });
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(data.fieldType)) {
+      errors.push({ field: 'fieldType', message: `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` });
+    }
+  }
+
+  if ((!existingField || data.label !== undefined) && (typeof data.label !== 'string' || !data.label.trim())) {
+    errors.push({ field: 'label', message: 'Label is required' });
+  }
+
+  if (fieldType === 'select' && (!existingField || data.options !== undefined)) {
+    if (!Array.isArray(data.options) || data.options.length === 0 ||
+        data.options.some(option => typeof option !== 'string' || !option.trim())) {
+      errors.push({ field: 'options', message: 'Select fields need a list of options' });
+    }
+  } else if (fieldType !== 'select' && data.options !== undefined && data.options !== null) {
+    errors.push({ field: 'options', message: 'Only select fields have options' });
+  }
+
+  if (data.sortOrder !== undefined && !Number.isInteger(Number(data.sortOrder))) {
+    errors.push({ field: 'sortOrder', message: 'Sort order must be a whole number' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Get a field definition by ID or throw
+ */
+async function getField(id) {
+  const field = await dbConnection.get('SELECT * FROM custom_fields WHERE id = ?', [id]);
+
+  if (!field) {
+    throw new NotFoundError('Custom field not found');
+  }
+
+  return { ...field, options: field.options ? JSON.parse(field.options) : null };
+}
+
+/**
+ * Get custom field definitions
+ * GET /api/v1/custom-fields
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { entityType, includeInactive = 'false' } = req.query;
+
+  if (entityType && !CUSTOM_FIELD_ENTITIES.includes(entityType)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'entityType', message: `Entity type must be one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}` }
+    ]);
+  }
+
+  const entityTypes = entityType ? [entityType] : CUSTOM_FIELD_ENTITIES;
+  const fields = await Promise.all(entityTypes.map(type => getFieldDefinitions(type, includeInactive === 'true')));
+
+  res.json(fields.flat());
+}));
+
+/**
+ * Create a custom field
+ * POST /api/v1/custom-fields
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const fieldData = req.body;
+
+  validateFieldInput(fieldData);
+
+  const existing = await dbConnection.get(
+    'SELECT id FROM custom_fields WHERE entity_type = ? AND field_key = ?',
+    [fieldData.entityType, fieldData.key]
+  );
+  if (existing) {
+    throw new ConflictError('A field with this key already exists', { fieldId: existing.id });
+  }
+
+  const result = await dbConnection.run(`
+    INSERT INTO custom_fields (entity_type, field_key, label, field_type, options, is_required, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    fieldData.entityType,
+    fieldData.key,
+    fieldData.label.trim(),
+    fieldData.fieldType,
+    fieldData.fieldType === 'select' ? JSON.stringify(fieldData.options.map(option => option.trim())) : null,
+    fieldData.required ? 1 : 0,
+    fieldData.sortOrder !== undefined ? parseInt(fieldData.sortOrder) : 0
+  ]);
+
+  const field = await getField(result.lastID);
+
+  logger.business('custom_field_created', {
+    fieldId: field.id,
+    entityType: field.entity_type,
+    key: field.field_key
+  });
+
+  res.status(201).json(field);
+}));
+
+/**
+ * Update a custom field's label, options, ordering or whether it is required or active
+ * PUT /api/v1/custom-fields/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const fieldData = req.body;
+  const field = await getField(req.params.id);
+
+  validateFieldInput(fieldData, field);
+
+  await dbConnection.run(`
+    UPDATE custom_fields SET
+      label = COALESCE(?, label),
+      options = COALESCE(?, options),
+      is_required = COALESCE(?, is_required),
+      is_active = COALESCE(?, is_active),
+      sort_order = COALESCE(?, sort_order)
+    WHERE id = ?
+  `, [
+    fieldData.label ? fieldData.label.trim() : undefined,
+    Array.isArray(fieldData.options) ? JSON.stringify(fieldData.options.map(option => option.trim())) : undefined,
+    fieldData.required !== undefined ? (fieldData.required ? 1 : 0) : undefined,
+    fieldData.isActive !== undefined ? (fieldData.isActive ? 1 : 0) : undefined,
+    fieldData.sortOrder !== undefined ? parseInt(fieldData.sortOrder) : undefined,
+    field.id
+  ]);
+
+  res.json(await getField(field.id));
+}));
+
+/**
+ * Deactivate a custom field; values already stored are kept
+ * DELETE /api/v1/custom-fields/:id
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const field = await getField(req.params.id);
+
+  await dbConnection.run('UPDATE custom_fields SET is_active = 0 WHERE id = ?', [field.id]);
+
+  logger.business('custom_field_deactivated', {
+    fieldId: field.id,
+    entityType: field.entity_type,
+    key: field.field_key
+  });
+
+  res.json({ message: 'Custom field deactivated successfully' });
+}));
+
+module.exports = router;
@@ -5,8 +5,10 @@
 
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, can } = require('../middleware/auth');
 const dbConnection = require('../database/connection');
 const logger = require('../utils/logger');
+const scheduling = require('../utils/scheduling');
 
 const router = express.Router();
 
@@ -75,7 +77,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     ? ((monthlyRevenue.revenue - lastMonthRevenue.revenue) / lastMonthRevenue.revenue * 100).toFixed(1)
     : 0;
 
-  res.json({
+  const stats = {
     todayAppointments: todayAppointments.count,
     monthlyRevenue: monthlyRevenue.revenue,
     revenueGrowth: parseFloat(revenueGrowth),
@@ -86,7 +88,15 @@ router.get('/stats', asyncHandler(async (req, res) => {
       service: nextAppointment.service_name || 'General Service',
       client: nextAppointment.client_name
     } : null
-  });
+  };
+
+  // Revenue figures are only shown to roles allowed to see them
+  if (!can(req, 'revenue:read')) {
+    delete stats.monthlyRevenue;
+    delete stats.revenueGrowth;
+  }
+
+  res.json(stats);
 }));
 
 /**
@@ -144,6 +154,13 @@ router.get('/recent-activity', asyncHandler(async (req, res) => {
     LIMIT ?
   `, [limit]);
 
+  // Invoice amounts are revenue
+  if (!can(req, 'revenue:read')) {
+    return res.json(activities.map(activity => (
+      activity.type === 'invoice' ? { ...activity, service_name: null } : activity
+    )));
+  }
+
   res.json(activities);
 }));
 
@@ -184,7 +201,7 @@ router.get('/upcoming-appointments', asyncHandler(async (req, res) => {
  * Get revenue chart data
  * GET /api/v1/dashboard/revenue-chart
  */
-router.get('/revenue-chart', asyncHandler(async (req, res) => {
+router.get('/revenue-chart', requirePermission('revenue:read'), asyncHandler(async (req, res) => {
   const period = req.query.period || 'month'; // 'week', 'month', 'year'
   
   let dateFormat, dateRange, groupBy;
@@ -232,20 +249,22 @@ router.get('/alerts', asyncHandler(async (req, res) => {
   const alerts = [];
 
   // Check for overdue invoices
-  const overdueInvoices = await dbConnection.get(`
-    SELECT COUNT(*) as count
-    FROM invoices 
-    WHERE due_date < date('now') AND status != 'paid'
-  `);
-  
-  if (overdueInvoices.count > 0) {
-    alerts.push({
-      type: 'warning',
-      title: 'Overdue Invoices',
-      message: `You have ${overdueInvoices.count} overdue invoice(s)`,
-      action: '/financial/invoices?filter=overdue',
-      priority: 'high'
-    });
+  if (can(req, 'financial:read')) {
+    const overdueInvoices = await dbConnection.get(`
+      SELECT COUNT(*) as count
+      FROM invoices 
+      WHERE due_date < date('now') AND status IN ('sent', 'overdue')
+    `);
+    
+    if (overdueInvoices.count > 0) {
+      alerts.push({
+        type: 'warning',
+        title: 'Overdue Invoices',
+        message: `You have ${overdueInvoices.count} overdue invoice(s)`,
+        action: '/financial/invoices?filter=overdue',
+        priority: 'high'
+      });
+    }
   }
 
   // Check for low inventory
@@ -286,6 +305,26 @@ router.get('/alerts', asyncHandler(async (req, res) => {
     });
   }
 
+  // Check for mechanics booked on overlapping appointments
+  const assignedAppointments = await dbConnection.all(`
+    SELECT id, assigned_to, appointment_date, appointment_time, estimated_duration
+    FROM appointments 
+    WHERE appointment_date BETWEEN date('now') AND date('now', '+30 days')
+      AND assigned_to IS NOT NULL 
+      AND status IN ('scheduled', 'confirmed', 'in_progress')
+  `);
+  const schedulingConflicts = scheduling.findConflicts(assignedAppointments);
+  
+  if (schedulingConflicts.length > 0) {
+    alerts.push({
+      type: 'warning',
+      title: 'Scheduling Conflicts',
+      message: `${schedulingConflicts.length} double booking(s) in the next 30 days`,
+      action: '/appointments/conflicts',
+      priority: 'high'
+    });
+  }
+
   // Check for vehicles due for service
   const vehiclesDueForService = await dbConnection.get(`
     SELECT COUNT(*) as count
@@ -381,15 +420,22 @@ router.get('/metrics', asyncHandler(async (req, res) => {
     ? (workOrderStats.completed_orders / workOrderStats.total_orders * 100).toFixed(1)
     : 0;
 
+  const metrics = {
+    avgCompletionTime: parseFloat((avgCompletionTime.avg_hours || 0).toFixed(1)),
+    customerRetentionRate: parseFloat(customerRetentionRate),
+    revenuePerCustomer: parseFloat((revenuePerCustomer.avg_revenue || 0).toFixed(2)),
+    workOrderCompletionRate: parseFloat(completionRate),
+    avgOrderValue: parseFloat((workOrderStats.avg_order_value || 0).toFixed(2))
+  };
+
+  if (!can(req, 'revenue:read')) {
+    delete metrics.revenuePerCustomer;
+    delete metrics.avgOrderValue;
+  }
+
   res.json({
     period,
-    metrics: {
-      avgCompletionTime: parseFloat((avgCompletionTime.avg_hours || 0).toFixed(1)),
-      customerRetentionRate: parseFloat(customerRetentionRate),
-      revenuePerCustomer: parseFloat((revenuePerCustomer.avg_revenue || 0).toFixed(2)),
-      workOrderCompletionRate: parseFloat(completionRate),
-      avgOrderValue: parseFloat((workOrderStats.avg_order_value || 0).toFixed(2))
-    }
+    metrics
   });
 }));
 
@@ -0,0 +1,1390 @@
+/**
+ * Financial Routes for MoMech
+ * Handles invoices generated from work orders, payments and refunds
+ */
+
+const express = require('express');
+const { asyncHandler, ApiError, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { isValidDate, addDays, getLocalDate } = require('../utils/scheduling');
+const { auditTrail } = require('../middleware/audit');
+const { recordChange } = require('../utils/audit');
+const { notifyClient } = require('../utils/communications');
+
+const router = express.Router();
+
+router.use(auditTrail([
+  {
+    path: '/invoices',
+    entityType: 'invoice',
+    table: 'invoices',
+    children: [
+      { key: 'items', table: 'invoice_items', foreignKey: 'invoice_id' },
+      { key: 'payments', table: 'payments', foreignKey: 'invoice_id' }
+    ]
+  },
+  {
+    path: '/payments',
+    entityType: 'payment',
+    table: 'payments',
+    children: [{ key: 'refunds', table: 'payments', foreignKey: 'refund_of' }]
+  }
+]));
+
+const FINANCIAL_SETTINGS = config.BUSINESS.FINANCIAL;
+const PAYMENT_METHODS = ['cash', 'check', 'credit_card', 'debit_card', 'bank_transfer', 'other'];
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  check: 'Check',
+  credit_card: 'Credit Card',
+  debit_card: 'Debit Card',
+  bank_transfer: 'Bank Transfer',
+  other: 'Other'
+};
+
+// draft → sent → paid, with cancellation allowed until payment; overdue behaves like sent
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['paid', 'cancelled'],
+  overdue: ['paid', 'cancelled'],
+  paid: [],
+  cancelled: []
+};
+
+const INVOICE_SELECT = `
+  SELECT
+    i.*,
+    c.first_name || ' ' || c.last_name as client_name,
+    c.company_name as client_company,
+    c.email as client_email,
+    c.phone as client_phone,
+    w.work_order_number,
+    v.year || ' ' || v.make || ' ' || v.model as vehicle,
+    v.license_plate,
+    CASE
+      WHEN i.status IN ('sent', 'overdue') AND i.due_date < date('now')
+      THEN CAST(julianday('now') - julianday(i.due_date) AS INTEGER)
+      ELSE 0
+    END as days_overdue
+  FROM invoices i
+  LEFT JOIN clients c ON i.client_id = c.id
+  LEFT JOIN work_orders w ON i.work_order_id = w.id
+  LEFT JOIN vehicles v ON w.vehicle_id = v.id
+`;
+
+/**
+ * Validate tax rate and payment terms overrides
+ */
+function validateBillingInput(data) {
+  const errors = [];
+
+  if (data.taxRate !== undefined && data.taxRate !== null && (isNaN(data.taxRate) || Number(data.taxRate) < 0 || Number(data.taxRate) >= 1)) {
+    errors.push({ field: 'taxRate', message: 'Tax rate must be a fraction between 0 and 1 (e.g. 0.08)' });
+  }
+
+  if (data.paymentTerms !== undefined && data.paymentTerms !== null && (!Number.isInteger(Number(data.paymentTerms)) || Number(data.paymentTerms) < 0)) {
+    errors.push({ field: 'paymentTerms', message: 'Payment terms must be a positive number of days' });
+  }
+
+  if (data.invoiceDate && !isValidDate(data.invoiceDate)) {
+    errors.push({ field: 'invoiceDate', message: 'Invoice date must be in YYYY-MM-DD format' });
+  }
+
+  if (data.dueDate && !isValidDate(data.dueDate)) {
+    errors.push({ field: 'dueDate', message: 'Due date must be in YYYY-MM-DD format' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Payment terms for a new invoice: those given, else the client's net terms,
+ * else the shop default
+ */
+function resolvePaymentTerms(invoiceData, client) {
+  if (invoiceData.paymentTerms !== undefined && invoiceData.paymentTerms !== null) {
+    return Number(invoiceData.paymentTerms);
+  }
+
+  return client && client.payment_terms !== null ? client.payment_terms : FINANCIAL_SETTINGS.PAYMENT_TERMS;
+}
+
+/**
+ * Compute the due date from the invoice date and payment terms
+ */
+function calculateDueDate(invoiceDate, paymentTerms) {
+  return addDays(invoiceDate, paymentTerms);
+}
+
+/**
+ * Statement recomputing invoice totals from its lines and tax rate
+ */
+function recalculateInvoiceTotalsStatement(invoiceId) {
+  return {
+    sql: `
+      UPDATE invoices SET
+        subtotal = (
+          SELECT ROUND(COALESCE(SUM(total_price), 0), 2) FROM invoice_items WHERE invoice_id = ?
+        ),
+        tax_amount = ROUND((
+          SELECT COALESCE(SUM(total_price), 0) FROM invoice_items WHERE invoice_id = ?
+        ) * tax_rate, 2),
+        total_amount = ROUND(ROUND((
+          SELECT COALESCE(SUM(total_price), 0) FROM invoice_items WHERE invoice_id = ?
+        ), 2) + ROUND((
+          SELECT COALESCE(SUM(total_price), 0) FROM invoice_items WHERE invoice_id = ?
+        ) * tax_rate, 2), 2)
+      WHERE id = ?
+    `,
+    params: [invoiceId, invoiceId, invoiceId, invoiceId, invoiceId]
+  };
+}
+
+/**
+ * Statement bringing balance_due and status in line with total_amount and
+ * paid_amount, by the same rules as the payment triggers of migration 004:
+ * cancelled invoices owe nothing, and paid follows the balance both ways
+ */
+function recalculateBalanceStatement(invoiceId) {
+  return {
+    sql: `
+      UPDATE invoices SET
+        balance_due = CASE WHEN status = 'cancelled' THEN 0 ELSE ROUND(total_amount - COALESCE(paid_amount, 0), 2) END,
+        status = CASE
+          WHEN status = 'cancelled' THEN status
+          WHEN total_amount > 0 AND ROUND(total_amount - COALESCE(paid_amount, 0), 2) <= 0 THEN 'paid'
+          WHEN status = 'paid' AND sent_at IS NULL THEN 'draft'
+          WHEN status = 'paid' AND due_date < date('now') THEN 'overdue'
+          WHEN status = 'paid' THEN 'sent'
+          ELSE status
+        END
+      WHERE id = ?
+    `,
+    params: [invoiceId]
+  };
+}
+
+/**
+ * Fetch an invoice with its display fields
+ */
+async function getInvoice(id) {
+  const invoice = await dbConnection.get(`${INVOICE_SELECT} WHERE i.id = ?`, [id]);
+
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found');
+  }
+
+  return invoice;
+}
+
+/**
+ * Fetch an invoice with its lines and payments
+ *
+ * Consolidated invoices also get a per-vehicle breakdown with the cost
+ * center and PO number each vehicle was billed under.
+ */
+async function getInvoiceWithDetails(id) {
+  const invoice = await getInvoice(id);
+
+  const items = await dbConnection.all(`
+    SELECT
+      ii.*,
+      w.work_order_number,
+      w.vehicle_id,
+      v.year || ' ' || v.make || ' ' || v.model as vehicle,
+      v.license_plate
+    FROM invoice_items ii
+    LEFT JOIN work_orders w ON ii.work_order_id = w.id
+    LEFT JOIN vehicles v ON w.vehicle_id = v.id
+    WHERE ii.invoice_id = ?
+    ORDER BY ii.id ASC
+  `, [id]);
+
+  const payments = await dbConnection.all(
+    'SELECT * FROM payments WHERE invoice_id = ? ORDER BY payment_date ASC, id ASC',
+    [id]
+  );
+
+  if (!invoice.billing_period) {
+    return { ...invoice, items, payments };
+  }
+
+  const vehicles = new Map();
+  items.forEach((item) => {
+    const key = `${item.vehicle_id}:${item.cost_center}:${item.po_number}`;
+    const group = vehicles.get(key) || {
+      vehicle_id: item.vehicle_id,
+      vehicle: item.vehicle,
+      license_plate: item.license_plate,
+      cost_center: item.cost_center,
+      po_number: item.po_number,
+      work_orders: [],
+      subtotal: 0
+    };
+
+    if (!group.work_orders.includes(item.work_order_number)) {
+      group.work_orders.push(item.work_order_number);
+    }
+    group.subtotal = roundCurrency(group.subtotal + item.total_price);
+    vehicles.set(key, group);
+  });
+
+  return { ...invoice, items, payments, vehicles: [...vehicles.values()] };
+}
+
+/**
+ * Find the live invoice a work order is billed on, alone or as part of a
+ * consolidated invoice
+ */
+async function findInvoiceForWorkOrder(workOrderId) {
+  return dbConnection.get(`
+    SELECT id, invoice_number FROM invoices
+    WHERE status != 'cancelled'
+      AND (work_order_id = ? OR id IN (SELECT invoice_id FROM invoice_items WHERE work_order_id = ?))
+  `, [workOrderId, workOrderId]);
+}
+
+/**
+ * Generate the next invoice number in the year of a 'YYYY-MM-DD' invoice date
+ */
+function generateInvoiceNumber(invoiceDate) {
+  // Local midnight, so the year is the invoice date's in any time zone
+  return generateDocumentNumber(
+    'invoices',
+    'invoice_number',
+    FINANCIAL_SETTINGS.INVOICE_NUMBER_PREFIX,
+    new Date(`${invoiceDate}T00:00:00`)
+  );
+}
+
+/**
+ * Statement copying work order lines onto an invoice, with the cost center
+ * and PO number of each line's vehicle at the time of billing
+ */
+function copyWorkOrderItemsStatement(invoiceId, workOrderIds) {
+  return {
+    sql: `
+      INSERT INTO invoice_items (
+        invoice_id, work_order_id, cost_center, po_number,
+        description, quantity, unit_price, total_price, item_type
+      )
+      SELECT ?, woi.work_order_id, v.cost_center, v.po_number,
+        woi.description, woi.quantity, woi.unit_price, woi.total_price, woi.item_type
+      FROM work_order_items woi
+      INNER JOIN work_orders w ON woi.work_order_id = w.id
+      LEFT JOIN vehicles v ON w.vehicle_id = v.id
+      WHERE woi.work_order_id IN (${workOrderIds.map(() => '?').join(', ')})
+      ORDER BY v.cost_center, w.vehicle_id, w.completed_at, woi.id
+    `,
+    params: [invoiceId, ...workOrderIds]
+  };
+}
+
+/**
+ * Validate payment input
+ */
+function validatePaymentInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.invoiceId && !data.clientId) {
+    errors.push({ field: 'invoiceId', message: 'An invoice or client is required' });
+  }
+
+  if (!isUpdate && data.amount === undefined) {
+    errors.push({ field: 'amount', message: 'Amount is required' });
+  }
+
+  if (data.amount !== undefined && (isNaN(data.amount) || Number(data.amount) <= 0)) {
+    errors.push({ field: 'amount', message: 'Amount must be greater than zero' });
+  }
+
+  if (!isUpdate && !data.paymentMethod) {
+    errors.push({ field: 'paymentMethod', message: 'Payment method is required' });
+  }
+
+  if (data.paymentMethod && !PAYMENT_METHODS.includes(data.paymentMethod)) {
+    errors.push({ field: 'paymentMethod', message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+  }
+
+  if (data.paymentDate && !isValidDate(data.paymentDate)) {
+    errors.push({ field: 'paymentDate', message: 'Payment date must be in YYYY-MM-DD format' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Fetch a payment with its invoice and refund totals
+ */
+async function getPayment(id) {
+  const payment = await dbConnection.get(`
+    SELECT
+      p.*,
+      c.first_name || ' ' || c.last_name as client_name,
+      i.invoice_number,
+      (SELECT ROUND(COALESCE(-SUM(r.amount), 0), 2) FROM payments r WHERE r.refund_of = p.id) as refunded_amount
+    FROM payments p
+    LEFT JOIN clients c ON p.client_id = c.id
+    LEFT JOIN invoices i ON p.invoice_id = i.id
+    WHERE p.id = ?
+  `, [id]);
+
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  return payment;
+}
+
+/**
+ * Ensure a payment does not take an invoice past its total
+ */
+function assertWithinBalance(invoice, amount, field = 'amount') {
+  if (roundCurrency(amount) > roundCurrency(invoice.balance_due)) {
+    throw new ValidationError('Payment exceeds balance', [
+      { field, message: `Invoice ${invoice.invoice_number} only has ${invoice.balance_due} outstanding` }
+    ]);
+  }
+}
+
+/**
+ * Round a money amount to cents
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Ensure a status change follows the invoice lifecycle
+ */
+function assertTransition(invoice, nextStatus) {
+  const allowed = STATUS_TRANSITIONS[invoice.status] || [];
+
+  if (!allowed.includes(nextStatus)) {
+    throw new ValidationError('Invalid status change', [{
+      field: 'status',
+      message: `Cannot change status from ${invoice.status} to ${nextStatus}`
+    }]);
+  }
+}
+
+/**
+ * Validate a consolidated billing request and work out its period ('YYYY-MM'),
+ * defaulting to last month
+ */
+function getBillingPeriod(data) {
+  validateBillingInput(data);
+
+  // Default to last month, built from local date parts; toISOString would shift to UTC
+  if (data.period === undefined || data.period === null) {
+    const today = new Date();
+    const lastMonth = today.getMonth() === 0
+      ? { year: today.getFullYear() - 1, month: 12 }
+      : { year: today.getFullYear(), month: today.getMonth() };
+    return `${lastMonth.year}-${String(lastMonth.month).padStart(2, '0')}`;
+  }
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(data.period)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'period', message: 'Period must be a month in YYYY-MM format' }
+    ]);
+  }
+
+  return data.period;
+}
+
+/**
+ * Bill a client's uninvoiced work orders completed in a month on one invoice
+ *
+ * The work orders are picked inside the transaction, so overlapping runs or
+ * a single invoice generated meanwhile cannot bill them twice. Returns the
+ * new invoice's id, or null when there is nothing to bill.
+ */
+async function createConsolidatedInvoice(client, period, invoiceData) {
+  const invoiceDate = invoiceData.invoiceDate || getLocalDate();
+  const paymentTerms = resolvePaymentTerms(invoiceData, client);
+  const taxRate = invoiceData.taxRate !== undefined && invoiceData.taxRate !== null
+    ? Number(invoiceData.taxRate)
+    : FINANCIAL_SETTINGS.TAX_RATE;
+
+  let invoiceId = null;
+  let invoiceNumber;
+  let workOrderIds = [];
+
+  await dbConnection.withTransaction(async () => {
+    // completed_at is stored in UTC; the period is a month of the shop's local time
+    const workOrders = await dbConnection.all(`
+      SELECT w.id FROM work_orders w
+      WHERE w.client_id = ?
+        AND w.status = 'completed'
+        AND strftime('%Y-%m', w.completed_at, 'localtime') = ?
+        AND EXISTS (SELECT 1 FROM work_order_items woi WHERE woi.work_order_id = w.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM invoices i
+          WHERE i.status != 'cancelled'
+            AND (i.work_order_id = w.id OR i.id IN (SELECT invoice_id FROM invoice_items WHERE work_order_id = w.id))
+        )
+      ORDER BY w.completed_at, w.id
+    `, [client.id, period]);
+
+    if (workOrders.length === 0) {
+      return;
+    }
+
+    workOrderIds = workOrders.map(workOrder => workOrder.id);
+    invoiceNumber = await generateInvoiceNumber(invoiceDate);
+
+    const result = await dbConnection.run(`
+      INSERT INTO invoices (
+        client_id, invoice_number, invoice_date, due_date, billing_period,
+        tax_rate, payment_terms, notes, internal_notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      client.id,
+      invoiceNumber,
+      invoiceDate,
+      invoiceData.dueDate || calculateDueDate(invoiceDate, paymentTerms),
+      period,
+      taxRate,
+      paymentTerms,
+      invoiceData.notes || null,
+      invoiceData.internalNotes || null
+    ]);
+    invoiceId = result.lastID;
+
+    for (const statement of [
+      copyWorkOrderItemsStatement(invoiceId, workOrderIds),
+      recalculateInvoiceTotalsStatement(invoiceId),
+      recalculateBalanceStatement(invoiceId)
+    ]) {
+      await dbConnection.run(statement.sql, statement.params);
+    }
+  });
+
+  if (!invoiceId) {
+    return null;
+  }
+
+  logger.business('consolidated_invoice_generated', {
+    invoiceId,
+    invoiceNumber,
+    clientId: client.id,
+    period,
+    workOrderIds
+  });
+
+  return invoiceId;
+}
+
+/**
+ * Build the WHERE clause shared by invoice lists
+ */
+function buildInvoiceFilters(query) {
+  const { status, clientId, filter, startDate, endDate, search, billingPeriod } = query;
+
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('i.status = ?');
+    params.push(status);
+  }
+
+  if (clientId) {
+    conditions.push('i.client_id = ?');
+    params.push(clientId);
+  }
+
+  if (filter === 'overdue') {
+    conditions.push(`i.status IN ('sent', 'overdue') AND i.due_date < date('now')`);
+  } else if (filter === 'pending') {
+    conditions.push(`i.status IN ('sent', 'overdue') AND i.balance_due > 0`);
+  } else if (filter === 'draft') {
+    conditions.push(`i.status = 'draft'`);
+  }
+
+  if (billingPeriod) {
+    conditions.push('i.billing_period = ?');
+    params.push(billingPeriod);
+  }
+
+  if (startDate) {
+    conditions.push('i.invoice_date >= ?');
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('i.invoice_date <= ?');
+    params.push(endDate);
+  }
+
+  if (search) {
+    const searchTerm = `%${search}%`;
+    conditions.push(`(i.invoice_number LIKE ? OR c.first_name || ' ' || c.last_name LIKE ?)`);
+    params.push(searchTerm, searchTerm);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Get all invoices
+ * GET /api/v1/financial/invoices
+ */
+router.get('/invoices', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, sortBy = 'invoice_date', sortOrder = 'DESC' } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const { whereClause, params } = buildInvoiceFilters(req.query);
+
+  const validSortFields = ['invoice_date', 'due_date', 'invoice_number', 'total_amount', 'balance_due', 'status'];
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'invoice_date';
+  const sortDirection = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total
+    FROM invoices i
+    LEFT JOIN clients c ON i.client_id = c.id
+    ${whereClause}
+  `, params);
+
+  const invoices = await dbConnection.all(`
+    ${INVOICE_SELECT}
+    ${whereClause}
+    ORDER BY i.${sortField} ${sortDirection}, i.id ${sortDirection}
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    invoices,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Get invoices awaiting payment
+ * GET /api/v1/financial/invoices/pending
+ */
+router.get('/invoices/pending', asyncHandler(async (req, res) => {
+  const invoices = await dbConnection.all(`
+    ${INVOICE_SELECT}
+    WHERE i.status IN ('sent', 'overdue') AND i.balance_due > 0
+    ORDER BY i.due_date ASC
+  `);
+
+  res.json({
+    invoices,
+    totalOutstanding: invoices.reduce((sum, invoice) => sum + invoice.balance_due, 0)
+  });
+}));
+
+/**
+ * Get unpaid invoices past their due date
+ * GET /api/v1/financial/invoices/overdue
+ */
+router.get('/invoices/overdue', asyncHandler(async (req, res) => {
+  const invoices = await dbConnection.all(`
+    ${INVOICE_SELECT}
+    WHERE i.status IN ('sent', 'overdue') AND i.due_date < date('now')
+    ORDER BY i.due_date ASC
+  `);
+
+  res.json({
+    invoices,
+    totalOverdue: invoices.reduce((sum, invoice) => sum + invoice.balance_due, 0)
+  });
+}));
+
+/**
+ * Get invoices for a client
+ * GET /api/v1/financial/invoices/client/:clientId
+ */
+router.get('/invoices/client/:clientId', asyncHandler(async (req, res) => {
+  const { clientId } = req.params;
+
+  const client = await dbConnection.get('SELECT id FROM clients WHERE id = ?', [clientId]);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+
+  const invoices = await dbConnection.all(`
+    ${INVOICE_SELECT}
+    WHERE i.client_id = ?
+    ORDER BY i.invoice_date DESC, i.id DESC
+  `, [clientId]);
+
+  const summary = await dbConnection.get(`
+    SELECT
+      COALESCE(SUM(CASE WHEN status != 'cancelled' THEN total_amount END), 0) as total_billed,
+      COALESCE(SUM(CASE WHEN status != 'cancelled' THEN paid_amount END), 0) as total_paid,
+      COALESCE(SUM(CASE WHEN status IN ('sent', 'overdue') THEN balance_due END), 0) as total_outstanding
+    FROM invoices
+    WHERE client_id = ?
+  `, [clientId]);
+
+  res.json({ invoices, summary });
+}));
+
+/**
+ * Generate an invoice from a completed work order
+ * POST /api/v1/financial/invoices/generate
+ */
+router.post('/invoices/generate', asyncHandler(async (req, res) => {
+  const invoiceData = req.body;
+
+  if (!invoiceData.workOrderId) {
+    throw new ValidationError('Validation failed', [
+      { field: 'workOrderId', message: 'Work order is required' }
+    ]);
+  }
+
+  validateBillingInput(invoiceData);
+
+  const workOrder = await dbConnection.get('SELECT * FROM work_orders WHERE id = ?', [invoiceData.workOrderId]);
+  if (!workOrder) {
+    throw new NotFoundError('Work order not found');
+  }
+
+  if (workOrder.status !== 'completed') {
+    throw new ValidationError('Work order not completed', [
+      { field: 'workOrderId', message: `Only completed work orders can be invoiced (this one is ${workOrder.status})` }
+    ]);
+  }
+
+  const client = await dbConnection.get('SELECT * FROM clients WHERE id = ?', [workOrder.client_id]);
+  const invoiceDate = invoiceData.invoiceDate || getLocalDate();
+  const paymentTerms = resolvePaymentTerms(invoiceData, client);
+  const taxRate = invoiceData.taxRate !== undefined && invoiceData.taxRate !== null
+    ? Number(invoiceData.taxRate)
+    : FINANCIAL_SETTINGS.TAX_RATE;
+
+  let invoiceId;
+
+  // Checked and numbered inside the transaction so concurrent requests can
+  // neither bill the work order twice nor reuse an invoice number
+  await dbConnection.withTransaction(async () => {
+    const existing = await findInvoiceForWorkOrder(workOrder.id);
+    if (existing) {
+      throw new ConflictError('Work order already invoiced', {
+        invoiceId: existing.id,
+        invoiceNumber: existing.invoice_number
+      });
+    }
+
+    const lineCount = await dbConnection.get(
+      'SELECT COUNT(*) as count FROM work_order_items WHERE work_order_id = ?',
+      [workOrder.id]
+    );
+    if (lineCount.count === 0) {
+      throw new ValidationError('Work order has no lines', [
+        { field: 'workOrderId', message: 'Add parts or labor to the work order before invoicing it' }
+      ]);
+    }
+
+    const invoiceNumber = await generateInvoiceNumber(invoiceDate);
+
+    const result = await dbConnection.run(`
+      INSERT INTO invoices (
+        client_id, work_order_id, invoice_number, invoice_date, due_date,
+        tax_rate, payment_terms, notes, internal_notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      workOrder.client_id,
+      workOrder.id,
+      invoiceNumber,
+      invoiceDate,
+      invoiceData.dueDate || calculateDueDate(invoiceDate, paymentTerms),
+      taxRate,
+      paymentTerms,
+      invoiceData.notes || null,
+      invoiceData.internalNotes || null
+    ]);
+    invoiceId = result.lastID;
+
+    // Work order lines carry over one-to-one
+    for (const statement of [
+      copyWorkOrderItemsStatement(invoiceId, [workOrder.id]),
+      recalculateInvoiceTotalsStatement(invoiceId),
+      recalculateBalanceStatement(invoiceId)
+    ]) {
+      await dbConnection.run(statement.sql, statement.params);
+    }
+  });
+
+  const invoice = await getInvoiceWithDetails(invoiceId);
+
+  logger.business('invoice_generated', {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    workOrderId: workOrder.id,
+    clientId: invoice.client_id,
+    totalAmount: invoice.total_amount
+  });
+
+  res.status(201).json(invoice);
+}));
+
+/**
+ * Generate monthly consolidated invoices
+ * POST /api/v1/financial/invoices/consolidated
+ *
+ * Bills one client (clientId) or every active client set up for consolidated
+ * billing, for the work orders completed in period (default: last month).
+ */
+router.post('/invoices/consolidated', asyncHandler(async (req, res) => {
+  const invoiceData = req.body;
+  const period = getBillingPeriod(invoiceData);
+
+  let clients;
+  if (invoiceData.clientId) {
+    const client = await dbConnection.get('SELECT * FROM clients WHERE id = ?', [invoiceData.clientId]);
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+    clients = [client];
+  } else {
+    clients = await dbConnection.all(
+      'SELECT * FROM clients WHERE consolidated_billing = 1 AND is_active = 1 ORDER BY id'
+    );
+  }
+
+  const invoices = [];
+
+  for (const client of clients) {
+    const invoiceId = await createConsolidatedInvoice(client, period, invoiceData);
+
+    if (invoiceId) {
+      const invoice = await getInvoiceWithDetails(invoiceId);
+      await recordChange(req, 'invoice', invoiceId, null, invoice);
+      invoices.push(invoice);
+    }
+  }
+
+  if (invoiceData.clientId && invoices.length === 0) {
+    throw new ValidationError('Nothing to invoice', [
+      { field: 'period', message: `The client has no uninvoiced work orders completed in ${period}` }
+    ]);
+  }
+
+  res.status(201).json({ period, invoices });
+}));
+
+/**
+ * Get invoice by ID with lines and payments
+ * GET /api/v1/financial/invoices/:id
+ */
+router.get('/invoices/:id', asyncHandler(async (req, res) => {
+  res.json(await getInvoiceWithDetails(req.params.id));
+}));
+
+/**
+ * Update a draft invoice
+ * PUT /api/v1/financial/invoices/:id
+ */
+router.put('/invoices/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const invoiceData = req.body;
+
+  if (invoiceData.status !== undefined) {
+    throw new ValidationError('Validation failed', [
+      { field: 'status', message: 'Use the send, mark-paid and cancel actions to change status' }
+    ]);
+  }
+
+  validateBillingInput(invoiceData);
+
+  const invoice = await getInvoice(id);
+
+  // Notes can always be edited; amounts and dates are fixed once the client has the invoice
+  const changesBilling = ['taxRate', 'paymentTerms', 'invoiceDate', 'dueDate']
+    .some(field => invoiceData[field] !== undefined);
+
+  if (changesBilling && invoice.status !== 'draft') {
+    throw new ValidationError('Invoice is locked', [
+      { field: 'status', message: `Billing details of ${invoice.status} invoices cannot be changed` }
+    ]);
+  }
+
+  const invoiceDate = invoiceData.invoiceDate || invoice.invoice_date;
+  const paymentTerms = invoiceData.paymentTerms !== undefined ? Number(invoiceData.paymentTerms) : invoice.payment_terms;
+  const dueDate = invoiceData.dueDate ||
+    (invoiceData.invoiceDate || invoiceData.paymentTerms !== undefined ? calculateDueDate(invoiceDate, paymentTerms) : invoice.due_date);
+
+  await dbConnection.transaction([
+    {
+      sql: `
+        UPDATE invoices SET
+          invoice_date = ?,
+          due_date = ?,
+          payment_terms = ?,
+          tax_rate = COALESCE(?, tax_rate),
+          notes = COALESCE(?, notes),
+          internal_notes = COALESCE(?, internal_notes)
+        WHERE id = ?
+      `,
+      params: [
+        invoiceDate,
+        dueDate,
+        paymentTerms,
+        invoiceData.taxRate,
+        invoiceData.notes,
+        invoiceData.internalNotes,
+        id
+      ]
+    },
+    recalculateInvoiceTotalsStatement(id),
+    recalculateBalanceStatement(id)
+  ]);
+
+  logger.business('invoice_updated', {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number
+  });
+
+  res.json(await getInvoiceWithDetails(id));
+}));
+
+/**
+ * Send an invoice to the client
+ *
+ * The client is notified by email or SMS as their preferences allow; the
+ * response's notification says whether it went out, was queued for quiet
+ * hours or was blocked.
+ * PATCH /api/v1/financial/invoices/:id/send
+ */
+router.patch('/invoices/:id/send', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const invoice = await getInvoice(id);
+  assertTransition(invoice, 'sent');
+
+  await dbConnection.run(
+    "UPDATE invoices SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [id]
+  );
+
+  logger.business('invoice_sent', {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    clientId: invoice.client_id,
+    totalAmount: invoice.total_amount
+  });
+
+  const client = await dbConnection.get('SELECT * FROM clients WHERE id = ?', [invoice.client_id]);
+  const currency = FINANCIAL_SETTINGS.CURRENCY_SYMBOL;
+  const notification = await notifyClient(client, {
+    template: 'INVOICE_SENT',
+    data: {
+      invoiceNumber: invoice.invoice_number,
+      amount: `${currency}${Number(invoice.total_amount).toFixed(2)}`,
+      balanceDue: `${currency}${Number(invoice.balance_due).toFixed(2)}`,
+      invoiceDate: invoice.invoice_date,
+      dueDate: invoice.due_date
+    },
+    relatedType: 'invoice',
+    relatedId: invoice.id,
+    userId: req.user.id
+  });
+
+  res.json({ ...await getInvoiceWithDetails(id), notification });
+}));
+
+/**
+ * Mark an invoice as paid by recording a payment for the remaining balance
+ * PATCH /api/v1/financial/invoices/:id/mark-paid
+ */
+router.patch('/invoices/:id/mark-paid', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { paymentMethod = 'cash', paymentDate, referenceNumber, notes } = req.body;
+
+  const errors = [];
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    errors.push({ field: 'paymentMethod', message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+  }
+  if (paymentDate && !isValidDate(paymentDate)) {
+    errors.push({ field: 'paymentDate', message: 'Payment date must be in YYYY-MM-DD format' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const invoice = await getInvoice(id);
+  assertTransition(invoice, 'paid');
+
+  const statements = [];
+
+  if (invoice.balance_due > 0) {
+    statements.push({
+      sql: `
+        INSERT INTO payments (
+          client_id, invoice_id, payment_method, reference_number, amount, payment_date, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      params: [
+        invoice.client_id,
+        invoice.id,
+        paymentMethod,
+        referenceNumber || null,
+        invoice.balance_due,
+        paymentDate || getLocalDate(),
+        notes || 'Marked as paid',
+        req.user.id
+      ]
+    });
+  }
+
+  statements.push({
+    sql: "UPDATE invoices SET status = 'paid' WHERE id = ?",
+    params: [id]
+  });
+
+  await dbConnection.transaction(statements);
+
+  logger.business('invoice_paid', {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    amount: invoice.balance_due,
+    paymentMethod
+  });
+
+  res.json(await getInvoiceWithDetails(id));
+}));
+
+/**
+ * Cancel an invoice
+ * PATCH /api/v1/financial/invoices/:id/cancel
+ */
+router.patch('/invoices/:id/cancel', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const invoice = await getInvoice(id);
+  assertTransition(invoice, 'cancelled');
+
+  if (invoice.paid_amount > 0) {
+    throw new ValidationError('Invoice has payments', [
+      { field: 'status', message: 'Refund the payments on this invoice before cancelling it' }
+    ]);
+  }
+
+  await dbConnection.run(`
+    UPDATE invoices SET
+      status = 'cancelled',
+      balance_due = 0,
+      internal_notes = COALESCE(internal_notes || char(10), '') || ?
+    WHERE id = ?
+  `, [`Cancelled${reason ? `: ${reason}` : ''}`, id]);
+
+  logger.business('invoice_cancelled', {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    reason: reason || null
+  });
+
+  res.json(await getInvoiceWithDetails(id));
+}));
+
+/**
+ * Get all payments and refunds
+ * GET /api/v1/financial/payments
+ */
+router.get('/payments', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    clientId,
+    invoiceId,
+    paymentMethod,
+    type,
+    startDate,
+    endDate
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const conditions = [];
+  const params = [];
+
+  if (clientId) {
+    conditions.push('p.client_id = ?');
+    params.push(clientId);
+  }
+
+  if (invoiceId) {
+    conditions.push('p.invoice_id = ?');
+    params.push(invoiceId);
+  }
+
+  if (paymentMethod) {
+    conditions.push('p.payment_method = ?');
+    params.push(paymentMethod);
+  }
+
+  if (type === 'payment') {
+    conditions.push('p.refund_of IS NULL');
+  } else if (type === 'refund') {
+    conditions.push('p.refund_of IS NOT NULL');
+  }
+
+  if (startDate) {
+    conditions.push('p.payment_date >= ?');
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('p.payment_date <= ?');
+    params.push(endDate);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total, ROUND(COALESCE(SUM(p.amount), 0), 2) as net_amount
+    FROM payments p
+    ${whereClause}
+  `, params);
+
+  const payments = await dbConnection.all(`
+    SELECT
+      p.*,
+      c.first_name || ' ' || c.last_name as client_name,
+      i.invoice_number
+    FROM payments p
+    LEFT JOIN clients c ON p.client_id = c.id
+    LEFT JOIN invoices i ON p.invoice_id = i.id
+    ${whereClause}
+    ORDER BY p.payment_date DESC, p.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    payments,
+    netAmount: totalResult.net_amount,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Get accepted payment methods
+ * GET /api/v1/financial/payments/methods
+ */
+router.get('/payments/methods', asyncHandler(async (req, res) => {
+  res.json(PAYMENT_METHODS.map(method => ({
+    value: method,
+    label: PAYMENT_METHOD_LABELS[method]
+  })));
+}));
+
+/**
+ * Process an online payment
+ * POST /api/v1/financial/payments/process
+ */
+router.post('/payments/process', asyncHandler(async (req, res) => {
+  // No payment gateway is integrated; card payments are recorded with POST /payments
+  throw new ApiError(
+    FINANCIAL_SETTINGS.ENABLE_ONLINE_PAYMENTS
+      ? 'No online payment provider is configured'
+      : 'Online payments are disabled',
+    503,
+    'SERVICE_UNAVAILABLE'
+  );
+}));
+
+/**
+ * Get payments for an invoice
+ * GET /api/v1/financial/payments/invoice/:invoiceId
+ */
+router.get('/payments/invoice/:invoiceId', asyncHandler(async (req, res) => {
+  const invoice = await getInvoice(req.params.invoiceId);
+
+  const payments = await dbConnection.all(
+    'SELECT * FROM payments WHERE invoice_id = ? ORDER BY payment_date ASC, id ASC',
+    [invoice.id]
+  );
+
+  res.json({
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    status: invoice.status,
+    totalAmount: invoice.total_amount,
+    paidAmount: invoice.paid_amount,
+    balanceDue: invoice.balance_due,
+    payments
+  });
+}));
+
+/**
+ * Get payment by ID with its refunds
+ * GET /api/v1/financial/payments/:id
+ */
+router.get('/payments/:id', asyncHandler(async (req, res) => {
+  const payment = await getPayment(req.params.id);
+
+  const refunds = await dbConnection.all(
+    'SELECT * FROM payments WHERE refund_of = ? ORDER BY payment_date ASC, id ASC',
+    [payment.id]
+  );
+
+  res.json({
+    ...payment,
+    refundableAmount: payment.refund_of ? 0 : roundCurrency(payment.amount - payment.refunded_amount),
+    refunds
+  });
+}));
+
+/**
+ * Record a payment
+ * POST /api/v1/financial/payments
+ */
+router.post('/payments', asyncHandler(async (req, res) => {
+  const paymentData = req.body;
+
+  validatePaymentInput(paymentData);
+
+  let clientId = paymentData.clientId;
+
+  if (paymentData.invoiceId) {
+    const invoice = await getInvoice(paymentData.invoiceId);
+
+    if (invoice.status === 'cancelled') {
+      throw new ValidationError('Invoice is cancelled', [
+        { field: 'invoiceId', message: 'Payments cannot be recorded against a cancelled invoice' }
+      ]);
+    }
+
+    if (clientId && Number(clientId) !== invoice.client_id) {
+      throw new ValidationError('Validation failed', [
+        { field: 'clientId', message: 'Invoice belongs to a different client' }
+      ]);
+    }
+
+    assertWithinBalance(invoice, Number(paymentData.amount));
+    clientId = invoice.client_id;
+  } else {
+    const client = await dbConnection.get('SELECT id FROM clients WHERE id = ?', [clientId]);
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+  }
+
+  const result = await dbConnection.run(`
+    INSERT INTO payments (
+      client_id, invoice_id, payment_method, reference_number, amount, payment_date, notes, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    clientId,
+    paymentData.invoiceId || null,
+    paymentData.paymentMethod,
+    paymentData.referenceNumber || null,
+    roundCurrency(Number(paymentData.amount)),
+    paymentData.paymentDate || getLocalDate(),
+    paymentData.notes || null,
+    req.user.id
+  ]);
+
+  const payment = await getPayment(result.lastID);
+
+  logger.business('payment_recorded', {
+    paymentId: payment.id,
+    invoiceId: payment.invoice_id,
+    clientId: payment.client_id,
+    amount: payment.amount,
+    paymentMethod: payment.payment_method
+  });
+
+  res.status(201).json(payment);
+}));
+
+/**
+ * Update a payment
+ * PUT /api/v1/financial/payments/:id
+ */
+router.put('/payments/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const paymentData = req.body;
+
+  if (paymentData.invoiceId !== undefined || paymentData.clientId !== undefined) {
+    throw new ValidationError('Validation failed', [
+      { field: 'invoiceId', message: 'Delete and re-record a payment to move it to another invoice' }
+    ]);
+  }
+
+  validatePaymentInput(paymentData, true);
+
+  const payment = await getPayment(id);
+  let amount;
+
+  if (paymentData.amount !== undefined) {
+    const requested = roundCurrency(Number(paymentData.amount));
+
+    // Refunds are stored as negative amounts
+    amount = payment.refund_of ? -requested : requested;
+
+    if (payment.refund_of) {
+      const original = await getPayment(payment.refund_of);
+      if (requested > roundCurrency(original.amount - original.refunded_amount - payment.amount)) {
+        throw new ValidationError('Refund exceeds payment', [
+          { field: 'amount', message: `Only ${roundCurrency(original.amount - original.refunded_amount - payment.amount)} can be refunded` }
+        ]);
+      }
+    } else if (requested < payment.refunded_amount) {
+      throw new ValidationError('Validation failed', [
+        { field: 'amount', message: `Amount cannot be less than the ${payment.refunded_amount} already refunded` }
+      ]);
+    }
+
+    if (payment.invoice_id && amount > payment.amount) {
+      assertWithinBalance(await getInvoice(payment.invoice_id), amount - payment.amount);
+    }
+  }
+
+  await dbConnection.run(`
+    UPDATE payments SET
+      amount = COALESCE(?, amount),
+      payment_method = COALESCE(?, payment_method),
+      reference_number = COALESCE(?, reference_number),
+      payment_date = COALESCE(?, payment_date),
+      notes = COALESCE(?, notes)
+    WHERE id = ?
+  `, [
+    amount,
+    paymentData.paymentMethod,
+    paymentData.referenceNumber,
+    paymentData.paymentDate,
+    paymentData.notes,
+    id
+  ]);
+
+  const updatedPayment = await getPayment(id);
+
+  logger.business('payment_updated', {
+    paymentId: payment.id,
+    invoiceId: payment.invoice_id,
+    previousAmount: payment.amount,
+    amount: updatedPayment.amount
+  });
+
+  res.json(updatedPayment);
+}));
+
+/**
+ * Delete a payment entered in error
+ * DELETE /api/v1/financial/payments/:id
+ */
+router.delete('/payments/:id', asyncHandler(async (req, res) => {
+  const payment = await getPayment(req.params.id);
+
+  const refundCount = await dbConnection.get(
+    'SELECT COUNT(*) as count FROM payments WHERE refund_of = ?',
+    [payment.id]
+  );
+
+  if (refundCount.count > 0) {
+    throw new ValidationError('Payment has refunds', [
+      { field: 'id', message: 'Delete the refunds of this payment first' }
+    ]);
+  }
+
+  await dbConnection.run('DELETE FROM payments WHERE id = ?', [payment.id]);
+
+  logger.business('payment_deleted', {
+    paymentId: payment.id,
+    invoiceId: payment.invoice_id,
+    amount: payment.amount
+  });
+
+  res.json({ message: 'Payment deleted successfully' });
+}));
+
+/**
+ * Refund all or part of a payment
+ * POST /api/v1/financial/payments/:id/refund
+ */
+router.post('/payments/:id/refund', asyncHandler(async (req, res) => {
+  const { amount, reason, paymentMethod, refundDate, referenceNumber } = req.body;
+
+  const payment = await getPayment(req.params.id);
+
+  if (payment.refund_of) {
+    throw new ValidationError('Validation failed', [
+      { field: 'id', message: 'A refund cannot itself be refunded' }
+    ]);
+  }
+
+  const refundable = roundCurrency(payment.amount - payment.refunded_amount);
+  const refundAmount = amount !== undefined ? roundCurrency(Number(amount)) : refundable;
+
+  const errors = [];
+  if (isNaN(refundAmount) || refundAmount <= 0) {
+    errors.push({ field: 'amount', message: 'Amount must be greater than zero' });
+  } else if (refundAmount > refundable) {
+    errors.push({ field: 'amount', message: `Only ${refundable} of this payment can be refunded` });
+  }
+  if (!reason) {
+    errors.push({ field: 'reason', message: 'A reason is required for refunds' });
+  }
+  if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+    errors.push({ field: 'paymentMethod', message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+  }
+  if (refundDate && !isValidDate(refundDate)) {
+    errors.push({ field: 'refundDate', message: 'Refund date must be in YYYY-MM-DD format' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const result = await dbConnection.run(`
+    INSERT INTO payments (
+      client_id, invoice_id, payment_method, reference_number, amount, payment_date, notes, refund_of, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    payment.client_id,
+    payment.invoice_id,
+    paymentMethod || payment.payment_method,
+    referenceNumber || null,
+    -refundAmount,
+    refundDate || getLocalDate(),
+    reason,
+    payment.id,
+    req.user.id
+  ]);
+
+  const refund = await getPayment(result.lastID);
+
+  logger.business('payment_refunded', {
+    paymentId: payment.id,
+    refundId: refund.id,
+    invoiceId: payment.invoice_id,
+    amount: refundAmount,
+    reason
+  });
+
+  res.status(201).json({
+    refund,
+    payment: await getPayment(payment.id),
+    invoice: payment.invoice_id ? await getInvoice(payment.invoice_id) : null
+  });
+}));
+
+module.exports = router;
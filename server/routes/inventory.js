@@ -0,0 +1,1154 @@
+/**
+ * Inventory Routes for MoMech
+ * Handles parts, categories, suppliers and the stock movement ledger
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const csv = require('../utils/csv');
+const { MOVEMENT_TYPES, SIGNED_QUANTITY_SQL, movementStatement } = require('../utils/inventoryLedger');
+const { recordChanges } = require('../utils/audit');
+const { auditTrail } = require('../middleware/audit');
+
+const router = express.Router();
+
+router.use(auditTrail([
+  { entityType: 'inventory_item', table: 'inventory_items' },
+  { path: '/categories', entityType: 'inventory_category', table: 'inventory_categories' },
+  { path: '/suppliers', entityType: 'supplier', table: 'suppliers' },
+  { path: '/movements', entityType: 'inventory_movement', table: 'inventory_movements', responseKey: 'movement' }
+]));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.UPLOADS.MAX_FILE_SIZE }
+});
+
+const ITEM_SELECT = `
+  SELECT
+    i.*,
+    ic.name as category_name,
+    s.name as supplier_name,
+    CASE WHEN i.quantity_on_hand <= i.minimum_quantity THEN 1 ELSE 0 END as is_low_stock
+  FROM inventory_items i
+  LEFT JOIN inventory_categories ic ON i.category_id = ic.id
+  LEFT JOIN suppliers s ON i.supplier_id = s.id
+`;
+
+// Columns accepted by import and produced by export
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'name', header: 'name' },
+  { key: 'part_number', header: 'part_number' },
+  { key: 'barcode', header: 'barcode' },
+  { key: 'description', header: 'description' },
+  { key: 'category_name', header: 'category' },
+  { key: 'supplier_name', header: 'supplier' },
+  { key: 'unit_of_measure', header: 'unit_of_measure' },
+  { key: 'cost_price', header: 'cost_price' },
+  { key: 'selling_price', header: 'selling_price' },
+  { key: 'quantity_on_hand', header: 'quantity_on_hand' },
+  { key: 'minimum_quantity', header: 'minimum_quantity' },
+  { key: 'reorder_point', header: 'reorder_point' },
+  { key: 'reorder_quantity', header: 'reorder_quantity' },
+  { key: 'location', header: 'location' }
+];
+
+/**
+ * Validate inventory item input
+ */
+function validateItemInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.name) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+
+  ['costPrice', 'sellingPrice'].forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '' && (isNaN(data[field]) || Number(data[field]) < 0)) {
+      errors.push({ field, message: 'Price cannot be negative' });
+    }
+  });
+
+  ['minimumQuantity', 'maximumQuantity', 'reorderPoint', 'reorderQuantity'].forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '' && (!Number.isInteger(Number(data[field])) || Number(data[field]) < 0)) {
+      errors.push({ field, message: 'Must be a positive whole number' });
+    }
+  });
+
+  if (isUpdate && data.quantityOnHand !== undefined) {
+    errors.push({ field: 'quantityOnHand', message: 'Stock can only be changed by recording a movement' });
+  }
+
+  if (!isUpdate && data.quantityOnHand !== undefined && (!Number.isInteger(Number(data.quantityOnHand)) || Number(data.quantityOnHand) < 0)) {
+    errors.push({ field: 'quantityOnHand', message: 'Opening stock must be a positive whole number' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Validate movement input
+ */
+function validateMovementInput(data) {
+  const errors = [];
+  const quantity = Number(data.quantity);
+
+  if (!data.itemId) {
+    errors.push({ field: 'itemId', message: 'Item is required' });
+  }
+
+  if (!MOVEMENT_TYPES.includes(data.movementType)) {
+    errors.push({ field: 'movementType', message: `Movement type must be one of: ${MOVEMENT_TYPES.join(', ')}` });
+  }
+
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    errors.push({ field: 'quantity', message: 'Quantity must be a non-zero whole number' });
+  } else if (data.movementType !== 'adjustment' && quantity < 0) {
+    errors.push({ field: 'quantity', message: 'Quantity must be positive; use an adjustment to correct stock down' });
+  }
+
+  if (data.movementType === 'adjustment' && !data.notes) {
+    errors.push({ field: 'notes', message: 'A reason is required for adjustments' });
+  }
+
+  if (data.unitCost !== undefined && data.unitCost !== null && (isNaN(data.unitCost) || Number(data.unitCost) < 0)) {
+    errors.push({ field: 'unitCost', message: 'Unit cost cannot be negative' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Fetch an inventory item with its display fields
+ */
+async function getItem(id) {
+  const item = await dbConnection.get(`${ITEM_SELECT} WHERE i.id = ?`, [id]);
+
+  if (!item) {
+    throw new NotFoundError('Inventory item not found');
+  }
+
+  return item;
+}
+
+/**
+ * Fetch the raw rows of several inventory items, e.g. to audit a bulk change
+ */
+async function getItemRows(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  return dbConnection.all(
+    `SELECT * FROM inventory_items WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+}
+
+/**
+ * Ensure a barcode is not already used by another item
+ */
+async function checkDuplicateBarcode(barcode, excludeId = null) {
+  if (!barcode) {
+    return;
+  }
+
+  const duplicate = await dbConnection.get(
+    'SELECT id FROM inventory_items WHERE barcode = ? AND id != ?',
+    [barcode, excludeId || 0]
+  );
+
+  if (duplicate) {
+    throw new ValidationError('Barcode already exists', [
+      { field: 'barcode', message: 'This barcode is already assigned to another item' }
+    ]);
+  }
+}
+
+/**
+ * Look up a category or supplier by name, creating it when missing
+ */
+async function findOrCreateByName(table, name) {
+  if (!name) {
+    return null;
+  }
+
+  const existing = await dbConnection.get(`SELECT id FROM ${table} WHERE name = ?`, [name]);
+  if (existing) {
+    return existing.id;
+  }
+
+  const result = await dbConnection.run(`INSERT INTO ${table} (name) VALUES (?)`, [name]);
+  return result.lastID;
+}
+
+/**
+ * Get all inventory items
+ * GET /api/v1/inventory
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    search = '',
+    active = 'true',
+    categoryId,
+    supplierId,
+    filter,
+    sortBy = 'name',
+    sortOrder = 'ASC'
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const conditions = [];
+  const params = [];
+
+  if (active !== 'all') {
+    conditions.push('i.is_active = ?');
+    params.push(active === 'true' ? 1 : 0);
+  }
+
+  if (categoryId) {
+    conditions.push('i.category_id = ?');
+    params.push(categoryId);
+  }
+
+  if (supplierId) {
+    conditions.push('i.supplier_id = ?');
+    params.push(supplierId);
+  }
+
+  if (filter === 'low-stock') {
+    conditions.push('i.quantity_on_hand <= i.minimum_quantity');
+  }
+
+  if (search) {
+    const searchTerm = `%${search}%`;
+    conditions.push('(i.name LIKE ? OR i.part_number LIKE ? OR i.barcode LIKE ? OR i.description LIKE ?)');
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const validSortFields = ['name', 'part_number', 'quantity_on_hand', 'selling_price', 'location', 'created_at'];
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
+  const sortDirection = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total FROM inventory_items i ${whereClause}
+  `, params);
+
+  const items = await dbConnection.all(`
+    ${ITEM_SELECT}
+    ${whereClause}
+    ORDER BY i.${sortField} ${sortDirection}
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    items,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Search inventory by name, part number or barcode
+ * GET /api/v1/inventory/search
+ */
+router.get('/search', asyncHandler(async (req, res) => {
+  const { q, barcode, limit = 10 } = req.query;
+
+  // Barcode scans must match exactly
+  if (barcode) {
+    const items = await dbConnection.all(`${ITEM_SELECT} WHERE i.barcode = ? AND i.is_active = 1`, [barcode]);
+    return res.json(items);
+  }
+
+  if (!q || q.length < 2) {
+    return res.json([]);
+  }
+
+  const searchTerm = `%${q}%`;
+
+  const items = await dbConnection.all(`
+    ${ITEM_SELECT}
+    WHERE i.is_active = 1
+      AND (i.name LIKE ? OR i.part_number LIKE ? OR i.barcode LIKE ?)
+    ORDER BY i.name
+    LIMIT ?
+  `, [searchTerm, searchTerm, searchTerm, parseInt(limit)]);
+
+  res.json(items);
+}));
+
+/**
+ * Get items at or below their minimum quantity
+ * GET /api/v1/inventory/low-stock
+ */
+router.get('/low-stock', asyncHandler(async (req, res) => {
+  const items = await dbConnection.all(`
+    ${ITEM_SELECT}
+    WHERE i.is_active = 1 AND i.quantity_on_hand <= i.minimum_quantity
+    ORDER BY (i.quantity_on_hand - i.minimum_quantity) ASC, i.name
+  `);
+
+  const criticalThreshold = config.BUSINESS.INVENTORY.CRITICAL_STOCK_THRESHOLD;
+
+  res.json(items.map(item => ({
+    ...item,
+    is_critical: item.quantity_on_hand <= criticalThreshold,
+    suggested_order_quantity: Math.max(item.reorder_quantity || 0, (item.reorder_point || 0) - item.quantity_on_hand)
+  })));
+}));
+
+/**
+ * Get inventory categories
+ * GET /api/v1/inventory/categories
+ */
+router.get('/categories', asyncHandler(async (req, res) => {
+  const categories = await dbConnection.all(`
+    SELECT
+      ic.*,
+      (SELECT COUNT(*) FROM inventory_items i WHERE i.category_id = ic.id AND i.is_active = 1) as item_count
+    FROM inventory_categories ic
+    WHERE ic.is_active = 1
+    ORDER BY ic.name
+  `);
+
+  res.json(categories);
+}));
+
+/**
+ * Create inventory category
+ * POST /api/v1/inventory/categories
+ */
+router.post('/categories', asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (!name) {
+    throw new ValidationError('Validation failed', [
+      { field: 'name', message: 'Name is required' }
+    ]);
+  }
+
+  const existing = await dbConnection.get('SELECT id FROM inventory_categories WHERE name = ?', [name]);
+  if (existing) {
+    throw new ValidationError('Category already exists', [
+      { field: 'name', message: 'A category with this name already exists' }
+    ]);
+  }
+
+  const result = await dbConnection.run(
+    'INSERT INTO inventory_categories (name, description) VALUES (?, ?)',
+    [name, description || null]
+  );
+
+  const category = await dbConnection.get('SELECT * FROM inventory_categories WHERE id = ?', [result.lastID]);
+
+  res.status(201).json(category);
+}));
+
+/**
+ * Get suppliers
+ * GET /api/v1/inventory/suppliers
+ */
+router.get('/suppliers', asyncHandler(async (req, res) => {
+  const { active = 'true' } = req.query;
+
+  const suppliers = await dbConnection.all(`
+    SELECT
+      s.*,
+      (SELECT COUNT(*) FROM inventory_items i WHERE i.supplier_id = s.id AND i.is_active = 1) as item_count
+    FROM suppliers s
+    ${active !== 'all' ? 'WHERE s.is_active = ?' : ''}
+    ORDER BY s.name
+  `, active !== 'all' ? [active === 'true' ? 1 : 0] : []);
+
+  res.json(suppliers);
+}));
+
+/**
+ * Create supplier
+ * POST /api/v1/inventory/suppliers
+ */
+router.post('/suppliers', asyncHandler(async (req, res) => {
+  const supplierData = req.body;
+
+  const errors = [];
+  if (!supplierData.name) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+  if (supplierData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplierData.email)) {
+    errors.push({ field: 'email', message: 'Invalid email format' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const result = await dbConnection.run(`
+    INSERT INTO suppliers (
+      name, contact_person, email, phone, address, city, state, zip_code, website, notes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    supplierData.name,
+    supplierData.contactPerson || null,
+    supplierData.email || null,
+    supplierData.phone || null,
+    supplierData.address || null,
+    supplierData.city || null,
+    supplierData.state || null,
+    supplierData.zipCode || null,
+    supplierData.website || null,
+    supplierData.notes || null
+  ]);
+
+  const supplier = await dbConnection.get('SELECT * FROM suppliers WHERE id = ?', [result.lastID]);
+
+  logger.business('supplier_created', {
+    supplierId: supplier.id,
+    supplierName: supplier.name
+  });
+
+  res.status(201).json(supplier);
+}));
+
+/**
+ * Update supplier
+ * PUT /api/v1/inventory/suppliers/:id
+ */
+router.put('/suppliers/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const supplierData = req.body;
+
+  if (supplierData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplierData.email)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'email', message: 'Invalid email format' }
+    ]);
+  }
+
+  const supplier = await dbConnection.get('SELECT id FROM suppliers WHERE id = ?', [id]);
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found');
+  }
+
+  await dbConnection.run(`
+    UPDATE suppliers SET
+      name = COALESCE(?, name),
+      contact_person = COALESCE(?, contact_person),
+      email = COALESCE(?, email),
+      phone = COALESCE(?, phone),
+      address = COALESCE(?, address),
+      city = COALESCE(?, city),
+      state = COALESCE(?, state),
+      zip_code = COALESCE(?, zip_code),
+      website = COALESCE(?, website),
+      notes = COALESCE(?, notes),
+      is_active = COALESCE(?, is_active),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    supplierData.name,
+    supplierData.contactPerson,
+    supplierData.email,
+    supplierData.phone,
+    supplierData.address,
+    supplierData.city,
+    supplierData.state,
+    supplierData.zipCode,
+    supplierData.website,
+    supplierData.notes,
+    supplierData.isActive === undefined ? undefined : (supplierData.isActive ? 1 : 0),
+    id
+  ]);
+
+  res.json(await dbConnection.get('SELECT * FROM suppliers WHERE id = ?', [id]));
+}));
+
+/**
+ * Get stock movements across all items
+ * GET /api/v1/inventory/movements
+ */
+router.get('/movements', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 50,
+    itemId,
+    movementType,
+    referenceType,
+    referenceId,
+    startDate,
+    endDate
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const conditions = [];
+  const params = [];
+
+  if (itemId) {
+    conditions.push('m.item_id = ?');
+    params.push(itemId);
+  }
+
+  if (movementType) {
+    conditions.push('m.movement_type = ?');
+    params.push(movementType);
+  }
+
+  if (referenceType) {
+    conditions.push('m.reference_type = ?');
+    params.push(referenceType);
+  }
+
+  if (referenceId) {
+    conditions.push('m.reference_id = ?');
+    params.push(referenceId);
+  }
+
+  if (startDate) {
+    conditions.push('date(m.created_at) >= ?');
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('date(m.created_at) <= ?');
+    params.push(endDate);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total FROM inventory_movements m ${whereClause}
+  `, params);
+
+  const movements = await dbConnection.all(`
+    SELECT
+      m.*,
+      i.name as item_name,
+      i.part_number,
+      u.first_name || ' ' || u.last_name as created_by_name
+    FROM inventory_movements m
+    LEFT JOIN inventory_items i ON m.item_id = i.id
+    LEFT JOIN users u ON m.created_by = u.id
+    ${whereClause}
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    movements,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Record a stock movement
+ * POST /api/v1/inventory/movements
+ */
+router.post('/movements', asyncHandler(async (req, res) => {
+  const movementData = req.body;
+
+  validateMovementInput(movementData);
+
+  const item = await getItem(movementData.itemId);
+  const quantity = Number(movementData.quantity);
+
+  // Never allow stock to go below zero
+  const newQuantity = item.quantity_on_hand + (movementData.movementType === 'out' ? -quantity : quantity);
+  if (newQuantity < 0) {
+    throw new ValidationError('Insufficient stock', [
+      { field: 'quantity', message: `Only ${item.quantity_on_hand} ${item.unit_of_measure} of ${item.name} in stock` }
+    ]);
+  }
+
+  const statement = movementStatement({
+    itemId: item.id,
+    movementType: movementData.movementType,
+    quantity,
+    unitCost: movementData.unitCost !== undefined ? movementData.unitCost : null,
+    referenceType: movementData.referenceType || (movementData.movementType === 'in' ? 'purchase' : movementData.movementType),
+    referenceId: movementData.referenceId || null,
+    notes: movementData.notes || null,
+    createdBy: req.user.id
+  });
+
+  const result = await dbConnection.run(statement.sql, statement.params);
+
+  const movement = await dbConnection.get('SELECT * FROM inventory_movements WHERE id = ?', [result.lastID]);
+  const updatedItem = await getItem(item.id);
+
+  logger.business('inventory_movement_recorded', {
+    itemId: item.id,
+    movementId: movement.id,
+    movementType: movement.movement_type,
+    quantity: movement.quantity,
+    quantityOnHand: updatedItem.quantity_on_hand
+  });
+
+  res.status(201).json({
+    movement,
+    item: updatedItem
+  });
+}));
+
+/**
+ * Compare stock on hand with the movement ledger
+ * GET /api/v1/inventory/consistency
+ */
+router.get('/consistency', asyncHandler(async (req, res) => {
+  const items = await dbConnection.all(`
+    SELECT
+      i.id,
+      i.name,
+      i.part_number,
+      i.quantity_on_hand,
+      COALESCE(l.ledger_quantity, 0) as ledger_quantity,
+      COALESCE(l.movement_count, 0) as movement_count
+    FROM inventory_items i
+    LEFT JOIN (
+      SELECT item_id, SUM(${SIGNED_QUANTITY_SQL}) as ledger_quantity, COUNT(*) as movement_count
+      FROM inventory_movements
+      GROUP BY item_id
+    ) l ON l.item_id = i.id
+    ORDER BY i.name
+  `);
+
+  const drift = items
+    .filter(item => (item.quantity_on_hand || 0) !== item.ledger_quantity)
+    .map(item => ({ ...item, drift: (item.quantity_on_hand || 0) - item.ledger_quantity }));
+
+  if (drift.length > 0) {
+    logger.warn('Inventory drift detected', { itemCount: drift.length });
+  }
+
+  res.json({
+    checkedAt: new Date().toISOString(),
+    itemsChecked: items.length,
+    consistent: drift.length === 0,
+    drift
+  });
+}));
+
+/**
+ * Reset drifted stock levels to the ledger balance
+ * POST /api/v1/inventory/consistency/repair
+ */
+router.post('/consistency/repair', asyncHandler(async (req, res) => {
+  const drifted = await dbConnection.all(`
+    SELECT * FROM inventory_items
+    WHERE COALESCE(quantity_on_hand, 0) != (
+      SELECT COALESCE(SUM(${SIGNED_QUANTITY_SQL}), 0)
+      FROM inventory_movements m
+      WHERE m.item_id = inventory_items.id
+    )
+  `);
+
+  const result = await dbConnection.run(`
+    UPDATE inventory_items
+    SET quantity_on_hand = (
+      SELECT COALESCE(SUM(${SIGNED_QUANTITY_SQL}), 0)
+      FROM inventory_movements m
+      WHERE m.item_id = inventory_items.id
+    )
+    WHERE COALESCE(quantity_on_hand, 0) != (
+      SELECT COALESCE(SUM(${SIGNED_QUANTITY_SQL}), 0)
+      FROM inventory_movements m
+      WHERE m.item_id = inventory_items.id
+    )
+  `);
+
+  await recordChanges(req, 'inventory_item', drifted, await getItemRows(drifted.map(item => item.id)));
+
+  logger.business('inventory_drift_repaired', { itemCount: result.changes });
+
+  res.json({
+    message: 'Stock levels reset to ledger balances',
+    itemsRepaired: result.changes
+  });
+}));
+
+/**
+ * Apply several stock counts and item changes at once
+ * POST /api/v1/inventory/bulk-update
+ */
+router.post('/bulk-update', asyncHandler(async (req, res) => {
+  const { updates, reason } = req.body;
+
+  if (!Array.isArray(updates) || updates.length === 0) {
+    throw new ValidationError('Validation failed', [
+      { field: 'updates', message: 'At least one update is required' }
+    ]);
+  }
+
+  const statements = [];
+  const errors = [];
+  const before = [];
+
+  for (const [index, update] of updates.entries()) {
+    const item = update.itemId
+      ? await dbConnection.get('SELECT * FROM inventory_items WHERE id = ?', [update.itemId])
+      : null;
+
+    if (!item) {
+      errors.push({ field: `updates[${index}].itemId`, message: 'Inventory item not found' });
+      continue;
+    }
+
+    // Counts are compared with the stock level read here, so one item counted twice would be adjusted twice
+    if (before.some(previous => previous.id === item.id)) {
+      errors.push({ field: `updates[${index}].itemId`, message: 'Each item can only be updated once per request' });
+      continue;
+    }
+
+    before.push(item);
+
+    // Stock counts become adjustment movements for the difference
+    if (update.countedQuantity !== undefined) {
+      const counted = Number(update.countedQuantity);
+
+      if (!Number.isInteger(counted) || counted < 0) {
+        errors.push({ field: `updates[${index}].countedQuantity`, message: 'Counted quantity must be a positive whole number' });
+        continue;
+      }
+
+      const delta = counted - item.quantity_on_hand;
+      if (delta !== 0) {
+        statements.push(movementStatement({
+          itemId: item.id,
+          movementType: 'adjustment',
+          quantity: delta,
+          referenceType: 'stock_count',
+          notes: update.notes || reason || 'Stock count',
+          createdBy: req.user.id
+        }));
+      }
+    }
+
+    try {
+      validateItemInput(update, true);
+    } catch (error) {
+      error.errors.forEach(detail => errors.push({ ...detail, field: `updates[${index}].${detail.field}` }));
+      continue;
+    }
+
+    statements.push({
+      sql: `
+        UPDATE inventory_items SET
+          cost_price = COALESCE(?, cost_price),
+          selling_price = COALESCE(?, selling_price),
+          minimum_quantity = COALESCE(?, minimum_quantity),
+          reorder_point = COALESCE(?, reorder_point),
+          reorder_quantity = COALESCE(?, reorder_quantity),
+          location = COALESCE(?, location),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+      params: [
+        update.costPrice,
+        update.sellingPrice,
+        update.minimumQuantity,
+        update.reorderPoint,
+        update.reorderQuantity,
+        update.location,
+        item.id
+      ]
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  await dbConnection.transaction(statements);
+
+  await recordChanges(req, 'inventory_item', before, await getItemRows(before.map(item => item.id)));
+
+  logger.business('inventory_bulk_updated', { itemCount: updates.length });
+
+  const items = await dbConnection.all(
+    `${ITEM_SELECT} WHERE i.id IN (${updates.map(() => '?').join(', ')}) ORDER BY i.name`,
+    updates.map(update => update.itemId)
+  );
+
+  res.json({
+    message: `${updates.length} item(s) updated`,
+    items
+  });
+}));
+
+/**
+ * Export inventory as CSV
+ * GET /api/v1/inventory/export
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const { active = 'true' } = req.query;
+
+  const items = await dbConnection.all(`
+    ${ITEM_SELECT}
+    ${active !== 'all' ? 'WHERE i.is_active = ?' : ''}
+    ORDER BY i.name
+  `, active !== 'all' ? [active === 'true' ? 1 : 0] : []);
+
+  const filename = `inventory-${new Date().toISOString().split('T')[0]}.csv`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv.stringify(items, EXPORT_COLUMNS));
+}));
+
+/**
+ * Import inventory from CSV
+ * POST /api/v1/inventory/import
+ *
+ * Rows are matched to existing items by part number or barcode. A quantity_on_hand
+ * column is treated as a stock count and recorded as an adjustment movement.
+ */
+router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('Validation failed', [
+      { field: 'file', message: 'A CSV file is required' }
+    ]);
+  }
+
+  const { records } = csv.parse(req.file.buffer.toString('utf8'));
+  const errors = [];
+  let created = 0;
+  let updated = 0;
+  const before = [];
+  const itemIds = [];
+
+  // Validate every row before writing anything
+  records.forEach((record, index) => {
+    const row = index + 2; // account for the header row
+    if (!record.name && !record.part_number && !record.barcode) {
+      errors.push({ field: `row ${row}`, message: 'Each row needs a name, part_number or barcode' });
+    }
+    ['cost_price', 'selling_price'].forEach((column) => {
+      if (record[column] && (isNaN(record[column]) || Number(record[column]) < 0)) {
+        errors.push({ field: `row ${row}.${column}`, message: 'Price must be a positive number' });
+      }
+    });
+    ['quantity_on_hand', 'minimum_quantity', 'reorder_point', 'reorder_quantity'].forEach((column) => {
+      if (record[column] && (!Number.isInteger(Number(record[column])) || Number(record[column]) < 0)) {
+        errors.push({ field: `row ${row}.${column}`, message: 'Must be a positive whole number' });
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Import failed', errors);
+  }
+
+  await dbConnection.withTransaction(async () => {
+    for (const record of records) {
+      const existing = await dbConnection.get(`
+        SELECT * FROM inventory_items
+        WHERE (part_number = ? AND part_number IS NOT NULL AND part_number != '')
+           OR (barcode = ? AND barcode IS NOT NULL AND barcode != '')
+        LIMIT 1
+      `, [record.part_number || null, record.barcode || null]);
+
+      const categoryId = await findOrCreateByName('inventory_categories', record.category);
+      const supplierId = await findOrCreateByName('suppliers', record.supplier);
+      let itemId;
+      let currentQuantity = 0;
+
+      if (existing) {
+        itemId = existing.id;
+        currentQuantity = existing.quantity_on_hand;
+        if (!itemIds.includes(itemId)) {
+          before.push(existing);
+        }
+
+        await dbConnection.run(`
+          UPDATE inventory_items SET
+            name = COALESCE(?, name),
+            description = COALESCE(?, description),
+            category_id = COALESCE(?, category_id),
+            supplier_id = COALESCE(?, supplier_id),
+            unit_of_measure = COALESCE(?, unit_of_measure),
+            cost_price = COALESCE(?, cost_price),
+            selling_price = COALESCE(?, selling_price),
+            minimum_quantity = COALESCE(?, minimum_quantity),
+            reorder_point = COALESCE(?, reorder_point),
+            reorder_quantity = COALESCE(?, reorder_quantity),
+            location = COALESCE(?, location),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          record.name || null,
+          record.description || null,
+          categoryId,
+          supplierId,
+          record.unit_of_measure || null,
+          record.cost_price || null,
+          record.selling_price || null,
+          record.minimum_quantity || null,
+          record.reorder_point || null,
+          record.reorder_quantity || null,
+          record.location || null,
+          itemId
+        ]);
+        updated++;
+      } else {
+        const result = await dbConnection.run(`
+          INSERT INTO inventory_items (
+            name, description, part_number, barcode, category_id, supplier_id, unit_of_measure,
+            cost_price, selling_price, minimum_quantity, reorder_point, reorder_quantity, location
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          record.name || record.part_number || record.barcode,
+          record.description || null,
+          record.part_number || null,
+          record.barcode || null,
+          categoryId,
+          supplierId,
+          record.unit_of_measure || 'each',
+          record.cost_price || null,
+          record.selling_price || null,
+          record.minimum_quantity || 5,
+          record.reorder_point || 10,
+          record.reorder_quantity || 20,
+          record.location || null
+        ]);
+        itemId = result.lastID;
+        created++;
+      }
+
+      itemIds.push(itemId);
+
+      if (record.quantity_on_hand !== undefined && record.quantity_on_hand !== '') {
+        const delta = Number(record.quantity_on_hand) - currentQuantity;
+        if (delta !== 0) {
+          const statement = movementStatement({
+            itemId,
+            movementType: 'adjustment',
+            quantity: delta,
+            referenceType: 'import',
+            notes: `Imported from ${req.file.originalname}`,
+            createdBy: req.user.id
+          });
+          await dbConnection.run(statement.sql, statement.params);
+        }
+      }
+    }
+  });
+
+  await recordChanges(req, 'inventory_item', before, await getItemRows(itemIds));
+
+  logger.business('inventory_imported', {
+    filename: req.file.originalname,
+    created,
+    updated
+  });
+
+  res.json({
+    message: 'Inventory imported successfully',
+    created,
+    updated
+  });
+}));
+
+/**
+ * Get inventory item by ID
+ * GET /api/v1/inventory/:id
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const item = await getItem(req.params.id);
+
+  const recentMovements = await dbConnection.all(`
+    SELECT * FROM inventory_movements
+    WHERE item_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT 10
+  `, [item.id]);
+
+  res.json({
+    ...item,
+    recentMovements
+  });
+}));
+
+/**
+ * Get the movement history of an item with running balance
+ * GET /api/v1/inventory/:id/movements
+ */
+router.get('/:id/movements', asyncHandler(async (req, res) => {
+  const item = await getItem(req.params.id);
+
+  const movements = await dbConnection.all(`
+    SELECT
+      m.*,
+      SUM(${SIGNED_QUANTITY_SQL}) OVER (ORDER BY m.created_at, m.id) as balance_after,
+      u.first_name || ' ' || u.last_name as created_by_name
+    FROM inventory_movements m
+    LEFT JOIN users u ON m.created_by = u.id
+    WHERE m.item_id = ?
+    ORDER BY m.created_at DESC, m.id DESC
+  `, [item.id]);
+
+  res.json({
+    item,
+    movements
+  });
+}));
+
+/**
+ * Create new inventory item
+ * POST /api/v1/inventory
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const itemData = req.body;
+
+  validateItemInput(itemData);
+  await checkDuplicateBarcode(itemData.barcode);
+
+  const itemId = await dbConnection.withTransaction(async () => {
+    const result = await dbConnection.run(`
+      INSERT INTO inventory_items (
+        category_id, supplier_id, name, description, part_number, barcode, unit_of_measure,
+        cost_price, selling_price, minimum_quantity, maximum_quantity, reorder_point,
+        reorder_quantity, location
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      itemData.categoryId || null,
+      itemData.supplierId || null,
+      itemData.name,
+      itemData.description || null,
+      itemData.partNumber || null,
+      itemData.barcode || null,
+      itemData.unitOfMeasure || 'each',
+      itemData.costPrice !== undefined ? itemData.costPrice : null,
+      itemData.sellingPrice !== undefined ? itemData.sellingPrice : null,
+      itemData.minimumQuantity !== undefined ? itemData.minimumQuantity : config.BUSINESS.INVENTORY.LOW_STOCK_THRESHOLD,
+      itemData.maximumQuantity !== undefined ? itemData.maximumQuantity : null,
+      itemData.reorderPoint !== undefined ? itemData.reorderPoint : 10,
+      itemData.reorderQuantity !== undefined ? itemData.reorderQuantity : 20,
+      itemData.location || null
+    ]);
+
+    // Opening stock is the item's first ledger entry
+    if (Number(itemData.quantityOnHand) > 0) {
+      const statement = movementStatement({
+        itemId: result.lastID,
+        movementType: 'in',
+        quantity: Number(itemData.quantityOnHand),
+        unitCost: itemData.costPrice !== undefined ? itemData.costPrice : null,
+        referenceType: 'opening_balance',
+        notes: 'Opening stock',
+        createdBy: req.user.id
+      });
+      await dbConnection.run(statement.sql, statement.params);
+    }
+
+    return result.lastID;
+  });
+
+  const item = await getItem(itemId);
+
+  logger.business('inventory_item_created', {
+    itemId: item.id,
+    itemName: item.name,
+    quantityOnHand: item.quantity_on_hand
+  });
+
+  res.status(201).json(item);
+}));
+
+/**
+ * Update inventory item details (stock changes go through movements)
+ * PUT /api/v1/inventory/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const itemData = req.body;
+
+  validateItemInput(itemData, true);
+
+  const item = await getItem(id);
+  await checkDuplicateBarcode(itemData.barcode, id);
+
+  await dbConnection.run(`
+    UPDATE inventory_items SET
+      category_id = COALESCE(?, category_id),
+      supplier_id = COALESCE(?, supplier_id),
+      name = COALESCE(?, name),
+      description = COALESCE(?, description),
+      part_number = COALESCE(?, part_number),
+      barcode = COALESCE(?, barcode),
+      unit_of_measure = COALESCE(?, unit_of_measure),
+      cost_price = COALESCE(?, cost_price),
+      selling_price = COALESCE(?, selling_price),
+      minimum_quantity = COALESCE(?, minimum_quantity),
+      maximum_quantity = COALESCE(?, maximum_quantity),
+      reorder_point = COALESCE(?, reorder_point),
+      reorder_quantity = COALESCE(?, reorder_quantity),
+      location = COALESCE(?, location),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    itemData.categoryId,
+    itemData.supplierId,
+    itemData.name,
+    itemData.description,
+    itemData.partNumber,
+    itemData.barcode,
+    itemData.unitOfMeasure,
+    itemData.costPrice,
+    itemData.sellingPrice,
+    itemData.minimumQuantity,
+    itemData.maximumQuantity,
+    itemData.reorderPoint,
+    itemData.reorderQuantity,
+    itemData.location,
+    id
+  ]);
+
+  const updatedItem = await getItem(id);
+
+  logger.business('inventory_item_updated', {
+    itemId: item.id,
+    itemName: updatedItem.name
+  });
+
+  res.json(updatedItem);
+}));
+
+/**
+ * Delete inventory item (soft delete)
+ * DELETE /api/v1/inventory/:id
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const item = await getItem(req.params.id);
+
+  await dbConnection.run('UPDATE inventory_items SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [item.id]);
+
+  logger.business('inventory_item_deleted', {
+    itemId: item.id,
+    itemName: item.name
+  });
+
+  res.json({ message: 'Inventory item deleted successfully' });
+}));
+
+module.exports = router;
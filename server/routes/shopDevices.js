@@ -0,0 +1,177 @@
+/**
+ * Shop Device Routes for MoMech
+ * Handles registration of shared shop-floor tablets used for PIN sign-in
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { generateDeviceToken } = require('../utils/shopDevices');
+const { hashToken } = require('../utils/tokens');
+const { revokeDeviceSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// The token hash is never returned
+const DEVICE_SELECT = `
+  SELECT
+    d.id, d.name, d.registered_by, d.last_seen_at, d.last_user_id,
+    lu.first_name || ' ' || lu.last_name as last_user_name,
+    d.revoked_at, d.revoked_by, d.created_at, d.updated_at,
+    (
+      SELECT COUNT(*) FROM user_sessions s
+      WHERE s.shop_device_id = d.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+    ) as active_sessions
+  FROM shop_devices d
+  LEFT JOIN users lu ON d.last_user_id = lu.id
+`;
+
+/**
+ * Validate device input
+ */
+function validateDeviceInput(data) {
+  const errors = [];
+
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push({ field: 'name', message: 'Device name is required' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Get a device by ID or throw
+ */
+async function getDevice(id) {
+  const device = await dbConnection.get(`${DEVICE_SELECT} WHERE d.id = ?`, [id]);
+
+  if (!device) {
+    throw new NotFoundError('Shop device not found');
+  }
+
+  return device;
+}
+
+/**
+ * Get all shop devices
+ * GET /api/v1/shop-devices
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { includeRevoked = 'false' } = req.query;
+
+  const devices = await dbConnection.all(`
+    ${DEVICE_SELECT}
+    ${includeRevoked === 'true' ? '' : 'WHERE d.revoked_at IS NULL'}
+    ORDER BY d.name
+  `);
+
+  res.json(devices);
+}));
+
+/**
+ * Register a device; the device token is only returned in this response
+ * POST /api/v1/shop-devices
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  validateDeviceInput(req.body);
+
+  const deviceToken = generateDeviceToken();
+
+  const result = await dbConnection.run(
+    'INSERT INTO shop_devices (name, device_token_hash, registered_by) VALUES (?, ?, ?)',
+    [req.body.name.trim(), hashToken(deviceToken), req.user.id]
+  );
+
+  const device = await getDevice(result.lastID);
+
+  await recordAudit(req, {
+    entityType: 'shop_device',
+    entityId: device.id,
+    action: 'create',
+    newValues: { name: device.name }
+  });
+
+  logger.security('shop_device_registered', {
+    shopDeviceId: device.id,
+    registeredBy: req.user.id,
+    ip: req.ip
+  });
+
+  res.status(201).json({
+    message: 'Device registered. Store the device token on the device; it will not be shown again.',
+    device,
+    deviceToken
+  });
+}));
+
+/**
+ * Rename a device
+ * PUT /api/v1/shop-devices/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const device = await getDevice(req.params.id);
+
+  validateDeviceInput(req.body);
+
+  await dbConnection.run(
+    'UPDATE shop_devices SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [req.body.name.trim(), device.id]
+  );
+
+  await recordAudit(req, {
+    entityType: 'shop_device',
+    entityId: device.id,
+    action: 'update',
+    oldValues: { name: device.name },
+    newValues: { name: req.body.name.trim() }
+  });
+
+  res.json({
+    message: 'Device updated successfully',
+    device: await getDevice(device.id)
+  });
+}));
+
+/**
+ * Revoke a device, signing out whoever is using it
+ * PATCH /api/v1/shop-devices/:id/revoke
+ */
+router.patch('/:id/revoke', asyncHandler(async (req, res) => {
+  const device = await getDevice(req.params.id);
+
+  if (device.revoked_at) {
+    throw new ConflictError('Device is already revoked');
+  }
+
+  await dbConnection.run(`
+    UPDATE shop_devices SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [req.user.id, device.id]);
+
+  const sessionsRevoked = await revokeDeviceSessions(device.id, 'device_revoked');
+
+  await recordAudit(req, {
+    entityType: 'shop_device',
+    entityId: device.id,
+    action: 'update',
+    oldValues: { revokedAt: null },
+    newValues: { revokedAt: new Date().toISOString() }
+  });
+
+  logger.security('shop_device_revoked', {
+    shopDeviceId: device.id,
+    revokedBy: req.user.id,
+    sessionsRevoked
+  });
+
+  res.json({
+    message: 'Device revoked successfully',
+    device: await getDevice(device.id)
+  });
+}));
+
+module.exports = router;
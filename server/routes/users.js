@@ -0,0 +1,758 @@
+/**
+ * User Routes for MoMech
+ * Handles staff accounts: invitations, roles, deactivation, password resets,
+ * activity history and personal settings
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { ROLES, isValidRole, getPermissions } = require('../utils/permissions');
+const { revokeUserSessions } = require('../utils/sessions');
+const { clearLockout } = require('../utils/loginAttempts');
+const { generateToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { sendInvitationEmail, sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountEmails');
+
+const router = express.Router();
+
+const manageUsers = requirePermission('users:manage');
+
+// Columns safe to return; secrets such as password_hash and two_factor_secret are never selected
+const USER_SELECT = `
+  SELECT
+    u.id, u.username, u.email, u.first_name, u.last_name, u.role, u.phone,
+    u.is_active, u.email_verified_at, u.two_factor_enabled_at, u.last_login_at,
+    u.invited_by, u.invited_at, u.invitation_accepted_at, u.deactivated_at,
+    u.created_at, u.updated_at,
+    CASE
+      WHEN u.is_active = 0 THEN 'deactivated'
+      WHEN u.invited_at IS NOT NULL AND u.invitation_accepted_at IS NULL THEN 'invited'
+      ELSE 'active'
+    END as status,
+    CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END as locked_until
+  FROM users u
+`;
+
+const USER_STATUSES = ['active', 'invited', 'deactivated'];
+
+// Personal settings and the UI defaults they override
+const SETTING_DEFAULTS = {
+  theme: config.UI.THEME,
+  sidebarCollapsed: config.UI.SIDEBAR_COLLAPSED,
+  itemsPerPage: config.UI.ITEMS_PER_PAGE,
+  dateFormat: config.UI.DATE_FORMAT,
+  timeFormat: config.UI.TIME_FORMAT,
+  timezone: config.UI.TIMEZONE,
+  language: config.UI.LANGUAGE
+};
+
+/**
+ * Validate user input
+ */
+function validateUserInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.email) {
+    errors.push({ field: 'email', message: 'Email is required' });
+  }
+
+  if (!isUpdate && !data.firstName) {
+    errors.push({ field: 'firstName', message: 'First name is required' });
+  }
+
+  if (!isUpdate && !data.lastName) {
+    errors.push({ field: 'lastName', message: 'Last name is required' });
+  }
+
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push({ field: 'email', message: 'Invalid email format' });
+  }
+
+  if (data.username && !/^[a-zA-Z0-9._-]{3,50}$/.test(data.username)) {
+    errors.push({ field: 'username', message: 'Username must be 3-50 letters, digits, dots, dashes or underscores' });
+  }
+
+  if (data.phone && !/^[\d\s\-\(\)\+\.]+$/.test(data.phone)) {
+    errors.push({ field: 'phone', message: 'Invalid phone number format' });
+  }
+
+  if (!isUpdate && !isValidRole(data.role)) {
+    errors.push({ field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Validate personal settings
+ */
+function validateSettingsInput(data) {
+  const errors = [];
+
+  Object.keys(data).forEach(key => {
+    if (!(key in SETTING_DEFAULTS)) {
+      errors.push({ field: key, message: 'Unknown setting' });
+    }
+  });
+
+  if (data.theme !== undefined && !['light', 'dark', 'auto'].includes(data.theme)) {
+    errors.push({ field: 'theme', message: 'Theme must be light, dark or auto' });
+  }
+
+  if (data.sidebarCollapsed !== undefined && typeof data.sidebarCollapsed !== 'boolean') {
+    errors.push({ field: 'sidebarCollapsed', message: 'Sidebar collapsed must be true or false' });
+  }
+
+  if (data.itemsPerPage !== undefined && (!Number.isInteger(data.itemsPerPage) || data.itemsPerPage < 5 || data.itemsPerPage > 100)) {
+    errors.push({ field: 'itemsPerPage', message: 'Items per page must be a whole number from 5 to 100' });
+  }
+
+  if (data.timeFormat !== undefined && !['12', '24'].includes(String(data.timeFormat))) {
+    errors.push({ field: 'timeFormat', message: 'Time format must be 12 or 24' });
+  }
+
+  if (data.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: data.timezone });
+    } catch (error) {
+      errors.push({ field: 'timezone', message: 'Unknown timezone' });
+    }
+  }
+
+  ['dateFormat', 'language'].forEach(field => {
+    if (data[field] !== undefined && (typeof data[field] !== 'string' || !data[field].trim())) {
+      errors.push({ field, message: `${field} must be a non-empty string` });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Get a user by ID or throw
+ */
+async function getUser(id) {
+  const user = await dbConnection.get(`${USER_SELECT} WHERE u.id = ?`, [id]);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+}
+
+/**
+ * Refuse changes that would leave the shop without an active owner
+ */
+async function assertNotLastOwner(user, message) {
+  if (user.role !== 'owner' || !user.is_active) {
+    return;
+  }
+
+  const { count } = await dbConnection.get(
+    'SELECT COUNT(*) as count FROM users WHERE role = ? AND is_active = 1 AND id != ?',
+    ['owner', user.id]
+  );
+
+  if (count === 0) {
+    throw new ConflictError(message);
+  }
+}
+
+/**
+ * Refuse account changes an owner should not make to their own account
+ */
+function assertNotSelf(req, user, message) {
+  if (user.id === req.user.id) {
+    throw new ConflictError(message);
+  }
+}
+
+/**
+ * Check that an email and username are free, ignoring one user
+ */
+async function assertUnique({ email, username }, exceptId = 0) {
+  const errors = [];
+
+  if (email) {
+    const existing = await dbConnection.get('SELECT id FROM users WHERE email = ? AND id != ?', [email, exceptId]);
+    if (existing) errors.push({ field: 'email', message: 'Email is already taken' });
+  }
+
+  if (username) {
+    const existing = await dbConnection.get('SELECT id FROM users WHERE username = ? AND id != ?', [username, exceptId]);
+    if (existing) errors.push({ field: 'username', message: 'Username is already taken' });
+  }
+
+  if (errors.length > 0) {
+    throw new ConflictError('User already exists', errors);
+  }
+}
+
+/**
+ * Derive a free username from an email address
+ */
+async function suggestUsername(email) {
+  const base = email.split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '').slice(0, 40) || 'user';
+  let candidate = base.length >= 3 ? base : `${base}user`;
+  let suffix = 1;
+
+  while (await dbConnection.get('SELECT id FROM users WHERE username = ?', [candidate])) {
+    suffix++;
+    candidate = `${base}${suffix}`;
+  }
+
+  return candidate;
+}
+
+/**
+ * Build the activity feed of audit entries and auth events
+ */
+function buildActivityQuery({ userId, source, dateFrom, dateTo }) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    conditions.push('activity.user_id = ?');
+    params.push(userId);
+  }
+
+  if (source) {
+    conditions.push('activity.source = ?');
+    params.push(source);
+  }
+
+  if (dateFrom) {
+    conditions.push('DATE(activity.created_at) >= ?');
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push('DATE(activity.created_at) <= ?');
+    params.push(dateTo);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const from = `
+    FROM (
+      SELECT
+        'audit' as source, al.user_id, al.action, al.entity_type, al.entity_id,
+        al.old_values, al.new_values, al.ip_address, al.user_agent, al.created_at
+      FROM audit_log al
+      UNION ALL
+      SELECT
+        'auth', la.user_id,
+        CASE WHEN la.success = 1 THEN 'login' ELSE 'login_failed' END,
+        'user', la.user_id,
+        NULL, json_object('method', la.method, 'failureReason', la.failure_reason),
+        la.ip_address, la.user_agent, la.created_at
+      FROM login_attempts la
+      WHERE la.user_id IS NOT NULL
+      UNION ALL
+      SELECT
+        'auth', s.user_id, 'session_ended', 'session', s.id,
+        NULL, json_object('reason', s.revoked_reason, 'deviceName', s.device_name),
+        s.ip_address, s.user_agent, s.revoked_at
+      FROM user_sessions s
+      WHERE s.revoked_at IS NOT NULL
+    ) activity
+  `;
+
+  return { from, whereClause, params };
+}
+
+/**
+ * Query one page of activity
+ */
+async function getActivity(filters, page, limit) {
+  const offset = (page - 1) * limit;
+  const { from, whereClause, params } = buildActivityQuery(filters);
+
+  const { total } = await dbConnection.get(`SELECT COUNT(*) as total ${from} ${whereClause}`, params);
+
+  const rows = await dbConnection.all(`
+    SELECT activity.*, u.username, u.first_name || ' ' || u.last_name as user_name
+    ${from}
+    LEFT JOIN users u ON activity.user_id = u.id
+    ${whereClause}
+    ORDER BY activity.created_at DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  return {
+    activity: rows.map(row => ({
+      ...row,
+      old_values: row.old_values ? JSON.parse(row.old_values) : null,
+      new_values: row.new_values ? JSON.parse(row.new_values) : null
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get the current user's settings merged over the defaults
+ * GET /api/v1/users/settings
+ */
+router.get('/settings', asyncHandler(async (req, res) => {
+  const { preferences } = await dbConnection.get('SELECT preferences FROM users WHERE id = ?', [req.user.id]);
+
+  res.json({ ...SETTING_DEFAULTS, ...(preferences ? JSON.parse(preferences) : {}) });
+}));
+
+/**
+ * Update the current user's settings
+ * PUT /api/v1/users/settings
+ */
+router.put('/settings', asyncHandler(async (req, res) => {
+  validateSettingsInput(req.body);
+
+  const { preferences } = await dbConnection.get('SELECT preferences FROM users WHERE id = ?', [req.user.id]);
+  const updated = { ...(preferences ? JSON.parse(preferences) : {}), ...req.body };
+
+  await dbConnection.run(
+    'UPDATE users SET preferences = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [JSON.stringify(updated), req.user.id]
+  );
+
+  res.json({ ...SETTING_DEFAULTS, ...updated });
+}));
+
+/**
+ * Get the current user's permissions and what each role grants
+ * GET /api/v1/users/permissions
+ */
+router.get('/permissions', asyncHandler(async (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: req.user.permissions,
+    roles: ROLES.map(role => ({ role, permissions: getPermissions(role) }))
+  });
+}));
+
+/**
+ * Get staff activity across all users
+ * GET /api/v1/users/activity-log
+ */
+router.get('/activity-log', manageUsers, asyncHandler(async (req, res) => {
+  const { userId, source, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+  res.json(await getActivity({ userId, source, dateFrom, dateTo }, page, limit));
+}));
+
+/**
+ * Get all users
+ * GET /api/v1/users
+ */
+router.get('/', manageUsers, asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    search = '',
+    role,
+    status,
+    sortBy = 'last_name',
+    sortOrder = 'ASC'
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    const searchTerm = `%${search}%`;
+    conditions.push('(u.first_name LIKE ? OR u.last_name LIKE ? OR u.email LIKE ? OR u.username LIKE ?)');
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  if (role) {
+    conditions.push('u.role = ?');
+    params.push(role);
+  }
+
+  if (status && USER_STATUSES.includes(status)) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const validSortFields = ['first_name', 'last_name', 'email', 'role', 'last_login_at', 'created_at'];
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'last_name';
+  const sortDirection = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+  const { total } = await dbConnection.get(
+    `SELECT COUNT(*) as total FROM (${USER_SELECT}) u ${whereClause}`,
+    params
+  );
+
+  const users = await dbConnection.all(`
+    SELECT * FROM (${USER_SELECT}) u
+    ${whereClause}
+    ORDER BY u.${sortField} ${sortDirection}
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    users,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Invite a staff member by email
+ * POST /api/v1/users/invite
+ */
+router.post('/invite', manageUsers, asyncHandler(async (req, res) => {
+  const { email, firstName, lastName, role, phone } = req.body;
+
+  validateUserInput(req.body);
+  await assertUnique(req.body);
+
+  const username = req.body.username || await suggestUsername(email);
+
+  // No usable password until the invitation is accepted
+  const placeholderHash = await bcrypt.hash(generateToken(), config.SECURITY.BCRYPT_ROUNDS);
+
+  const result = await dbConnection.run(`
+    INSERT INTO users (
+      username, email, password_hash, first_name, last_name, role, phone,
+      invited_by, invited_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [username, email, placeholderHash, firstName, lastName, role, phone, req.user.id]);
+
+  const user = await getUser(result.lastID);
+  const invitationSent = await sendInvitationEmail(user, req.user, req);
+
+  await recordAudit(req, {
+    entityType: 'user',
+    entityId: user.id,
+    action: 'create',
+    newValues: { username, email, firstName, lastName, role, phone }
+  });
+
+  logger.business('user_invited', {
+    userId: user.id,
+    role,
+    invitedBy: req.user.id,
+    invitationSent
+  });
+
+  res.status(201).json({
+    message: 'Invitation created successfully',
+    user,
+    invitationSent
+  });
+}));
+
+/**
+ * Get user by ID
+ * GET /api/v1/users/:id
+ */
+router.get('/:id', manageUsers, asyncHandler(async (req, res) => {
+  const user = await getUser(req.params.id);
+
+  const { count: activeSessions } = await dbConnection.get(`
+    SELECT COUNT(*) as count FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+  `, [user.id]);
+
+  res.json({
+    ...user,
+    permissions: getPermissions(user.role),
+    activeSessions
+  });
+}));
+
+/**
+ * Update a user's details
+ * PUT /api/v1/users/:id
+ */
+router.put('/:id', manageUsers, asyncHandler(async (req, res) => {
+  const user = await getUser(req.params.id);
+
+  if (req.body.role !== undefined || req.body.isActive !== undefined) {
+    throw new ValidationError('Validation failed', [
+      { field: 'role', message: 'Use the role, deactivate and reactivate endpoints for these changes' }
+    ]);
+  }
+
+  validateUserInput(req.body, true);
+  await assertUnique(req.body, user.id);
+
+  const { username, email, firstName, lastName, phone } = req.body;
+  const emailChanged = Boolean(email && email !== user.email);
+
+  await dbConnection.run(`
+    UPDATE users SET
+      username = COALESCE(?, username),
+      email = COALESCE(?, email),
+      first_name = COALESCE(?, first_name),
+      last_name = COALESCE(?, last_name),
+      phone = COALESCE(?, phone),
+      email_verified_at = CASE WHEN ? THEN NULL ELSE email_verified_at END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [username, email, firstName, lastName, phone, emailChanged ? 1 : 0, user.id]);
+
+  const updatedUser = await getUser(user.id);
+
+  // A new address has to be confirmed by its owner
+  if (emailChanged) {
+    await sendVerificationEmail(updatedUser, req);
+  }
+
+  await recordAudit(req, {
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    oldValues: { username: user.username, email: user.email, firstName: user.first_name, lastName: user.last_name, phone: user.phone },
+    newValues: { username: updatedUser.username, email: updatedUser.email, firstName: updatedUser.first_name, lastName: updatedUser.last_name, phone: updatedUser.phone }
+  });
+
+  logger.business('user_updated', {
+    userId: user.id,
+    updatedBy: req.user.id,
+    emailChanged
+  });
+
+  res.json({
+    message: 'User updated successfully',
+    user: updatedUser
+  });
+}));
+
+/**
+ * Change a user's role
+ * PATCH /api/v1/users/:id/role
+ */
+router.patch('/:id/role', manageUsers, asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!isValidRole(role)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` }
+    ]);
+  }
+
+  const user = await getUser(req.params.id);
+
+  assertNotSelf(req, user, 'You cannot change your own role');
+
+  if (role !== 'owner') {
+    await assertNotLastOwner(user, 'The last active owner cannot be demoted');
+  }
+
+  await dbConnection.run(
+    'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [role, user.id]
+  );
+
+  await recordAudit(req, {
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    oldValues: { role: user.role },
+    newValues: { role }
+  });
+
+  logger.security('user_role_changed', {
+    userId: user.id,
+    fromRole: user.role,
+    toRole: role,
+    changedBy: req.user.id
+  });
+
+  res.json({
+    message: 'Role updated successfully',
+    user: await getUser(user.id)
+  });
+}));
+
+/**
+ * Deactivate a user, ending all of their sessions
+ * PATCH /api/v1/users/:id/deactivate
+ */
+router.patch('/:id/deactivate', manageUsers, asyncHandler(async (req, res) => {
+  const user = await getUser(req.params.id);
+
+  assertNotSelf(req, user, 'You cannot deactivate your own account');
+
+  if (!user.is_active) {
+    throw new ConflictError('User is already deactivated');
+  }
+
+  await assertNotLastOwner(user, 'The last active owner cannot be deactivated');
+
+  await dbConnection.run(`
+    UPDATE users SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [user.id]);
+
+  const sessionsRevoked = await revokeUserSessions(user.id, 'user_deactivated');
+
+  await recordAudit(req, {
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    oldValues: { isActive: true },
+    newValues: { isActive: false }
+  });
+
+  logger.security('user_deactivated', {
+    userId: user.id,
+    deactivatedBy: req.user.id,
+    sessionsRevoked
+  });
+
+  res.json({
+    message: 'User deactivated successfully',
+    user: await getUser(user.id)
+  });
+}));
+
+/**
+ * Reactivate a deactivated user
+ * PATCH /api/v1/users/:id/reactivate
+ */
+router.patch('/:id/reactivate', manageUsers, asyncHandler(async (req, res) => {
+  const user = await getUser(req.params.id);
+
+  if (user.is_active) {
+    throw new ConflictError('User is already active');
+  }
+
+  await dbConnection.run(`
+    UPDATE users SET is_active = 1, deactivated_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [user.id]);
+
+  await recordAudit(req, {
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    oldValues: { isActive: false },
+    newValues: { isActive: true }
+  });
+
+  logger.security('user_reactivated', {
+    userId: user.id,
+    reactivatedBy: req.user.id
+  });
+
+  res.json({
+    message: 'User reactivated successfully',
+    user: await getUser(user.id)
+  });
+}));
+
+/**
+ * Lift a login lockout before it expires
+ * PATCH /api/v1/users/:id/unlock
+ */
+router.patch('/:id/unlock', manageUsers, asyncHandler(async (req, res) => {
+  const user = await getUser(req.params.id);
+
+  await clearLockout(user.id);
+
+  logger.security('account_unlocked', {
+    userId: user.id,
+    unlockedBy: req.user.id
+  });
+
+  res.json({ message: 'Account unlocked' });
+}));
+
+/**
+ * Email a user a password reset link, optionally signing them out everywhere
+ * POST /api/v1/users/:id/reset-password
+ */
+router.post('/:id/reset-password', manageUsers, asyncHandler(async (req, res) => {
+  const { revokeSessions = false } = req.body;
+  const user = await getUser(req.params.id);
+
+  if (!user.is_active) {
+    throw new ConflictError('Reactivate the user before resetting their password');
+  }
+
+  const emailSent = await sendPasswordResetEmail(user, req);
+  const sessionsRevoked = revokeSessions ? await revokeUserSessions(user.id, 'password_reset_by_owner') : 0;
+
+  logger.security('password_reset_sent', {
+    userId: user.id,
+    sentBy: req.user.id,
+    emailSent,
+    sessionsRevoked
+  });
+
+  res.json({
+    message: emailSent ? 'Password reset link sent' : 'Password reset link could not be sent',
+    emailSent,
+    sessionsRevoked
+  });
+}));
+
+/**
+ * Send a new invitation to a user who has not accepted yet
+ * POST /api/v1/users/:id/invite/resend
+ */
+router.post('/:id/invite/resend', manageUsers, asyncHandler(async (req, res) => {
+  const user = await getUser(req.params.id);
+
+  if (user.status !== 'invited') {
+    throw new ConflictError('User has no pending invitation');
+  }
+
+  const invitationSent = await sendInvitationEmail(user, req.user, req);
+
+  await dbConnection.run('UPDATE users SET invited_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+  logger.business('user_invitation_resent', {
+    userId: user.id,
+    invitedBy: req.user.id,
+    invitationSent
+  });
+
+  res.json({
+    message: invitationSent ? 'Invitation sent' : 'Invitation could not be sent',
+    invitationSent
+  });
+}));
+
+/**
+ * Get one user's activity
+ * GET /api/v1/users/:id/activity
+ */
+router.get('/:id/activity', asyncHandler(async (req, res) => {
+  const { source, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+  // Everyone may see their own activity
+  if (Number(req.params.id) !== req.user.id && !req.user.permissions.includes('users:manage')) {
+    throw new AuthorizationError('Missing permission: users:manage');
+  }
+
+  const user = await getUser(req.params.id);
+
+  res.json(await getActivity({ userId: user.id, source, dateFrom, dateTo }, page, limit));
+}));
+
+module.exports = router;
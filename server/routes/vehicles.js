@@ -0,0 +1,651 @@
+/**
+ * Vehicle Routes for MoMech
+ * Handles vehicle management operations and service history
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { auditTrail } = require('../middleware/audit');
+const { parseCustomFields, mergeCustomFieldValues } = require('../utils/customFields');
+
+const router = express.Router();
+
+router.use(auditTrail({
+  entityType: 'vehicle',
+  table: 'vehicles',
+  children: [{ key: 'service_history', table: 'vehicle_service_history', foreignKey: 'vehicle_id' }]
+}));
+
+const FUEL_TYPES = ['gasoline', 'diesel', 'hybrid', 'electric'];
+
+/**
+ * Validate vehicle input
+ */
+function validateVehicleInput(data, isUpdate = false) {
+  const errors = [];
+  const currentYear = new Date().getFullYear();
+
+  if (!isUpdate && !data.clientId) {
+    errors.push({ field: 'clientId', message: 'Client is required' });
+  }
+
+  if (!isUpdate && !data.make) {
+    errors.push({ field: 'make', message: 'Make is required' });
+  }
+
+  if (!isUpdate && !data.model) {
+    errors.push({ field: 'model', message: 'Model is required' });
+  }
+
+  if (!isUpdate && !data.year) {
+    errors.push({ field: 'year', message: 'Year is required' });
+  }
+
+  if (data.year && (!Number.isInteger(Number(data.year)) || data.year < 1900 || data.year > currentYear + 1)) {
+    errors.push({ field: 'year', message: `Year must be between 1900 and ${currentYear + 1}` });
+  }
+
+  if (data.vin && !/^[A-HJ-NPR-Z0-9]{17}$/i.test(data.vin)) {
+    errors.push({ field: 'vin', message: 'VIN must be 17 characters (letters I, O and Q are not allowed)' });
+  }
+
+  if (data.mileage !== undefined && data.mileage !== null && (!Number.isInteger(Number(data.mileage)) || data.mileage < 0)) {
+    errors.push({ field: 'mileage', message: 'Mileage must be a positive whole number' });
+  }
+
+  if (data.fuelType && !FUEL_TYPES.includes(data.fuelType)) {
+    errors.push({ field: 'fuelType', message: `Fuel type must be one of: ${FUEL_TYPES.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Validate service history input
+ */
+function validateServiceHistoryInput(data) {
+  const errors = [];
+
+  if (!data.serviceDate) {
+    errors.push({ field: 'serviceDate', message: 'Service date is required' });
+  }
+
+  if (!data.serviceType) {
+    errors.push({ field: 'serviceType', message: 'Service type is required' });
+  }
+
+  if (!data.description) {
+    errors.push({ field: 'description', message: 'Description is required' });
+  }
+
+  if (data.mileage !== undefined && data.mileage !== null && (!Number.isInteger(Number(data.mileage)) || data.mileage < 0)) {
+    errors.push({ field: 'mileage', message: 'Mileage must be a positive whole number' });
+  }
+
+  if (data.totalCost !== undefined && data.totalCost !== null && (isNaN(data.totalCost) || data.totalCost < 0)) {
+    errors.push({ field: 'totalCost', message: 'Total cost must be a positive number' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Ensure a VIN is not already registered to another vehicle
+ */
+async function checkDuplicateVin(vin, excludeId = null) {
+  if (!vin) {
+    return;
+  }
+
+  const duplicateVehicle = excludeId
+    ? await dbConnection.get('SELECT id FROM vehicles WHERE vin = ? AND id != ?', [vin.toUpperCase(), excludeId])
+    : await dbConnection.get('SELECT id FROM vehicles WHERE vin = ?', [vin.toUpperCase()]);
+
+  if (duplicateVehicle) {
+    throw new ValidationError('VIN already exists', [
+      { field: 'vin', message: 'This VIN is already registered' }
+    ]);
+  }
+}
+
+/**
+ * Get all vehicles
+ * GET /api/v1/vehicles
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    search = '',
+    active = 'true',
+    clientId,
+    make,
+    costCenter,
+    sortBy = 'make',
+    sortOrder = 'ASC'
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const searchTerm = `%${search}%`;
+
+  // Build WHERE clause
+  const conditions = [];
+  const params = [];
+
+  if (active !== 'all') {
+    conditions.push('v.is_active = ?');
+    params.push(active === 'true' ? 1 : 0);
+  }
+
+  if (clientId) {
+    conditions.push('v.client_id = ?');
+    params.push(clientId);
+  }
+
+  if (make) {
+    conditions.push('v.make = ?');
+    params.push(make);
+  }
+
+  if (costCenter) {
+    conditions.push('v.cost_center = ?');
+    params.push(costCenter);
+  }
+
+  if (search) {
+    conditions.push('(v.make LIKE ? OR v.model LIKE ? OR v.vin LIKE ? OR v.license_plate LIKE ?)');
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Validate sort parameters
+  const validSortFields = ['make', 'model', 'year', 'license_plate', 'mileage', 'created_at'];
+  const validSortOrders = ['ASC', 'DESC'];
+
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'make';
+  const sortDirection = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'ASC';
+
+  // Get total count
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total FROM vehicles v ${whereClause}
+  `, params);
+
+  // Get vehicles with owner information
+  const vehicles = await dbConnection.all(`
+    SELECT
+      v.*,
+      c.first_name || ' ' || c.last_name as client_name,
+      c.company_name as client_company,
+      c.phone as client_phone
+    FROM vehicles v
+    LEFT JOIN clients c ON v.client_id = c.id
+    ${whereClause}
+    ORDER BY v.${sortField} ${sortDirection}
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    vehicles: vehicles.map(vehicle => ({ ...vehicle, custom_fields: parseCustomFields(vehicle.custom_fields) })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Search vehicles by VIN, license plate or make/model
+ * GET /api/v1/vehicles/search
+ */
+router.get('/search', asyncHandler(async (req, res) => {
+  const { q, vin, plate, make, limit = 10 } = req.query;
+
+  const conditions = ['v.is_active = 1'];
+  const params = [];
+
+  if (vin) {
+    conditions.push('v.vin LIKE ?');
+    params.push(`%${vin}%`);
+  }
+
+  if (plate) {
+    conditions.push('v.license_plate LIKE ?');
+    params.push(`%${plate}%`);
+  }
+
+  if (make) {
+    conditions.push('v.make LIKE ?');
+    params.push(`%${make}%`);
+  }
+
+  if (q) {
+    if (q.length < 2) {
+      return res.json([]);
+    }
+
+    const searchTerm = `%${q}%`;
+    conditions.push(`(
+      v.vin LIKE ? OR v.license_plate LIKE ? OR v.make LIKE ? OR v.model LIKE ?
+      OR v.make || ' ' || v.model LIKE ?
+    )`);
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  // Require at least one search criterion
+  if (params.length === 0) {
+    return res.json([]);
+  }
+
+  const vehicles = await dbConnection.all(`
+    SELECT
+      v.id,
+      v.client_id,
+      v.make,
+      v.model,
+      v.year,
+      v.vin,
+      v.license_plate,
+      v.color,
+      v.year || ' ' || v.make || ' ' || v.model as display_name,
+      c.first_name || ' ' || c.last_name as client_name
+    FROM vehicles v
+    LEFT JOIN clients c ON v.client_id = c.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY v.make, v.model, v.year DESC
+    LIMIT ?
+  `, [...params, parseInt(limit)]);
+
+  res.json(vehicles);
+}));
+
+/**
+ * Get vehicles for a client
+ * GET /api/v1/vehicles/client/:clientId
+ */
+router.get('/client/:clientId', asyncHandler(async (req, res) => {
+  const { clientId } = req.params;
+  const { active = 'true' } = req.query;
+
+  // Check if client exists
+  const client = await dbConnection.get('SELECT id FROM clients WHERE id = ?', [clientId]);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+
+  let whereClause = 'WHERE client_id = ?';
+  const params = [clientId];
+
+  if (active !== 'all') {
+    whereClause += ' AND is_active = ?';
+    params.push(active === 'true' ? 1 : 0);
+  }
+
+  const vehicles = await dbConnection.all(`
+    SELECT * FROM vehicles
+    ${whereClause}
+    ORDER BY year DESC, make, model
+  `, params);
+
+  res.json(vehicles);
+}));
+
+/**
+ * Get vehicle by ID
+ * GET /api/v1/vehicles/:id
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const vehicle = await dbConnection.get(`
+    SELECT
+      v.*,
+      c.first_name || ' ' || c.last_name as client_name,
+      c.phone as client_phone,
+      c.email as client_email
+    FROM vehicles v
+    LEFT JOIN clients c ON v.client_id = c.id
+    WHERE v.id = ?
+  `, [id]);
+
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  // Get upcoming appointments
+  const upcomingAppointments = await dbConnection.all(`
+    SELECT
+      a.*,
+      s.name as service_name
+    FROM appointments a
+    LEFT JOIN services s ON a.service_id = s.id
+    WHERE a.vehicle_id = ?
+      AND a.appointment_date >= date('now')
+      AND a.status IN ('scheduled', 'confirmed')
+    ORDER BY a.appointment_date ASC, a.appointment_time ASC
+    LIMIT 5
+  `, [id]);
+
+  // Get service history summary
+  const serviceHistory = await dbConnection.get(`
+    SELECT
+      COUNT(*) as total_services,
+      COALESCE(SUM(total_cost), 0) as total_spent,
+      MAX(service_date) as last_service_date,
+      MIN(next_service_date) as next_service_date
+    FROM vehicle_service_history
+    WHERE vehicle_id = ?
+  `, [id]);
+
+  res.json({
+    ...vehicle,
+    custom_fields: parseCustomFields(vehicle.custom_fields),
+    upcomingAppointments,
+    serviceHistory
+  });
+}));
+
+/**
+ * Create new vehicle
+ * POST /api/v1/vehicles
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const vehicleData = req.body;
+
+  // Validate input
+  validateVehicleInput(vehicleData);
+
+  // Check that the owner exists and is active
+  const client = await dbConnection.get(
+    'SELECT id FROM clients WHERE id = ? AND is_active = 1',
+    [vehicleData.clientId]
+  );
+
+  if (!client) {
+    throw new ValidationError('Invalid client', [
+      { field: 'clientId', message: 'Client does not exist or is inactive' }
+    ]);
+  }
+
+  // Check for duplicate VIN
+  await checkDuplicateVin(vehicleData.vin);
+
+  const customFields = await mergeCustomFieldValues('vehicle', vehicleData.customFields);
+
+  // Insert vehicle
+  const result = await dbConnection.run(`
+    INSERT INTO vehicles (
+      client_id, make, model, year, vin, license_plate, color, engine_type,
+      transmission_type, mileage, fuel_type, notes, cost_center, po_number, custom_fields
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    vehicleData.clientId,
+    vehicleData.make,
+    vehicleData.model,
+    parseInt(vehicleData.year),
+    vehicleData.vin ? vehicleData.vin.toUpperCase() : null,
+    vehicleData.licensePlate || null,
+    vehicleData.color || null,
+    vehicleData.engineType || null,
+    vehicleData.transmissionType || null,
+    vehicleData.mileage !== undefined ? vehicleData.mileage : null,
+    vehicleData.fuelType || 'gasoline',
+    vehicleData.notes || null,
+    vehicleData.costCenter || null,
+    vehicleData.poNumber || null,
+    customFields
+  ]);
+
+  // Get created vehicle
+  const newVehicle = await dbConnection.get(
+    'SELECT * FROM vehicles WHERE id = ?',
+    [result.lastID]
+  );
+
+  logger.business('vehicle_created', {
+    vehicleId: newVehicle.id,
+    clientId: newVehicle.client_id,
+    vehicle: `${newVehicle.year} ${newVehicle.make} ${newVehicle.model}`
+  });
+
+  res.status(201).json({ ...newVehicle, custom_fields: parseCustomFields(newVehicle.custom_fields) });
+}));
+
+/**
+ * Update vehicle
+ * PUT /api/v1/vehicles/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const vehicleData = req.body;
+
+  // Validate input
+  validateVehicleInput(vehicleData, true);
+
+  // Check if vehicle exists
+  const existingVehicle = await dbConnection.get('SELECT * FROM vehicles WHERE id = ?', [id]);
+  if (!existingVehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  // Check the new owner when the vehicle is transferred
+  if (vehicleData.clientId && parseInt(vehicleData.clientId) !== existingVehicle.client_id) {
+    const client = await dbConnection.get(
+      'SELECT id FROM clients WHERE id = ? AND is_active = 1',
+      [vehicleData.clientId]
+    );
+
+    if (!client) {
+      throw new ValidationError('Invalid client', [
+        { field: 'clientId', message: 'Client does not exist or is inactive' }
+      ]);
+    }
+  }
+
+  // Check for duplicate VIN (excluding current vehicle)
+  await checkDuplicateVin(vehicleData.vin, id);
+
+  // Mileage should never go backwards
+  if (vehicleData.mileage !== undefined && vehicleData.mileage !== null &&
+      existingVehicle.mileage !== null && parseInt(vehicleData.mileage) < existingVehicle.mileage) {
+    throw new ValidationError('Validation failed', [
+      { field: 'mileage', message: `Mileage cannot be lower than the recorded ${existingVehicle.mileage}` }
+    ]);
+  }
+
+  const customFields = vehicleData.customFields !== undefined
+    ? await mergeCustomFieldValues('vehicle', vehicleData.customFields, existingVehicle.custom_fields)
+    : undefined;
+
+  // Update vehicle
+  await dbConnection.run(`
+    UPDATE vehicles SET
+      client_id = COALESCE(?, client_id),
+      make = COALESCE(?, make),
+      model = COALESCE(?, model),
+      year = COALESCE(?, year),
+      vin = COALESCE(?, vin),
+      license_plate = COALESCE(?, license_plate),
+      color = COALESCE(?, color),
+      engine_type = COALESCE(?, engine_type),
+      transmission_type = COALESCE(?, transmission_type),
+      mileage = COALESCE(?, mileage),
+      fuel_type = COALESCE(?, fuel_type),
+      notes = COALESCE(?, notes),
+      cost_center = COALESCE(?, cost_center),
+      po_number = COALESCE(?, po_number),
+      custom_fields = COALESCE(?, custom_fields)
+    WHERE id = ?
+  `, [
+    vehicleData.clientId,
+    vehicleData.make,
+    vehicleData.model,
+    vehicleData.year !== undefined ? parseInt(vehicleData.year) : undefined,
+    vehicleData.vin ? vehicleData.vin.toUpperCase() : undefined,
+    vehicleData.licensePlate,
+    vehicleData.color,
+    vehicleData.engineType,
+    vehicleData.transmissionType,
+    vehicleData.mileage,
+    vehicleData.fuelType,
+    vehicleData.notes,
+    vehicleData.costCenter,
+    vehicleData.poNumber,
+    customFields,
+    id
+  ]);
+
+  // Get updated vehicle
+  const updatedVehicle = await dbConnection.get('SELECT * FROM vehicles WHERE id = ?', [id]);
+
+  logger.business('vehicle_updated', {
+    vehicleId: id,
+    clientId: updatedVehicle.client_id,
+    vehicle: `${updatedVehicle.year} ${updatedVehicle.make} ${updatedVehicle.model}`
+  });
+
+  res.json({ ...updatedVehicle, custom_fields: parseCustomFields(updatedVehicle.custom_fields) });
+}));
+
+/**
+ * Delete vehicle (soft delete)
+ * DELETE /api/v1/vehicles/:id
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Check if vehicle exists
+  const vehicle = await dbConnection.get('SELECT * FROM vehicles WHERE id = ?', [id]);
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  // Check for active appointments
+  const activeAppointments = await dbConnection.get(`
+    SELECT COUNT(*) as count
+    FROM appointments
+    WHERE vehicle_id = ? AND status IN ('scheduled', 'confirmed', 'in_progress')
+  `, [id]);
+
+  if (activeAppointments.count > 0) {
+    throw new ValidationError('Cannot delete vehicle with active appointments', [
+      { field: 'vehicle', message: 'Vehicle has active appointments. Please cancel or complete them first.' }
+    ]);
+  }
+
+  await dbConnection.run('UPDATE vehicles SET is_active = 0 WHERE id = ?', [id]);
+
+  logger.business('vehicle_deleted', {
+    vehicleId: id,
+    clientId: vehicle.client_id,
+    vehicle: `${vehicle.year} ${vehicle.make} ${vehicle.model}`
+  });
+
+  res.json({ message: 'Vehicle deleted successfully' });
+}));
+
+/**
+ * Get vehicle service history
+ * GET /api/v1/vehicles/:id/service-history
+ */
+router.get('/:id/service-history', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { limit = 50 } = req.query;
+
+  // Check if vehicle exists
+  const vehicle = await dbConnection.get('SELECT id FROM vehicles WHERE id = ?', [id]);
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  const history = await dbConnection.all(`
+    SELECT
+      vsh.*,
+      wo.work_order_number,
+      u.first_name || ' ' || u.last_name as performed_by_name
+    FROM vehicle_service_history vsh
+    LEFT JOIN work_orders wo ON vsh.work_order_id = wo.id
+    LEFT JOIN users u ON vsh.performed_by = u.id
+    WHERE vsh.vehicle_id = ?
+    ORDER BY vsh.service_date DESC, vsh.id DESC
+    LIMIT ?
+  `, [id, parseInt(limit)]);
+
+  res.json(history);
+}));
+
+/**
+ * Add a service history record
+ * POST /api/v1/vehicles/:id/service-history
+ */
+router.post('/:id/service-history', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const serviceData = req.body;
+
+  // Validate input
+  validateServiceHistoryInput(serviceData);
+
+  // Check if vehicle exists
+  const vehicle = await dbConnection.get('SELECT * FROM vehicles WHERE id = ?', [id]);
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  const statements = [{
+    sql: `
+      INSERT INTO vehicle_service_history (
+        vehicle_id, work_order_id, service_date, mileage, service_type, description,
+        parts_used, labor_hours, total_cost, next_service_due, next_service_date,
+        performed_by, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    params: [
+      id,
+      serviceData.workOrderId || null,
+      serviceData.serviceDate,
+      serviceData.mileage !== undefined ? serviceData.mileage : null,
+      serviceData.serviceType,
+      serviceData.description,
+      serviceData.partsUsed || null,
+      serviceData.laborHours || null,
+      serviceData.totalCost || null,
+      serviceData.nextServiceDue || null,
+      serviceData.nextServiceDate || null,
+      serviceData.performedBy || null,
+      serviceData.notes || null
+    ]
+  }];
+
+  // Keep the vehicle odometer reading up to date
+  if (serviceData.mileage && (vehicle.mileage === null || serviceData.mileage > vehicle.mileage)) {
+    statements.push({
+      sql: 'UPDATE vehicles SET mileage = ? WHERE id = ?',
+      params: [serviceData.mileage, id]
+    });
+  }
+
+  const [result] = await dbConnection.transaction(statements);
+
+  const record = await dbConnection.get(
+    'SELECT * FROM vehicle_service_history WHERE id = ?',
+    [result.lastID]
+  );
+
+  logger.business('vehicle_service_recorded', {
+    vehicleId: id,
+    serviceHistoryId: record.id,
+    serviceType: record.service_type
+  });
+
+  res.status(201).json(record);
+}));
+
+module.exports = router;
@@ -0,0 +1,872 @@
+/**
+ * Work Order Routes for MoMech
+ * Handles work orders, their part/labor lines and lifecycle transitions
+ */
+
+const express = require('express');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('../utils/logger');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { deltaStatement } = require('../utils/inventoryLedger');
+const { auditTrail } = require('../middleware/audit');
+
+const router = express.Router();
+
+router.use(auditTrail({
+  entityType: 'work_order',
+  table: 'work_orders',
+  children: [{ key: 'items', table: 'work_order_items', foreignKey: 'work_order_id' }]
+}));
+
+const WORK_ORDER_SETTINGS = config.BUSINESS.WORK_ORDERS;
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const ITEM_TYPES = ['part', 'labor', 'misc'];
+
+// open → in_progress → completed, with cancellation allowed until completion
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Lines can only be changed while work is still going on
+const EDITABLE_STATUSES = ['open', 'in_progress'];
+
+const WORK_ORDER_SELECT = `
+  SELECT
+    w.*,
+    c.first_name || ' ' || c.last_name as client_name,
+    c.phone as client_phone,
+    v.year || ' ' || v.make || ' ' || v.model as vehicle,
+    v.license_plate,
+    v.vin,
+    u.first_name || ' ' || u.last_name as assigned_mechanic
+  FROM work_orders w
+  LEFT JOIN clients c ON w.client_id = c.id
+  LEFT JOIN vehicles v ON w.vehicle_id = v.id
+  LEFT JOIN users u ON w.assigned_to = u.id
+`;
+
+/**
+ * Validate work order input
+ */
+function validateWorkOrderInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.clientId) {
+    errors.push({ field: 'clientId', message: 'Client is required' });
+  }
+
+  if (!isUpdate && !data.vehicleId) {
+    errors.push({ field: 'vehicleId', message: 'Vehicle is required' });
+  }
+
+  if (!isUpdate && !data.description) {
+    errors.push({ field: 'description', message: 'Description is required' });
+  }
+
+  if (data.priority && !PRIORITIES.includes(data.priority)) {
+    errors.push({ field: 'priority', message: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+  }
+
+  if (data.status) {
+    errors.push({ field: 'status', message: 'Use the start, complete and cancel endpoints to change status' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Validate work order line input
+ */
+function validateItemInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.itemType) {
+    errors.push({ field: 'itemType', message: 'Item type is required' });
+  }
+
+  if (data.itemType && !ITEM_TYPES.includes(data.itemType)) {
+    errors.push({ field: 'itemType', message: `Item type must be one of: ${ITEM_TYPES.join(', ')}` });
+  }
+
+  if (!isUpdate && data.quantity === undefined) {
+    errors.push({ field: 'quantity', message: 'Quantity is required' });
+  }
+
+  if (data.quantity !== undefined && (isNaN(data.quantity) || Number(data.quantity) <= 0)) {
+    errors.push({ field: 'quantity', message: 'Quantity must be greater than zero' });
+  }
+
+  if (data.unitPrice !== undefined && data.unitPrice !== null && (isNaN(data.unitPrice) || Number(data.unitPrice) < 0)) {
+    errors.push({ field: 'unitPrice', message: 'Unit price cannot be negative' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Round a money amount to cents
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Statement recomputing the cached totals of a work order from its lines
+ */
+function recalculateTotalsStatement(workOrderId) {
+  return {
+    sql: `
+      UPDATE work_orders SET
+        total_parts_cost = (
+          SELECT COALESCE(SUM(total_price), 0) FROM work_order_items
+          WHERE work_order_id = ? AND item_type = 'part'
+        ),
+        total_labor_cost = (
+          SELECT COALESCE(SUM(total_price), 0) FROM work_order_items
+          WHERE work_order_id = ? AND item_type = 'labor'
+        ),
+        total_labor_hours = (
+          SELECT COALESCE(SUM(quantity), 0) FROM work_order_items
+          WHERE work_order_id = ? AND item_type = 'labor'
+        ),
+        total_cost = (
+          SELECT COALESCE(SUM(total_price), 0) FROM work_order_items
+          WHERE work_order_id = ?
+        )
+      WHERE id = ?
+    `,
+    params: [workOrderId, workOrderId, workOrderId, workOrderId, workOrderId]
+  };
+}
+
+/**
+ * Fetch a work order with its display fields
+ */
+async function getWorkOrder(id) {
+  const workOrder = await dbConnection.get(`${WORK_ORDER_SELECT} WHERE w.id = ?`, [id]);
+
+  if (!workOrder) {
+    throw new NotFoundError('Work order not found');
+  }
+
+  return workOrder;
+}
+
+/**
+ * Fetch a work order with its lines
+ */
+async function getWorkOrderWithItems(id) {
+  const workOrder = await getWorkOrder(id);
+
+  const items = await dbConnection.all(`
+    SELECT
+      woi.*,
+      ii.part_number,
+      ii.name as inventory_item_name
+    FROM work_order_items woi
+    LEFT JOIN inventory_items ii ON woi.item_id = ii.id
+    WHERE woi.work_order_id = ?
+    ORDER BY woi.id ASC
+  `, [id]);
+
+  return { ...workOrder, items };
+}
+
+/**
+ * Ensure lines on a work order can still be changed
+ */
+function assertEditable(workOrder) {
+  if (!EDITABLE_STATUSES.includes(workOrder.status)) {
+    throw new ValidationError('Work order is locked', [
+      { field: 'status', message: `Work orders that are ${workOrder.status} cannot be changed` }
+    ]);
+  }
+}
+
+/**
+ * Ensure a status change follows the work order lifecycle
+ */
+function assertTransition(workOrder, nextStatus) {
+  const allowed = STATUS_TRANSITIONS[workOrder.status] || [];
+
+  if (!allowed.includes(nextStatus)) {
+    throw new ValidationError('Invalid status change', [{
+      field: 'status',
+      message: `Cannot change status from ${workOrder.status} to ${nextStatus}`
+    }]);
+  }
+}
+
+/**
+ * Ensure the referenced mechanic exists and is active
+ */
+async function validateAssignee(userId) {
+  if (!userId) {
+    return;
+  }
+
+  const user = await dbConnection.get(
+    'SELECT id FROM users WHERE id = ? AND is_active = 1',
+    [userId]
+  );
+
+  if (!user) {
+    throw new ValidationError('Invalid mechanic', [
+      { field: 'assignedTo', message: 'Assigned user does not exist or is inactive' }
+    ]);
+  }
+}
+
+/**
+ * Ensure enough stock is on hand before drawing parts for a line
+ */
+async function assertStockAvailable(inventoryItemId, quantity) {
+  const errors = [];
+
+  if (!Number.isInteger(quantity)) {
+    errors.push({ field: 'quantity', message: 'Quantity of stocked parts must be a whole number' });
+  } else if (quantity > 0) {
+    const inventoryItem = await dbConnection.get(
+      'SELECT name, quantity_on_hand, unit_of_measure FROM inventory_items WHERE id = ?',
+      [inventoryItemId]
+    );
+
+    if (inventoryItem.quantity_on_hand < quantity) {
+      errors.push({
+        field: 'quantity',
+        message: `Only ${inventoryItem.quantity_on_hand} ${inventoryItem.unit_of_measure} of ${inventoryItem.name} in stock`
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Insufficient stock', errors);
+  }
+}
+
+/**
+ * Statement moving stock for a work order line; positive quantities are drawn from stock
+ */
+function stockStatement(req, workOrder, inventoryItemId, quantity, notes) {
+  return deltaStatement(inventoryItemId, -quantity, {
+    referenceType: 'work_order',
+    referenceId: workOrder.id,
+    createdBy: req.user.id,
+    notes: `${workOrder.work_order_number}: ${notes}`
+  });
+}
+
+/**
+ * Resolve description and price defaults for a new line
+ */
+async function resolveItemDefaults(workOrder, itemData) {
+  let { description, unitPrice } = itemData;
+
+  if (itemData.itemId) {
+    const inventoryItem = await dbConnection.get(
+      'SELECT id, name, selling_price FROM inventory_items WHERE id = ? AND is_active = 1',
+      [itemData.itemId]
+    );
+
+    if (!inventoryItem) {
+      throw new ValidationError('Invalid inventory item', [
+        { field: 'itemId', message: 'Inventory item does not exist or is inactive' }
+      ]);
+    }
+
+    description = description || inventoryItem.name;
+    unitPrice = unitPrice !== undefined && unitPrice !== null ? unitPrice : inventoryItem.selling_price;
+  }
+
+  // Labor defaults to the service rate booked on the appointment
+  if (itemData.itemType === 'labor' && (unitPrice === undefined || unitPrice === null)) {
+    const service = workOrder.appointment_id ? await dbConnection.get(`
+      SELECT s.labor_rate
+      FROM appointments a
+      INNER JOIN services s ON a.service_id = s.id
+      WHERE a.id = ?
+    `, [workOrder.appointment_id]) : null;
+
+    unitPrice = service && service.labor_rate ? service.labor_rate : WORK_ORDER_SETTINGS.DEFAULT_LABOR_RATE;
+    description = description || 'Labor';
+  }
+
+  const errors = [];
+  if (!description) {
+    errors.push({ field: 'description', message: 'Description is required' });
+  }
+  if (unitPrice === undefined || unitPrice === null) {
+    errors.push({ field: 'unitPrice', message: 'Unit price is required' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return { description, unitPrice: Number(unitPrice) };
+}
+
+/**
+ * Get all work orders
+ * GET /api/v1/work-orders
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    clientId,
+    vehicleId,
+    assignedTo,
+    search = '',
+    sortOrder = 'DESC'
+  } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('w.status = ?');
+    params.push(status);
+  }
+
+  if (clientId) {
+    conditions.push('w.client_id = ?');
+    params.push(clientId);
+  }
+
+  if (vehicleId) {
+    conditions.push('w.vehicle_id = ?');
+    params.push(vehicleId);
+  }
+
+  if (assignedTo) {
+    conditions.push('w.assigned_to = ?');
+    params.push(assignedTo);
+  }
+
+  if (search) {
+    const searchTerm = `%${search}%`;
+    conditions.push('(w.work_order_number LIKE ? OR w.description LIKE ?)');
+    params.push(searchTerm, searchTerm);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const sortDirection = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  const totalResult = await dbConnection.get(`
+    SELECT COUNT(*) as total FROM work_orders w ${whereClause}
+  `, params);
+
+  const workOrders = await dbConnection.all(`
+    ${WORK_ORDER_SELECT}
+    ${whereClause}
+    ORDER BY w.created_at ${sortDirection}, w.id ${sortDirection}
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  res.json({
+    workOrders,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalResult.total,
+      totalPages: Math.ceil(totalResult.total / parseInt(limit))
+    }
+  });
+}));
+
+/**
+ * Open a work order from an appointment
+ * POST /api/v1/work-orders/from-appointment/:appointmentId
+ */
+router.post('/from-appointment/:appointmentId', asyncHandler(async (req, res) => {
+  const { appointmentId } = req.params;
+  const { description, diagnosis, assignedTo, priority } = req.body;
+
+  const appointment = await dbConnection.get(`
+    SELECT a.*, s.name as service_name
+    FROM appointments a
+    LEFT JOIN services s ON a.service_id = s.id
+    WHERE a.id = ?
+  `, [appointmentId]);
+
+  if (!appointment) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  if (['cancelled', 'no_show'].includes(appointment.status)) {
+    throw new ValidationError('Cannot create work order', [
+      { field: 'appointmentId', message: `Appointment is ${appointment.status}` }
+    ]);
+  }
+
+  const existingWorkOrder = await dbConnection.get(
+    "SELECT id, work_order_number FROM work_orders WHERE appointment_id = ? AND status != 'cancelled'",
+    [appointmentId]
+  );
+
+  if (existingWorkOrder) {
+    throw new ValidationError('Work order already exists', [{
+      field: 'appointmentId',
+      message: `Appointment already has work order ${existingWorkOrder.work_order_number}`
+    }]);
+  }
+
+  if (priority && !PRIORITIES.includes(priority)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'priority', message: `Priority must be one of: ${PRIORITIES.join(', ')}` }
+    ]);
+  }
+
+  await validateAssignee(assignedTo);
+
+  const workOrderNumber = await generateDocumentNumber('work_orders', 'work_order_number', WORK_ORDER_SETTINGS.NUMBER_PREFIX);
+  const workOrderDescription = description || appointment.description || appointment.service_name || 'General Service';
+
+  const result = await dbConnection.run(`
+    INSERT INTO work_orders (
+      appointment_id, client_id, vehicle_id, work_order_number, priority,
+      description, diagnosis, assigned_to
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    appointment.id,
+    appointment.client_id,
+    appointment.vehicle_id,
+    workOrderNumber,
+    priority || appointment.priority || 'normal',
+    workOrderDescription,
+    diagnosis || null,
+    assignedTo || appointment.assigned_to || null
+  ]);
+
+  const workOrder = await getWorkOrderWithItems(result.lastID);
+
+  logger.business('work_order_created', {
+    workOrderId: workOrder.id,
+    workOrderNumber: workOrder.work_order_number,
+    appointmentId: appointment.id,
+    clientId: workOrder.client_id
+  });
+
+  res.status(201).json(workOrder);
+}));
+
+/**
+ * Get work order by ID
+ * GET /api/v1/work-orders/:id
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const workOrder = await getWorkOrderWithItems(req.params.id);
+  res.json(workOrder);
+}));
+
+/**
+ * Create new work order
+ * POST /api/v1/work-orders
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const workOrderData = req.body;
+
+  validateWorkOrderInput(workOrderData);
+
+  // Check that the vehicle belongs to the client
+  const vehicle = await dbConnection.get(
+    'SELECT id FROM vehicles WHERE id = ? AND client_id = ? AND is_active = 1',
+    [workOrderData.vehicleId, workOrderData.clientId]
+  );
+
+  if (!vehicle) {
+    throw new ValidationError('Invalid vehicle', [
+      { field: 'vehicleId', message: 'Vehicle does not exist or does not belong to this client' }
+    ]);
+  }
+
+  await validateAssignee(workOrderData.assignedTo);
+
+  const workOrderNumber = await generateDocumentNumber('work_orders', 'work_order_number', WORK_ORDER_SETTINGS.NUMBER_PREFIX);
+
+  const result = await dbConnection.run(`
+    INSERT INTO work_orders (
+      client_id, vehicle_id, work_order_number, priority, description,
+      diagnosis, recommendations, assigned_to
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    workOrderData.clientId,
+    workOrderData.vehicleId,
+    workOrderNumber,
+    workOrderData.priority || 'normal',
+    workOrderData.description,
+    workOrderData.diagnosis || null,
+    workOrderData.recommendations || null,
+    workOrderData.assignedTo || null
+  ]);
+
+  const workOrder = await getWorkOrderWithItems(result.lastID);
+
+  logger.business('work_order_created', {
+    workOrderId: workOrder.id,
+    workOrderNumber: workOrder.work_order_number,
+    clientId: workOrder.client_id
+  });
+
+  res.status(201).json(workOrder);
+}));
+
+/**
+ * Update work order details
+ * PUT /api/v1/work-orders/:id
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workOrderData = req.body;
+
+  validateWorkOrderInput(workOrderData, true);
+
+  const workOrder = await getWorkOrder(id);
+  assertEditable(workOrder);
+
+  await validateAssignee(workOrderData.assignedTo);
+
+  await dbConnection.run(`
+    UPDATE work_orders SET
+      priority = COALESCE(?, priority),
+      description = COALESCE(?, description),
+      diagnosis = COALESCE(?, diagnosis),
+      work_performed = COALESCE(?, work_performed),
+      recommendations = COALESCE(?, recommendations),
+      assigned_to = COALESCE(?, assigned_to)
+    WHERE id = ?
+  `, [
+    workOrderData.priority,
+    workOrderData.description,
+    workOrderData.diagnosis,
+    workOrderData.workPerformed,
+    workOrderData.recommendations,
+    workOrderData.assignedTo,
+    id
+  ]);
+
+  logger.business('work_order_updated', {
+    workOrderId: id,
+    workOrderNumber: workOrder.work_order_number
+  });
+
+  res.json(await getWorkOrderWithItems(id));
+}));
+
+/**
+ * Start work on a work order
+ * PATCH /api/v1/work-orders/:id/start
+ */
+router.patch('/:id/start', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const workOrder = await getWorkOrder(id);
+  assertTransition(workOrder, 'in_progress');
+  await validateAssignee(req.body.assignedTo);
+
+  const statements = [{
+    sql: `
+      UPDATE work_orders SET
+        status = 'in_progress',
+        started_at = CURRENT_TIMESTAMP,
+        assigned_to = COALESCE(?, assigned_to)
+      WHERE id = ?
+    `,
+    params: [req.body.assignedTo, id]
+  }];
+
+  if (workOrder.appointment_id) {
+    statements.push({
+      sql: "UPDATE appointments SET status = 'in_progress' WHERE id = ? AND status IN ('scheduled', 'confirmed')",
+      params: [workOrder.appointment_id]
+    });
+  }
+
+  await dbConnection.transaction(statements);
+
+  logger.business('work_order_started', {
+    workOrderId: id,
+    workOrderNumber: workOrder.work_order_number
+  });
+
+  res.json(await getWorkOrderWithItems(id));
+}));
+
+/**
+ * Complete a work order and record it in the vehicle's service history
+ * PATCH /api/v1/work-orders/:id/complete
+ */
+router.patch('/:id/complete', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { workPerformed, recommendations, mileage, nextServiceDue, nextServiceDate } = req.body;
+
+  if (mileage !== undefined && mileage !== null && (!Number.isInteger(Number(mileage)) || mileage < 0)) {
+    throw new ValidationError('Validation failed', [
+      { field: 'mileage', message: 'Mileage must be a positive whole number' }
+    ]);
+  }
+
+  const workOrder = await getWorkOrderWithItems(id);
+  assertTransition(workOrder, 'completed');
+
+  const service = workOrder.appointment_id ? await dbConnection.get(`
+    SELECT s.name
+    FROM appointments a
+    INNER JOIN services s ON a.service_id = s.id
+    WHERE a.id = ?
+  `, [workOrder.appointment_id]) : null;
+
+  const partsUsed = workOrder.items
+    .filter(item => item.item_type === 'part')
+    .map(item => `${item.quantity} x ${item.description}`)
+    .join(', ');
+
+  const statements = [
+    {
+      sql: `
+        UPDATE work_orders SET
+          status = 'completed',
+          completed_at = CURRENT_TIMESTAMP,
+          work_performed = COALESCE(?, work_performed),
+          recommendations = COALESCE(?, recommendations)
+        WHERE id = ?
+      `,
+      params: [workPerformed, recommendations, id]
+    },
+    {
+      sql: `
+        INSERT INTO vehicle_service_history (
+          vehicle_id, work_order_id, service_date, mileage, service_type, description,
+          parts_used, labor_hours, total_cost, next_service_due, next_service_date, performed_by
+        ) VALUES (?, ?, date('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      params: [
+        workOrder.vehicle_id,
+        workOrder.id,
+        mileage !== undefined ? mileage : null,
+        service ? service.name : 'General Service',
+        workPerformed || workOrder.work_performed || workOrder.description,
+        partsUsed || null,
+        workOrder.total_labor_hours,
+        workOrder.total_cost,
+        nextServiceDue || null,
+        nextServiceDate || null,
+        workOrder.assigned_to
+      ]
+    }
+  ];
+
+  if (mileage) {
+    statements.push({
+      sql: 'UPDATE vehicles SET mileage = ? WHERE id = ? AND (mileage IS NULL OR mileage < ?)',
+      params: [mileage, workOrder.vehicle_id, mileage]
+    });
+  }
+
+  if (workOrder.appointment_id) {
+    statements.push({
+      sql: "UPDATE appointments SET status = 'completed' WHERE id = ? AND status IN ('scheduled', 'confirmed', 'in_progress')",
+      params: [workOrder.appointment_id]
+    });
+  }
+
+  await dbConnection.transaction(statements);
+
+  logger.business('work_order_completed', {
+    workOrderId: id,
+    workOrderNumber: workOrder.work_order_number,
+    totalCost: workOrder.total_cost
+  });
+
+  res.json(await getWorkOrderWithItems(id));
+}));
+
+/**
+ * Cancel a work order
+ * PATCH /api/v1/work-orders/:id/cancel
+ */
+router.patch('/:id/cancel', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const workOrder = await getWorkOrderWithItems(id);
+  assertTransition(workOrder, 'cancelled');
+
+  // Parts drawn for the job go back on the shelf
+  const statements = workOrder.items
+    .filter(item => item.item_id)
+    .map(item => stockStatement(req, workOrder, item.item_id, -item.quantity, `returned ${item.description} (cancelled)`));
+
+  await dbConnection.transaction([
+    {
+      sql: "UPDATE work_orders SET status = 'cancelled' WHERE id = ?",
+      params: [id]
+    },
+    ...statements
+  ]);
+
+  logger.business('work_order_cancelled', {
+    workOrderId: id,
+    workOrderNumber: workOrder.work_order_number,
+    reason: reason || null
+  });
+
+  res.json(await getWorkOrderWithItems(id));
+}));
+
+/**
+ * Add a part, labor or misc line
+ * POST /api/v1/work-orders/:id/items
+ */
+router.post('/:id/items', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const itemData = req.body;
+
+  validateItemInput(itemData);
+
+  const workOrder = await getWorkOrder(id);
+  assertEditable(workOrder);
+
+  const { description, unitPrice } = await resolveItemDefaults(workOrder, itemData);
+  const quantity = Number(itemData.quantity);
+
+  if (itemData.itemId) {
+    await assertStockAvailable(itemData.itemId, quantity);
+  }
+
+  const [result] = await dbConnection.transaction([
+    {
+      sql: `
+        INSERT INTO work_order_items (
+          work_order_id, item_id, description, quantity, unit_price, total_price, item_type
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+      params: [
+        id,
+        itemData.itemId || null,
+        description,
+        quantity,
+        unitPrice,
+        roundCurrency(quantity * unitPrice),
+        itemData.itemType
+      ]
+    },
+    recalculateTotalsStatement(id),
+    ...(itemData.itemId ? [stockStatement(req, workOrder, itemData.itemId, quantity, `used ${description}`)] : [])
+  ]);
+
+  logger.business('work_order_item_added', {
+    workOrderId: id,
+    itemId: result.lastID,
+    itemType: itemData.itemType
+  });
+
+  res.status(201).json(await getWorkOrderWithItems(id));
+}));
+
+/**
+ * Update a line
+ * PUT /api/v1/work-orders/:id/items/:itemId
+ */
+router.put('/:id/items/:itemId', asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+  const itemData = req.body;
+
+  validateItemInput(itemData, true);
+
+  const workOrder = await getWorkOrder(id);
+  assertEditable(workOrder);
+
+  const item = await dbConnection.get(
+    'SELECT * FROM work_order_items WHERE id = ? AND work_order_id = ?',
+    [itemId, id]
+  );
+
+  if (!item) {
+    throw new NotFoundError('Work order item not found');
+  }
+
+  const quantity = itemData.quantity !== undefined ? Number(itemData.quantity) : item.quantity;
+  const unitPrice = itemData.unitPrice !== undefined && itemData.unitPrice !== null ? Number(itemData.unitPrice) : item.unit_price;
+  const quantityChange = quantity - item.quantity;
+
+  if (item.item_id) {
+    await assertStockAvailable(item.item_id, quantityChange);
+  }
+
+  await dbConnection.transaction([
+    {
+      sql: `
+        UPDATE work_order_items SET
+          description = COALESCE(?, description),
+          item_type = COALESCE(?, item_type),
+          quantity = ?,
+          unit_price = ?,
+          total_price = ?
+        WHERE id = ?
+      `,
+      params: [itemData.description, itemData.itemType, quantity, unitPrice, roundCurrency(quantity * unitPrice), itemId]
+    },
+    recalculateTotalsStatement(id),
+    ...(item.item_id && quantityChange !== 0
+      ? [stockStatement(req, workOrder, item.item_id, quantityChange, `adjusted ${item.description} from ${item.quantity} to ${quantity}`)]
+      : [])
+  ]);
+
+  logger.business('work_order_item_updated', {
+    workOrderId: id,
+    itemId
+  });
+
+  res.json(await getWorkOrderWithItems(id));
+}));
+
+/**
+ * Remove a line
+ * DELETE /api/v1/work-orders/:id/items/:itemId
+ */
+router.delete('/:id/items/:itemId', asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+
+  const workOrder = await getWorkOrder(id);
+  assertEditable(workOrder);
+
+  const item = await dbConnection.get(
+    'SELECT * FROM work_order_items WHERE id = ? AND work_order_id = ?',
+    [itemId, id]
+  );
+
+  if (!item) {
+    throw new NotFoundError('Work order item not found');
+  }
+
+  await dbConnection.transaction([
+    {
+      sql: 'DELETE FROM work_order_items WHERE id = ?',
+      params: [itemId]
+    },
+    recalculateTotalsStatement(id),
+    ...(item.item_id ? [stockStatement(req, workOrder, item.item_id, -item.quantity, `returned ${item.description}`)] : [])
+  ]);
+
+  logger.business('work_order_item_removed', {
+    workOrderId: id,
+    itemId
+  });
+
+  res.json(await getWorkOrderWithItems(id));
+}));
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Account email utility for MoMech
+ * Issues single-use tokens and emails the matching links; delivery failures
+ * are logged and reported as false rather than thrown
+ */
+
+const config = require('../../config/app');
+const logger = require('./logger');
+const mailer = require('./mailer');
+const { issueAuthToken } = require('./authTokens');
+
+/**
+ * Issue a token and send the template, returning whether the email went out
+ */
+async function sendTokenEmail(user, req, { purpose, duration, template, path, urlKey, data = {} }) {
+  try {
+    const token = await issueAuthToken(user.id, purpose, duration, req);
+
+    await mailer.sendTemplate(template, user.email, {
+      firstName: user.first_name,
+      email: user.email,
+      expiresIn: duration,
+      [urlKey]: `${config.SERVER.APP_URL}/${path}?token=${token}`,
+      ...data
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send ${purpose} email`, { userId: user.id, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Email a link that confirms the user's address
+ */
+function sendVerificationEmail(user, req) {
+  return sendTokenEmail(user, req, {
+    purpose: 'email_verification',
+    duration: config.SECURITY.EMAIL_VERIFICATION_EXPIRES_IN,
+    template: 'EMAIL_VERIFICATION',
+    path: 'verify-email',
+    urlKey: 'verifyUrl'
+  });
+}
+
+/**
+ * Email a link for choosing a new password
+ */
+function sendPasswordResetEmail(user, req) {
+  return sendTokenEmail(user, req, {
+    purpose: 'password_reset',
+    duration: config.SECURITY.PASSWORD_RESET_EXPIRES_IN,
+    template: 'PASSWORD_RESET',
+    path: 'reset-password',
+    urlKey: 'resetUrl'
+  });
+}
+
+/**
+ * Email an invitation to set a password for a new staff account
+ */
+function sendInvitationEmail(user, invitedBy, req) {
+  return sendTokenEmail(user, req, {
+    purpose: 'invitation',
+    duration: config.SECURITY.INVITATION_EXPIRES_IN,
+    template: 'USER_INVITATION',
+    path: 'accept-invitation',
+    urlKey: 'invitationUrl',
+    data: {
+      invitedBy: `${invitedBy.firstName} ${invitedBy.lastName}`,
+      role: user.role
+    }
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
@@ -0,0 +1,108 @@
+/**
+ * API key utility for MoMech
+ * Generates, looks up and rate-limits scoped API keys
+ */
+
+const crypto = require('crypto');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const { generateToken, hashToken } = require('./tokens');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Requests per key in the current one-minute window: keyId -> { windowStart, count }
+const rateWindows = new Map();
+
+/**
+ * Generate a new key; only the prefix and the hash are ever stored
+ */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+
+  return {
+    prefix,
+    key: `${config.SECURITY.API_KEY_PREFIX}_${prefix}_${generateToken(32)}`
+  };
+}
+
+/**
+ * Tell an API key apart from a JWT
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(`${config.SECURITY.API_KEY_PREFIX}_`);
+}
+
+/**
+ * Get the prefix part of a key, e.g. for logging a rejected key
+ */
+function getKeyPrefix(key) {
+  return String(key).split('_')[1] || null;
+}
+
+/**
+ * Find a usable key together with its creator, or null if it is unknown,
+ * revoked, expired or its creator has been deactivated
+ */
+async function findActiveApiKey(key) {
+  const apiKey = await dbConnection.get(`
+    SELECT
+      k.id, k.name, k.key_prefix, k.scopes, k.rate_limit_per_minute, k.created_by,
+      u.username, u.email, u.first_name, u.last_name, u.role
+    FROM api_keys k
+    INNER JOIN users u ON k.created_by = u.id
+    WHERE k.key_hash = ?
+      AND k.revoked_at IS NULL
+      AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+      AND u.is_active = 1
+  `, [hashToken(key)]);
+
+  return apiKey ? { ...apiKey, scopes: JSON.parse(apiKey.scopes) } : null;
+}
+
+/**
+ * Count a request against a key's per-minute limit
+ */
+function consumeRateLimit(keyId, limit, now = Date.now()) {
+  let window = rateWindows.get(keyId);
+
+  if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(keyId, window);
+  }
+
+  window.count++;
+
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    retryAfter: Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000)
+  };
+}
+
+/**
+ * Record that a key was used, at most once a minute to spare the database
+ */
+async function touchApiKey(keyId, ip) {
+  await dbConnection.run(`
+    UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+    WHERE id = ? AND (last_used_at IS NULL OR last_used_at <= datetime('now', '-1 minute'))
+  `, [ip, keyId]);
+}
+
+/**
+ * Forget a key's rate window, e.g. once it is revoked
+ */
+function resetRateLimit(keyId) {
+  rateWindows.delete(keyId);
+}
+
+module.exports = {
+  generateApiKey,
+  isApiKey,
+  getKeyPrefix,
+  findActiveApiKey,
+  consumeRateLimit,
+  touchApiKey,
+  resetRateLimit
+};
@@ -0,0 +1,120 @@
+/**
+ * Audit utility for MoMech
+ * Records who changed what in audit_log
+ */
+
+const dbConnection = require('../database/connection');
+
+// Bookkeeping columns that change on every write and say nothing about what changed
+const IGNORED_FIELDS = ['updated_at'];
+
+/**
+ * Record a create, update or delete made during a request
+ */
+async function recordAudit(req, { entityType, entityId, action, oldValues = null, newValues = null }) {
+  await dbConnection.run(`
+    INSERT INTO audit_log (user_id, api_key_id, entity_type, entity_id, action, old_values, new_values, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    req.user ? req.user.id : null,
+    req.apiKey ? req.apiKey.id : null,
+    entityType,
+    entityId,
+    action,
+    oldValues ? JSON.stringify(oldValues) : null,
+    newValues ? JSON.stringify(newValues) : null,
+    req.ip,
+    req.get('User-Agent') || null
+  ]);
+}
+
+/**
+ * Drop ignored fields from a record snapshot
+ */
+function stripIgnored(record) {
+  return Object.fromEntries(Object.entries(record).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+}
+
+/**
+ * Compare two snapshots of a record and keep only the fields that differ
+ *
+ * Returns { oldValues, newValues } or null when nothing changed.
+ */
+function diffValues(before, after) {
+  const oldValues = {};
+  const newValues = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      oldValues[field] = from;
+      newValues[field] = to;
+    }
+  });
+
+  return Object.keys(newValues).length > 0 ? { oldValues, newValues } : null;
+}
+
+/**
+ * Record the difference between two snapshots of one record
+ *
+ * A missing before snapshot is a create and a missing after snapshot a
+ * delete; pass action 'delete' for soft deletes. Updates that changed
+ * nothing are not recorded.
+ */
+async function recordChange(req, entityType, entityId, before, after, action = null) {
+  if (!before && !after) {
+    return false;
+  }
+
+  if (!before) {
+    await recordAudit(req, { entityType, entityId, action: 'create', newValues: stripIgnored(after) });
+    return true;
+  }
+
+  if (!after) {
+    await recordAudit(req, { entityType, entityId, action: 'delete', oldValues: stripIgnored(before) });
+    return true;
+  }
+
+  const diff = diffValues(before, after);
+
+  if (!diff) {
+    return false;
+  }
+
+  await recordAudit(req, { entityType, entityId, action: action || 'update', ...diff });
+  return true;
+}
+
+/**
+ * Record changes to several records of one type, matched by id
+ */
+async function recordChanges(req, entityType, beforeRecords, afterRecords) {
+  const before = new Map(beforeRecords.map(record => [record.id, record]));
+  const after = new Map(afterRecords.map(record => [record.id, record]));
+  const ids = new Set([...before.keys(), ...after.keys()]);
+  let recorded = 0;
+
+  for (const id of ids) {
+    if (await recordChange(req, entityType, id, before.get(id) || null, after.get(id) || null)) {
+      recorded++;
+    }
+  }
+
+  return recorded;
+}
+
+module.exports = {
+  recordAudit,
+  recordChange,
+  recordChanges,
+  diffValues
+};
@@ -0,0 +1,65 @@
+/**
+ * Auth token utility for MoMech
+ * Single-use, expiring tokens sent by email (password resets, email verification, invitations)
+ */
+
+const dbConnection = require('../database/connection');
+const { generateToken, hashToken, expiresAt } = require('./tokens');
+
+const TOKEN_PURPOSES = ['password_reset', 'email_verification', 'invitation'];
+
+/**
+ * Issue a token for a user, invalidating any earlier unused token of the same purpose
+ */
+async function issueAuthToken(userId, purpose, duration, req = null) {
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  const token = generateToken();
+
+  await dbConnection.transaction([
+    {
+      sql: 'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      params: [userId, purpose]
+    },
+    {
+      sql: 'INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?, ?)',
+      params: [userId, purpose, hashToken(token), expiresAt(duration), req ? req.ip : null]
+    }
+  ]);
+
+  return token;
+}
+
+/**
+ * Consume a token and return its user id, or null if it is unknown, used or expired
+ */
+async function consumeAuthToken(token, purpose) {
+  if (!token) {
+    return null;
+  }
+
+  const stored = await dbConnection.get(`
+    SELECT id, user_id FROM auth_tokens
+    WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+  `, [hashToken(token), purpose]);
+
+  if (!stored) {
+    return null;
+  }
+
+  // Only one concurrent request can use the token
+  const claimed = await dbConnection.run(
+    'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+    [stored.id]
+  );
+
+  return claimed.changes > 0 ? stored.user_id : null;
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  issueAuthToken,
+  consumeAuthToken
+};
@@ -0,0 +1,267 @@
+/**
+ * Client filter utility for MoMech
+ * Turns client list filters, typed in or saved as a segment, into SQL
+ */
+
+const dbConnection = require('../database/connection');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { buildMatchQuery, clientSearchRank } = require('./search');
+const { getFieldDefinitions, coerceValue } = require('./customFields');
+
+// Filters accepted by GET /clients and stored in segments
+const CLIENT_FILTER_KEYS = [
+  'search', 'active', 'accountType', 'tags', 'excludeTags', 'custom',
+  'vehicleMake', 'vehicleFuelType', 'vehicleCustom', 'noVisitMonths',
+  'marketingConsent', 'sortBy', 'sortOrder'
+];
+
+const ACCOUNT_TYPES = ['individual', 'business'];
+const CONSENT_CHANNELS = ['email', 'sms'];
+
+/**
+ * Split a comma-separated list (or take an array) of tag names
+ */
+function toNameList(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Check custom field filters against the field definitions and convert their values
+ */
+async function normalizeCustomFilters(entityType, filter, field, errors) {
+  if (filter === undefined || filter === '') {
+    return [];
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push({ field, message: 'Custom field filters must be an object of field keys and values' });
+    return [];
+  }
+
+  const definitions = await getFieldDefinitions(entityType);
+
+  return Object.entries(filter).reduce((conditions, [key, value]) => {
+    const definition = definitions.find(candidate => candidate.field_key === key);
+    const result = definition ? coerceValue(definition, value) : { error: 'Unknown custom field' };
+
+    if (result.error) {
+      errors.push({ field: `${field}.${key}`, message: result.error });
+      return conditions;
+    }
+
+    conditions.push({ path: `$.${key}`, value: result.value, contains: definition.field_type === 'text' });
+    return conditions;
+  }, []);
+}
+
+/**
+ * Validate client filters and put them in the form buildClientQuery takes
+ *
+ * With strict, keys other than CLIENT_FILTER_KEYS are errors (used when
+ * saving segments); otherwise they are ignored, e.g. page and limit.
+ */
+async function normalizeClientFilters(filters, strict = false) {
+  const errors = [];
+
+  if (strict) {
+    Object.keys(filters)
+      .filter(key => !CLIENT_FILTER_KEYS.includes(key))
+      .forEach(key => errors.push({ field: `filters.${key}`, message: 'Unknown filter' }));
+  }
+
+  if (filters.accountType && !ACCOUNT_TYPES.includes(filters.accountType)) {
+    errors.push({ field: 'accountType', message: `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}` });
+  }
+
+  if (filters.active !== undefined && !['true', 'false', 'all'].includes(String(filters.active))) {
+    errors.push({ field: 'active', message: 'Active must be true, false or all' });
+  }
+
+  if (filters.marketingConsent && !CONSENT_CHANNELS.includes(filters.marketingConsent)) {
+    errors.push({ field: 'marketingConsent', message: `Marketing consent must be one of: ${CONSENT_CHANNELS.join(', ')}` });
+  }
+
+  const noVisitMonths = filters.noVisitMonths !== undefined && filters.noVisitMonths !== ''
+    ? Number(filters.noVisitMonths)
+    : null;
+  if (noVisitMonths !== null && (!Number.isInteger(noVisitMonths) || noVisitMonths < 1)) {
+    errors.push({ field: 'noVisitMonths', message: 'No visit months must be a whole number of months' });
+  }
+
+  const custom = await normalizeCustomFilters('client', filters.custom, 'custom', errors);
+  const vehicleCustom = await normalizeCustomFilters('vehicle', filters.vehicleCustom, 'vehicleCustom', errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return {
+    search: filters.search || '',
+    active: filters.active !== undefined ? String(filters.active) : 'true',
+    accountType: filters.accountType,
+    tags: toNameList(filters.tags),
+    excludeTags: toNameList(filters.excludeTags),
+    custom,
+    vehicleMake: filters.vehicleMake,
+    vehicleFuelType: filters.vehicleFuelType,
+    vehicleCustom,
+    noVisitMonths,
+    marketingConsent: filters.marketingConsent,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder || 'ASC'
+  };
+}
+
+/**
+ * Get a saved segment or throw
+ */
+async function getSegment(id) {
+  const segment = await dbConnection.get('SELECT * FROM client_segments WHERE id = ?', [id]);
+
+  if (!segment) {
+    throw new NotFoundError('Segment not found');
+  }
+
+  return { ...segment, filters: JSON.parse(segment.filters) };
+}
+
+/**
+ * Work out the filters of a client list request
+ *
+ * ?segment=<id> starts from a saved segment's filters; filters in the
+ * request are applied on top.
+ */
+async function resolveClientFilters(query) {
+  const { segment, ...requestFilters } = query;
+  const segmentFilters = segment ? (await getSegment(segment)).filters : {};
+
+  return normalizeClientFilters({ ...segmentFilters, ...requestFilters });
+}
+
+/**
+ * Build the clauses shared by the client list, export and segments from
+ * normalized filters
+ *
+ * search uses the client_search full-text index; results are ranked by
+ * relevance unless another sortBy is given. Vehicle filters must all hold
+ * for the same active vehicle. Use as
+ * `FROM clients ${joinClause} ${whereClause} ORDER BY ${orderBy}`.
+ */
+function buildClientQuery(filters) {
+  const { search, active, accountType, tags, excludeTags, custom, noVisitMonths, sortBy, sortOrder } = filters;
+  const matchQuery = buildMatchQuery(search);
+
+  let joinClause = '';
+  const conditions = [];
+  const params = [];
+
+  if (matchQuery) {
+    joinClause = `
+      INNER JOIN (
+        SELECT rowid as search_id, ${clientSearchRank()} as search_rank
+        FROM client_search
+        WHERE client_search MATCH ?
+      ) search ON search.search_id = clients.id
+    `;
+    params.push(matchQuery);
+  }
+
+  if (active !== 'all') {
+    conditions.push('is_active = ?');
+    params.push(active === 'true' ? 1 : 0);
+  }
+
+  if (accountType) {
+    conditions.push('account_type = ?');
+    params.push(accountType);
+  }
+
+  // marketingConsent was checked against CONSENT_CHANNELS, so it is safe in the column name
+  if (filters.marketingConsent) {
+    conditions.push(`marketing_${filters.marketingConsent}_consent = 1`);
+  }
+
+  tags.forEach((tag) => {
+    conditions.push(`clients.id IN (
+      SELECT ct.client_id FROM client_tags ct INNER JOIN tags t ON ct.tag_id = t.id WHERE t.name = ?
+    )`);
+    params.push(tag);
+  });
+
+  if (excludeTags.length > 0) {
+    conditions.push(`clients.id NOT IN (
+      SELECT ct.client_id FROM client_tags ct INNER JOIN tags t ON ct.tag_id = t.id
+      WHERE t.name IN (${excludeTags.map(() => '?').join(', ')})
+    )`);
+    params.push(...excludeTags);
+  }
+
+  custom.forEach(({ path, value, contains }) => {
+    conditions.push(`json_extract(clients.custom_fields, ?) ${contains ? 'LIKE' : '='} ?`);
+    params.push(path, contains ? `%${value}%` : value);
+  });
+
+  const vehicleConditions = [];
+  const vehicleParams = [];
+
+  if (filters.vehicleMake) {
+    vehicleConditions.push('v.make = ?');
+    vehicleParams.push(filters.vehicleMake);
+  }
+
+  if (filters.vehicleFuelType) {
+    vehicleConditions.push('v.fuel_type = ?');
+    vehicleParams.push(filters.vehicleFuelType);
+  }
+
+  filters.vehicleCustom.forEach(({ path, value, contains }) => {
+    vehicleConditions.push(`json_extract(v.custom_fields, ?) ${contains ? 'LIKE' : '='} ?`);
+    vehicleParams.push(path, contains ? `%${value}%` : value);
+  });
+
+  if (vehicleConditions.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM vehicles v
+      WHERE v.client_id = clients.id AND v.is_active = 1 AND ${vehicleConditions.join(' AND ')}
+    )`);
+    params.push(...vehicleParams);
+  }
+
+  // A visit is a completed work order or appointment
+  if (noVisitMonths) {
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM work_orders w
+      WHERE w.client_id = clients.id AND w.status = 'completed' AND w.completed_at >= datetime('now', ?)
+    )`);
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM appointments a
+      WHERE a.client_id = clients.id AND a.status = 'completed' AND a.appointment_date >= date('now', ?)
+    )`);
+    params.push(`-${noVisitMonths} months`, `-${noVisitMonths} months`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Validate sort parameters
+  const validSortFields = ['first_name', 'last_name', 'email', 'created_at'];
+  const validSortOrders = ['ASC', 'DESC'];
+
+  if ((sortBy === 'relevance' || !sortBy) && matchQuery) {
+    return { joinClause, whereClause, params, orderBy: 'search.search_rank ASC, last_name ASC' };
+  }
+
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'last_name';
+  const sortDirection = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'ASC';
+
+  return { joinClause, whereClause, params, orderBy: `${sortField} ${sortDirection}` };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  CLIENT_FILTER_KEYS,
+  normalizeClientFilters,
+  getSegment,
+  resolveClientFilters,
+  buildClientQuery
+};
@@ -0,0 +1,275 @@
+/**
+ * Client matching utility for MoMech
+ * Normalizes contact details and finds clients that are probably the same person
+ */
+
+// Common short forms of first names, so "Mike" and "Michael" are seen as the same
+const NICKNAMES = [
+  ['michael', 'mike', 'mick', 'mikey'],
+  ['william', 'will', 'bill', 'billy', 'liam'],
+  ['robert', 'rob', 'bob', 'bobby', 'robbie'],
+  ['richard', 'rick', 'rich', 'dick'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['john', 'jack', 'johnny'],
+  ['jonathan', 'jon'],
+  ['joseph', 'joe', 'joey'],
+  ['thomas', 'tom', 'tommy'],
+  ['charles', 'charlie', 'chuck'],
+  ['christopher', 'chris'],
+  ['daniel', 'dan', 'danny'],
+  ['matthew', 'matt'],
+  ['anthony', 'tony'],
+  ['david', 'dave'],
+  ['steven', 'stephen', 'steve'],
+  ['andrew', 'andy', 'drew'],
+  ['edward', 'ed', 'eddie', 'ted'],
+  ['alexander', 'alex'],
+  ['benjamin', 'ben'],
+  ['nicholas', 'nick'],
+  ['samuel', 'sam'],
+  ['timothy', 'tim'],
+  ['gregory', 'greg'],
+  ['kenneth', 'ken'],
+  ['ronald', 'ron'],
+  ['donald', 'don'],
+  ['elizabeth', 'liz', 'beth', 'betty', 'eliza'],
+  ['katherine', 'catherine', 'kate', 'kathy', 'cathy', 'katie'],
+  ['margaret', 'maggie', 'meg', 'peggy'],
+  ['jennifer', 'jen', 'jenny'],
+  ['patricia', 'pat', 'patty', 'trish'],
+  ['susan', 'sue', 'susie'],
+  ['rebecca', 'becky'],
+  ['deborah', 'debbie', 'deb']
+];
+
+const NICKNAME_GROUPS = NICKNAMES.reduce((map, names, index) => {
+  names.forEach(name => map.set(name, [...(map.get(name) || []), index]));
+  return map;
+}, new Map());
+
+/**
+ * Lower-case and trim an email address
+ */
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+/**
+ * Keep only the digits of a phone number, ignoring a leading country code
+ * so that "+1 (555) 123-4567" and "555.123.4567" match
+ */
+function normalizePhone(phone) {
+  const digits = phone ? String(phone).replace(/\D/g, '') : '';
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+/**
+ * Lower-case a name and drop punctuation and repeated spaces
+ */
+function normalizeName(firstName, lastName) {
+  return `${firstName || ''} ${lastName || ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaro-Winkler similarity of two strings, from 0 (nothing alike) to 1 (equal)
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) {
+        j++;
+      }
+      if (a[i] !== b[j]) {
+        transpositions++;
+      }
+      j++;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Compare two first names, allowing nicknames and initials
+ */
+function firstNameSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  const groupsA = NICKNAME_GROUPS.get(a) || [];
+  if ((NICKNAME_GROUPS.get(b) || []).some(group => groupsA.includes(group))) {
+    return 1;
+  }
+
+  // "M Johnson" is probably "Mike Johnson"
+  if ((a.length === 1 || b.length === 1) && a[0] === b[0]) {
+    return 0.9;
+  }
+
+  return similarity(a, b);
+}
+
+/**
+ * Score how alike the names of two clients are, from 0 to 1
+ */
+function nameSimilarity(clientA, clientB) {
+  const lastA = normalizeName(clientA.last_name);
+  const lastB = normalizeName(clientB.last_name);
+  const firstA = normalizeName(clientA.first_name);
+  const firstB = normalizeName(clientB.first_name);
+
+  if (!lastA || !lastB || !firstA || !firstB) {
+    return 0;
+  }
+
+  return Math.min(similarity(lastA, lastB), firstNameSimilarity(firstA, firstB));
+}
+
+/**
+ * Find pairs of clients that are probably the same person
+ *
+ * Clients sharing an email or phone number always pair up; names are
+ * compared within groups sharing the first letter of their last name so
+ * large client lists stay fast. Returns [{ clientIds, score, reasons }],
+ * best matches first.
+ */
+function findDuplicatePairs(clients, minScore) {
+  const pairs = new Map();
+
+  function addPair(a, b, reason, score) {
+    const [first, second] = a.id < b.id ? [a, b] : [b, a];
+    const key = `${first.id}:${second.id}`;
+    const pair = pairs.get(key) || { clientIds: [first.id, second.id], score: 0, reasons: [] };
+
+    if (!pair.reasons.includes(reason)) {
+      pair.reasons.push(reason);
+    }
+    pair.score = Math.max(pair.score, score);
+    pairs.set(key, pair);
+  }
+
+  const groups = { email: new Map(), phone: new Map(), name: new Map() };
+
+  clients.forEach((client) => {
+    const phone = normalizePhone(client.phone);
+    const keys = {
+      email: normalizeEmail(client.email),
+      phone: phone.length >= 7 ? phone : '',
+      name: normalizeName(client.last_name).charAt(0)
+    };
+
+    Object.entries(keys).forEach(([group, key]) => {
+      if (key) {
+        groups[group].set(key, [...(groups[group].get(key) || []), client]);
+      }
+    });
+  });
+
+  groups.email.forEach(members => members.forEach((a, i) => members.slice(i + 1).forEach(b => addPair(a, b, 'email', 1))));
+  groups.phone.forEach(members => members.forEach((a, i) => members.slice(i + 1).forEach(b => addPair(a, b, 'phone', 0.95))));
+  groups.name.forEach(members => members.forEach((a, i) => members.slice(i + 1).forEach((b) => {
+    const score = nameSimilarity(a, b);
+    if (score >= minScore) {
+      addPair(a, b, 'name', Math.round(score * 100) / 100);
+    }
+  })));
+
+  return [...pairs.values()].sort((a, b) => b.score - a.score || b.reasons.length - a.reasons.length);
+}
+
+/**
+ * Index clients (rows with first_name, last_name, email and phone) by their
+ * normalized email, phone and name
+ */
+function createMatchIndex() {
+  const keys = { email: new Map(), phone: new Map(), name: new Map() };
+
+  function getKeys(client) {
+    return {
+      email: normalizeEmail(client.email),
+      // Fragments such as extensions alone are too short to mean anything
+      phone: normalizePhone(client.phone).length >= 7 ? normalizePhone(client.phone) : '',
+      name: normalizeName(client.first_name, client.last_name)
+    };
+  }
+
+  return {
+    /**
+     * Add a client, with a reference returned by find (e.g. { clientId } or { row })
+     */
+    add(client, reference) {
+      Object.entries(getKeys(client)).forEach(([reason, key]) => {
+        if (key) {
+          keys[reason].set(key, [...(keys[reason].get(key) || []), reference]);
+        }
+      });
+    },
+
+    /**
+     * Find indexed clients sharing an email, phone or name with this one
+     */
+    find(client) {
+      const matches = new Map();
+
+      Object.entries(getKeys(client)).forEach(([reason, key]) => {
+        (key && keys[reason].get(key) || []).forEach((reference) => {
+          const match = matches.get(reference) || { ...reference, reasons: [] };
+          match.reasons.push(reason);
+          matches.set(reference, match);
+        });
+      });
+
+      return [...matches.values()];
+    }
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  similarity,
+  nameSimilarity,
+  findDuplicatePairs,
+  createMatchIndex
+};
@@ -0,0 +1,154 @@
+/**
+ * Client merge utility for MoMech
+ * Moves everything from a duplicate client onto the one being kept, and back again
+ */
+
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+
+// Tables whose rows follow a client through a merge, with their audit entity type
+const MERGE_TABLES = {
+  vehicles: 'vehicle',
+  appointments: 'appointment',
+  work_orders: 'work_order',
+  invoices: 'invoice',
+  payments: 'payment',
+  client_contacts: 'client_contact',
+  client_communications: 'client_communication'
+};
+
+// Contact details copied from the duplicate when the kept client has none
+const FILL_FIELDS = ['email', 'phone', 'address', 'city', 'state', 'zip_code', 'date_of_birth'];
+
+/**
+ * Work out which fields of the kept client the duplicate fills in
+ *
+ * Returns { field: { from, to } }. Notes from both are kept.
+ */
+function getTargetChanges(target, source) {
+  const changes = {};
+
+  FILL_FIELDS.forEach((field) => {
+    if ((target[field] === null || target[field] === '') && source[field]) {
+      changes[field] = { from: target[field], to: source[field] };
+    }
+  });
+
+  if (source.notes && source.notes !== target.notes) {
+    changes.notes = {
+      from: target.notes,
+      to: target.notes ? `${target.notes}\n\n${source.notes}` : source.notes
+    };
+  }
+
+  return changes;
+}
+
+/**
+ * Merge the source client into the target client
+ *
+ * Re-points every linked record, fills in the target's missing contact
+ * details, deactivates the source and records what was done so it can be
+ * undone until MERGE_UNDO_DAYS have passed. Returns the client_merges id
+ * and the records moved ({ table: [ids] }).
+ */
+async function mergeClients(target, source, userId) {
+  const targetChanges = getTargetChanges(target, source);
+
+  return dbConnection.withTransaction(async () => {
+    const movedRecords = {};
+
+    for (const table of Object.keys(MERGE_TABLES)) {
+      const rows = await dbConnection.all(`SELECT id FROM ${table} WHERE client_id = ?`, [source.id]);
+      movedRecords[table] = rows.map(row => row.id);
+
+      await dbConnection.run(`UPDATE ${table} SET client_id = ? WHERE client_id = ?`, [target.id, source.id]);
+    }
+
+    // Emails are unique, so the duplicate gives its email up before the target takes it
+    await dbConnection.run(`
+      UPDATE clients SET
+        is_active = 0,
+        merged_into_id = ?,
+        merged_at = CURRENT_TIMESTAMP,
+        email = CASE WHEN ? THEN NULL ELSE email END
+      WHERE id = ?
+    `, [target.id, targetChanges.email ? 1 : 0, source.id]);
+
+    const fields = Object.keys(targetChanges);
+    if (fields.length > 0) {
+      await dbConnection.run(
+        `UPDATE clients SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => targetChanges[field].to), target.id]
+      );
+    }
+
+    const result = await dbConnection.run(`
+      INSERT INTO client_merges (
+        target_client_id, source_client_id, target_changes, source_snapshot, moved_records,
+        merged_by, undo_until
+      ) VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))
+    `, [
+      target.id,
+      source.id,
+      JSON.stringify(targetChanges),
+      JSON.stringify(source),
+      JSON.stringify(movedRecords),
+      userId,
+      `+${config.BUSINESS.CLIENTS.MERGE_UNDO_DAYS} days`
+    ]);
+
+    return { mergeId: result.lastID, movedRecords };
+  });
+}
+
+/**
+ * Undo a merge
+ *
+ * Moves the records back to the source client, reactivates it and restores
+ * the target's fields the merge filled in, unless they were edited since.
+ */
+async function undoMerge(merge, userId) {
+  const targetChanges = JSON.parse(merge.target_changes);
+  const source = JSON.parse(merge.source_snapshot);
+  const movedRecords = JSON.parse(merge.moved_records);
+
+  return dbConnection.withTransaction(async () => {
+    for (const [table, ids] of Object.entries(movedRecords)) {
+      if (ids.length > 0) {
+        await dbConnection.run(
+          `UPDATE ${table} SET client_id = ? WHERE client_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+          [source.id, merge.target_client_id, ...ids]
+        );
+      }
+    }
+
+    const target = await dbConnection.get('SELECT * FROM clients WHERE id = ?', [merge.target_client_id]);
+    const restored = Object.keys(targetChanges).filter(field => target[field] === targetChanges[field].to);
+
+    if (restored.length > 0) {
+      await dbConnection.run(
+        `UPDATE clients SET ${restored.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...restored.map(field => targetChanges[field].from), target.id]
+      );
+    }
+
+    await dbConnection.run(`
+      UPDATE clients SET is_active = ?, merged_into_id = NULL, merged_at = NULL, email = ?
+      WHERE id = ?
+    `, [source.is_active, source.email, source.id]);
+
+    await dbConnection.run(
+      'UPDATE client_merges SET undone_at = CURRENT_TIMESTAMP, undone_by = ? WHERE id = ?',
+      [userId, merge.id]
+    );
+
+    return movedRecords;
+  });
+}
+
+module.exports = {
+  MERGE_TABLES,
+  mergeClients,
+  undoMerge
+};
@@ -0,0 +1,306 @@
+/**
+ * Client privacy utility for MoMech
+ * Subject-access exports of everything held about a client, and erasure of
+ * their personal data while keeping invoices and payments for tax retention
+ */
+
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const { MERGE_TABLES } = require('./clientMerge');
+const { parseCustomFields } = require('./customFields');
+const { writeZip } = require('./zip');
+
+// Personal fields in audit entries of each entity type; null clears the whole entry
+const PERSONAL_AUDIT_FIELDS = {
+  client: null,
+  client_contact: null,
+  client_communication: null,
+  vehicle: ['vin', 'license_plate', 'notes', 'custom_fields', 'service_history'],
+  appointment: ['customer_notes', 'internal_notes']
+};
+
+const EXPORT_README = `Personal data held by {{appName}} about client #{{clientId}}
+Generated {{generatedAt}}
+
+client.json          Client record, including any duplicate records merged into it, and tags
+contacts.json        Contacts at a business account
+vehicles.json        Vehicles with their service history
+appointments.json    Appointments
+work_orders.json     Work orders with their lines
+invoices.json        Invoices with their lines
+payments.json        Payments and refunds
+communications.json  Calls, emails, texts and visits logged, and notifications sent
+audit_log.json       Changes made to these records, with when and by which user
+`;
+
+/**
+ * Build '?, ?, ?' for a list of values
+ */
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Get the client and the duplicate records merged into it
+ */
+async function getClientIds(clientId) {
+  const merged = await dbConnection.all('SELECT id FROM clients WHERE merged_into_id = ?', [clientId]);
+  return [clientId, ...merged.map(row => row.id)];
+}
+
+/**
+ * Get the ids of every record linked to the clients, by audit entity type
+ */
+async function getRecordIds(clientIds) {
+  const ids = { client: clientIds };
+
+  for (const [table, entityType] of Object.entries(MERGE_TABLES)) {
+    const rows = await dbConnection.all(
+      `SELECT id FROM ${table} WHERE client_id IN (${placeholders(clientIds)})`,
+      clientIds
+    );
+    ids[entityType] = rows.map(row => row.id);
+  }
+
+  return ids;
+}
+
+/**
+ * Attach child rows to their parents under key
+ */
+async function withChildren(rows, key, table, foreignKey) {
+  const ids = rows.map(row => row.id);
+  const children = ids.length > 0
+    ? await dbConnection.all(
+      `SELECT * FROM ${table} WHERE ${foreignKey} IN (${placeholders(ids)}) ORDER BY id`,
+      ids
+    )
+    : [];
+
+  return rows.map(row => ({ ...row, [key]: children.filter(child => child[foreignKey] === row.id) }));
+}
+
+/**
+ * Get the audit entries of the linked records
+ *
+ * The IP address and user agent belong to the staff member who made the
+ * change, not to the client, so they are left out.
+ */
+async function getAuditEntries(recordIds) {
+  const entries = [];
+
+  for (const [entityType, ids] of Object.entries(recordIds)) {
+    if (ids.length > 0) {
+      entries.push(...await dbConnection.all(`
+        SELECT al.id, al.entity_type, al.entity_id, al.action, al.old_values, al.new_values, al.created_at,
+          u.first_name || ' ' || u.last_name as user_name
+        FROM audit_log al
+        LEFT JOIN users u ON al.user_id = u.id
+        WHERE al.entity_type = ? AND al.entity_id IN (${placeholders(ids)})
+      `, [entityType, ...ids]));
+    }
+  }
+
+  return entries
+    .sort((a, b) => a.id - b.id)
+    .map(entry => ({
+      ...entry,
+      old_values: entry.old_values ? JSON.parse(entry.old_values) : null,
+      new_values: entry.new_values ? JSON.parse(entry.new_values) : null
+    }));
+}
+
+/**
+ * Build a ZIP of everything held about a client
+ *
+ * One JSON file per kind of record plus a README listing them. Returns a Buffer.
+ */
+async function buildPersonalDataExport(clientId) {
+  const clientIds = await getClientIds(clientId);
+  const recordIds = await getRecordIds(clientIds);
+  const inClients = `IN (${placeholders(clientIds)})`;
+
+  const clients = await dbConnection.all(`SELECT * FROM clients WHERE id ${inClients} ORDER BY id`, clientIds);
+  const tags = await dbConnection.all(`
+    SELECT ct.client_id, t.name, ct.created_at
+    FROM client_tags ct
+    INNER JOIN tags t ON ct.tag_id = t.id
+    WHERE ct.client_id ${inClients}
+    ORDER BY t.name
+  `, clientIds);
+
+  const vehicles = await dbConnection.all(`SELECT * FROM vehicles WHERE client_id ${inClients} ORDER BY id`, clientIds);
+  const workOrders = await dbConnection.all(`SELECT * FROM work_orders WHERE client_id ${inClients} ORDER BY id`, clientIds);
+  const invoices = await dbConnection.all(`SELECT * FROM invoices WHERE client_id ${inClients} ORDER BY id`, clientIds);
+
+  const sections = {
+    'client.json': clients.map(client => ({
+      ...client,
+      custom_fields: parseCustomFields(client.custom_fields),
+      tags: tags.filter(tag => tag.client_id === client.id).map(({ name, created_at }) => ({ name, created_at }))
+    })),
+    'contacts.json': await dbConnection.all(`SELECT * FROM client_contacts WHERE client_id ${inClients} ORDER BY id`, clientIds),
+    'vehicles.json': (await withChildren(vehicles, 'service_history', 'vehicle_service_history', 'vehicle_id'))
+      .map(vehicle => ({ ...vehicle, custom_fields: parseCustomFields(vehicle.custom_fields) })),
+    'appointments.json': await dbConnection.all(`SELECT * FROM appointments WHERE client_id ${inClients} ORDER BY id`, clientIds),
+    'work_orders.json': await withChildren(workOrders, 'items', 'work_order_items', 'work_order_id'),
+    'invoices.json': await withChildren(invoices, 'items', 'invoice_items', 'invoice_id'),
+    'payments.json': await dbConnection.all(`SELECT * FROM payments WHERE client_id ${inClients} ORDER BY id`, clientIds),
+    'communications.json': await dbConnection.all(`SELECT * FROM client_communications WHERE client_id ${inClients} ORDER BY id`, clientIds),
+    'audit_log.json': await getAuditEntries(recordIds)
+  };
+
+  const readme = EXPORT_README
+    .replace('{{appName}}', config.APP_NAME)
+    .replace('{{clientId}}', clientId)
+    .replace('{{generatedAt}}', new Date().toISOString());
+
+  return writeZip([
+    { name: 'README.txt', data: readme },
+    ...Object.entries(sections).map(([name, data]) => ({ name, data: JSON.stringify(data, null, 2) }))
+  ]);
+}
+
+/**
+ * Build the statements that scrub personal fields from the audit entries of
+ * the linked records
+ */
+async function auditRedactionStatements(recordIds) {
+  const statements = [];
+
+  for (const [entityType, fields] of Object.entries(PERSONAL_AUDIT_FIELDS)) {
+    const ids = recordIds[entityType] || [];
+
+    if (ids.length === 0) {
+      continue;
+    }
+
+    if (!fields) {
+      statements.push({
+        sql: `UPDATE audit_log SET old_values = NULL, new_values = NULL WHERE entity_type = ? AND entity_id IN (${placeholders(ids)})`,
+        params: [entityType, ...ids]
+      });
+      continue;
+    }
+
+    const entries = await dbConnection.all(
+      `SELECT id, old_values, new_values FROM audit_log WHERE entity_type = ? AND entity_id IN (${placeholders(ids)})`,
+      [entityType, ...ids]
+    );
+
+    entries.forEach((entry) => {
+      const [oldValues, newValues] = [entry.old_values, entry.new_values].map((json) => {
+        if (!json) {
+          return json;
+        }
+        const values = JSON.parse(json);
+        fields.filter(field => values[field] !== undefined).forEach((field) => { values[field] = null; });
+        return JSON.stringify(values);
+      });
+
+      if (oldValues !== entry.old_values || newValues !== entry.new_values) {
+        statements.push({
+          sql: 'UPDATE audit_log SET old_values = ?, new_values = ? WHERE id = ?',
+          params: [oldValues, newValues, entry.id]
+        });
+      }
+    });
+  }
+
+  return statements;
+}
+
+/**
+ * Erase a client's personal data, and that of duplicates merged into it
+ *
+ * Names are replaced, contact details, notes, custom fields and consents
+ * cleared, contacts, tags and the communication log deleted, and vehicles
+ * lose their VIN, plate and notes. Invoices, payments, work orders and
+ * appointments are kept with their amounts; a business account keeps its
+ * company name, which its invoices are made out to. Personal fields are
+ * also scrubbed from the audit trail and from merge snapshots, which ends
+ * any merge's undo window. Returns the ids of the erased client records.
+ */
+async function eraseClient(clientId, userId) {
+  const clientIds = await getClientIds(clientId);
+  const recordIds = await getRecordIds(clientIds);
+  const inClients = `IN (${placeholders(clientIds)})`;
+  const vehicleIds = recordIds.vehicle;
+
+  const statements = [
+    {
+      sql: `
+        UPDATE clients SET
+          first_name = 'Erased',
+          last_name = 'Client',
+          email = NULL,
+          phone = NULL,
+          address = NULL,
+          city = NULL,
+          state = NULL,
+          zip_code = NULL,
+          date_of_birth = NULL,
+          notes = NULL,
+          company_name = CASE WHEN account_type = 'business' THEN company_name END,
+          custom_fields = '{}',
+          marketing_email_consent = 0,
+          marketing_email_consent_at = NULL,
+          marketing_sms_consent = 0,
+          marketing_sms_consent_at = NULL,
+          quiet_hours_start = NULL,
+          quiet_hours_end = NULL,
+          is_active = 0,
+          erased_at = CURRENT_TIMESTAMP,
+          erased_by = ?
+        WHERE id ${inClients}
+      `,
+      params: [userId, ...clientIds]
+    },
+    { sql: `DELETE FROM client_contacts WHERE client_id ${inClients}`, params: clientIds },
+    { sql: `DELETE FROM client_tags WHERE client_id ${inClients}`, params: clientIds },
+    { sql: `DELETE FROM client_communications WHERE client_id ${inClients}`, params: clientIds },
+    {
+      sql: `UPDATE vehicles SET vin = NULL, license_plate = NULL, notes = NULL, custom_fields = '{}', is_active = 0 WHERE client_id ${inClients}`,
+      params: clientIds
+    },
+    {
+      sql: `UPDATE appointments SET customer_notes = NULL, internal_notes = NULL WHERE client_id ${inClients}`,
+      params: clientIds
+    },
+    {
+      sql: `
+        UPDATE client_merges SET
+          target_changes = '{}',
+          source_snapshot = '{}',
+          undo_until = MIN(undo_until, CURRENT_TIMESTAMP)
+        WHERE target_client_id ${inClients} OR source_client_id ${inClients}
+      `,
+      params: [...clientIds, ...clientIds]
+    },
+    { sql: `DELETE FROM qr_codes WHERE entity_type = 'client' AND entity_id ${inClients}`, params: clientIds }
+  ];
+
+  if (vehicleIds.length > 0) {
+    statements.push(
+      {
+        sql: `UPDATE vehicle_service_history SET notes = NULL WHERE vehicle_id IN (${placeholders(vehicleIds)})`,
+        params: vehicleIds
+      },
+      {
+        sql: `DELETE FROM qr_codes WHERE entity_type = 'vehicle' AND entity_id IN (${placeholders(vehicleIds)})`,
+        params: vehicleIds
+      }
+    );
+  }
+
+  statements.push(...await auditRedactionStatements(recordIds));
+
+  await dbConnection.transaction(statements);
+
+  return clientIds;
+}
+
+module.exports = {
+  buildPersonalDataExport,
+  eraseClient
+};
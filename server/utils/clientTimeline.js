@@ -0,0 +1,171 @@
+/**
+ * Client timeline utility for MoMech
+ * Merges everything that happened with a client into one chronological list
+ */
+
+const dbConnection = require('../database/connection');
+
+/**
+ * One SELECT per event type, each returning the same columns for a client_id
+ * parameter. occurred_at goes through datetime() so dates and date-times sort
+ * together, and is in the shop's local time: appointments and the DATE columns
+ * are stored local, CURRENT_TIMESTAMP values are UTC and converted with
+ * 'localtime'.
+ */
+const TIMELINE_SOURCES = {
+  appointment: `
+    SELECT
+      'appointment' as type,
+      a.id,
+      datetime(a.appointment_date || ' ' || a.appointment_time) as occurred_at,
+      NULL as reference,
+      COALESCE(s.name, a.description, 'Appointment') as title,
+      COALESCE(a.customer_notes, a.description) as details,
+      a.status,
+      NULL as amount,
+      a.vehicle_id
+    FROM appointments a
+    LEFT JOIN services s ON a.service_id = s.id
+    WHERE a.client_id = ?
+  `,
+  work_order: `
+    SELECT
+      'work_order' as type,
+      w.id,
+      datetime(COALESCE(w.completed_at, w.created_at), 'localtime') as occurred_at,
+      w.work_order_number as reference,
+      w.description as title,
+      COALESCE(w.work_performed, w.diagnosis) as details,
+      w.status,
+      w.total_cost as amount,
+      w.vehicle_id
+    FROM work_orders w
+    WHERE w.client_id = ?
+  `,
+  invoice: `
+    SELECT
+      'invoice' as type,
+      i.id,
+      datetime(i.invoice_date) as occurred_at,
+      i.invoice_number as reference,
+      'Invoice ' || i.invoice_number as title,
+      i.notes as details,
+      i.status,
+      i.total_amount as amount,
+      w.vehicle_id
+    FROM invoices i
+    LEFT JOIN work_orders w ON i.work_order_id = w.id
+    WHERE i.client_id = ?
+  `,
+  payment: `
+    SELECT
+      'payment' as type,
+      p.id,
+      datetime(p.payment_date) as occurred_at,
+      p.reference_number as reference,
+      CASE WHEN p.refund_of IS NOT NULL THEN 'Refund' ELSE 'Payment' END
+        || COALESCE(' on invoice ' || i.invoice_number, '') as title,
+      p.notes as details,
+      p.payment_method as status,
+      p.amount,
+      w.vehicle_id
+    FROM payments p
+    LEFT JOIN invoices i ON p.invoice_id = i.id
+    LEFT JOIN work_orders w ON i.work_order_id = w.id
+    WHERE p.client_id = ?
+  `,
+  // The communication log: calls and visits logged by hand and notifications sent
+  message: `
+    SELECT
+      'message' as type,
+      m.id,
+      datetime(m.occurred_at, 'localtime') as occurred_at,
+      m.channel as reference,
+      COALESCE(m.subject, m.direction || ' ' || m.channel) as title,
+      m.body as details,
+      m.status,
+      NULL as amount,
+      NULL as vehicle_id
+    FROM client_communications m
+    WHERE m.client_id = ?
+  `,
+  // Service history recorded by hand; entries from work orders are already listed
+  service: `
+    SELECT
+      'service' as type,
+      h.id,
+      datetime(h.service_date) as occurred_at,
+      NULL as reference,
+      h.service_type as title,
+      h.description as details,
+      NULL as status,
+      h.total_cost as amount,
+      h.vehicle_id
+    FROM vehicle_service_history h
+    INNER JOIN vehicles hv ON h.vehicle_id = hv.id
+    WHERE hv.client_id = ? AND h.work_order_id IS NULL
+  `
+};
+
+const TIMELINE_TYPES = Object.keys(TIMELINE_SOURCES);
+
+/**
+ * Get one page of a client's timeline, newest first
+ *
+ * Filters: types (array of TIMELINE_TYPES, all when empty), vehicleId,
+ * dateFrom and dateTo ('YYYY-MM-DD', inclusive). Returns { events, pagination }.
+ */
+async function getTimeline(clientId, { types = [], vehicleId, dateFrom, dateTo }, page, limit) {
+  const sources = (types.length > 0 ? types : TIMELINE_TYPES).map(type => TIMELINE_SOURCES[type]);
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const conditions = [];
+  const params = sources.map(() => clientId);
+
+  if (vehicleId) {
+    conditions.push('e.vehicle_id = ?');
+    params.push(vehicleId);
+  }
+
+  if (dateFrom) {
+    conditions.push('DATE(e.occurred_at) >= ?');
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push('DATE(e.occurred_at) <= ?');
+    params.push(dateTo);
+  }
+
+  const fromClause = `
+    FROM (${sources.join(' UNION ALL ')}) e
+    LEFT JOIN vehicles v ON e.vehicle_id = v.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+  `;
+
+  const { total } = await dbConnection.get(`SELECT COUNT(*) as total ${fromClause}`, params);
+
+  const events = await dbConnection.all(`
+    SELECT
+      e.*,
+      v.year || ' ' || v.make || ' ' || v.model as vehicle,
+      v.license_plate
+    ${fromClause}
+    ORDER BY e.occurred_at DESC, e.type, e.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+
+  return {
+    events,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  getTimeline
+};
@@ -0,0 +1,274 @@
+/**
+ * Client communication utility for MoMech
+ * Sends automated client notifications through the channels the client allows
+ * and records every message in client_communications
+ */
+
+const config = require('../../config/app');
+const dbConnection = require('../database/connection');
+const logger = require('./logger');
+const mailer = require('./mailer');
+const { timeToMinutes } = require('./scheduling');
+
+const COMMUNICATION_CHANNELS = ['phone', 'email', 'sms', 'in_person', 'letter'];
+const COMMUNICATION_DIRECTIONS = ['inbound', 'outbound'];
+const COMMUNICATION_PURPOSES = ['service', 'marketing'];
+
+// Channels the system can send on by itself
+const AUTOMATED_CHANNELS = ['email', 'sms'];
+
+/**
+ * Format a Date the way CURRENT_TIMESTAMP stores it (UTC)
+ */
+function toTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Get the quiet hours that apply to a client
+ */
+function getQuietHours(client) {
+  if (client.quiet_hours_start && client.quiet_hours_end) {
+    return { start: client.quiet_hours_start, end: client.quiet_hours_end };
+  }
+
+  return config.BUSINESS.COMMUNICATIONS.QUIET_HOURS;
+}
+
+/**
+ * Get when quiet hours end if now falls inside them, otherwise null
+ *
+ * Quiet hours are local times and may span midnight, e.g. 20:00-08:00.
+ */
+function getQuietHoursEnd(quietHours, now = new Date()) {
+  if (!quietHours) {
+    return null;
+  }
+
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  const inside = start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inside) {
+    return null;
+  }
+
+  const resume = new Date(now);
+  resume.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (resume <= now) {
+    resume.setDate(resume.getDate() + 1);
+  }
+
+  return resume;
+}
+
+/**
+ * Get the channels a service message may use, in order of preference
+ */
+function getServiceChannels(client) {
+  if (AUTOMATED_CHANNELS.includes(client.preferred_contact_method)) {
+    return [client.preferred_contact_method];
+  }
+
+  return config.BUSINESS.COMMUNICATIONS.SERVICE_FALLBACK_CHANNELS.filter(channel => AUTOMATED_CHANNELS.includes(channel));
+}
+
+/**
+ * Work out which channel an automated message may use
+ *
+ * Service messages (invoices, reminders) go out on the client's preferred
+ * contact method when it is email or SMS, and otherwise on the first of
+ * COMMUNICATIONS.SERVICE_FALLBACK_CHANNELS the client can be reached on;
+ * marketing needs consent for the channel. Returns { channel, recipient }
+ * or { reason } when nothing is allowed.
+ */
+function chooseChannel(client, purpose = 'service') {
+  const recipients = { email: client.email, sms: client.phone };
+  const enabled = {
+    email: config.FEATURES.ENABLE_EMAIL_NOTIFICATIONS,
+    sms: config.FEATURES.ENABLE_SMS_NOTIFICATIONS
+  };
+
+  const candidates = purpose === 'marketing'
+    ? AUTOMATED_CHANNELS.filter(channel => client[`marketing_${channel}_consent`])
+    : getServiceChannels(client);
+
+  if (candidates.length === 0) {
+    return {
+      reason: purpose === 'marketing'
+        ? 'Client has not consented to marketing messages'
+        : `Client prefers to be contacted by ${client.preferred_contact_method || 'phone'}`
+    };
+  }
+
+  const channel = candidates.find(candidate => enabled[candidate] && recipients[candidate]);
+
+  if (!channel) {
+    return {
+      reason: candidates.map(candidate => (
+        enabled[candidate]
+          ? `Client has no ${candidate === 'email' ? 'email address' : 'phone number'}`
+          : `${candidate === 'email' ? 'Email' : 'SMS'} notifications are disabled`
+      )).join('; ')
+    };
+  }
+
+  return { channel, recipient: recipients[channel] };
+}
+
+/**
+ * Deliver a message on its channel
+ */
+async function deliver({ channel, recipient, subject, body }) {
+  if (channel === 'email') {
+    return mailer.sendMail({ to: recipient, subject, text: body });
+  }
+
+  throw new Error('No SMS gateway is configured');
+}
+
+/**
+ * Try to deliver a message, returning the status and reason to record
+ */
+async function attemptDelivery(message) {
+  try {
+    await deliver(message);
+    return { status: 'sent', reason: null };
+  } catch (error) {
+    logger.error('Client notification failed', {
+      clientId: message.clientId,
+      channel: message.channel,
+      error: error.message
+    });
+    return { status: 'failed', reason: error.message };
+  }
+}
+
+/**
+ * Get a communication log entry
+ */
+function getCommunication(id) {
+  return dbConnection.get(`
+    SELECT cc.*, u.first_name || ' ' || u.last_name as created_by_name
+    FROM client_communications cc
+    LEFT JOIN users u ON cc.created_by = u.id
+    WHERE cc.id = ?
+  `, [id]);
+}
+
+/**
+ * Send a NOTIFICATION_TEMPLATES message to a client and log it
+ *
+ * Messages the client's preferences do not allow are logged as blocked,
+ * with the reason, so staff can follow up another way. During quiet hours
+ * the message is queued until they end. Delivery failures are logged, never
+ * thrown. Returns the log entry.
+ */
+async function notifyClient(client, { template, data = {}, purpose = 'service', relatedType = null, relatedId = null, userId = null }, now = new Date()) {
+  const { channel, recipient, reason } = chooseChannel(client, purpose);
+  const { subject, text } = await mailer.renderNotification(template, { firstName: client.first_name, ...data });
+  const quietHoursEnd = channel ? getQuietHoursEnd(getQuietHours(client), now) : null;
+
+  let outcome;
+  if (!channel) {
+    outcome = { status: 'blocked', reason };
+  } else if (quietHoursEnd) {
+    outcome = { status: 'queued', reason: 'Quiet hours' };
+  } else {
+    outcome = await attemptDelivery({ clientId: client.id, channel, recipient, subject, body: text });
+  }
+
+  const result = await dbConnection.run(`
+    INSERT INTO client_communications (
+      client_id, channel, direction, purpose, is_automated, status, recipient, subject, body,
+      template, related_type, related_id, status_reason, send_after, created_by
+    ) VALUES (?, ?, 'outbound', ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    client.id,
+    // Blocked messages are filed under the channel that was asked for
+    channel || (purpose === 'service' ? client.preferred_contact_method || 'phone' : 'email'),
+    purpose,
+    outcome.status,
+    recipient || null,
+    subject,
+    text,
+    template,
+    relatedType,
+    relatedId,
+    outcome.reason,
+    quietHoursEnd ? toTimestamp(quietHoursEnd) : null,
+    userId
+  ]);
+
+  logger.business('client_notification', {
+    clientId: client.id,
+    template,
+    channel,
+    status: outcome.status,
+    reason: outcome.reason
+  });
+
+  return getCommunication(result.lastID);
+}
+
+/**
+ * Send queued messages whose quiet hours have ended
+ *
+ * Each message is claimed before it is sent, by clearing its send_after, so
+ * overlapping runs cannot send it twice; one whose run stops mid-send stays
+ * queued with no send time for staff to check rather than going out again.
+ * The client's preferences are checked again, since they may have changed
+ * while the message waited. Returns the number of messages handled.
+ */
+async function dispatchQueuedCommunications() {
+  const queued = await dbConnection.all(`
+    SELECT cc.*, c.email, c.phone, c.preferred_contact_method,
+      c.marketing_email_consent, c.marketing_sms_consent
+    FROM client_communications cc
+    INNER JOIN clients c ON cc.client_id = c.id
+    WHERE cc.status = 'queued' AND cc.send_after <= datetime('now')
+    ORDER BY cc.send_after, cc.id
+  `);
+
+  let handled = 0;
+
+  for (const message of queued) {
+    const claim = await dbConnection.run(`
+      UPDATE client_communications SET send_after = NULL, status_reason = 'Sending'
+      WHERE id = ? AND status = 'queued' AND send_after IS NOT NULL
+    `, [message.id]);
+
+    if (claim.changes === 0) {
+      continue;
+    }
+
+    const { channel, recipient, reason } = chooseChannel(message, message.purpose);
+    const outcome = channel
+      ? await attemptDelivery({ clientId: message.client_id, channel, recipient, subject: message.subject, body: message.body })
+      : { status: 'blocked', reason };
+
+    await dbConnection.run(`
+      UPDATE client_communications
+      SET status = ?, status_reason = ?, channel = ?, recipient = ?, occurred_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [outcome.status, outcome.reason, channel || message.channel, recipient || message.recipient, message.id]);
+    handled++;
+  }
+
+  return handled;
+}
+
+module.exports = {
+  COMMUNICATION_CHANNELS,
+  COMMUNICATION_DIRECTIONS,
+  COMMUNICATION_PURPOSES,
+  AUTOMATED_CHANNELS,
+  getQuietHoursEnd,
+  chooseChannel,
+  getCommunication,
+  notifyClient,
+  dispatchQueuedCommunications
+};
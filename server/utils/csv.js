@@ -0,0 +1,118 @@
+/**
+ * CSV utility for MoMech
+ * Minimal RFC 4180 parsing and formatting for imports and exports
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Turn rows with a header row into an array of objects keyed by header
+ */
+function toRecords(allRows) {
+  const [headers, ...rows] = allRows;
+
+  if (!headers) {
+    return { headers: [], records: [] };
+  }
+
+  const trimmedHeaders = headers.map(header => header.trim());
+
+  return {
+    headers: trimmedHeaders,
+    records: rows.map(cells => trimmedHeaders.reduce((record, header, index) => {
+      record[header] = cells[index] !== undefined ? cells[index].trim() : '';
+      return record;
+    }, {}))
+  };
+}
+
+/**
+ * Parse CSV text with a header row into an array of objects keyed by header
+ */
+function parse(text) {
+  return toRecords(parseRows(text));
+}
+
+/**
+ * Escape a single value for CSV output
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a single CSV line from an array of values
+ */
+function formatRow(values) {
+  return values.map(formatValue).join(',') + '\r\n';
+}
+
+/**
+ * Format an array of objects as CSV using the given columns ({ key, header })
+ */
+function stringify(records, columns) {
+  return formatRow(columns.map(column => column.header)) +
+    records.map(record => formatRow(columns.map(column => record[column.key]))).join('');
+}
+
+module.exports = {
+  parseRows,
+  toRecords,
+  parse,
+  formatRow,
+  stringify
+};
@@ -0,0 +1,122 @@
+/**
+ * Custom field utility for MoMech
+ * Validates the shop-defined fields stored in the custom_fields JSON of clients and vehicles
+ */
+
+const dbConnection = require('../database/connection');
+const { ValidationError } = require('../middleware/errorHandler');
+const { isValidDate } = require('./scheduling');
+
+const CUSTOM_FIELD_ENTITIES = ['client', 'vehicle'];
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, 1: true,
+  false: false, no: false, 0: false
+};
+
+/**
+ * Get the field definitions of an entity type, in display order
+ */
+async function getFieldDefinitions(entityType, includeInactive = false) {
+  const rows = await dbConnection.all(`
+    SELECT * FROM custom_fields
+    WHERE entity_type = ? ${includeInactive ? '' : 'AND is_active = 1'}
+    ORDER BY sort_order, label
+  `, [entityType]);
+
+  return rows.map(row => ({ ...row, options: row.options ? JSON.parse(row.options) : null }));
+}
+
+/**
+ * Convert a value to the type of its field
+ *
+ * Returns { value } or { error } with a message for the caller's field.
+ */
+function coerceValue(definition, value) {
+  switch (definition.field_type) {
+    case 'number':
+      return value !== '' && !isNaN(value) ? { value: Number(value) } : { error: 'Must be a number' };
+    case 'boolean': {
+      const key = String(value).toLowerCase();
+      return Object.hasOwn(BOOLEAN_VALUES, key) ? { value: BOOLEAN_VALUES[key] } : { error: 'Must be true or false' };
+    }
+    case 'date':
+      return isValidDate(value) ? { value } : { error: 'Date must be in YYYY-MM-DD format' };
+    case 'select':
+      return (definition.options || []).includes(value)
+        ? { value }
+        : { error: `Must be one of: ${(definition.options || []).join(', ')}` };
+    default:
+      return { value: String(value).trim() };
+  }
+}
+
+/**
+ * Parse the stored custom_fields JSON of a row
+ */
+function parseCustomFields(json) {
+  return json ? JSON.parse(json) : {};
+}
+
+/**
+ * Validate { key: value } input against the active field definitions and
+ * merge it into the stored values
+ *
+ * A null or empty value removes the field. Pass the stored JSON when
+ * updating; new records must have every required field. Returns the JSON
+ * to store.
+ */
+async function mergeCustomFieldValues(entityType, input, storedJson = null) {
+  const definitions = await getFieldDefinitions(entityType);
+  const values = parseCustomFields(storedJson);
+  const errors = [];
+
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    throw new ValidationError('Validation failed', [
+      { field: 'customFields', message: 'Custom fields must be an object of field keys and values' }
+    ]);
+  }
+
+  Object.entries(input || {}).forEach(([key, value]) => {
+    const definition = definitions.find(candidate => candidate.field_key === key);
+
+    if (!definition) {
+      errors.push({ field: `customFields.${key}`, message: 'Unknown custom field' });
+    } else if (value === null || value === '') {
+      delete values[key];
+    } else {
+      const result = coerceValue(definition, value);
+      if (result.error) {
+        errors.push({ field: `customFields.${key}`, message: result.error });
+      } else {
+        values[key] = result.value;
+      }
+    }
+  });
+
+  // Records from before a field was made required keep working until someone clears it
+  definitions
+    .filter(definition => definition.is_required && values[definition.field_key] === undefined)
+    .filter(definition => storedJson === null || (input && input[definition.field_key] !== undefined))
+    .forEach((definition) => {
+      if (!errors.some(error => error.field === `customFields.${definition.field_key}`)) {
+        errors.push({ field: `customFields.${definition.field_key}`, message: `${definition.label} is required` });
+      }
+    });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return JSON.stringify(values);
+}
+
+module.exports = {
+  CUSTOM_FIELD_ENTITIES,
+  CUSTOM_FIELD_TYPES,
+  getFieldDefinitions,
+  coerceValue,
+  parseCustomFields,
+  mergeCustomFieldValues
+};
@@ -0,0 +1,59 @@
+/**
+ * Inventory ledger utility for MoMech
+ * Builds inventory_movements entries, the only way stock levels change
+ */
+
+const MOVEMENT_TYPES = ['in', 'out', 'adjustment'];
+
+// Signed quantity of a movement as seen by the ledger
+const SIGNED_QUANTITY_SQL = "CASE movement_type WHEN 'out' THEN -quantity ELSE quantity END";
+
+/**
+ * Statement inserting a movement; the database trigger updates quantity_on_hand
+ */
+function movementStatement({
+  itemId,
+  movementType,
+  quantity,
+  unitCost = null,
+  referenceType = null,
+  referenceId = null,
+  notes = null,
+  createdBy = null
+}) {
+  return {
+    sql: `
+      INSERT INTO inventory_movements (
+        item_id, movement_type, quantity, unit_cost, reference_type, reference_id, notes, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    params: [itemId, movementType, quantity, unitCost, referenceType, referenceId, notes, createdBy]
+  };
+}
+
+/**
+ * Statement moving stock by a signed delta, e.g. when a work order line changes
+ */
+function deltaStatement(itemId, delta, reference = {}) {
+  return movementStatement({
+    ...reference,
+    itemId,
+    movementType: delta < 0 ? 'out' : 'in',
+    quantity: Math.abs(delta)
+  });
+}
+
+/**
+ * Get the signed effect of a movement on stock
+ */
+function signedQuantity(movementType, quantity) {
+  return movementType === 'out' ? -quantity : quantity;
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  SIGNED_QUANTITY_SQL,
+  movementStatement,
+  deltaStatement,
+  signedQuantity
+};
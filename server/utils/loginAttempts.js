@@ -0,0 +1,153 @@
+/**
+ * Login attempt utility for MoMech
+ * Per-account failure counting, progressive delays, lockout and login history
+ */
+
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('./logger');
+const { expiresAt, durationToMs } = require('./tokens');
+
+/**
+ * Parse an SQLite UTC DATETIME
+ */
+function parseSqlDateTime(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
+
+/**
+ * Work out how long an account must wait after a number of consecutive failures
+ */
+function getDelayMs(failedCount) {
+  const { LOGIN_DELAY_AFTER_ATTEMPTS, LOGIN_DELAY_BASE_SECONDS, LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_LOCKOUT_DURATION } = config.SECURITY;
+
+  if (failedCount >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    return durationToMs(LOGIN_LOCKOUT_DURATION);
+  }
+
+  if (failedCount >= LOGIN_DELAY_AFTER_ATTEMPTS) {
+    return LOGIN_DELAY_BASE_SECONDS * 1000 * 2 ** (failedCount - LOGIN_DELAY_AFTER_ATTEMPTS);
+  }
+
+  return 0;
+}
+
+/**
+ * Get the current lockout of an account, or null if it may attempt a login now
+ */
+function getLockout(user) {
+  const lockedUntil = parseSqlDateTime(user.locked_until);
+
+  if (!lockedUntil || lockedUntil <= new Date()) {
+    return null;
+  }
+
+  return {
+    locked: user.failed_login_count >= config.SECURITY.LOGIN_MAX_FAILED_ATTEMPTS,
+    lockedUntil: lockedUntil.toISOString(),
+    retryAfter: Math.ceil((lockedUntil - new Date()) / 1000)
+  };
+}
+
+/**
+ * Add an entry to the login history
+ */
+async function recordAttempt({ userId = null, email = null, req, success, method = 'password', failureReason = null }) {
+  await dbConnection.run(`
+    INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, method, failure_reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [userId, email, req.ip, req.get('User-Agent') || null, success ? 1 : 0, method, failureReason]);
+}
+
+/**
+ * Count a failed password or code for an account and delay or lock it as needed
+ */
+async function registerFailure(user, req, { method = 'password', failureReason }) {
+  await dbConnection.run(
+    'UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = ?',
+    [user.id]
+  );
+
+  const { failed_login_count: failedCount } = await dbConnection.get(
+    'SELECT failed_login_count FROM users WHERE id = ?',
+    [user.id]
+  );
+
+  const delayMs = getDelayMs(failedCount);
+  if (delayMs > 0) {
+    await dbConnection.run(
+      'UPDATE users SET locked_until = ? WHERE id = ?',
+      [expiresAt(delayMs / 1000), user.id]
+    );
+  }
+
+  await recordAttempt({ userId: user.id, email: user.email, req, success: false, method, failureReason });
+
+  if (failedCount >= config.SECURITY.LOGIN_MAX_FAILED_ATTEMPTS) {
+    logger.security('account_locked', {
+      userId: user.id,
+      failedAttempts: failedCount,
+      lockedFor: config.SECURITY.LOGIN_LOCKOUT_DURATION,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  return failedCount;
+}
+
+/**
+ * Record a completed login, clear the failure count and flag unfamiliar IPs and user agents
+ */
+async function registerSuccess(user, req, method) {
+  const ip = req.ip;
+  const userAgent = req.get('User-Agent') || null;
+
+  const known = await dbConnection.get(`
+    SELECT
+      COUNT(*) as logins,
+      SUM(CASE WHEN ip_address = ? THEN 1 ELSE 0 END) as same_ip,
+      SUM(CASE WHEN user_agent IS ? THEN 1 ELSE 0 END) as same_user_agent
+    FROM login_attempts
+    WHERE user_id = ? AND success = 1
+  `, [ip, userAgent, user.id]);
+
+  // The very first login has nothing to compare with
+  if (known.logins > 0 && (!known.same_ip || !known.same_user_agent)) {
+    logger.security('login_from_new_device', {
+      userId: user.id,
+      newIp: !known.same_ip,
+      newUserAgent: !known.same_user_agent,
+      ip,
+      userAgent
+    });
+  }
+
+  await dbConnection.run(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+    [user.id]
+  );
+
+  await recordAttempt({ userId: user.id, email: user.email, req, success: true, method });
+}
+
+/**
+ * Clear a lockout, e.g. after a password reset or by an owner
+ */
+async function clearLockout(userId) {
+  const result = await dbConnection.run(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+
+  return result.changes > 0;
+}
+
+module.exports = {
+  getDelayMs,
+  getLockout,
+  recordAttempt,
+  registerFailure,
+  registerSuccess,
+  clearLockout
+};
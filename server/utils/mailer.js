@@ -0,0 +1,98 @@
+/**
+ * Mailer utility for MoMech
+ * Sends email through the SMTP server configured in config.EMAIL
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../../config/app');
+const logger = require('./logger');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+
+let transporter = null;
+
+/**
+ * Get the shared SMTP transport, created on first use
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.EMAIL.HOST,
+      port: Number(config.EMAIL.PORT),
+      secure: config.EMAIL.SECURE,
+      // Local SMTP stand-ins usually accept mail without credentials
+      auth: config.EMAIL.USER ? { user: config.EMAIL.USER, pass: config.EMAIL.PASS } : undefined
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Replace {{name}} placeholders with values from data
+ */
+function renderTemplate(text, data = {}) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    data[key] !== undefined && data[key] !== null ? String(data[key]) : ''
+  ));
+}
+
+/**
+ * Send a plain email
+ */
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({
+    from: `"${config.EMAIL.FROM_NAME}" <${config.EMAIL.FROM_EMAIL}>`,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  logger.info('Email sent', { to, subject, messageId: info.messageId });
+
+  return info;
+}
+
+/**
+ * Render one of the NOTIFICATION_TEMPLATES to { subject, text }
+ */
+async function renderNotification(name, data = {}) {
+  const template = config.NOTIFICATION_TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const body = await fs.readFile(path.join(TEMPLATE_DIR, `${template.template}.txt`), 'utf8');
+  const values = { appName: config.APP_NAME, ...data };
+
+  return {
+    subject: renderTemplate(template.subject, values),
+    text: renderTemplate(body, values)
+  };
+}
+
+/**
+ * Send one of the NOTIFICATION_TEMPLATES, e.g. sendTemplate('PASSWORD_RESET', to, data)
+ */
+async function sendTemplate(name, to, data = {}) {
+  return sendMail({ to, ...await renderNotification(name, data) });
+}
+
+/**
+ * Reset the transport, e.g. after EMAIL settings change
+ */
+function resetTransporter() {
+  transporter = null;
+}
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  renderTemplate,
+  renderNotification,
+  resetTransporter
+};
@@ -0,0 +1,31 @@
+/**
+ * Document numbering utility for MoMech
+ * Generates sequential, human-readable numbers for work orders and invoices
+ */
+
+const dbConnection = require('../database/connection');
+
+/**
+ * Generate the next number in a yearly sequence, e.g. WO-2024-00042
+ *
+ * `table` and `column` are trusted identifiers from the calling route, never user input.
+ */
+async function generateDocumentNumber(table, column, prefix, date = new Date()) {
+  const yearPrefix = `${prefix}${date.getFullYear()}-`;
+
+  const last = await dbConnection.get(`
+    SELECT ${column} as number
+    FROM ${table}
+    WHERE ${column} LIKE ?
+    ORDER BY ${column} DESC
+    LIMIT 1
+  `, [`${yearPrefix}%`]);
+
+  const lastSequence = last ? parseInt(last.number.slice(yearPrefix.length)) || 0 : 0;
+
+  return `${yearPrefix}${String(lastSequence + 1).padStart(5, '0')}`;
+}
+
+module.exports = {
+  generateDocumentNumber
+};
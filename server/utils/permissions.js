@@ -0,0 +1,89 @@
+/**
+ * Role permissions for MoMech
+ * Maps the users.role hierarchy to resource:action permissions
+ */
+
+// Lowest to highest; each role inherits the permissions of the roles below it
+const ROLES = ['assistant', 'mechanic', 'manager', 'owner'];
+
+// Permissions granted on top of those inherited from lower roles
+const ROLE_GRANTS = {
+  assistant: [
+    'clients:read', 'clients:write',
+    'vehicles:read', 'vehicles:write',
+    'custom_fields:read',
+    'appointments:read', 'appointments:write',
+    'work_orders:read',
+    'inventory:read',
+    'dashboard:read'
+  ],
+  mechanic: [
+    'work_orders:write'
+  ],
+  manager: [
+    'clients:privacy',
+    'inventory:write',
+    'custom_fields:write',
+    'financial:read', 'financial:write',
+    'revenue:read',
+    'reports:read',
+    'audit:read',
+    'shop_devices:manage'
+  ],
+  owner: [
+    'users:manage',
+    'settings:write',
+    'api_keys:manage'
+  ]
+};
+
+const ROLE_PERMISSIONS = ROLES.reduce((map, role, index) => {
+  const inherited = index > 0 ? map[ROLES[index - 1]] : [];
+  map[role] = [...inherited, ...ROLE_GRANTS[role]];
+  return map;
+}, {});
+
+const PERMISSIONS = ROLE_PERMISSIONS.owner;
+
+// Account and device administration stays with people; API keys may be given any other permission
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => (
+  !['users:manage', 'settings:write', 'api_keys:manage', 'shop_devices:manage'].includes(permission)
+));
+
+/**
+ * Check whether a role is a known role
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Get every permission a role holds
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role holds a permission
+ */
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+/**
+ * Check whether a role is at or above another in the hierarchy
+ */
+function hasRole(role, minimumRole) {
+  return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  isValidRole,
+  getPermissions,
+  hasPermission,
+  hasRole
+};
@@ -0,0 +1,292 @@
+/**
+ * Scheduling utilities for MoMech
+ * Working hours, booking window and appointment slot calculations
+ */
+
+const config = require('../../config/app');
+
+const DAY_NAMES = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+/**
+ * Convert an 'HH:MM' or 'HH:MM:SS' time to minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to an 'HH:MM' time
+ */
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format a Date as 'YYYY-MM-DD'
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the shop's local calendar date of a moment as 'YYYY-MM-DD'
+ *
+ * Working hours are local times, so "today" has to be the local date;
+ * formatDate(new Date()) gives the UTC one.
+ */
+function getLocalDate(date = new Date()) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Get the shop's local time of a moment in minutes since midnight
+ */
+function getLocalMinutes(date = new Date()) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' string into a Date at midnight UTC
+ */
+function parseDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+/**
+ * Add a number of days to a 'YYYY-MM-DD' string
+ */
+function addDays(dateStr, days) {
+  const date = parseDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+/**
+ * Check that a string is a valid 'YYYY-MM-DD' calendar date
+ */
+function isValidDate(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return false;
+  }
+  const date = parseDate(dateStr);
+  return !isNaN(date.getTime()) && formatDate(date) === dateStr;
+}
+
+/**
+ * Check that a string is a valid 'HH:MM' time
+ */
+function isValidTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(time);
+}
+
+/**
+ * Get the working hours for a date in minutes, or null when the shop is closed
+ */
+function getWorkingHours(dateStr) {
+  const dayName = DAY_NAMES[parseDate(dateStr).getUTCDay()];
+  const hours = config.BUSINESS.WORKING_HOURS[dayName];
+
+  if (!hours || !hours.start || !hours.end) {
+    return null;
+  }
+
+  return {
+    day: dayName,
+    start: timeToMinutes(hours.start),
+    end: timeToMinutes(hours.end)
+  };
+}
+
+/**
+ * Check whether an appointment fits entirely inside working hours
+ */
+function isWithinWorkingHours(dateStr, time, duration) {
+  const hours = getWorkingHours(dateStr);
+  if (!hours) {
+    return false;
+  }
+
+  const start = timeToMinutes(time);
+  return start >= hours.start && start + duration <= hours.end;
+}
+
+/**
+ * Get the first and last dates that can currently be booked
+ */
+function getBookingWindow(now = new Date()) {
+  const today = getLocalDate(now);
+  return {
+    earliest: today,
+    latest: addDays(today, config.BUSINESS.APPOINTMENTS.MAX_ADVANCE_BOOKING)
+  };
+}
+
+/**
+ * Check whether two bookings overlap, keeping a buffer between them
+ */
+function overlaps(startA, durationA, startB, durationB, buffer = 0) {
+  return startA < startB + durationB + buffer && startB < startA + durationA + buffer;
+}
+
+/**
+ * Calculate the free start times on a date
+ *
+ * `bookings` are the existing appointments for that date ({ appointment_time, estimated_duration }).
+ * A slot is offered while fewer than `capacity` bookings overlap it.
+ */
+function calculateAvailableSlots(dateStr, duration, bookings, capacity = 1, now = new Date()) {
+  const hours = getWorkingHours(dateStr);
+  if (!hours) {
+    return [];
+  }
+
+  const { BUFFER_TIME, SLOT_INTERVAL } = config.BUSINESS.APPOINTMENTS;
+  const isToday = dateStr === getLocalDate(now);
+  const currentMinutes = getLocalMinutes(now);
+
+  const booked = bookings.map(booking => ({
+    start: timeToMinutes(booking.appointment_time),
+    duration: booking.estimated_duration || config.BUSINESS.APPOINTMENTS.DEFAULT_DURATION
+  }));
+
+  const slots = [];
+  for (let start = hours.start; start + duration <= hours.end; start += SLOT_INTERVAL) {
+    if (isToday && start <= currentMinutes) {
+      continue;
+    }
+
+    const overlapping = booked.filter(booking =>
+      overlaps(start, duration, booking.start, booking.duration, BUFFER_TIME)
+    ).length;
+
+    if (overlapping < capacity) {
+      slots.push({
+        time: minutesToTime(start),
+        endTime: minutesToTime(start + duration),
+        remainingCapacity: capacity - overlapping
+      });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Get the start and end of a booking in minutes since midnight
+ */
+function getBookingRange(booking) {
+  const start = timeToMinutes(booking.appointment_time);
+  const duration = booking.estimated_duration || config.BUSINESS.APPOINTMENTS.DEFAULT_DURATION;
+  return { start, end: start + duration };
+}
+
+/**
+ * Group bookings by mechanic and date, ignoring unassigned ones
+ */
+function groupByMechanicDay(bookings) {
+  const groups = {};
+
+  bookings.forEach((booking) => {
+    if (!booking.assigned_to) {
+      return;
+    }
+
+    const key = `${booking.assigned_to}|${booking.appointment_date}`;
+    groups[key] = groups[key] || [];
+    groups[key].push(booking);
+  });
+
+  return Object.values(groups);
+}
+
+/**
+ * Find every pair of bookings for the same mechanic that overlap or leave
+ * less than the buffer between them, as booking does
+ *
+ * Bookings that only cut into the buffer have an overlapMinutes of 0.
+ */
+function findConflicts(bookings, buffer = config.BUSINESS.APPOINTMENTS.BUFFER_TIME) {
+  const conflicts = [];
+
+  groupByMechanicDay(bookings).forEach((group) => {
+    const sorted = [...group].sort((a, b) => getBookingRange(a).start - getBookingRange(b).start);
+
+    for (let i = 0; i < sorted.length; i++) {
+      const first = getBookingRange(sorted[i]);
+
+      for (let j = i + 1; j < sorted.length; j++) {
+        const second = getBookingRange(sorted[j]);
+
+        // Sorted by start time, so nothing later can overlap either
+        if (!overlaps(first.start, first.end - first.start, second.start, second.end - second.start, buffer)) {
+          break;
+        }
+
+        conflicts.push({
+          assignedTo: sorted[i].assigned_to,
+          date: sorted[i].appointment_date,
+          overlapMinutes: Math.max(0, Math.min(first.end, second.end) - second.start),
+          appointments: [sorted[i], sorted[j]]
+        });
+      }
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Find mechanic days where booked time exceeds the working hours
+ */
+function findOverbookedDays(bookings) {
+  const overbooked = [];
+
+  groupByMechanicDay(bookings).forEach((group) => {
+    const { assigned_to: assignedTo, appointment_date: date } = group[0];
+    const hours = getWorkingHours(date);
+    const availableMinutes = hours ? hours.end - hours.start : 0;
+    const bookedMinutes = group.reduce((total, booking) => {
+      const range = getBookingRange(booking);
+      return total + (range.end - range.start);
+    }, 0);
+
+    if (bookedMinutes > availableMinutes) {
+      overbooked.push({
+        assignedTo,
+        date,
+        bookedMinutes,
+        availableMinutes,
+        appointmentIds: group.map(booking => booking.id)
+      });
+    }
+  });
+
+  return overbooked;
+}
+
+module.exports = {
+  DAY_NAMES,
+  timeToMinutes,
+  minutesToTime,
+  formatDate,
+  getLocalDate,
+  getLocalMinutes,
+  parseDate,
+  addDays,
+  isValidDate,
+  isValidTime,
+  getWorkingHours,
+  isWithinWorkingHours,
+  getBookingWindow,
+  overlaps,
+  calculateAvailableSlots,
+  findConflicts,
+  findOverbookedDays
+};
@@ -0,0 +1,36 @@
+/**
+ * Search utility for MoMech
+ * Turns what people type into SQLite FTS5 queries
+ */
+
+// bm25 weights for the client_search columns: name, email, phone, address, notes, vehicles
+const CLIENT_SEARCH_WEIGHTS = [10, 5, 5, 2, 1, 4];
+
+/**
+ * Build an FTS5 MATCH expression from free text
+ *
+ * Every word must match (in any column) and each is treated as a prefix, so
+ * "johnson 555" finds Mike Johnson with phone 555-123-4567 and "jo" finds
+ * Johnson. Punctuation splits words the way the index does. Returns null
+ * when there is nothing to search for.
+ */
+function buildMatchQuery(text) {
+  const terms = String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(term => `"${term}"*`);
+
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * SQL for the rank of a client_search row; lower is a better match
+ */
+function clientSearchRank() {
+  return `bm25(client_search, ${CLIENT_SEARCH_WEIGHTS.join(', ')})`;
+}
+
+module.exports = {
+  buildMatchQuery,
+  clientSearchRank
+};
@@ -0,0 +1,251 @@
+/**
+ * Session utility for MoMech
+ * Issues access tokens and rotating refresh tokens backed by user_sessions
+ */
+
+const jwt = require('jsonwebtoken');
+const { AuthenticationError } = require('../middleware/errorHandler');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const logger = require('./logger');
+const { generateToken, hashToken, expiresAt } = require('./tokens');
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function generateAccessToken(user, sessionId, expiresIn = config.SECURITY.JWT_EXPIRES_IN) {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId
+    },
+    config.SECURITY.JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+/**
+ * Store a new refresh token for a session and return the plain token
+ */
+async function issueRefreshToken(sessionId) {
+  const refreshToken = generateToken();
+
+  await dbConnection.run(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [sessionId, hashToken(refreshToken), expiresAt(config.SECURITY.REFRESH_TOKEN_EXPIRES_IN)]
+  );
+
+  return refreshToken;
+}
+
+/**
+ * Start a session for a user who has just authenticated
+ */
+async function createSession(user, req, { deviceName = null } = {}) {
+  const result = await dbConnection.run(`
+    INSERT INTO user_sessions (user_id, device_name, ip_address, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `, [
+    user.id,
+    deviceName,
+    req.ip,
+    req.get('User-Agent') || null,
+    expiresAt(config.SECURITY.REFRESH_TOKEN_EXPIRES_IN)
+  ]);
+
+  const sessionId = result.lastID;
+
+  return {
+    sessionId,
+    token: generateAccessToken(user, sessionId),
+    refreshToken: await issueRefreshToken(sessionId),
+    expiresIn: config.SECURITY.JWT_EXPIRES_IN
+  };
+}
+
+/**
+ * Start a short shop-floor session on a registered device
+ *
+ * There is no refresh token: when the session runs out the user enters
+ * their PIN again.
+ */
+async function createShopFloorSession(user, req, device) {
+  const expiresIn = config.SECURITY.SHOP_FLOOR_SESSION_EXPIRES_IN;
+
+  const result = await dbConnection.run(`
+    INSERT INTO user_sessions (user_id, device_name, shop_device_id, ip_address, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    user.id,
+    device.name,
+    device.id,
+    req.ip,
+    req.get('User-Agent') || null,
+    expiresAt(expiresIn)
+  ]);
+
+  const sessionId = result.lastID;
+
+  return {
+    sessionId,
+    token: generateAccessToken(user, sessionId, expiresIn),
+    expiresIn
+  };
+}
+
+/**
+ * Revoke a session and every refresh token in its family
+ */
+async function revokeSession(sessionId, reason) {
+  const result = await dbConnection.run(`
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `, [reason, sessionId]);
+
+  return result.changes > 0;
+}
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one
+ */
+async function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  const result = await dbConnection.run(`
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND id != ?
+  `, [reason, userId, exceptSessionId || 0]);
+
+  return result.changes;
+}
+
+/**
+ * Revoke every live session on a shop device, optionally keeping one
+ */
+async function revokeDeviceSessions(shopDeviceId, reason, exceptSessionId = null) {
+  const result = await dbConnection.run(`
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE shop_device_id = ? AND revoked_at IS NULL AND id != ?
+  `, [reason, shopDeviceId, exceptSessionId || 0]);
+
+  return result.changes;
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * A token that was already exchanged means it has been copied: the whole
+ * session is revoked so neither the thief nor the user can keep using it.
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const stored = await dbConnection.get(`
+    SELECT
+      rt.id, rt.used_at, rt.expires_at < CURRENT_TIMESTAMP as is_expired,
+      s.id as session_id, s.user_id, s.revoked_at, s.expires_at < CURRENT_TIMESTAMP as session_expired
+    FROM refresh_tokens rt
+    INNER JOIN user_sessions s ON rt.session_id = s.id
+    WHERE rt.token_hash = ?
+  `, [hashToken(refreshToken)]);
+
+  if (!stored || stored.revoked_at || stored.is_expired || stored.session_expired) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  if (stored.used_at) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+
+    logger.security('refresh_token_reuse', {
+      userId: stored.user_id,
+      sessionId: stored.session_id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  const user = await dbConnection.get(
+    'SELECT * FROM users WHERE id = ? AND is_active = 1',
+    [stored.user_id]
+  );
+
+  if (!user) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  // Only one concurrent request can win the rotation
+  const claimed = await dbConnection.run(
+    'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+    [stored.id]
+  );
+
+  if (claimed.changes === 0) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  await dbConnection.run(`
+    UPDATE user_sessions
+    SET last_used_at = CURRENT_TIMESTAMP, ip_address = ?, user_agent = COALESCE(?, user_agent)
+    WHERE id = ?
+  `, [req.ip, req.get('User-Agent') || null, stored.session_id]);
+
+  return {
+    user,
+    sessionId: stored.session_id,
+    token: generateAccessToken(user, stored.session_id),
+    refreshToken: await issueRefreshToken(stored.session_id),
+    expiresIn: config.SECURITY.JWT_EXPIRES_IN
+  };
+}
+
+/**
+ * Find the session a refresh token belongs to, used or not
+ */
+async function findSessionByRefreshToken(refreshToken) {
+  return dbConnection.get(`
+    SELECT s.*
+    FROM refresh_tokens rt
+    INNER JOIN user_sessions s ON rt.session_id = s.id
+    WHERE rt.token_hash = ?
+  `, [hashToken(refreshToken)]);
+}
+
+/**
+ * Get a session if it is still usable, or null
+ */
+async function getActiveSession(sessionId) {
+  const session = await dbConnection.get(`
+    SELECT id, user_id, shop_device_id FROM user_sessions
+    WHERE id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+  `, [sessionId]);
+
+  return session || null;
+}
+
+/**
+ * List a user's active sessions
+ */
+async function listSessions(userId) {
+  return dbConnection.all(`
+    SELECT id, device_name, shop_device_id, ip_address, user_agent, created_at, last_used_at, expires_at
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY last_used_at DESC
+  `, [userId]);
+}
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  createShopFloorSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeDeviceSessions,
+  findSessionByRefreshToken,
+  getActiveSession,
+  listSessions
+};
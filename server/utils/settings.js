@@ -0,0 +1,76 @@
+/**
+ * Settings utility for MoMech
+ * Reads and writes typed values in system_settings
+ */
+
+const dbConnection = require('../database/connection');
+
+/**
+ * Convert a stored setting to its declared type
+ */
+function parseSetting(row) {
+  if (row.setting_value === null) {
+    return null;
+  }
+
+  switch (row.setting_type) {
+    case 'number':
+      return Number(row.setting_value);
+    case 'boolean':
+      return row.setting_value === 'true' || row.setting_value === '1';
+    case 'json':
+      return JSON.parse(row.setting_value);
+    default:
+      return row.setting_value;
+  }
+}
+
+/**
+ * Get a setting value, or the fallback when it is not set
+ */
+async function getSetting(key, fallback = null) {
+  const row = await dbConnection.get(
+    'SELECT setting_value, setting_type FROM system_settings WHERE setting_key = ?',
+    [key]
+  );
+
+  if (!row) {
+    return fallback;
+  }
+
+  const value = parseSetting(row);
+  return value === null ? fallback : value;
+}
+
+/**
+ * Store a setting, keeping the type it was declared with
+ */
+async function setSetting(key, value, userId = null, type = 'string') {
+  const existing = await dbConnection.get(
+    'SELECT setting_type FROM system_settings WHERE setting_key = ?',
+    [key]
+  );
+  const settingType = existing ? existing.setting_type : type;
+  const stored = value === null ? null : (settingType === 'json' ? JSON.stringify(value) : String(value));
+
+  if (existing) {
+    await dbConnection.run(`
+      UPDATE system_settings
+      SET setting_value = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE setting_key = ?
+    `, [stored, userId, key]);
+  } else {
+    await dbConnection.run(`
+      INSERT INTO system_settings (setting_key, setting_value, setting_type, updated_by)
+      VALUES (?, ?, ?, ?)
+    `, [key, stored, settingType, userId]);
+  }
+
+  return value;
+}
+
+module.exports = {
+  parseSetting,
+  getSetting,
+  setSetting
+};
@@ -0,0 +1,46 @@
+/**
+ * Shop device utility for MoMech
+ * Registered shared tablets that allow PIN sign-in
+ */
+
+const dbConnection = require('../database/connection');
+const { generateToken, hashToken } = require('./tokens');
+
+/**
+ * Generate a device token; only its hash is stored
+ */
+function generateDeviceToken() {
+  return generateToken(32);
+}
+
+/**
+ * Find a registered, non-revoked device by its token, or null
+ */
+async function findActiveDevice(deviceToken) {
+  if (!deviceToken) {
+    return null;
+  }
+
+  const device = await dbConnection.get(
+    'SELECT id, name, last_user_id FROM shop_devices WHERE device_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(deviceToken)]
+  );
+
+  return device || null;
+}
+
+/**
+ * Remember the device was just used, and by whom
+ */
+async function touchDevice(deviceId, userId = null) {
+  await dbConnection.run(`
+    UPDATE shop_devices SET last_seen_at = CURRENT_TIMESTAMP, last_user_id = COALESCE(?, last_user_id)
+    WHERE id = ?
+  `, [userId, deviceId]);
+}
+
+module.exports = {
+  generateDeviceToken,
+  findActiveDevice,
+  touchDevice
+};
@@ -0,0 +1,75 @@
+/**
+ * Token utility for MoMech
+ * Opaque random tokens that are stored only as hashes
+ */
+
+const crypto = require('crypto');
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Generate a URL-safe random token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash a token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Convert a duration such as '7d', '24h' or '15m' (or a number of seconds) to milliseconds
+ */
+function durationToMs(duration) {
+  if (typeof duration === 'number') {
+    return duration * 1000;
+  }
+
+  const match = /^(\d+)\s*([smhd])$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+
+  return parseInt(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Get an SQLite DATETIME string a duration from now
+ */
+function expiresAt(duration, from = new Date()) {
+  return toSqlDateTime(new Date(from.getTime() + durationToMs(duration)));
+}
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, 'YYYY-MM-DD HH:MM:SS')
+ */
+function toSqlDateTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  safeEqual,
+  durationToMs,
+  expiresAt,
+  toSqlDateTime
+};
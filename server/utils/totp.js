@@ -0,0 +1,144 @@
+/**
+ * TOTP utility for MoMech
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret (160 bits, as recommended by RFC 4226)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step for a moment
+ */
+function getStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the code for a secret at a time step
+ */
+function generateCode(secret, step = getStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing `window` steps of clock drift either way
+ *
+ * Returns the matching step, or null. Steps at or before `afterStep` are
+ * rejected so that an accepted code cannot be used again.
+ */
+function verifyCode(secret, code, { window = 1, afterStep = null, time = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const current = getStep(time);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
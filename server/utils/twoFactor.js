@@ -0,0 +1,171 @@
+/**
+ * Two-factor authentication utility for MoMech
+ * Login challenges, TOTP checks and recovery codes
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const dbConnection = require('../database/connection');
+const config = require('../../config/app');
+const { hashToken } = require('./tokens');
+const { getSetting } = require('./settings');
+const totp = require('./totp');
+
+const REQUIRED_ROLES_SETTING = 'two_factor_required_roles';
+
+/**
+ * Check whether the policy makes two-factor authentication mandatory for a role
+ */
+async function isTwoFactorRequired(role) {
+  const roles = await getSetting(REQUIRED_ROLES_SETTING, []);
+  return Array.isArray(roles) && roles.includes(role);
+}
+
+/**
+ * Sign a short-lived token proving the password step of a login succeeded
+ *
+ * purpose is 'two_factor' (a code is expected next) or 'two_factor_setup'
+ * (the role requires 2FA and the user must enrol before signing in). The
+ * token carries no session id, so it is never accepted as an access token.
+ */
+function issueChallenge(user, purpose, { deviceName = null } = {}) {
+  return jwt.sign(
+    { id: user.id, purpose, deviceName },
+    config.SECURITY.JWT_SECRET,
+    { expiresIn: config.SECURITY.TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+}
+
+/**
+ * Decode a login challenge, or return null if it is invalid, expired or for another purpose
+ */
+function verifyChallenge(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, config.SECURITY.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start enrolment: store a pending secret and return what the authenticator app needs
+ */
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.buildOtpauthUrl(secret, user.email, config.APP_NAME);
+
+  await dbConnection.run(
+    'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ? AND two_factor_enabled_at IS NULL',
+    [secret, user.id]
+  );
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+/**
+ * Check a TOTP code for a user and remember its step so it cannot be replayed
+ */
+async function verifyUserCode(user, code) {
+  if (!user.two_factor_secret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(user.two_factor_secret, code, {
+    afterStep: user.two_factor_last_step
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Guard against two requests racing with the same code
+  const claimed = await dbConnection.run(`
+    UPDATE users SET two_factor_last_step = ?
+    WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)
+  `, [step, user.id, step]);
+
+  return claimed.changes > 0;
+}
+
+/**
+ * Normalize a recovery code as typed by a user
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes and return the new plain codes
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: config.SECURITY.TWO_FACTOR_RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await dbConnection.transaction([
+    { sql: 'DELETE FROM user_recovery_codes WHERE user_id = ?', params: [userId] },
+    ...codes.map(code => ({
+      sql: 'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      params: [userId, hashToken(normalizeRecoveryCode(code))]
+    }))
+  ]);
+
+  return codes;
+}
+
+/**
+ * Spend a recovery code; returns false if it is unknown or already used
+ */
+async function useRecoveryCode(userId, code) {
+  const result = await dbConnection.run(`
+    UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `, [userId, hashToken(normalizeRecoveryCode(code))]);
+
+  return result.changes > 0;
+}
+
+/**
+ * Count unused recovery codes
+ */
+async function countRecoveryCodes(userId) {
+  const { count } = await dbConnection.get(
+    'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return count;
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ */
+async function disableTwoFactor(userId) {
+  await dbConnection.transaction([
+    {
+      sql: 'UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL WHERE id = ?',
+      params: [userId]
+    },
+    { sql: 'DELETE FROM user_recovery_codes WHERE user_id = ?', params: [userId] }
+  ]);
+}
+
+module.exports = {
+  REQUIRED_ROLES_SETTING,
+  isTwoFactorRequired,
+  issueChallenge,
+  verifyChallenge,
+  beginEnrollment,
+  verifyUserCode,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,84 @@
+/**
+ * vCard utility for MoMech
+ * Formats clients as vCard 3.0 contacts for phones and address books
+ */
+
+/**
+ * Escape a text value (RFC 6350 section 3.4)
+ */
+function escapeValue(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+/**
+ * Fold a content line longer than 75 octets onto continuation lines
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format one client as a vCard
+ */
+function formatClient(client) {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `UID:momech-client-${client.id}`,
+    `N:${escapeValue(client.last_name)};${escapeValue(client.first_name)};;;`,
+    `FN:${escapeValue(`${client.first_name} ${client.last_name}`)}`
+  ];
+
+  if (client.company_name) {
+    lines.push(`ORG:${escapeValue(client.company_name)}`);
+  }
+
+  if (client.email) {
+    lines.push(`EMAIL;TYPE=INTERNET:${escapeValue(client.email)}`);
+  }
+
+  if (client.phone) {
+    lines.push(`TEL;TYPE=${client.preferred_contact_method === 'sms' ? 'CELL' : 'VOICE'}:${escapeValue(client.phone)}`);
+  }
+
+  if (client.address || client.city || client.state || client.zip_code) {
+    const address = [client.address, client.city, client.state, client.zip_code].map(escapeValue);
+    lines.push(`ADR;TYPE=HOME:;;${address.join(';')};`);
+  }
+
+  if (client.date_of_birth) {
+    lines.push(`BDAY:${client.date_of_birth}`);
+  }
+
+  if (client.tags && client.tags.length > 0) {
+    lines.push(`CATEGORIES:${client.tags.map(escapeValue).join(',')}`);
+  }
+
+  if (client.notes) {
+    lines.push(`NOTE:${escapeValue(client.notes)}`);
+  }
+
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  formatClient
+};
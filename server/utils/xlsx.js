@@ -0,0 +1,161 @@
+/**
+ * XLSX utility for MoMech
+ * Minimal reading of the first worksheet of an Excel workbook for imports
+ */
+
+const path = require('path').posix;
+const { readZip } = require('./zip');
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Excel counts days from 1899-12-30 (accounting for its 1900 leap year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * Decode XML character and entity references
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Read an attribute from an XML tag's attribute string
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Join the text runs (<t>) inside an XML fragment
+ */
+function getText(xml) {
+  const runs = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    runs.push(decodeXml(match[1]));
+  }
+
+  return runs.join('');
+}
+
+/**
+ * Convert a column reference such as "AB" to a zero-based index
+ */
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Find the path of the first worksheet in the workbook
+ */
+function getFirstSheetPath(files) {
+  const workbook = files.get('xl/workbook.xml');
+  const rels = files.get('xl/_rels/workbook.xml.rels');
+
+  if (workbook && rels) {
+    const sheet = /<sheet\b([^>]*)\/?>/.exec(workbook.toString('utf8'));
+    const relationId = sheet ? getAttribute(sheet[1], 'r:id') : null;
+    const pattern = /<Relationship\b([^>]*)\/?>/g;
+    let match;
+
+    while (relationId && (match = pattern.exec(rels.toString('utf8'))) !== null) {
+      if (getAttribute(match[1], 'Id') === relationId) {
+        const target = getAttribute(match[1], 'Target');
+        return target.startsWith('/') ? target.slice(1) : path.normalize(path.join('xl', target));
+      }
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Parse the first worksheet of an XLSX file into an array of rows (arrays of strings)
+ */
+function parseRows(buffer) {
+  let files;
+  try {
+    files = readZip(buffer);
+  } catch (error) {
+    throw new Error('Not a valid XLSX file');
+  }
+
+  const sheet = files.get(getFirstSheetPath(files));
+
+  if (!sheet) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const sharedStrings = [];
+  const stringsXml = files.get('xl/sharedStrings.xml');
+  if (stringsXml) {
+    const pattern = /<si>([\s\S]*?)<\/si>/g;
+    let match;
+    while ((match = pattern.exec(stringsXml.toString('utf8'))) !== null) {
+      sharedStrings.push(getText(match[1]));
+    }
+  }
+
+  const rows = [];
+  const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(sheet.toString('utf8'))) !== null) {
+    const row = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const reference = getAttribute(attributes, 'r');
+      const type = getAttribute(attributes, 't');
+      const valueMatch = /<v>([\s\S]*?)<\/v>/.exec(content);
+      const value = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+      let text;
+      if (type === 's') {
+        text = sharedStrings[parseInt(value)] || '';
+      } else if (type === 'inlineStr') {
+        text = getText(content);
+      } else if (type === 'b') {
+        text = value === '1' ? 'TRUE' : 'FALSE';
+      } else {
+        text = value;
+      }
+
+      const index = reference ? columnIndex(reference) : row.length;
+      while (row.length < index) {
+        row.push('');
+      }
+      row[index] = text;
+    }
+
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Convert an Excel date serial number (e.g. 32874) to YYYY-MM-DD
+ */
+function serialToDate(serial) {
+  return new Date(EXCEL_EPOCH + Math.floor(Number(serial)) * 86400000).toISOString().split('T')[0];
+}
+
+module.exports = {
+  parseRows,
+  serialToDate
+};
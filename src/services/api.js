@@ -32,6 +32,21 @@ class ApiService {
     }
   }
 
+  /**
+   * Store the refresh token next to the access token; it changes on every refresh
+   */
+  setRefreshToken(refreshToken) {
+    const storage = localStorage.getItem('authToken') ? localStorage : sessionStorage;
+    storage.setItem('refreshToken', refreshToken);
+  }
+
+  /**
+   * Get stored refresh token
+   */
+  getStoredRefreshToken() {
+    return localStorage.getItem('refreshToken') || sessionStorage.getItem('refreshToken');
+  }
+
   /**
    * Clear authentication token
    */
@@ -39,6 +54,8 @@ class ApiService {
     this.token = null;
     localStorage.removeItem('authToken');
     sessionStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    sessionStorage.removeItem('refreshToken');
   }
 
   /**
@@ -274,9 +291,12 @@ class ApiService {
    */
   async refreshToken() {
     try {
-      const response = await this.post(config.API_CONFIG.AUTH.REFRESH);
+      const response = await this.post(config.API_CONFIG.AUTH.REFRESH, {
+        refreshToken: this.getStoredRefreshToken()
+      });
       if (response.token) {
-        this.setToken(response.token);
+        this.setToken(response.token, !!localStorage.getItem('authToken'));
+        this.setRefreshToken(response.refreshToken);
         return response.token;
       }
     } catch (error) {
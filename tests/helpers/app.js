@@ -0,0 +1,48 @@
+/**
+ * Test app helper
+ * Serves one router on a random port as a signed-in user, with the real error
+ * handler, and returns a small client for it
+ */
+
+const express = require('express');
+const { errorHandler } = require('../../server/middleware/errorHandler');
+
+/**
+ * Start an app serving router as user
+ */
+async function startApp(router, user) {
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+
+    async request(method, path, body, headers = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+
+      return { status: response.status, body: await response.json() };
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startApp };
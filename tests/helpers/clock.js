@@ -0,0 +1,19 @@
+/**
+ * Test clock helper
+ * Fakes only Date, so servers, database callbacks and fetch keep running
+ */
+
+/**
+ * Make new Date() and Date.now() return a fixed moment until jest.useRealTimers()
+ */
+function setNow(now) {
+  jest.useFakeTimers({
+    now: new Date(now),
+    doNotFake: [
+      'hrtime', 'nextTick', 'performance', 'queueMicrotask',
+      'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'
+    ]
+  });
+}
+
+module.exports = { setNow };
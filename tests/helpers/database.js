@@ -0,0 +1,70 @@
+/**
+ * Test database helper
+ * Points the app at a fresh SQLite file with every migration applied. Require
+ * it before anything else from server/, since config reads the paths on load.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbPath = path.join(os.tmpdir(), `momech-test-${process.pid}-${Date.now()}.db`);
+
+process.env.DB_PATH = dbPath;
+process.env.LOG_FILE = path.join(os.tmpdir(), 'momech-test-logs', 'app.log');
+
+const config = require('../../config/app');
+
+// Before the logger loads, so it starts no file cleanup timer
+config.LOGGING.ENABLE_CONSOLE = false;
+config.LOGGING.ENABLE_FILE = false;
+
+const dbConnection = require('../../server/database/connection');
+const { getPermissions } = require('../../server/utils/permissions');
+
+/**
+ * Create the database and run the migrations
+ */
+async function setupDatabase() {
+  await dbConnection.initialize();
+  return dbConnection;
+}
+
+/**
+ * Close the database and delete its files
+ */
+async function teardownDatabase() {
+  await dbConnection.close();
+
+  ['', '-wal', '-shm'].forEach((suffix) => {
+    fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  });
+}
+
+/**
+ * Create a staff user and return it in the shape authenticate puts on req.user
+ */
+async function createUser(role = 'owner') {
+  const username = `${role}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const result = await dbConnection.run(`
+    INSERT INTO users (username, email, password_hash, first_name, last_name, role)
+    VALUES (?, ?, 'not-a-real-hash', 'Test', 'User', ?)
+  `, [username, `${username}@test.local`, role]);
+
+  return {
+    id: result.lastID,
+    username,
+    email: `${username}@test.local`,
+    firstName: 'Test',
+    lastName: 'User',
+    role,
+    permissions: getPermissions(role)
+  };
+}
+
+module.exports = {
+  dbConnection,
+  setupDatabase,
+  teardownDatabase,
+  createUser
+};
@@ -0,0 +1,10 @@
+/**
+ * Jest global setup
+ *
+ * Runs the tests in a timezone well ahead of UTC, so code that mixes local
+ * and UTC dates fails here instead of only in shops outside UTC.
+ */
+
+module.exports = () => {
+  process.env.TZ = 'Pacific/Auckland';
+};
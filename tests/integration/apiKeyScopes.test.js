@@ -0,0 +1,98 @@
+/**
+ * API key scopes, through the same authenticate and authorizeResource chain
+ * the server mounts in front of each router
+ */
+
+const express = require('express');
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const { authenticate, authorizeResource } = require('../../server/middleware/auth');
+const { generateApiKey } = require('../../server/utils/apiKeys');
+const { hashToken } = require('../../server/utils/tokens');
+const vehicleRoutes = require('../../server/routes/vehicles');
+const inventoryRoutes = require('../../server/routes/inventory');
+
+let app;
+let clientId;
+
+/**
+ * Store a key for a new user of role and return the headers that send it
+ */
+async function createApiKey(role, scopes) {
+  const user = await createUser(role);
+  const { key, prefix } = generateApiKey();
+
+  await dbConnection.run(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by)
+    VALUES ('Integration', ?, ?, ?, ?)
+  `, [prefix, hashToken(key), JSON.stringify(scopes), user.id]);
+
+  return { 'X-API-Key': key };
+}
+
+function countVehicles() {
+  return dbConnection.get('SELECT COUNT(*) as count FROM vehicles').then(row => row.count);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+
+  const api = express.Router();
+  api.use('/vehicles', authenticate, authorizeResource('vehicles'), vehicleRoutes);
+  api.use('/inventory', authenticate, authorizeResource('inventory'), inventoryRoutes);
+  app = await startApp(api, null);
+});
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+const vehicle = () => ({ clientId, make: 'Toyota', model: 'Hilux', year: 2019 });
+
+test('a read-only key can read but is refused writes', async () => {
+  const headers = await createApiKey('owner', ['vehicles:read']);
+
+  const list = await app.request('GET', '/vehicles', undefined, headers);
+  const created = await app.request('POST', '/vehicles', vehicle(), headers);
+
+  expect(list.status).toBe(200);
+  expect(created.status).toBe(403);
+  expect(created.body.error.message).toBe('Missing permission: vehicles:write');
+  expect(await countVehicles()).toBe(0);
+});
+
+test('a key scoped to one resource is refused writes to another', async () => {
+  const headers = await createApiKey('owner', ['inventory:read', 'inventory:write']);
+
+  const created = await app.request('POST', '/vehicles', vehicle(), headers);
+
+  expect(created.status).toBe(403);
+  expect(await countVehicles()).toBe(0);
+});
+
+test('a key is limited to what its creator\'s role allows', async () => {
+  const headers = await createApiKey('assistant', ['inventory:read', 'inventory:write']);
+
+  const list = await app.request('GET', '/inventory', undefined, headers);
+  const created = await app.request('POST', '/inventory', { partNumber: 'BP-100', name: 'Brake pads' }, headers);
+
+  expect(list.status).toBe(200);
+  expect(created.status).toBe(403);
+  expect(created.body.error.message).toBe('Missing permission: inventory:write');
+});
+
+test('a key with the write scope can write, and the entry names the key', async () => {
+  const headers = await createApiKey('owner', ['vehicles:read', 'vehicles:write']);
+
+  const created = await app.request('POST', '/vehicles', vehicle(), headers);
+
+  expect(created.status).toBe(201);
+  const entry = await dbConnection.get(
+    "SELECT api_key_id FROM audit_log WHERE entity_type = 'vehicle' AND entity_id = ?",
+    [created.body.id]
+  );
+  expect(entry.api_key_id).toEqual(expect.any(Number));
+});
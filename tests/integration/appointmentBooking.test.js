@@ -0,0 +1,112 @@
+/**
+ * Mechanic double-booking checks in /api/v1/appointments
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const { setNow } = require('../helpers/clock');
+const appointmentRoutes = require('../../server/routes/appointments');
+
+const MONDAY = '2030-01-07';
+
+let app;
+let mechanic;
+let clientId;
+let vehicleId;
+
+function book(time, data = {}) {
+  return app.request('POST', '/', {
+    clientId,
+    vehicleId,
+    appointmentDate: MONDAY,
+    appointmentTime: time,
+    estimatedDuration: 60,
+    ...data
+  });
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  mechanic = await createUser('mechanic');
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+  const vehicle = await dbConnection.run(
+    "INSERT INTO vehicles (client_id, make, model, year) VALUES (?, 'Toyota', 'Corolla', 2018)",
+    [clientId]
+  );
+  vehicleId = vehicle.lastID;
+  app = await startApp(appointmentRoutes, await createUser('owner'));
+});
+
+beforeEach(async () => {
+  setNow('2030-01-01T00:00:00Z');
+  await dbConnection.run('DELETE FROM appointments');
+});
+
+afterEach(() => jest.useRealTimers());
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('booking a mechanic', () => {
+  test('takes a slot once when bookings arrive together', async () => {
+    const responses = await Promise.all([
+      book('09:00', { assignedTo: mechanic.id }),
+      book('09:30', { assignedTo: mechanic.id }),
+      book('09:00', { assignedTo: mechanic.id })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409, 409]);
+  });
+
+  test('assigns a mechanic to one of two overlapping appointments when updates arrive together', async () => {
+    const first = await book('09:00');
+    const second = await book('09:00');
+
+    const responses = await Promise.all([
+      app.request('PUT', `/${first.body.id}`, { assignedTo: mechanic.id }),
+      app.request('PUT', `/${second.body.id}`, { assignedTo: mechanic.id })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+  });
+
+  test('moves one of two appointments into a slot when reschedules arrive together', async () => {
+    const first = await book('13:00', { assignedTo: mechanic.id });
+    const second = await book('15:00', { assignedTo: mechanic.id });
+
+    const responses = await Promise.all([
+      app.request('PATCH', `/${first.body.id}/reschedule`, { appointmentDate: MONDAY, appointmentTime: '10:00' }),
+      app.request('PATCH', `/${second.body.id}/reschedule`, { appointmentDate: MONDAY, appointmentTime: '10:00' })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+  });
+
+  test('accepts an overlap with a reason when asked to', async () => {
+    await book('09:00', { assignedTo: mechanic.id });
+
+    const response = await book('09:30', { assignedTo: mechanic.id, overrideConflicts: true, overrideReason: ' Two-person job ' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.conflict_override_reason).toBe('Two-person job');
+  });
+
+  test.each([
+    ['missing', undefined],
+    ['blank', '  '],
+    ['a number', 1],
+    ['an object', { text: 'Two-person job' }]
+  ])('rejects an override whose reason is %s', async (_, overrideReason) => {
+    await book('09:00', { assignedTo: mechanic.id });
+
+    const response = await book('09:30', { assignedTo: mechanic.id, overrideConflicts: true, overrideReason });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error.details).toEqual([
+      { field: 'overrideReason', message: 'A reason is required to override a scheduling conflict' }
+    ]);
+  });
+});
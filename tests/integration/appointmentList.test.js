@@ -0,0 +1,56 @@
+/**
+ * GET /api/v1/appointments filters
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const { setNow } = require('../helpers/clock');
+const appointmentRoutes = require('../../server/routes/appointments');
+
+let app;
+let clientId;
+let vehicleId;
+
+async function insertAppointment(date, { assignedTo = null, status = 'scheduled' } = {}) {
+  const result = await dbConnection.run(`
+    INSERT INTO appointments (client_id, vehicle_id, assigned_to, appointment_date, appointment_time, status)
+    VALUES (?, ?, ?, ?, '09:00', ?)
+  `, [clientId, vehicleId, assignedTo, date, status]);
+  return result.lastID;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+  const vehicle = await dbConnection.run(
+    "INSERT INTO vehicles (client_id, make, model, year) VALUES (?, 'Toyota', 'Corolla', 2018)",
+    [clientId]
+  );
+  vehicleId = vehicle.lastID;
+  app = await startApp(appointmentRoutes, await createUser('owner'));
+});
+
+afterEach(() => jest.useRealTimers());
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('the unassigned filter', () => {
+  test('lists scheduled appointments without a mechanic from the shop\'s today on', async () => {
+    const mechanic = await createUser('mechanic');
+    await insertAppointment('2030-01-06');
+    const today = await insertAppointment('2030-01-07');
+    const later = await insertAppointment('2030-01-08');
+    await insertAppointment('2030-01-08', { assignedTo: mechanic.id });
+    await insertAppointment('2030-01-08', { status: 'cancelled' });
+
+    setNow('2030-01-06T20:00:00Z'); // 09:00 on 7 January in Auckland, still the 6th in UTC
+    const response = await app.request('GET', '/?filter=unassigned');
+
+    expect(response.status).toBe(200);
+    expect(response.body.appointments.map(appointment => appointment.id)).toEqual([today, later]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Audit entries written by the audit trail middleware, through /api/v1/vehicles
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const vehicleRoutes = require('../../server/routes/vehicles');
+
+let app;
+let user;
+let clientId;
+
+async function getEntries() {
+  const entries = await dbConnection.all(
+    "SELECT user_id, entity_id, action, old_values, new_values FROM audit_log WHERE entity_type = 'vehicle' ORDER BY id"
+  );
+
+  return entries.map(entry => ({
+    ...entry,
+    old_values: JSON.parse(entry.old_values),
+    new_values: JSON.parse(entry.new_values)
+  }));
+}
+
+function createVehicle() {
+  return app.request('POST', '/', { clientId, make: 'Toyota', model: 'Hilux', year: 2019, mileage: 80000 })
+    .then(response => response.body);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+  user = await createUser('manager');
+  app = await startApp(vehicleRoutes, user);
+});
+
+beforeEach(() => dbConnection.run('DELETE FROM audit_log'));
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+test('a create records the new record with its children', async () => {
+  const vehicle = await createVehicle();
+
+  expect(await getEntries()).toEqual([{
+    user_id: user.id,
+    entity_id: vehicle.id,
+    action: 'create',
+    old_values: null,
+    new_values: expect.objectContaining({ make: 'Toyota', model: 'Hilux', mileage: 80000, service_history: [] })
+  }]);
+});
+
+test('an update records only the fields that changed', async () => {
+  const vehicle = await createVehicle();
+  await dbConnection.run('DELETE FROM audit_log');
+
+  const response = await app.request('PUT', `/${vehicle.id}`, { color: 'White', mileage: 81000 });
+
+  expect(response.status).toBe(200);
+  expect(await getEntries()).toEqual([{
+    user_id: user.id,
+    entity_id: vehicle.id,
+    action: 'update',
+    old_values: { color: null, mileage: 80000 },
+    new_values: { color: 'White', mileage: 81000 }
+  }]);
+});
+
+test('a change to a child row is recorded on the parent', async () => {
+  const vehicle = await createVehicle();
+  await dbConnection.run('DELETE FROM audit_log');
+
+  const response = await app.request('POST', `/${vehicle.id}/service-history`, {
+    serviceDate: '2025-03-10',
+    serviceType: 'Oil change',
+    description: 'Oil and filter',
+    mileage: 82000
+  });
+
+  expect(response.status).toBe(201);
+  const [entry] = await getEntries();
+  expect(entry).toEqual(expect.objectContaining({ entity_id: vehicle.id, action: 'update' }));
+  expect(entry.old_values).toEqual({ mileage: 80000, service_history: [] });
+  expect(entry.new_values.mileage).toBe(82000);
+  expect(entry.new_values.service_history).toEqual([
+    expect.objectContaining({ id: response.body.id, service_type: 'Oil change', mileage: 82000 })
+  ]);
+});
+
+test('a soft delete is recorded as a delete', async () => {
+  const vehicle = await createVehicle();
+  await dbConnection.run('DELETE FROM audit_log');
+
+  const response = await app.request('DELETE', `/${vehicle.id}`);
+
+  expect(response.status).toBe(200);
+  expect(await getEntries()).toEqual([{
+    user_id: user.id,
+    entity_id: vehicle.id,
+    action: 'delete',
+    old_values: { is_active: 1 },
+    new_values: { is_active: 0 }
+  }]);
+});
+
+test('updates that change nothing and failed requests are not recorded', async () => {
+  const vehicle = await createVehicle();
+  await dbConnection.run('DELETE FROM audit_log');
+
+  const unchanged = await app.request('PUT', `/${vehicle.id}`, { make: 'Toyota' });
+  const rejected = await app.request('PUT', `/${vehicle.id}`, { mileage: 1000 });
+
+  expect(unchanged.status).toBe(200);
+  expect(rejected.status).toBe(422);
+  expect(await getEntries()).toEqual([]);
+});
@@ -0,0 +1,83 @@
+/**
+ * Audit entries for the records under /api/v1/clients
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const clientRoutes = require('../../server/routes/clients');
+
+let app;
+
+function getEntries(entityType) {
+  return dbConnection.all(
+    'SELECT entity_id, action, old_values, new_values FROM audit_log WHERE entity_type = ? ORDER BY id',
+    [entityType]
+  ).then(entries => entries.map(entry => ({
+    ...entry,
+    old_values: JSON.parse(entry.old_values),
+    new_values: JSON.parse(entry.new_values)
+  })));
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  // Clients whose ids new tags and segments will share
+  for (let i = 0; i < 10; i++) {
+    await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  }
+
+  app = await startApp(clientRoutes, await createUser('manager'));
+});
+
+beforeEach(() => dbConnection.run('DELETE FROM audit_log'));
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('client tags', () => {
+  test('creating a tag records a tag entry and no client entry', async () => {
+    const response = await app.request('POST', '/tags', { name: 'Warranty', color: '#ff0000' });
+
+    expect(response.status).toBe(201);
+    expect(await getEntries('client')).toEqual([]);
+    expect(await getEntries('tag')).toEqual([
+      expect.objectContaining({
+        entity_id: response.body.id,
+        action: 'create',
+        new_values: expect.objectContaining({ name: 'Warranty', color: '#ff0000', clients: [] })
+      })
+    ]);
+  });
+
+  test('updating and deleting a tag are recorded on the tag', async () => {
+    const tag = (await app.request('POST', '/tags', { name: 'Loan car' })).body;
+    await app.request('PUT', '/1/tags', { tags: ['Loan car'] });
+
+    await app.request('PUT', `/tags/${tag.id}`, { color: '#00ff00' });
+    await app.request('DELETE', `/tags/${tag.id}`);
+
+    const entries = (await getEntries('tag')).filter(entry => entry.entity_id === tag.id);
+    expect(entries.map(entry => entry.action)).toEqual(['create', 'update', 'delete']);
+    expect(entries[1]).toMatchObject({ old_values: { color: null }, new_values: { color: '#00ff00' } });
+    expect(entries[2].old_values.clients).toEqual([expect.objectContaining({ client_id: 1, tag_id: tag.id })]);
+    expect((await getEntries('client')).map(entry => [entry.entity_id, entry.action])).toEqual([[1, 'update']]);
+  });
+});
+
+describe('client segments', () => {
+  test('are recorded as segments, not clients', async () => {
+    const created = await app.request('POST', '/segments', { name: 'Diesel', filters: { vehicleFuelType: 'diesel' } });
+    await app.request('PUT', `/segments/${created.body.id}`, { description: 'Diesel vehicles' });
+    await app.request('DELETE', `/segments/${created.body.id}`);
+
+    expect(await getEntries('client')).toEqual([]);
+    expect((await getEntries('client_segment')).map(entry => [entry.entity_id, entry.action])).toEqual([
+      [created.body.id, 'create'],
+      [created.body.id, 'update'],
+      [created.body.id, 'delete']
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * GET /api/v1/clients/export
+ */
+
+const http = require('http');
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const logger = require('../../server/utils/logger');
+const clientRoutes = require('../../server/routes/clients');
+
+let app;
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  // Enough data to fill the socket buffers of a client that stops reading
+  const notes = 'x'.repeat(20000);
+  await dbConnection.withTransaction(async () => {
+    for (let i = 0; i < 600; i++) {
+      await dbConnection.run('INSERT INTO clients (first_name, last_name, notes) VALUES (?, ?, ?)', ['Mike', `Johnson ${i}`, notes]);
+    }
+  });
+
+  app = await startApp(clientRoutes, await createUser('owner'));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('client export', () => {
+  test('streams every client', async () => {
+    const response = await fetch(`${app.baseUrl}/export?format=json`);
+    const clients = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(clients).toHaveLength(600);
+  });
+
+  test('stops when the client disconnects mid-export', async () => {
+    const info = jest.spyOn(logger, 'info');
+    const business = jest.spyOn(logger, 'business');
+    const stopped = new Promise((resolve) => {
+      info.mockImplementation((message, meta) => {
+        if (message.startsWith('Client export stopped')) {
+          resolve(meta);
+        }
+      });
+    });
+
+    const request = http.get(`${app.baseUrl}/export?format=csv`, (response) => {
+      response.pause();
+      setTimeout(() => request.destroy(), 200);
+    });
+    request.on('error', () => {});
+
+    const meta = await stopped;
+
+    expect(meta.format).toBe('csv');
+    expect(meta.count).toBeLessThan(600);
+    expect(business).not.toHaveBeenCalledWith('clients_exported', expect.anything());
+  });
+});
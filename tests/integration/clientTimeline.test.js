@@ -0,0 +1,65 @@
+/**
+ * GET /api/v1/clients/:id/history
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const clientRoutes = require('../../server/routes/clients');
+
+let app;
+let clientId;
+
+beforeAll(async () => {
+  await setupDatabase();
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+  const vehicle = await dbConnection.run(
+    "INSERT INTO vehicles (client_id, make, model, year) VALUES (?, 'Toyota', 'Corolla', 2018)",
+    [clientId]
+  );
+
+  // The tests run in Pacific/Auckland, UTC+13 in March
+  await dbConnection.run(`
+    INSERT INTO appointments (client_id, vehicle_id, appointment_date, appointment_time)
+    VALUES (?, ?, '2025-03-10', '08:00')
+  `, [clientId, vehicle.lastID]);
+  await dbConnection.run(`
+    INSERT INTO work_orders (client_id, vehicle_id, work_order_number, status, description, completed_at)
+    VALUES (?, ?, 'WO-1', 'completed', 'Brake pads', '2025-03-09 20:30:00')
+  `, [clientId, vehicle.lastID]);
+  await dbConnection.run(`
+    INSERT INTO client_communications (client_id, channel, subject, occurred_at)
+    VALUES (?, 'phone', 'Booking call', '2025-03-09 18:00:00')
+  `, [clientId]);
+  await dbConnection.run(`
+    INSERT INTO payments (client_id, payment_method, amount, payment_date)
+    VALUES (?, 'cash', 50, '2025-03-09')
+  `, [clientId]);
+
+  app = await startApp(clientRoutes, await createUser('manager'));
+});
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+test('events stored in UTC are listed in the shop\'s local time', async () => {
+  const response = await app.request('GET', `/${clientId}/history`);
+
+  expect(response.status).toBe(200);
+  expect(response.body.events.map(event => [event.type, event.occurred_at])).toEqual([
+    ['work_order', '2025-03-10 09:30:00'],
+    ['appointment', '2025-03-10 08:00:00'],
+    ['message', '2025-03-10 07:00:00'],
+    ['payment', '2025-03-09 00:00:00']
+  ]);
+});
+
+test('date filters compare against the local day', async () => {
+  const response = await app.request('GET', `/${clientId}/history?dateFrom=2025-03-10&dateTo=2025-03-10`);
+
+  expect(response.status).toBe(200);
+  expect(response.body.events.map(event => event.type)).toEqual(['work_order', 'appointment', 'message']);
+  expect(response.body.pagination.total).toBe(3);
+});
@@ -0,0 +1,134 @@
+/**
+ * POST /api/v1/financial/invoices/consolidated
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const financialRoutes = require('../../server/routes/financial');
+
+let app;
+let workOrderCount = 0;
+
+async function createClient() {
+  const result = await dbConnection.run(`
+    INSERT INTO clients (first_name, last_name, account_type, company_name, consolidated_billing)
+    VALUES ('Dana', 'Fleet', 'business', 'Fleet Couriers', 1)
+  `);
+  const vehicle = await dbConnection.run(
+    "INSERT INTO vehicles (client_id, make, model, year) VALUES (?, 'Ford', 'Transit', 2021)",
+    [result.lastID]
+  );
+  return { id: result.lastID, vehicleId: vehicle.lastID };
+}
+
+async function createWorkOrder(client, completedAt, total = 100) {
+  workOrderCount++;
+  const result = await dbConnection.run(`
+    INSERT INTO work_orders (client_id, vehicle_id, work_order_number, status, description, completed_at)
+    VALUES (?, ?, ?, 'completed', 'Service', ?)
+  `, [client.id, client.vehicleId, `WO-FLEET-${workOrderCount}`, completedAt]);
+
+  await dbConnection.run(`
+    INSERT INTO work_order_items (work_order_id, description, quantity, unit_price, total_price)
+    VALUES (?, 'Service', 1, ?, ?)
+  `, [result.lastID, total, total]);
+
+  return result.lastID;
+}
+
+function billedWorkOrders(invoice) {
+  return [...new Set(invoice.items.map(item => item.work_order_id))];
+}
+
+function consolidate(client, data = {}) {
+  return app.request('POST', '/invoices/consolidated', {
+    clientId: client.id,
+    period: '2026-03',
+    invoiceDate: '2026-04-01',
+    taxRate: 0,
+    ...data
+  });
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  app = await startApp(financialRoutes, await createUser('owner'));
+});
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('consolidated billing', () => {
+  test('bills the work orders completed in the period on one invoice', async () => {
+    const client = await createClient();
+    await createWorkOrder(client, '2026-02-20 01:00:00');
+    const first = await createWorkOrder(client, '2026-03-03 01:00:00', 120);
+    const second = await createWorkOrder(client, '2026-03-20 01:00:00', 80);
+    await createWorkOrder(client, '2026-04-02 01:00:00');
+
+    const response = await consolidate(client);
+
+    expect(response.status).toBe(201);
+    expect(response.body.period).toBe('2026-03');
+    expect(response.body.invoices).toHaveLength(1);
+    expect(response.body.invoices[0]).toMatchObject({ billing_period: '2026-03', total_amount: 200, work_order_id: null });
+    expect(billedWorkOrders(response.body.invoices[0])).toEqual([first, second]);
+  });
+
+  test('places work orders in the month they were completed in the shop\'s time zone', async () => {
+    const client = await createClient();
+    // 01:00 on 1 March and 09:00 on 1 April in Auckland, stored as UTC
+    const earlyMarch = await createWorkOrder(client, '2026-02-28 12:00:00');
+    const earlyApril = await createWorkOrder(client, '2026-03-31 20:00:00');
+
+    const march = await consolidate(client);
+    const april = await consolidate(client, { period: '2026-04' });
+
+    expect(billedWorkOrders(march.body.invoices[0])).toEqual([earlyMarch]);
+    expect(billedWorkOrders(april.body.invoices[0])).toEqual([earlyApril]);
+  });
+
+  test('leaves out work orders already billed', async () => {
+    const client = await createClient();
+    const billed = await createWorkOrder(client, '2026-03-03 01:00:00');
+    const unbilled = await createWorkOrder(client, '2026-03-04 01:00:00');
+    expect((await app.request('POST', '/invoices/generate', { workOrderId: billed })).status).toBe(201);
+
+    const response = await consolidate(client);
+
+    expect(billedWorkOrders(response.body.invoices[0])).toEqual([unbilled]);
+    expect((await consolidate(client)).status).toBe(422);
+  });
+
+  test('bills each work order once when runs overlap', async () => {
+    const client = await createClient();
+    const workOrderId = await createWorkOrder(client, '2026-03-03 01:00:00');
+    await createWorkOrder(client, '2026-03-04 01:00:00');
+
+    const responses = await Promise.all([
+      consolidate(client),
+      consolidate(client),
+      app.request('POST', '/invoices/generate', { workOrderId })
+    ]);
+
+    const billed = responses
+      .filter(response => response.status === 201)
+      .flatMap(response => (response.body.invoices || [response.body]))
+      .flatMap(billedWorkOrders);
+    expect(billed.sort()).toEqual([...new Set(billed)].sort());
+    expect(billed).toHaveLength(2);
+  });
+
+  test('bills every client on consolidated billing when no client is given', async () => {
+    const clients = [await createClient(), await createClient()];
+    await createWorkOrder(clients[0], '2026-05-10 01:00:00');
+    await createWorkOrder(clients[1], '2026-05-11 01:00:00');
+
+    const response = await app.request('POST', '/invoices/consolidated', { period: '2026-05' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.invoices.map(invoice => invoice.client_id)).toEqual(clients.map(client => client.id));
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * POST /api/v1/inventory/bulk-update
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const inventoryRoutes = require('../../server/routes/inventory');
+
+let app;
+
+async function createItem(quantity = 0, fields = {}) {
+  const response = await app.request('POST', '/', { name: 'Brake pad', quantityOnHand: quantity, ...fields });
+  return response.body;
+}
+
+async function getMovements(itemId) {
+  return dbConnection.all(
+    'SELECT movement_type, quantity, reference_type, notes FROM inventory_movements WHERE item_id = ? ORDER BY id',
+    [itemId]
+  );
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  app = await startApp(inventoryRoutes, await createUser('owner'));
+});
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('POST /bulk-update', () => {
+  test('stock counts become adjustment movements for the difference', async () => {
+    const down = await createItem(10);
+    const up = await createItem(2);
+    const same = await createItem(4);
+
+    const response = await app.request('POST', '/bulk-update', {
+      reason: 'Quarterly count',
+      updates: [
+        { itemId: down.id, countedQuantity: 7 },
+        { itemId: up.id, countedQuantity: 5, notes: 'Found a box' },
+        { itemId: same.id, countedQuantity: 4 }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(Object.fromEntries(response.body.items.map(item => [item.id, item.quantity_on_hand]))).toEqual({
+      [down.id]: 7,
+      [up.id]: 5,
+      [same.id]: 4
+    });
+
+    expect((await getMovements(down.id)).slice(1)).toEqual([
+      { movement_type: 'adjustment', quantity: -3, reference_type: 'stock_count', notes: 'Quarterly count' }
+    ]);
+    expect((await getMovements(up.id)).slice(1)).toEqual([
+      { movement_type: 'adjustment', quantity: 3, reference_type: 'stock_count', notes: 'Found a box' }
+    ]);
+    expect(await getMovements(same.id)).toHaveLength(1);
+  });
+
+  test('item fields are updated alongside the count', async () => {
+    const item = await createItem(1, { sellingPrice: 20, location: 'A1' });
+
+    const response = await app.request('POST', '/bulk-update', {
+      updates: [{ itemId: item.id, sellingPrice: 25, location: 'B2' }]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items[0]).toMatchObject({ selling_price: 25, location: 'B2', quantity_on_hand: 1 });
+  });
+
+  test('nothing is written when any update is invalid', async () => {
+    const item = await createItem(10);
+
+    const response = await app.request('POST', '/bulk-update', {
+      updates: [
+        { itemId: item.id, countedQuantity: 3 },
+        { itemId: 999999, countedQuantity: 1 },
+        { itemId: item.id, countedQuantity: -1 }
+      ]
+    });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(
+      expect.arrayContaining(['updates[1].itemId', 'updates[2].itemId'])
+    );
+    expect((await dbConnection.get('SELECT quantity_on_hand FROM inventory_items WHERE id = ?', [item.id])).quantity_on_hand).toBe(10);
+    expect(await getMovements(item.id)).toHaveLength(1);
+  });
+
+  test('an item listed twice is rejected rather than adjusted twice', async () => {
+    const item = await createItem(10);
+
+    const response = await app.request('POST', '/bulk-update', {
+      updates: [
+        { itemId: item.id, countedQuantity: 7 },
+        { itemId: item.id, countedQuantity: 7 }
+      ]
+    });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error.details).toEqual([
+      { field: 'updates[1].itemId', message: 'Each item can only be updated once per request' }
+    ]);
+    expect((await dbConnection.get('SELECT quantity_on_hand FROM inventory_items WHERE id = ?', [item.id])).quantity_on_hand).toBe(10);
+  });
+
+  test('an empty update list is rejected', async () => {
+    const response = await app.request('POST', '/bulk-update', { updates: [] });
+
+    expect(response.status).toBe(422);
+  });
+});
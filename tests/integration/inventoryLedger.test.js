@@ -0,0 +1,91 @@
+/**
+ * Migration 003: stock levels only change through inventory_movements
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase } = require('../helpers/database');
+const { movementStatement } = require('../../server/utils/inventoryLedger');
+
+async function createItem(name = 'Brake pad') {
+  const result = await dbConnection.run('INSERT INTO inventory_items (name) VALUES (?)', [name]);
+  return result.lastID;
+}
+
+async function recordMovement(itemId, movementType, quantity) {
+  const statement = movementStatement({ itemId, movementType, quantity });
+  return dbConnection.run(statement.sql, statement.params);
+}
+
+async function getStock(itemId) {
+  const item = await dbConnection.get('SELECT quantity_on_hand FROM inventory_items WHERE id = ?', [itemId]);
+  return item.quantity_on_hand;
+}
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+describe('inventory ledger triggers', () => {
+  test('movements update stock: in adds, out subtracts, adjustments are signed', async () => {
+    const itemId = await createItem();
+
+    await recordMovement(itemId, 'in', 10);
+    expect(await getStock(itemId)).toBe(10);
+
+    await recordMovement(itemId, 'out', 3);
+    expect(await getStock(itemId)).toBe(7);
+
+    await recordMovement(itemId, 'adjustment', -2);
+    expect(await getStock(itemId)).toBe(5);
+
+    await recordMovement(itemId, 'adjustment', 4);
+    expect(await getStock(itemId)).toBe(9);
+  });
+
+  test('movements of one item leave other items alone', async () => {
+    const first = await createItem('Oil filter');
+    const second = await createItem('Air filter');
+
+    await recordMovement(first, 'in', 6);
+
+    expect(await getStock(first)).toBe(6);
+    expect(await getStock(second)).toBe(0);
+  });
+
+  test('stock cannot be set directly', async () => {
+    const itemId = await createItem();
+    await recordMovement(itemId, 'in', 5);
+
+    await expect(
+      dbConnection.run('UPDATE inventory_items SET quantity_on_hand = 50 WHERE id = ?', [itemId])
+    ).rejects.toThrow('quantity_on_hand can only be changed through inventory_movements');
+    expect(await getStock(itemId)).toBe(5);
+  });
+
+  test('updating other columns, or setting stock to the ledger balance, is allowed', async () => {
+    const itemId = await createItem();
+    await recordMovement(itemId, 'in', 5);
+
+    await dbConnection.run('UPDATE inventory_items SET name = ?, quantity_on_hand = 5 WHERE id = ?', ['Renamed', itemId]);
+
+    const item = await dbConnection.get('SELECT name, quantity_on_hand FROM inventory_items WHERE id = ?', [itemId]);
+    expect(item).toEqual({ name: 'Renamed', quantity_on_hand: 5 });
+  });
+
+  test('new items must start at zero', async () => {
+    await expect(
+      dbConnection.run('INSERT INTO inventory_items (name, quantity_on_hand) VALUES (?, ?)', ['Wiper', 3])
+    ).rejects.toThrow('New inventory items must start at zero');
+  });
+
+  test('movements cannot be modified or deleted', async () => {
+    const itemId = await createItem();
+    const { lastID: movementId } = await recordMovement(itemId, 'in', 5);
+
+    await expect(
+      dbConnection.run('UPDATE inventory_movements SET quantity = 50 WHERE id = ?', [movementId])
+    ).rejects.toThrow('Inventory movements cannot be modified');
+    await expect(
+      dbConnection.run('DELETE FROM inventory_movements WHERE id = ?', [movementId])
+    ).rejects.toThrow('Inventory movements cannot be deleted');
+    expect(await getStock(itemId)).toBe(5);
+  });
+});
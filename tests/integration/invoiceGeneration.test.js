@@ -0,0 +1,133 @@
+/**
+ * POST /api/v1/financial/invoices/generate
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const { setNow } = require('../helpers/clock');
+const financialRoutes = require('../../server/routes/financial');
+
+let app;
+let clientId;
+let vehicleId;
+let workOrderCount = 0;
+
+async function createWorkOrder({ status = 'completed', lines = [['Brake pads', 2, 45]] } = {}) {
+  workOrderCount++;
+  const result = await dbConnection.run(`
+    INSERT INTO work_orders (client_id, vehicle_id, work_order_number, status, description, completed_at)
+    VALUES (?, ?, ?, ?, 'Brake service', ?)
+  `, [clientId, vehicleId, `WO-TEST-${workOrderCount}`, status, status === 'completed' ? '2026-03-10 02:00:00' : null]);
+
+  for (const [description, quantity, unitPrice] of lines) {
+    await dbConnection.run(`
+      INSERT INTO work_order_items (work_order_id, description, quantity, unit_price, total_price)
+      VALUES (?, ?, ?, ?, ?)
+    `, [result.lastID, description, quantity, unitPrice, quantity * unitPrice]);
+  }
+
+  return result.lastID;
+}
+
+function generate(workOrderId, data = {}) {
+  return app.request('POST', '/invoices/generate', { workOrderId, invoiceDate: '2026-03-15', taxRate: 0, ...data });
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+  const vehicle = await dbConnection.run(
+    "INSERT INTO vehicles (client_id, make, model, year) VALUES (?, 'Toyota', 'Hilux', 2019)",
+    [clientId]
+  );
+  vehicleId = vehicle.lastID;
+  app = await startApp(financialRoutes, await createUser('owner'));
+});
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('invoice generation', () => {
+  test('copies the work order lines onto a new invoice', async () => {
+    const workOrderId = await createWorkOrder({ lines: [['Brake pads', 2, 45], ['Labour', 1.5, 90]] });
+
+    const response = await generate(workOrderId);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      work_order_id: workOrderId,
+      invoice_date: '2026-03-15',
+      status: 'draft',
+      total_amount: 225,
+      balance_due: 225
+    });
+    expect(response.body.invoice_number).toMatch(/^INV-/);
+    expect(response.body.items.map(item => item.description)).toEqual(['Brake pads', 'Labour']);
+  });
+
+  test('refuses to bill a work order twice', async () => {
+    const workOrderId = await createWorkOrder();
+    const first = await generate(workOrderId);
+
+    const second = await generate(workOrderId);
+
+    expect(second.status).toBe(409);
+    expect(second.body.error.details).toMatchObject({
+      invoiceId: first.body.id,
+      invoiceNumber: first.body.invoice_number
+    });
+  });
+
+  test('bills a work order once when requests arrive together', async () => {
+    const workOrderId = await createWorkOrder();
+
+    const responses = await Promise.all([generate(workOrderId), generate(workOrderId), generate(workOrderId)]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409, 409]);
+    const { count } = await dbConnection.get('SELECT COUNT(*) as count FROM invoices WHERE work_order_id = ?', [workOrderId]);
+    expect(count).toBe(1);
+  });
+
+  test('bills a work order again once its invoice is cancelled', async () => {
+    const workOrderId = await createWorkOrder();
+    const first = await generate(workOrderId);
+    await app.request('PATCH', `/invoices/${first.body.id}/cancel`, { reason: 'Wrong rate' });
+
+    expect((await generate(workOrderId)).status).toBe(201);
+  });
+
+  describe('without an invoice date', () => {
+    afterEach(() => jest.useRealTimers());
+
+    test('dates the invoice with the shop\'s local date', async () => {
+      setNow('2026-03-14T20:00:00Z'); // 09:00 on 15 March in Auckland
+
+      const response = await generate(await createWorkOrder(), { invoiceDate: undefined });
+
+      expect(response.body.invoice_date).toBe('2026-03-15');
+    });
+
+    test('numbers the invoice in the local year', async () => {
+      setNow('2025-12-31T12:00:00Z'); // 01:00 on 1 January 2026 in Auckland
+
+      const response = await generate(await createWorkOrder(), { invoiceDate: undefined });
+
+      expect(response.body.invoice_date).toBe('2026-01-01');
+      expect(response.body.invoice_number).toMatch(/^INV-2026-/);
+    });
+  });
+
+  test('rejects work orders that are not completed or have no lines', async () => {
+    const open = await generate(await createWorkOrder({ status: 'in_progress' }));
+    const empty = await generate(await createWorkOrder({ lines: [] }));
+
+    expect(open.status).toBe(422);
+    expect(empty.status).toBe(422);
+    expect(empty.body.error.message).toBe('Work order has no lines');
+    expect(await dbConnection.get('SELECT COUNT(*) as count FROM invoices WHERE work_order_id = ?', [workOrderCount]))
+      .toEqual({ count: 0 });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Migration 004: invoice balances and status follow payments on insert,
+ * update and delete, including refunds stored as negative payments
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase } = require('../helpers/database');
+
+let clientId;
+let invoiceCount = 0;
+
+async function createInvoice({ total = 100, status = 'draft', sentAt = null, dueDate = '2099-12-31' } = {}) {
+  invoiceCount++;
+  const result = await dbConnection.run(`
+    INSERT INTO invoices (client_id, invoice_number, invoice_date, due_date, status, subtotal, total_amount, balance_due, sent_at)
+    VALUES (?, ?, '2026-01-01', ?, ?, ?, ?, ?, ?)
+  `, [clientId, `INV-TEST-${invoiceCount}`, dueDate, status, total, total, total, sentAt]);
+  return result.lastID;
+}
+
+async function addPayment(invoiceId, amount, refundOf = null) {
+  const result = await dbConnection.run(`
+    INSERT INTO payments (client_id, invoice_id, payment_method, amount, payment_date, refund_of)
+    VALUES (?, ?, 'cash', ?, '2026-01-02', ?)
+  `, [clientId, invoiceId, amount, refundOf]);
+  return result.lastID;
+}
+
+function getInvoice(invoiceId) {
+  return dbConnection.get('SELECT status, paid_amount, balance_due FROM invoices WHERE id = ?', [invoiceId]);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const result = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = result.lastID;
+});
+
+afterAll(teardownDatabase);
+
+describe('payment balance triggers', () => {
+  test('a partial payment lowers the balance without changing status', async () => {
+    const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+
+    await addPayment(invoiceId, 40);
+
+    expect(await getInvoice(invoiceId)).toEqual({ status: 'sent', paid_amount: 40, balance_due: 60 });
+  });
+
+  test('paying the balance marks the invoice paid', async () => {
+    const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+
+    await addPayment(invoiceId, 40);
+    await addPayment(invoiceId, 60);
+
+    expect(await getInvoice(invoiceId)).toEqual({ status: 'paid', paid_amount: 100, balance_due: 0 });
+  });
+
+  test('amounts are rounded to cents', async () => {
+    const invoiceId = await createInvoice({ total: 0.3, status: 'sent', sentAt: '2026-01-01 10:00:00' });
+
+    await addPayment(invoiceId, 0.1);
+    await addPayment(invoiceId, 0.2);
+
+    expect(await getInvoice(invoiceId)).toEqual({ status: 'paid', paid_amount: 0.3, balance_due: 0 });
+  });
+
+  describe('refunds', () => {
+    test('a refund reopens a paid invoice that was sent', async () => {
+      const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      const paymentId = await addPayment(invoiceId, 100);
+
+      await addPayment(invoiceId, -30, paymentId);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'sent', paid_amount: 70, balance_due: 30 });
+    });
+
+    test('a refund puts a never-sent invoice back to draft', async () => {
+      const invoiceId = await createInvoice();
+      const paymentId = await addPayment(invoiceId, 100);
+      expect((await getInvoice(invoiceId)).status).toBe('paid');
+
+      await addPayment(invoiceId, -100, paymentId);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'draft', paid_amount: 0, balance_due: 100 });
+    });
+
+    test('a refund on an invoice past its due date makes it overdue', async () => {
+      const invoiceId = await createInvoice({ status: 'sent', sentAt: '2020-01-01 10:00:00', dueDate: '2020-01-31' });
+      const paymentId = await addPayment(invoiceId, 100);
+
+      await addPayment(invoiceId, -50, paymentId);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'overdue', paid_amount: 50, balance_due: 50 });
+    });
+
+    test('a refund on a cancelled invoice leaves it cancelled with nothing owed', async () => {
+      const invoiceId = await createInvoice({ status: 'cancelled' });
+
+      const paymentId = await addPayment(invoiceId, 20);
+      await addPayment(invoiceId, -20, paymentId);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'cancelled', paid_amount: 0, balance_due: 0 });
+    });
+  });
+
+  describe('payment updates', () => {
+    test('lowering a payment reopens a paid invoice', async () => {
+      const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      const paymentId = await addPayment(invoiceId, 100);
+
+      await dbConnection.run('UPDATE payments SET amount = 75 WHERE id = ?', [paymentId]);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'sent', paid_amount: 75, balance_due: 25 });
+    });
+
+    test('raising a payment to the total marks the invoice paid', async () => {
+      const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      const paymentId = await addPayment(invoiceId, 50);
+
+      await dbConnection.run('UPDATE payments SET amount = 100 WHERE id = ?', [paymentId]);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'paid', paid_amount: 100, balance_due: 0 });
+    });
+
+    test('moving a payment to another invoice updates both', async () => {
+      const from = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      const to = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      const paymentId = await addPayment(from, 100);
+
+      await dbConnection.run('UPDATE payments SET invoice_id = ? WHERE id = ?', [to, paymentId]);
+
+      expect(await getInvoice(from)).toEqual({ status: 'sent', paid_amount: 0, balance_due: 100 });
+      expect(await getInvoice(to)).toEqual({ status: 'paid', paid_amount: 100, balance_due: 0 });
+    });
+
+    test('changing other payment columns leaves the invoice alone', async () => {
+      const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      const paymentId = await addPayment(invoiceId, 40);
+
+      await dbConnection.run("UPDATE payments SET notes = 'Corrected reference' WHERE id = ?", [paymentId]);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'sent', paid_amount: 40, balance_due: 60 });
+    });
+  });
+
+  describe('payment deletes', () => {
+    test('deleting a payment restores the balance and reopens the invoice', async () => {
+      const invoiceId = await createInvoice({ status: 'sent', sentAt: '2026-01-01 10:00:00' });
+      await addPayment(invoiceId, 60);
+      const paymentId = await addPayment(invoiceId, 40);
+
+      await dbConnection.run('DELETE FROM payments WHERE id = ?', [paymentId]);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'sent', paid_amount: 60, balance_due: 40 });
+    });
+
+    test('deleting the last payment of a never-sent invoice puts it back to draft', async () => {
+      const invoiceId = await createInvoice();
+      const paymentId = await addPayment(invoiceId, 100);
+
+      await dbConnection.run('DELETE FROM payments WHERE id = ?', [paymentId]);
+
+      expect(await getInvoice(invoiceId)).toEqual({ status: 'draft', paid_amount: 0, balance_due: 100 });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Default dates of payments and refunds recorded through /api/v1/financial
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const { setNow } = require('../helpers/clock');
+const financialRoutes = require('../../server/routes/financial');
+
+let app;
+let clientId;
+
+beforeAll(async () => {
+  await setupDatabase();
+  const result = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = result.lastID;
+  app = await startApp(financialRoutes, await createUser('owner'));
+});
+
+beforeEach(() => setNow('2026-03-14T20:00:00Z')); // 09:00 on 15 March in Auckland
+
+afterEach(() => jest.useRealTimers());
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('payments recorded without a date', () => {
+  test('are dated with the shop\'s local date', async () => {
+    const response = await app.request('POST', '/payments', { clientId, amount: 50, paymentMethod: 'cash' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.payment_date).toBe('2026-03-15');
+  });
+
+  test('keep a date that was given', async () => {
+    const response = await app.request('POST', '/payments', {
+      clientId, amount: 50, paymentMethod: 'cash', paymentDate: '2026-03-01'
+    });
+
+    expect(response.body.payment_date).toBe('2026-03-01');
+  });
+
+  test('date refunds with the shop\'s local date', async () => {
+    const payment = await app.request('POST', '/payments', { clientId, amount: 50, paymentMethod: 'cash' });
+
+    const response = await app.request('POST', `/payments/${payment.body.id}/refund`, { amount: 20, reason: 'Overcharged' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.refund).toMatchObject({ amount: -20, payment_date: '2026-03-15' });
+  });
+
+  test('date the payment made when an invoice is marked paid with the shop\'s local date', async () => {
+    const invoice = await dbConnection.run(`
+      INSERT INTO invoices (client_id, invoice_number, invoice_date, due_date, status, subtotal, total_amount, balance_due, sent_at)
+      VALUES (?, 'INV-TEST-1', '2026-03-01', '2026-03-31', 'sent', 80, 80, 80, '2026-03-01 10:00:00')
+    `, [clientId]);
+
+    const response = await app.request('PATCH', `/invoices/${invoice.lastID}/mark-paid`, {});
+
+    expect(response.status).toBe(200);
+    expect(response.body.payments.map(payment => payment.payment_date)).toEqual(['2026-03-15']);
+  });
+});
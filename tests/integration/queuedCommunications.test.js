@@ -0,0 +1,76 @@
+/**
+ * Sending messages held back for quiet hours
+ */
+
+const { dbConnection, setupDatabase, teardownDatabase } = require('../helpers/database');
+const mailer = require('../../server/utils/mailer');
+const { dispatchQueuedCommunications } = require('../../server/utils/communications');
+
+let clientId;
+
+async function queueMessage(sendAfter = '2000-01-01 08:00:00') {
+  const result = await dbConnection.run(`
+    INSERT INTO client_communications (
+      client_id, channel, purpose, is_automated, status, recipient, subject, body, status_reason, send_after
+    ) VALUES (?, 'email', 'service', 1, 'queued', 'mike@example.com', 'Invoice INV-1', 'Your invoice', 'Quiet hours', ?)
+  `, [clientId, sendAfter]);
+  return result.lastID;
+}
+
+function getMessage(id) {
+  return dbConnection.get('SELECT status, status_reason, send_after FROM client_communications WHERE id = ?', [id]);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const result = await dbConnection.run(`
+    INSERT INTO clients (first_name, last_name, email, preferred_contact_method)
+    VALUES ('Mike', 'Johnson', 'mike@example.com', 'email')
+  `);
+  clientId = result.lastID;
+});
+
+afterAll(teardownDatabase);
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await dbConnection.run('DELETE FROM client_communications');
+});
+
+describe('dispatchQueuedCommunications', () => {
+  test('sends messages whose quiet hours have ended and leaves later ones queued', async () => {
+    const sendMail = jest.spyOn(mailer, 'sendMail').mockResolvedValue({});
+    const due = await queueMessage();
+    const later = await queueMessage('2999-01-01 08:00:00');
+
+    expect(await dispatchQueuedCommunications()).toBe(1);
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(await getMessage(due)).toEqual({ status: 'sent', status_reason: null, send_after: null });
+    expect(await getMessage(later)).toEqual({ status: 'queued', status_reason: 'Quiet hours', send_after: '2999-01-01 08:00:00' });
+  });
+
+  test('overlapping runs send each message once', async () => {
+    const sendMail = jest.spyOn(mailer, 'sendMail').mockImplementation(
+      () => new Promise(resolve => setTimeout(resolve, 20))
+    );
+    const ids = [await queueMessage(), await queueMessage()];
+
+    const handled = await Promise.all([dispatchQueuedCommunications(), dispatchQueuedCommunications()]);
+
+    expect(handled.reduce((sum, count) => sum + count, 0)).toBe(2);
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    for (const id of ids) {
+      expect((await getMessage(id)).status).toBe('sent');
+    }
+  });
+
+  test('records a failed send', async () => {
+    jest.spyOn(mailer, 'sendMail').mockRejectedValue(new Error('SMTP unavailable'));
+    const id = await queueMessage();
+
+    await dispatchQueuedCommunications();
+
+    expect(await getMessage(id)).toEqual({ status: 'failed', status_reason: 'SMTP unavailable', send_after: null });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Role permissions, through the authorizeResource checks the server mounts in
+ * front of each router and the requirePermission checks inside them
+ */
+
+const express = require('express');
+const { dbConnection, setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const { authorizeResource } = require('../../server/middleware/auth');
+const clientRoutes = require('../../server/routes/clients');
+const inventoryRoutes = require('../../server/routes/inventory');
+const financialRoutes = require('../../server/routes/financial');
+
+const apps = {};
+let clientId;
+
+beforeAll(async () => {
+  await setupDatabase();
+  const client = await dbConnection.run("INSERT INTO clients (first_name, last_name) VALUES ('Mike', 'Johnson')");
+  clientId = client.lastID;
+
+  const api = express.Router();
+  api.use('/clients', authorizeResource('clients'), clientRoutes);
+  api.use('/inventory', authorizeResource('inventory'), inventoryRoutes);
+  api.use('/financial', authorizeResource('financial'), financialRoutes);
+
+  for (const role of ['assistant', 'mechanic', 'manager']) {
+    apps[role] = await startApp(api, await createUser(role));
+  }
+});
+
+afterAll(async () => {
+  for (const app of Object.values(apps)) {
+    await app.close();
+  }
+  await teardownDatabase();
+});
+
+test.each([
+  ['assistant', 403],
+  ['mechanic', 403],
+  ['manager', 201]
+])('%s adding a stock item gets %i', async (role, status) => {
+  const response = await apps[role].request('POST', '/inventory', {
+    partNumber: `BP-${role}`,
+    name: 'Brake pads'
+  });
+
+  expect(response.status).toBe(status);
+});
+
+test.each([
+  ['assistant', 403],
+  ['mechanic', 403],
+  ['manager', 200]
+])('%s listing invoices gets %i', async (role, status) => {
+  const response = await apps[role].request('GET', '/financial/invoices');
+
+  expect(response.status).toBe(status);
+});
+
+test.each([
+  ['assistant', 403],
+  ['mechanic', 403],
+  ['manager', 200]
+])('%s downloading a client\'s personal data gets %i', async (role, status) => {
+  const response = await fetch(`${apps[role].baseUrl}/clients/${clientId}/personal-data`);
+
+  expect(response.status).toBe(status);
+});
+
+test('every role can read stock levels', async () => {
+  for (const app of Object.values(apps)) {
+    expect((await app.request('GET', '/inventory')).status).toBe(200);
+  }
+});
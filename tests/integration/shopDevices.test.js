@@ -0,0 +1,50 @@
+/**
+ * POST and PUT /api/v1/shop-devices
+ */
+
+const { setupDatabase, teardownDatabase, createUser } = require('../helpers/database');
+const { startApp } = require('../helpers/app');
+const shopDeviceRoutes = require('../../server/routes/shopDevices');
+
+let app;
+
+beforeAll(async () => {
+  await setupDatabase();
+  app = await startApp(shopDeviceRoutes, await createUser('manager'));
+});
+
+afterAll(async () => {
+  await app.close();
+  await teardownDatabase();
+});
+
+describe('shop device names', () => {
+  test('are trimmed when a device is registered and renamed', async () => {
+    const created = await app.request('POST', '/', { name: '  Bay 1 tablet ' });
+
+    expect(created.status).toBe(201);
+    expect(created.body.device.name).toBe('Bay 1 tablet');
+
+    const updated = await app.request('PUT', `/${created.body.device.id}`, { name: ' Bay 2 tablet' });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.device.name).toBe('Bay 2 tablet');
+  });
+
+  test.each([
+    ['missing', {}],
+    ['blank', { name: '   ' }],
+    ['a number', { name: 42 }],
+    ['a list', { name: ['Bay 1'] }],
+    ['an object', { name: { first: 'Bay' } }]
+  ])('are rejected when %s', async (_, body) => {
+    const created = await app.request('POST', '/', body);
+    const device = (await app.request('POST', '/', { name: 'Front desk' })).body.device;
+    const updated = await app.request('PUT', `/${device.id}`, body);
+
+    for (const response of [created, updated]) {
+      expect(response.status).toBe(422);
+      expect(response.body.error.details).toEqual([{ field: 'name', message: 'Device name is required' }]);
+    }
+  });
+});
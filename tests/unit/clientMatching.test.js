@@ -0,0 +1,168 @@
+/**
+ * Duplicate client matching in server/utils/clientMatching.js
+ */
+
+const matching = require('../../server/utils/clientMatching');
+
+let nextId = 1;
+
+function client(firstName, lastName, details = {}) {
+  return { id: nextId++, first_name: firstName, last_name: lastName, email: null, phone: null, ...details };
+}
+
+describe('normalization', () => {
+  test('normalizeEmail trims and lower-cases', () => {
+    expect(matching.normalizeEmail('  Mike.Johnson@Example.COM ')).toBe('mike.johnson@example.com');
+    expect(matching.normalizeEmail(null)).toBe('');
+  });
+
+  test.each([
+    ['+1 (555) 123-4567', '5551234567'],
+    ['555.123.4567', '5551234567'],
+    ['64 21 555 1234', '4215551234'],
+    ['ext 12', '12'],
+    [null, '']
+  ])('normalizePhone(%p) is %p', (phone, expected) => {
+    expect(matching.normalizePhone(phone)).toBe(expected);
+  });
+
+  test('normalizeName drops punctuation and repeated spaces', () => {
+    expect(matching.normalizeName("  Mary-Ann ", "O'Brien   Jr.")).toBe('maryann obrien jr');
+    expect(matching.normalizeName(null, 'Smith')).toBe('smith');
+  });
+});
+
+describe('similarity', () => {
+  test.each([
+    ['martha', 'marhta', 0.961],
+    ['dwayne', 'duane', 0.84],
+    ['dixon', 'dicksonx', 0.813]
+  ])('matches the Jaro-Winkler value for %s and %s', (a, b, expected) => {
+    expect(matching.similarity(a, b)).toBeCloseTo(expected, 3);
+  });
+
+  test('is 1 for equal strings and 0 when nothing matches or a string is empty', () => {
+    expect(matching.similarity('johnson', 'johnson')).toBe(1);
+    expect(matching.similarity('abc', 'xyz')).toBe(0);
+    expect(matching.similarity('', 'johnson')).toBe(0);
+  });
+});
+
+describe('nameSimilarity', () => {
+  test('treats nicknames and initials as the same first name', () => {
+    expect(matching.nameSimilarity(client('Mike', 'Johnson'), client('Michael', 'Johnson'))).toBe(1);
+    expect(matching.nameSimilarity(client('Bill', 'Smith'), client('Liam', 'Smith'))).toBe(1);
+    expect(matching.nameSimilarity(client('M.', 'Johnson'), client('Mike', 'Johnson'))).toBe(0.9);
+  });
+
+  test('is held down by the less similar of the two names', () => {
+    const score = matching.nameSimilarity(client('Mike', 'Johnson'), client('Mike', 'Jonsen'));
+
+    expect(score).toBeGreaterThan(0.85);
+    expect(score).toBeLessThan(1);
+    expect(matching.nameSimilarity(client('Mike', 'Johnson'), client('Sarah', 'Johnson'))).toBeLessThan(0.6);
+  });
+
+  test('is 0 when either client is missing a name', () => {
+    expect(matching.nameSimilarity(client('Mike', ''), client('Mike', 'Johnson'))).toBe(0);
+    expect(matching.nameSimilarity(client(null, 'Johnson'), client('Mike', 'Johnson'))).toBe(0);
+  });
+});
+
+describe('findDuplicatePairs', () => {
+  test('pairs clients sharing an email regardless of case and names', () => {
+    const a = client('Mike', 'Johnson', { email: 'mike@example.com' });
+    const b = client('Accounts', 'Dept', { email: ' MIKE@example.com' });
+
+    expect(matching.findDuplicatePairs([a, b], 0.85)).toEqual([
+      { clientIds: [a.id, b.id], score: 1, reasons: ['email'] }
+    ]);
+  });
+
+  test('pairs clients sharing a phone number in any format', () => {
+    const a = client('Sarah', 'Wilson', { phone: '+1 (555) 123-4567' });
+    const b = client('Tom', 'Brown', { phone: '555.123.4567' });
+
+    expect(matching.findDuplicatePairs([a, b], 0.85)).toEqual([
+      { clientIds: [a.id, b.id], score: 0.95, reasons: ['phone'] }
+    ]);
+  });
+
+  test('ignores phone fragments too short to identify anyone', () => {
+    const a = client('Sarah', 'Wilson', { phone: 'x123' });
+    const b = client('Tom', 'Brown', { phone: '123' });
+
+    expect(matching.findDuplicatePairs([a, b], 0.85)).toEqual([]);
+  });
+
+  test('pairs similar names above the threshold and collects every reason', () => {
+    const a = client('Mike', 'Johnson', { phone: '555-123-4567' });
+    const b = client('Michael', 'Johnson', { phone: '(555) 123 4567' });
+    const c = client('Sarah', 'Johnson');
+
+    const pairs = matching.findDuplicatePairs([c, b, a], 0.85);
+
+    expect(pairs).toEqual([{ clientIds: [a.id, b.id], score: 1, reasons: ['phone', 'name'] }]);
+  });
+
+  test('leaves out name matches below the threshold', () => {
+    const a = client('Mike', 'Johnson');
+    const b = client('Mike', 'Jonsen');
+    const score = matching.nameSimilarity(a, b);
+
+    expect(matching.findDuplicatePairs([a, b], score)).toHaveLength(1);
+    expect(matching.findDuplicatePairs([a, b], score + 0.01)).toEqual([]);
+  });
+
+  test('only compares names within the same last-name initial', () => {
+    const a = client('Kate', 'Carter');
+    const b = client('Kate', 'Karter');
+
+    expect(matching.nameSimilarity(a, b)).toBeGreaterThan(0.85);
+    expect(matching.findDuplicatePairs([a, b], 0.85)).toEqual([]);
+  });
+
+  test('sorts the best matches first', () => {
+    const a = client('Mike', 'Johnson');
+    const b = client('Mike', 'Jonsen');
+    const c = client('Jane', 'Doe', { email: 'jane@example.com' });
+    const d = client('J', 'Doe', { email: 'jane@example.com' });
+
+    const pairs = matching.findDuplicatePairs([a, b, c, d], 0.85);
+
+    expect(pairs.map(pair => pair.clientIds)).toEqual([[c.id, d.id], [a.id, b.id]]);
+    expect(pairs[0].reasons).toEqual(['email', 'name']);
+  });
+});
+
+describe('createMatchIndex', () => {
+  test('finds indexed clients by email, phone or full name with every reason', () => {
+    const index = matching.createMatchIndex();
+    index.add(client('Mike', 'Johnson', { email: 'mike@example.com', phone: '555-123-4567' }), { clientId: 1 });
+    index.add(client('Sarah', 'Wilson', { email: 'sarah@example.com' }), { clientId: 2 });
+
+    expect(index.find(client('mike', 'johnson', { email: 'MIKE@example.com', phone: '+1 555 123 4567' })))
+      .toEqual([{ clientId: 1, reasons: ['email', 'phone', 'name'] }]);
+    expect(index.find(client('S.', 'Wilson', { email: 'sarah@example.com' })))
+      .toEqual([{ clientId: 2, reasons: ['email'] }]);
+  });
+
+  test('does not match on missing details or short phone fragments', () => {
+    const index = matching.createMatchIndex();
+    index.add(client('Mike', 'Johnson', { phone: '123' }), { clientId: 1 });
+
+    expect(index.find(client('Sarah', 'Wilson', { phone: '123' }))).toEqual([]);
+    expect(index.find(client('', '', {}))).toEqual([]);
+  });
+
+  test('returns each reference once when several clients share a key', () => {
+    const index = matching.createMatchIndex();
+    index.add(client('Mike', 'Johnson', { email: 'shared@example.com' }), { row: 2 });
+    index.add(client('Sarah', 'Wilson', { email: 'shared@example.com' }), { row: 3 });
+
+    expect(index.find(client('Tom', 'Brown', { email: 'shared@example.com' }))).toEqual([
+      { row: 2, reasons: ['email'] },
+      { row: 3, reasons: ['email'] }
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Channel choice for automated messages in server/utils/communications.js
+ */
+
+// Keeps the logger the module loads from starting its file timers
+require('../helpers/database');
+const config = require('../../config/app');
+const { chooseChannel } = require('../../server/utils/communications');
+
+const client = {
+  email: 'mike@example.com',
+  phone: '555-123-4567',
+  preferred_contact_method: 'phone',
+  marketing_email_consent: 0,
+  marketing_sms_consent: 0
+};
+
+describe('chooseChannel', () => {
+  const { FEATURES } = config;
+  const { COMMUNICATIONS } = config.BUSINESS;
+  const defaults = {
+    email: FEATURES.ENABLE_EMAIL_NOTIFICATIONS,
+    sms: FEATURES.ENABLE_SMS_NOTIFICATIONS,
+    fallback: COMMUNICATIONS.SERVICE_FALLBACK_CHANNELS
+  };
+
+  beforeEach(() => {
+    FEATURES.ENABLE_EMAIL_NOTIFICATIONS = true;
+    FEATURES.ENABLE_SMS_NOTIFICATIONS = true;
+    COMMUNICATIONS.SERVICE_FALLBACK_CHANNELS = ['email', 'sms'];
+  });
+
+  afterAll(() => {
+    FEATURES.ENABLE_EMAIL_NOTIFICATIONS = defaults.email;
+    FEATURES.ENABLE_SMS_NOTIFICATIONS = defaults.sms;
+    COMMUNICATIONS.SERVICE_FALLBACK_CHANNELS = defaults.fallback;
+  });
+
+  test('sends service messages on the preferred method when it is automated', () => {
+    expect(chooseChannel({ ...client, preferred_contact_method: 'sms' })).toEqual({ channel: 'sms', recipient: '555-123-4567' });
+    expect(chooseChannel({ ...client, preferred_contact_method: 'email' })).toEqual({ channel: 'email', recipient: 'mike@example.com' });
+  });
+
+  test('does not fall back from an automated preferred method', () => {
+    expect(chooseChannel({ ...client, preferred_contact_method: 'email', email: null }))
+      .toEqual({ reason: 'Client has no email address' });
+  });
+
+  test('falls back to email, then SMS, for clients who prefer another method', () => {
+    expect(chooseChannel(client)).toEqual({ channel: 'email', recipient: 'mike@example.com' });
+    expect(chooseChannel({ ...client, preferred_contact_method: 'letter', email: null }))
+      .toEqual({ channel: 'sms', recipient: '555-123-4567' });
+
+    FEATURES.ENABLE_EMAIL_NOTIFICATIONS = false;
+    expect(chooseChannel(client)).toEqual({ channel: 'sms', recipient: '555-123-4567' });
+  });
+
+  test('explains why a fallback was impossible', () => {
+    FEATURES.ENABLE_SMS_NOTIFICATIONS = false;
+
+    expect(chooseChannel({ ...client, email: null }))
+      .toEqual({ reason: 'Client has no email address; SMS notifications are disabled' });
+  });
+
+  test('blocks service messages to non-automated methods without fallback channels', () => {
+    COMMUNICATIONS.SERVICE_FALLBACK_CHANNELS = [];
+
+    expect(chooseChannel(client)).toEqual({ reason: 'Client prefers to be contacted by phone' });
+  });
+
+  test('only sends marketing on channels the client consented to', () => {
+    expect(chooseChannel({ ...client, preferred_contact_method: 'email' }, 'marketing'))
+      .toEqual({ reason: 'Client has not consented to marketing messages' });
+    expect(chooseChannel({ ...client, marketing_sms_consent: 1 }, 'marketing'))
+      .toEqual({ channel: 'sms', recipient: '555-123-4567' });
+  });
+});
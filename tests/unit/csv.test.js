@@ -0,0 +1,97 @@
+/**
+ * CSV parsing and formatting in server/utils/csv.js
+ */
+
+const csv = require('../../server/utils/csv');
+
+describe('parseRows', () => {
+  test('splits rows and fields', () => {
+    expect(csv.parseRows('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('handles CRLF, lone CR and a missing final newline', () => {
+    expect(csv.parseRows('a,b\r\n1,2\r3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('keeps commas, newlines and doubled quotes inside quoted fields', () => {
+    expect(csv.parseRows('name,notes\n"Johnson, Mike","Said ""hi""\nthen left"\n')).toEqual([
+      ['name', 'notes'],
+      ['Johnson, Mike', 'Said "hi"\nthen left']
+    ]);
+  });
+
+  test('keeps empty fields, quoted or not', () => {
+    expect(csv.parseRows('a,,""\n')).toEqual([['a', '', '']]);
+  });
+
+  test('strips a byte order mark', () => {
+    expect(csv.parseRows('﻿First Name,Last Name\nMike,Johnson\n')[0]).toEqual(['First Name', 'Last Name']);
+  });
+
+  test('drops blank lines, including ones made of empty fields', () => {
+    expect(csv.parseRows('a,b\n\n , \n1,2\n\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('reads an unterminated quote to the end of the file', () => {
+    expect(csv.parseRows('a,b\n1,"open\n2,3\n')).toEqual([['a', 'b'], ['1', 'open\n2,3\n']]);
+  });
+});
+
+describe('parse', () => {
+  test('keys records by the trimmed headers and trims values', () => {
+    expect(csv.parse(' First Name , Email \n Mike , mike@example.com \n')).toEqual({
+      headers: ['First Name', 'Email'],
+      records: [{ 'First Name': 'Mike', Email: 'mike@example.com' }]
+    });
+  });
+
+  test('fills missing cells and ignores extra ones', () => {
+    expect(csv.parse('a,b\n1\n2,3,4\n').records).toEqual([
+      { a: '1', b: '' },
+      { a: '2', b: '3' }
+    ]);
+  });
+
+  test('returns no headers for an empty or blank file', () => {
+    expect(csv.parse('')).toEqual({ headers: [], records: [] });
+    expect(csv.parse('\n\r\n , \n')).toEqual({ headers: [], records: [] });
+  });
+
+  test('returns headers without records for a header-only file', () => {
+    expect(csv.parse('a,b\n')).toEqual({ headers: ['a', 'b'], records: [] });
+  });
+});
+
+describe('formatRow', () => {
+  test('quotes only values that need it', () => {
+    expect(csv.formatRow(['plain', 'with,comma', 'with "quote"', 'two\nlines', 'cr\rhere']))
+      .toBe('plain,"with,comma","with ""quote""","two\nlines","cr\rhere"\r\n');
+  });
+
+  test('writes null and undefined as empty and other values as text', () => {
+    expect(csv.formatRow([null, undefined, 0, false, 12.5])).toBe(',,0,false,12.5\r\n');
+  });
+});
+
+describe('stringify', () => {
+  const columns = [
+    { key: 'name', header: 'Name' },
+    { key: 'notes', header: 'Notes, if any' }
+  ];
+
+  test('writes a header row and one row per record', () => {
+    expect(csv.stringify([{ name: 'Mike', notes: null }], columns)).toBe('Name,"Notes, if any"\r\nMike,\r\n');
+  });
+
+  test('round-trips through parse', () => {
+    const records = [
+      { name: 'Johnson, Mike', notes: 'Said "call me"\nafter 5pm' },
+      { name: 'Jane', notes: '' }
+    ];
+
+    expect(csv.parse(csv.stringify(records, columns))).toEqual({
+      headers: ['Name', 'Notes, if any'],
+      records: records.map(record => ({ Name: record.name, 'Notes, if any': record.notes }))
+    });
+  });
+});
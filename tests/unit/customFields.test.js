@@ -0,0 +1,34 @@
+/**
+ * Custom field value conversion in server/utils/customFields.js
+ */
+
+// Keeps the logger the module loads from starting its file timers
+require('../helpers/database');
+const { coerceValue } = require('../../server/utils/customFields');
+
+describe('coerceValue', () => {
+  const booleanField = { field_type: 'boolean' };
+
+  test.each([
+    [true, true], ['Yes', true], ['1', true], [1, true],
+    [false, false], ['NO', false], ['0', false], [0, false]
+  ])('reads %p as a boolean', (input, value) => {
+    expect(coerceValue(booleanField, input)).toEqual({ value });
+  });
+
+  test.each(['maybe', 'constructor', 'toString', '__proto__', 'hasOwnProperty'])('rejects %p as a boolean', (input) => {
+    expect(coerceValue(booleanField, input)).toEqual({ error: 'Must be true or false' });
+  });
+
+  test('converts numbers and rejects anything else', () => {
+    expect(coerceValue({ field_type: 'number' }, '12.5')).toEqual({ value: 12.5 });
+    expect(coerceValue({ field_type: 'number' }, 'twelve')).toEqual({ error: 'Must be a number' });
+  });
+
+  test('only accepts the options of a select field', () => {
+    const field = { field_type: 'select', options: ['Fleet', 'Retail'] };
+
+    expect(coerceValue(field, 'Fleet')).toEqual({ value: 'Fleet' });
+    expect(coerceValue(field, 'constructor')).toEqual({ error: 'Must be one of: Fleet, Retail' });
+  });
+});
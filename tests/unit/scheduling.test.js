@@ -0,0 +1,229 @@
+/**
+ * Slot and overlap calculations in server/utils/scheduling.js
+ *
+ * Uses the default working hours: weekdays 08:00-17:00, Saturday 08:00-12:00,
+ * closed on Sunday, with a 15 minute buffer and 30 minute slot interval.
+ * Dates are built from local parts; the tests run in Pacific/Auckland.
+ */
+
+const {
+  overlaps,
+  calculateAvailableSlots,
+  getBookingWindow,
+  findConflicts,
+  findOverbookedDays
+} = require('../../server/utils/scheduling');
+
+const MONDAY = '2030-01-07';
+const SATURDAY = '2030-01-12';
+const SUNDAY = '2030-01-13';
+
+// A moment well before any of the dates above
+const EARLIER = new Date(2029, 0, 1, 12, 0);
+
+let nextId = 1;
+
+function booking(time, duration, { assignedTo = 1, date = MONDAY } = {}) {
+  return { id: nextId++, assigned_to: assignedTo, appointment_date: date, appointment_time: time, estimated_duration: duration };
+}
+
+function slotTimes(slots) {
+  return slots.map(slot => slot.time);
+}
+
+describe('overlaps', () => {
+  test('bookings that share time overlap', () => {
+    expect(overlaps(600, 60, 630, 60)).toBe(true);
+    expect(overlaps(630, 60, 600, 60)).toBe(true);
+  });
+
+  test('a booking inside another overlaps', () => {
+    expect(overlaps(600, 120, 630, 30)).toBe(true);
+    expect(overlaps(630, 30, 600, 120)).toBe(true);
+  });
+
+  test('back-to-back bookings do not overlap without a buffer', () => {
+    expect(overlaps(600, 60, 660, 60)).toBe(false);
+    expect(overlaps(660, 60, 600, 60)).toBe(false);
+  });
+
+  test('the buffer applies on both sides', () => {
+    expect(overlaps(600, 60, 660, 60, 15)).toBe(true);
+    expect(overlaps(660, 60, 600, 60, 15)).toBe(true);
+  });
+
+  test('a gap of exactly the buffer is allowed', () => {
+    expect(overlaps(600, 60, 675, 60, 15)).toBe(false);
+    expect(overlaps(675, 60, 600, 60, 15)).toBe(false);
+  });
+
+  test('bookings far apart do not overlap', () => {
+    expect(overlaps(480, 30, 900, 30, 15)).toBe(false);
+  });
+});
+
+describe('calculateAvailableSlots', () => {
+  test('offers every interval that fits inside working hours', () => {
+    const slots = calculateAvailableSlots(MONDAY, 60, [], 1, EARLIER);
+
+    expect(slots).toHaveLength(17);
+    expect(slots[0]).toEqual({ time: '08:00', endTime: '09:00', remainingCapacity: 1 });
+    expect(slots[slots.length - 1]).toEqual({ time: '16:00', endTime: '17:00', remainingCapacity: 1 });
+  });
+
+  test('follows the working hours of the day', () => {
+    expect(slotTimes(calculateAvailableSlots(SATURDAY, 60, [], 1, EARLIER)))
+      .toEqual(['08:00', '08:30', '09:00', '09:30', '10:00', '10:30', '11:00']);
+  });
+
+  test('offers nothing on a closed day', () => {
+    expect(calculateAvailableSlots(SUNDAY, 60, [], 1, EARLIER)).toEqual([]);
+  });
+
+  test('offers nothing when the job is longer than the working day', () => {
+    expect(calculateAvailableSlots(SATURDAY, 300, [], 1, EARLIER)).toEqual([]);
+  });
+
+  test('skips times that would overlap a booking or its buffer', () => {
+    const bookings = [{ appointment_time: '10:00', estimated_duration: 60 }];
+    const times = slotTimes(calculateAvailableSlots(MONDAY, 60, bookings, 1, EARLIER));
+
+    // 08:30 ends 09:30, 15 minutes before the booking; 11:15 is the first start after its buffer
+    expect(times).toContain('08:30');
+    expect(times).not.toContain('09:00');
+    expect(times).not.toContain('11:00');
+    expect(times).toContain('11:30');
+  });
+
+  test('uses the default duration for bookings without one', () => {
+    const bookings = [{ appointment_time: '10:00', estimated_duration: null }];
+    const times = slotTimes(calculateAvailableSlots(MONDAY, 30, bookings, 1, EARLIER));
+
+    expect(times).toContain('09:00');
+    expect(times).not.toContain('09:30');
+    expect(times).not.toContain('11:00');
+    expect(times).toContain('11:30');
+  });
+
+  test('accepts bookings stored with seconds', () => {
+    const bookings = [{ appointment_time: '10:00:00', estimated_duration: 60 }];
+
+    expect(slotTimes(calculateAvailableSlots(MONDAY, 60, bookings, 1, EARLIER))).not.toContain('10:00');
+  });
+
+  test('keeps offering a time until the capacity is used up', () => {
+    const bookings = [
+      { appointment_time: '10:00', estimated_duration: 60 },
+      { appointment_time: '10:00', estimated_duration: 60 }
+    ];
+
+    const withRoom = calculateAvailableSlots(MONDAY, 60, bookings.slice(0, 1), 2, EARLIER);
+    expect(withRoom.find(slot => slot.time === '10:00')).toEqual({ time: '10:00', endTime: '11:00', remainingCapacity: 1 });
+    expect(withRoom.find(slot => slot.time === '14:00').remainingCapacity).toBe(2);
+
+    const full = calculateAvailableSlots(MONDAY, 60, bookings, 2, EARLIER);
+    expect(slotTimes(full)).not.toContain('10:00');
+  });
+
+  test('offers only times later than now on the current day', () => {
+    const now = new Date(2030, 0, 7, 10, 0);
+    const times = slotTimes(calculateAvailableSlots(MONDAY, 60, [], 1, now));
+
+    expect(times[0]).toBe('10:30');
+    expect(slotTimes(calculateAvailableSlots('2030-01-08', 60, [], 1, now))[0]).toBe('08:00');
+  });
+
+  test('offers nothing once the working day is over', () => {
+    expect(calculateAvailableSlots(MONDAY, 60, [], 1, new Date(2030, 0, 7, 18, 0))).toEqual([]);
+  });
+
+  test('works from the local date and time, not UTC', () => {
+    // Tests run in Auckland, where 09:10 on Monday is still Sunday evening in UTC
+    const times = slotTimes(calculateAvailableSlots(MONDAY, 60, [], 1, new Date(2030, 0, 7, 9, 10)));
+
+    expect(times[0]).toBe('09:30');
+  });
+});
+
+describe('getBookingWindow', () => {
+  test('starts on the local date, even when UTC is still on the previous day', () => {
+    expect(getBookingWindow(new Date(2030, 0, 7, 8, 0))).toEqual({ earliest: '2030-01-07', latest: '2030-04-07' });
+  });
+});
+
+describe('findConflicts', () => {
+  test('pairs overlapping bookings of the same mechanic', () => {
+    const first = booking('09:00', 60);
+    const second = booking('09:30', 60);
+
+    expect(findConflicts([second, first])).toEqual([
+      { assignedTo: 1, date: MONDAY, overlapMinutes: 30, appointments: [first, second] }
+    ]);
+  });
+
+  test('reports bookings that cut into the buffer, as booking rejects them', () => {
+    const first = booking('09:00', 60);
+    const second = booking('10:00', 60);
+    const third = booking('11:15', 60);
+
+    expect(findConflicts([first, second, third])).toEqual([
+      { assignedTo: 1, date: MONDAY, overlapMinutes: 0, appointments: [first, second] }
+    ]);
+    expect(findConflicts([first, second], 0)).toEqual([]);
+  });
+
+  test('pairs a long booking with every booking it covers', () => {
+    const long = booking('08:00', 240);
+    const morning = booking('09:00', 30);
+    const late = booking('11:00', 60);
+
+    expect(findConflicts([long, morning, late]).map(conflict => [
+      conflict.appointments.map(appointment => appointment.id),
+      conflict.overlapMinutes
+    ])).toEqual([
+      [[long.id, morning.id], 30],
+      [[long.id, late.id], 60]
+    ]);
+  });
+
+  test('ignores other mechanics, other days and unassigned bookings', () => {
+    expect(findConflicts([
+      booking('09:00', 60),
+      booking('09:00', 60, { assignedTo: 2 }),
+      booking('09:00', 60, { date: SATURDAY }),
+      booking('09:00', 60, { assignedTo: null })
+    ])).toEqual([]);
+  });
+
+  test('uses the default duration for bookings without one', () => {
+    expect(findConflicts([booking('09:00', null), booking('09:45', 30)])).toHaveLength(1);
+  });
+});
+
+describe('findOverbookedDays', () => {
+  test('reports mechanic days booked beyond the working hours', () => {
+    const bookings = [booking('08:00', 300), booking('13:00', 300), booking('08:00', 240, { assignedTo: 2 })];
+
+    expect(findOverbookedDays(bookings)).toEqual([{
+      assignedTo: 1,
+      date: MONDAY,
+      bookedMinutes: 600,
+      availableMinutes: 540,
+      appointmentIds: [bookings[0].id, bookings[1].id]
+    }]);
+  });
+
+  test('uses the shorter Saturday hours', () => {
+    const saturday = [booking('08:00', 150, { date: SATURDAY }), booking('10:30', 120, { date: SATURDAY })];
+
+    expect(findOverbookedDays(saturday)).toEqual([
+      expect.objectContaining({ date: SATURDAY, bookedMinutes: 270, availableMinutes: 240 })
+    ]);
+  });
+
+  test('treats any booking on a closed day as overbooked', () => {
+    expect(findOverbookedDays([booking('10:00', 30, { date: SUNDAY })])).toEqual([
+      expect.objectContaining({ date: SUNDAY, bookedMinutes: 30, availableMinutes: 0 })
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Time-based one-time passwords in server/utils/totp.js
+ *
+ * Checked against the SHA-1 test vectors of RFC 6238 (appendix B) and the
+ * HOTP values of RFC 4226 (appendix D), which use the same ASCII seed.
+ * Codes here are 6 digits, so the last 6 digits of the 8 digit RFC 6238 values.
+ */
+
+const totp = require('../../server/utils/totp');
+
+// base32 of the ASCII seed '12345678901234567890'
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function stepAt(seconds) {
+  return Math.floor(seconds / 30);
+}
+
+describe('base32', () => {
+  test('encodes the RFC test seed', () => {
+    expect(totp.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+  });
+
+  test('matches the RFC 4648 vectors without padding', () => {
+    expect(['', 'f', 'fo', 'foo', 'foob', 'fooba', 'foobar'].map(text => totp.base32Encode(Buffer.from(text))))
+      .toEqual(['', 'MY', 'MZXQ', 'MZXW6', 'MZXW6YQ', 'MZXW6YTB', 'MZXW6YTBOI']);
+  });
+
+  test('decodes ignoring case, spaces and padding', () => {
+    expect(totp.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => totp.base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  test('round-trips generated secrets', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+  });
+});
+
+describe('generateCode', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches RFC 6238 at %i seconds', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, stepAt(seconds))).toBe(code);
+  });
+
+  test('matches the RFC 4226 HOTP values for counters 0 to 9', () => {
+    const codes = Array.from({ length: 10 }, (_, counter) => totp.generateCode(RFC_SECRET, counter));
+
+    expect(codes).toEqual([
+      '755224', '287082', '359152', '969429', '338314',
+      '254676', '287922', '162583', '399871', '520489'
+    ]);
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+  const step = stepAt(1111111111);
+
+  test('accepts the current code and returns its step', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471', { time })).toBe(step);
+  });
+
+  test('accepts codes typed with spaces', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050 471', { time })).toBe(step);
+  });
+
+  test('allows one step of clock drift either way by default', () => {
+    const previous = totp.generateCode(RFC_SECRET, step - 1);
+    const next = totp.generateCode(RFC_SECRET, step + 1);
+
+    expect(totp.verifyCode(RFC_SECRET, previous, { time })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, next, { time })).toBe(step + 1);
+  });
+
+  test('rejects codes outside the window', () => {
+    const old = totp.generateCode(RFC_SECRET, step - 2);
+
+    expect(totp.verifyCode(RFC_SECRET, old, { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, old, { time, window: 2 })).toBe(step - 2);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { time, window: 0 })).toBeNull();
+  });
+
+  test('rejects a code from a step already used', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471', { time, afterStep: step })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '050471', { time, afterStep: step - 1 })).toBe(step);
+  });
+
+  test.each([
+    ['a wrong code', '123456'],
+    ['a code that is too short', '50471'],
+    ['a code that is too long', '0504710'],
+    ['a code that is not all digits', '05047a'],
+    ['an empty code', ''],
+    ['a missing code', undefined]
+  ])('rejects %s', (_, code) => {
+    expect(totp.verifyCode(RFC_SECRET, code, { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  test('builds the URI authenticator apps expect', () => {
+    const url = new URL(totp.buildOtpauthUrl(RFC_SECRET, 'mike@example.com', 'MoMech'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/MoMech:mike@example.com');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'MoMech',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
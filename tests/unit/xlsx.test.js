@@ -0,0 +1,146 @@
+/**
+ * Reading worksheets in server/utils/xlsx.js
+ *
+ * Workbooks are assembled in memory from the XML parts Excel writes.
+ */
+
+const xlsx = require('../../server/utils/xlsx');
+const { writeZip } = require('../../server/utils/zip');
+
+const WORKBOOK = `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets><sheet name="Clients" sheetId="1" r:id="rId3"/><sheet name="Other" sheetId="2" r:id="rId1"/></sheets>
+</workbook>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+  <Relationship Id="rId3" Type="worksheet" Target="worksheets/clients.xml"/>
+</Relationships>`;
+
+const SHARED_STRINGS = `<?xml version="1.0" encoding="UTF-8"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <si><t>First Name</t></si>
+  <si><t>Last Name</t></si>
+  <si><r><t>Mi</t></r><r><rPr><b/></rPr><t>ke</t></r></si>
+  <si><t>O&apos;Brien &amp; Sons &#x263A;</t></si>
+</sst>`;
+
+function sheet(rows) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`;
+}
+
+function workbook(parts) {
+  return writeZip(Object.entries(parts).map(([name, data]) => ({ name, data })));
+}
+
+describe('parseRows', () => {
+  test('reads the first sheet listed in the workbook', () => {
+    const buffer = workbook({
+      'xl/workbook.xml': WORKBOOK,
+      'xl/_rels/workbook.xml.rels': WORKBOOK_RELS,
+      'xl/sharedStrings.xml': SHARED_STRINGS,
+      'xl/worksheets/sheet1.xml': sheet('<row r="1"><c r="A1" t="inlineStr"><is><t>Wrong sheet</t></is></c></row>'),
+      'xl/worksheets/clients.xml': sheet(`
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>
+        <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="s"><v>3</v></c></row>
+      `)
+    });
+
+    expect(xlsx.parseRows(buffer)).toEqual([
+      ['First Name', 'Last Name'],
+      ['Mike', "O'Brien & Sons ☺"]
+    ]);
+  });
+
+  test('reads numbers, booleans, inline strings and empty cells', () => {
+    const buffer = workbook({
+      'xl/worksheets/sheet1.xml': sheet(`
+        <row r="1">
+          <c r="A1" t="inlineStr"><is><t xml:space="preserve">Mike </t></is></c>
+          <c r="B1"><v>42.5</v></c>
+          <c r="C1" t="b"><v>1</v></c>
+          <c r="D1" t="b"><v>0</v></c>
+          <c r="E1" s="1"/>
+          <c r="F1" t="str"><v>A1&amp;B1</v></c>
+        </row>
+      `)
+    });
+
+    expect(xlsx.parseRows(buffer)).toEqual([['Mike ', '42.5', 'TRUE', 'FALSE', '', 'A1&B1']]);
+  });
+
+  test('places cells by their reference, filling skipped columns', () => {
+    const buffer = workbook({
+      'xl/worksheets/sheet1.xml': sheet(`
+        <row r="1"><c r="A1"><v>1</v></c><c r="D1"><v>4</v></c><c r="AA1"><v>27</v></c></row>
+      `)
+    });
+
+    const [row] = xlsx.parseRows(buffer);
+
+    expect(row).toHaveLength(27);
+    expect([row[0], row[1], row[2], row[3], row[26]]).toEqual(['1', '', '', '4', '27']);
+  });
+
+  test('drops blank rows', () => {
+    const buffer = workbook({
+      'xl/worksheets/sheet1.xml': sheet(`
+        <row r="1"><c r="A1"><v>1</v></c></row>
+        <row r="2"></row>
+        <row r="3"><c r="A3" t="inlineStr"><is><t> </t></is></c></row>
+        <row r="4"><c r="A4"><v>4</v></c></row>
+      `)
+    });
+
+    expect(xlsx.parseRows(buffer)).toEqual([['1'], ['4']]);
+  });
+
+  test('treats a missing shared string as empty', () => {
+    const buffer = workbook({
+      'xl/sharedStrings.xml': SHARED_STRINGS,
+      'xl/worksheets/sheet1.xml': sheet('<row r="1"><c r="A1" t="s"><v>99</v></c><c r="B1"><v>1</v></c></row>')
+    });
+
+    expect(xlsx.parseRows(buffer)).toEqual([['', '1']]);
+  });
+
+  describe('bad files', () => {
+    test.each([
+      ['an empty file', Buffer.alloc(0)],
+      ['a CSV file', Buffer.from('First Name,Last Name\nMike,Johnson\n')],
+      ['a file that only starts like a ZIP', Buffer.from('PK\u0003\u0004 garbage')],
+      ['a truncated workbook', workbook({ 'xl/worksheets/sheet1.xml': sheet('<row r="1"></row>') }).subarray(0, 40)]
+    ])('rejects %s', (_, buffer) => {
+      expect(() => xlsx.parseRows(buffer)).toThrow('Not a valid XLSX file');
+    });
+
+    test('rejects a ZIP without worksheets', () => {
+      const buffer = workbook({ 'word/document.xml': '<document/>' });
+
+      expect(() => xlsx.parseRows(buffer)).toThrow('The workbook has no worksheets');
+    });
+
+    test('rejects a workbook whose sheet relationship points nowhere', () => {
+      const buffer = workbook({
+        'xl/workbook.xml': WORKBOOK,
+        'xl/_rels/workbook.xml.rels': WORKBOOK_RELS
+      });
+
+      expect(() => xlsx.parseRows(buffer)).toThrow('The workbook has no worksheets');
+    });
+  });
+});
+
+describe('serialToDate', () => {
+  test.each([
+    [1, '1899-12-31'],
+    [61, '1900-03-01'],
+    [32874, '1990-01-01'],
+    [45658, '2025-01-01'],
+    [45658.75, '2025-01-01']
+  ])('converts %d', (serial, date) => {
+    expect(xlsx.serialToDate(serial)).toBe(date);
+  });
+});
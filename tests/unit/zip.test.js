@@ -0,0 +1,84 @@
+/**
+ * ZIP reading and writing in server/utils/zip.js
+ */
+
+const crypto = require('crypto');
+const { readZip, writeZip } = require('../../server/utils/zip');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+describe('writeZip and readZip', () => {
+  test('round-trip text and binary files', () => {
+    const binary = crypto.randomBytes(4096);
+    const files = [
+      { name: 'README.txt', data: 'Personal data held by MoMech\n' },
+      { name: 'client.json', data: JSON.stringify({ first_name: 'Zoë', notes: 'Prefers 日本語 invoices ☺' }) },
+      { name: 'data/blob.bin', data: binary },
+      { name: 'empty.txt', data: '' }
+    ];
+
+    const archive = readZip(writeZip(files));
+
+    expect([...archive.keys()]).toEqual(['README.txt', 'client.json', 'data/blob.bin', 'empty.txt']);
+    expect(archive.get('README.txt').toString('utf8')).toBe(files[0].data);
+    expect(JSON.parse(archive.get('client.json').toString('utf8'))).toEqual({
+      first_name: 'Zoë',
+      notes: 'Prefers 日本語 invoices ☺'
+    });
+    expect(archive.get('data/blob.bin').equals(binary)).toBe(true);
+    expect(archive.get('empty.txt')).toHaveLength(0);
+  });
+
+  test('round-trip non-ASCII file names', () => {
+    const archive = readZip(writeZip([{ name: 'reçu-№1.txt', data: 'ok' }]));
+
+    expect([...archive.keys()]).toEqual(['reçu-№1.txt']);
+  });
+
+  test('compress repetitive data and round-trip it', () => {
+    const data = JSON.stringify(Array.from({ length: 2000 }, (_, id) => ({ id, status: 'completed' })), null, 2);
+    const buffer = writeZip([{ name: 'work_orders.json', data }]);
+
+    expect(buffer.length).toBeLessThan(data.length / 5);
+    expect(readZip(buffer).get('work_orders.json').toString('utf8')).toBe(data);
+  });
+
+  test('write an empty archive', () => {
+    expect(readZip(writeZip([])).size).toBe(0);
+  });
+
+  test('record the CRC-32, sizes and local modification time of each file', () => {
+    const buffer = writeZip([{ name: 'check.txt', data: '123456789' }], new Date(2026, 2, 14, 10, 30, 42));
+
+    expect(buffer.readUInt32LE(0)).toBe(LOCAL_FILE_HEADER);
+    expect(buffer.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 21);
+    expect(buffer.readUInt16LE(12)).toBe(((2026 - 1980) << 9) | (3 << 5) | 14);
+    expect(buffer.readUInt32LE(14)).toBe(0xcbf43926);
+    expect(buffer.readUInt32LE(22)).toBe(9);
+  });
+});
+
+describe('readZip', () => {
+  test.each([
+    ['a string', 'PK'],
+    ['an empty buffer', Buffer.alloc(0)],
+    ['text', Buffer.from('First Name,Last Name\nMike,Johnson\n')]
+  ])('rejects %s', (_, input) => {
+    expect(() => readZip(input)).toThrow('Not a ZIP archive');
+  });
+
+  test('rejects an archive whose central directory points at the wrong place', () => {
+    const buffer = writeZip([{ name: 'a.txt', data: 'a' }]);
+    buffer.writeUInt32LE(1, buffer.length - 6);
+
+    expect(() => readZip(buffer)).toThrow('Corrupt ZIP central directory');
+  });
+
+  test('rejects an unsupported compression method', () => {
+    const buffer = writeZip([{ name: 'a.txt', data: 'a' }]);
+    const centralOffset = buffer.readUInt32LE(buffer.length - 6);
+    buffer.writeUInt16LE(12, centralOffset + 10);
+
+    expect(() => readZip(buffer)).toThrow('Unsupported ZIP compression method 12 for a.txt');
+  });
+});